@@ -0,0 +1,125 @@
+/**
+ * Post-refresh health checks.
+ * A refresh that didn't throw can still have rendered an error page; these checks catch that.
+ */
+
+import { responseStatus, statusInRanges } from "./auth.js";
+import { parseMatchPattern } from "./utils.js";
+
+/** Exit code used when health checks were failing when keepalive stopped. */
+export const EXIT_ASSERTION_FAILED = 4;
+
+/**
+ * Build health checks from raw option values.
+ * @param {{ selectors?: string[], texts?: string[], absentTexts?: string[], statuses?: Array<[number, number]>, title?: string | null }} options
+ * @returns {{ selectors: string[], texts: string[], absentTexts: string[], statuses: Array<[number, number]>, title: { source: string, test: (text: string) => boolean } | null }}
+ */
+export function buildAssertions({ selectors = [], texts = [], absentTexts = [], statuses = [], title = null } = {}) {
+	return {
+		selectors: selectors.filter(Boolean),
+		texts: texts.filter(Boolean),
+		absentTexts: absentTexts.filter(Boolean),
+		statuses,
+		title: title ? parseMatchPattern(title, "title pattern") : null,
+	};
+}
+
+/**
+ * True when at least one health check is configured.
+ * @param {ReturnType<typeof buildAssertions> | null | undefined} assertions
+ * @returns {boolean}
+ */
+export function hasAssertions(assertions) {
+	return Boolean(
+		assertions &&
+			(assertions.selectors.length ||
+				assertions.texts.length ||
+				assertions.absentTexts.length ||
+				assertions.statuses.length ||
+				assertions.title)
+	);
+}
+
+function formatRanges(ranges) {
+	return ranges.map(([min, max]) => (min === max ? String(min) : `${min}-${max}`)).join(",");
+}
+
+/**
+ * Evaluate every health check against the page.
+ * Works with both Playwright and Puppeteer pages (`$()`, `evaluate()`, `title()`).
+ * A check that can't be evaluated (e.g. the page navigated mid-check) fails.
+ * @param {object} page
+ * @param {object | null | undefined} response result of the `goto`/`reload` that loaded the page
+ * @param {ReturnType<typeof buildAssertions>} assertions
+ * @returns {Promise<Array<{ check: "status" | "title" | "selector" | "text" | "no-text", expected: string, ok: boolean, actual?: string }>>}
+ */
+export async function runAssertions(page, response, assertions) {
+	const results = [];
+
+	if (assertions.statuses.length) {
+		const status = responseStatus(response);
+		results.push({
+			check: "status",
+			expected: formatRanges(assertions.statuses),
+			ok: status !== null && statusInRanges(status, assertions.statuses),
+			actual: status !== null ? String(status) : "no response",
+		});
+	}
+
+	if (assertions.title) {
+		let title = null;
+		try {
+			title = String((await page.title()) ?? "");
+		} catch {
+			// ignore
+		}
+		results.push({
+			check: "title",
+			expected: assertions.title.source,
+			ok: title !== null && assertions.title.test(title),
+			actual: title ?? "unavailable",
+		});
+	}
+
+	for (const selector of assertions.selectors) {
+		let found = false;
+		try {
+			found = Boolean(await page.$(selector));
+		} catch {
+			// ignore
+		}
+		results.push({ check: "selector", expected: selector, ok: found });
+	}
+
+	if (assertions.texts.length || assertions.absentTexts.length) {
+		let text = null;
+		try {
+			text = String((await page.evaluate(() => document.body?.innerText ?? "")) ?? "");
+		} catch {
+			// ignore
+		}
+		for (const needle of assertions.texts) {
+			results.push({ check: "text", expected: needle, ok: text !== null && text.includes(needle) });
+		}
+		for (const needle of assertions.absentTexts) {
+			results.push({ check: "no-text", expected: needle, ok: text !== null && !text.includes(needle) });
+		}
+	}
+
+	return results;
+}
+
+/**
+ * One-line summary of check results for the log.
+ * @param {Awaited<ReturnType<typeof runAssertions>>} results
+ * @returns {string}
+ */
+export function formatAssertionResults(results) {
+	return results
+		.map((r) => {
+			const outcome = r.ok ? "ok" : "FAILED";
+			const actual = r.actual !== undefined && !r.ok ? ` (got ${r.actual})` : "";
+			return `${r.check} '${r.expected}' ${outcome}${actual}`;
+		})
+		.join(", ");
+}
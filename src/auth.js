@@ -0,0 +1,392 @@
+/**
+ * Login/session-expiry detection and re-authentication.
+ * Rules decide whether a page that just loaded is really the app or a logged-out screen;
+ * a user login script or the built-in form login can then be run to log back in.
+ */
+
+import { readFileSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { generateTotp } from "./totp.js";
+import { parseMatchPattern } from "./utils.js";
+
+/** Exit code used when the session expired and `--on-expired exit` is in effect. */
+export const EXIT_SESSION_EXPIRED = 3;
+
+/**
+ * Parse a URL pattern. `/.../flags` is a regular expression, anything else a substring.
+ * @param {string} value
+ * @returns {{ source: string, test: (url: string) => boolean }}
+ */
+export function parseUrlPattern(value) {
+	return parseMatchPattern(value, "URL pattern");
+}
+
+/**
+ * Parse HTTP status codes and ranges, e.g. "401,403" or "400-499".
+ * Accepts a number, a string, or a list of either.
+ * @param {number | string | Array<number | string>} value
+ * @param {string} [label]
+ * @returns {Array<[number, number]>}
+ */
+export function parseStatusList(value, label = "status list") {
+	const parts = (Array.isArray(value) ? value : String(value ?? "").split(","))
+		.map((part) => String(part).trim())
+		.filter(Boolean);
+	if (!parts.length) {
+		throw new Error(`${label} must list HTTP status codes (e.g. 401,403 or 400-499)`);
+	}
+
+	return parts.map((part) => {
+		const m = /^(\d{3})(?:-(\d{3}))?$/.exec(part);
+		const min = m ? Number(m[1]) : NaN;
+		const max = m?.[2] ? Number(m[2]) : min;
+		if (!m || min < 100 || max > 599 || min > max) {
+			throw new Error(`${label} has an invalid status '${part}' (expected e.g. 401 or 400-499)`);
+		}
+		return [min, max];
+	});
+}
+
+/**
+ * Check whether a status falls in any of the given ranges.
+ * @param {number} status
+ * @param {Array<[number, number]>} ranges
+ * @returns {boolean}
+ */
+export function statusInRanges(status, ranges) {
+	return ranges.some(([min, max]) => status >= min && status <= max);
+}
+
+/**
+ * Parse the action to take when the session has expired.
+ * `exit` stops with EXIT_SESSION_EXPIRED, `continue` only logs, `exec:<command>` runs a shell command.
+ * @param {string} value
+ * @returns {{ type: "exit" } | { type: "continue" } | { type: "exec", command: string }}
+ */
+export function parseExpiredAction(value) {
+	const v = String(value ?? "").trim();
+	if (v === "exit" || v === "continue") {
+		return { type: v };
+	}
+	if (v.startsWith("exec:") && v.slice(5).trim()) {
+		return { type: "exec", command: v.slice(5).trim() };
+	}
+	throw new Error("--on-expired must be 'exit', 'continue' or 'exec:<command>'");
+}
+
+/**
+ * Build login-detection rules from raw option values.
+ * @param {{ urls?: string[], selectors?: string[], texts?: string[], statuses?: Array<[number, number]> }} options
+ * @returns {{ urls: Array<{ source: string, test: (url: string) => boolean }>, selectors: string[], texts: string[], statuses: Array<[number, number]> }}
+ */
+export function buildLoginRules({ urls = [], selectors = [], texts = [], statuses = [] } = {}) {
+	return {
+		urls: urls.map(parseUrlPattern),
+		selectors: selectors.filter(Boolean),
+		texts: texts.filter(Boolean),
+		statuses,
+	};
+}
+
+/**
+ * True when at least one detection rule is configured.
+ * @param {ReturnType<typeof buildLoginRules> | null | undefined} rules
+ * @returns {boolean}
+ */
+export function hasLoginRules(rules) {
+	return Boolean(
+		rules && (rules.urls.length || rules.selectors.length || rules.texts.length || rules.statuses.length)
+	);
+}
+
+/**
+ * HTTP status of a Playwright or Puppeteer navigation response.
+ * @param {object | null | undefined} response
+ * @returns {number | null}
+ */
+export function responseStatus(response) {
+	if (!response) return null;
+	const status = typeof response.status === "function" ? response.status() : response.status;
+	return typeof status === "number" ? status : null;
+}
+
+/**
+ * Decide whether the page is showing a logged-out state.
+ * Works with both Playwright and Puppeteer pages (`url()`, `$()`, `evaluate()`).
+ * Checks that fail (e.g. the page navigated mid-check) count as "no match".
+ * @param {object} page
+ * @param {object | null | undefined} response result of the `goto`/`reload` that loaded the page
+ * @param {ReturnType<typeof buildLoginRules>} rules
+ * @returns {Promise<{ rule: "url" | "status" | "selector" | "text", match: string, url: string } | null>}
+ */
+export async function detectLoggedOut(page, response, rules) {
+	if (!hasLoginRules(rules)) return null;
+
+	let url = "";
+	try {
+		url = String(page.url() ?? "");
+	} catch {
+		// ignore
+	}
+
+	const urlRule = rules.urls.find((pattern) => pattern.test(url));
+	if (urlRule) {
+		return { rule: "url", match: urlRule.source, url };
+	}
+
+	const status = responseStatus(response);
+	if (status !== null && statusInRanges(status, rules.statuses)) {
+		return { rule: "status", match: String(status), url };
+	}
+
+	for (const selector of rules.selectors) {
+		try {
+			if (await page.$(selector)) {
+				return { rule: "selector", match: selector, url };
+			}
+		} catch {
+			// ignore
+		}
+	}
+
+	if (rules.texts.length) {
+		let text = "";
+		try {
+			text = String((await page.evaluate(() => document.body?.innerText ?? "")) ?? "");
+		} catch {
+			// ignore
+		}
+		const found = rules.texts.find((needle) => text.includes(needle));
+		if (found) {
+			return { rule: "text", match: found, url };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Check a loaded page for an expired session and hand it to `onExpired` (re-login and
+ * the `--on-expired` action). Unless that restored the session, the expiry counts as a
+ * failed refresh, also with `--on-expired continue`.
+ * @param {object} page
+ * @param {object | null | undefined} response result of the `goto`/`reload` that loaded the page
+ * @param {ReturnType<typeof buildLoginRules>} rules
+ * @param {{
+ *   onExpired: (expired: { rule: string, match: string, url: string }) => Promise<boolean>,
+ *   log: { warn: function },
+ * }} options `onExpired` resolves to true when it restored the session
+ * @returns {Promise<{ result: "session-expired", message: string } | null>} the failure, or null
+ */
+export async function checkSession(page, response, rules, { onExpired, log }) {
+	const expired = await detectLoggedOut(page, response, rules);
+	if (!expired) return null;
+	const message = `session expired: ${expired.rule} matched '${expired.match}' (url=${expired.url})`;
+	log.warn("session.expired", message, { rule: expired.rule, match: expired.match, currentUrl: expired.url });
+	if (await onExpired(expired)) return null;
+	return { result: "session-expired", message };
+}
+
+/**
+ * Load a user login script. The module must export a default function (or a named `login`).
+ * Relative paths resolve against the current working directory.
+ * @param {string} modulePath
+ * @param {{ _import?: (specifier: string) => Promise<object> }} [options]
+ * @returns {Promise<(context: object) => unknown>}
+ */
+export async function loadLoginScript(modulePath, { _import = (specifier) => import(specifier) } = {}) {
+	const specifier = pathToFileURL(resolve(modulePath)).href;
+	let mod;
+	try {
+		mod = await _import(specifier);
+	} catch (err) {
+		throw new Error(`Failed to load login script '${modulePath}': ${err.message || err}`);
+	}
+
+	const login = typeof mod.default === "function" ? mod.default : mod.login;
+	if (typeof login !== "function") {
+		throw new Error(`Login script '${modulePath}' must export a default function (or a named \`login\` function)`);
+	}
+	return login;
+}
+
+/**
+ * Reject if a promise doesn't settle within `ms`.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise<T>}
+ */
+export function withTimeout(promise, ms, message) {
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error(message)), ms);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a login function with a per-attempt timeout and an attempt limit.
+ * An attempt fails if the function throws, times out, returns `false`, or `verify()`
+ * (when given) still reports the session as logged out afterwards.
+ * @param {(context: object) => unknown} login
+ * @param {object} context passed to `login`, plus `attempt`
+ * @param {{ timeoutMs: number, attempts: number, verify?: () => Promise<boolean>, log?: (message: string) => void }} options
+ * @returns {Promise<{ ok: boolean, attempts: number, error: Error | null }>}
+ */
+export async function runLoginScript(login, context, { timeoutMs, attempts, verify, log = () => {} }) {
+	let lastError = null;
+	for (let attempt = 1; attempt <= attempts; attempt++) {
+		log(`login script: attempt ${attempt}/${attempts}`);
+		try {
+			const result = await withTimeout(
+				Promise.resolve().then(() => login({ ...context, attempt })),
+				timeoutMs,
+				`login script timed out after ${Math.round(timeoutMs / 1000)}s`
+			);
+			if (result === false) {
+				throw new Error("login script reported failure");
+			}
+			if (verify && !(await verify())) {
+				throw new Error("still logged out after login script");
+			}
+			log(`login script: succeeded on attempt ${attempt}`);
+			return { ok: true, attempts: attempt, error: null };
+		} catch (err) {
+			lastError = err instanceof Error ? err : new Error(String(err));
+			log(`login script: attempt ${attempt} failed: ${lastError.message}`);
+		}
+	}
+	return { ok: false, attempts, error: lastError };
+}
+
+/**
+ * Load login credentials from a secrets file (JSON with `username`, `password`, `totpSecret`)
+ * and/or environment variables `<prefix>USERNAME`, `<prefix>PASSWORD`, `<prefix>TOTP_SECRET`.
+ * File values win. The secrets file must not be readable by group or others.
+ * Credentials are never taken from the command line.
+ * @param {{ secretsFile?: string | null, envPrefix?: string, env?: Record<string, string | undefined>, _stat?: function, _readFile?: function, _platform?: string }} options
+ * @returns {{ username: string | null, password: string | null, totpSecret: string | null }}
+ */
+export function loadCredentials({
+	secretsFile = null,
+	envPrefix = "KEEPALIVE_",
+	env = process.env,
+	_stat = statSync,
+	_readFile = (p) => readFileSync(p, "utf-8"),
+	_platform = process.platform,
+} = {}) {
+	let file = {};
+	if (secretsFile) {
+		let stat;
+		try {
+			stat = _stat(secretsFile);
+		} catch (err) {
+			throw new Error(`Failed to read secrets file '${secretsFile}': ${err.message || err}`);
+		}
+		// POSIX permission bits don't mean much on Windows.
+		if (_platform !== "win32" && stat.mode & 0o077) {
+			const mode = (stat.mode & 0o777).toString(8).padStart(4, "0");
+			throw new Error(
+				`Secrets file '${secretsFile}' is accessible by group/others (mode ${mode}). Run: chmod 600 ${secretsFile}`
+			);
+		}
+		try {
+			file = JSON.parse(_readFile(secretsFile));
+		} catch (err) {
+			throw new Error(`Failed to parse secrets file '${secretsFile}': ${err.message || err}`);
+		}
+		if (file === null || typeof file !== "object" || Array.isArray(file)) {
+			throw new Error(`Secrets file '${secretsFile}' must contain a JSON object`);
+		}
+	}
+
+	const pick = (key, envName) => {
+		const value = file[key] ?? env[`${envPrefix}${envName}`];
+		return value === undefined || value === null || value === "" ? null : String(value);
+	};
+	return {
+		username: pick("username", "USERNAME"),
+		password: pick("password", "PASSWORD"),
+		totpSecret: pick("totpSecret", "TOTP_SECRET"),
+	};
+}
+
+/**
+ * Check that every field the form needs has a credential, so a bad setup fails at startup
+ * instead of at the first expiry.
+ * @param {{ username?: string | null, password: string, otp?: string | null }} selectors
+ * @param {{ username: string | null, password: string | null, totpSecret: string | null }} credentials
+ * @param {string} envPrefix
+ */
+export function assertFormCredentials(selectors, credentials, envPrefix) {
+	const missing = [];
+	if (selectors.username && !credentials.username) missing.push(`username (${envPrefix}USERNAME)`);
+	if (!credentials.password) missing.push(`password (${envPrefix}PASSWORD)`);
+	if (selectors.otp && !credentials.totpSecret) missing.push(`totpSecret (${envPrefix}TOTP_SECRET)`);
+	if (missing.length) {
+		throw new Error(`Form login is missing credentials: ${missing.join(", ")}`);
+	}
+	if (selectors.otp) {
+		generateTotp(credentials.totpSecret);
+	}
+}
+
+async function fillField(page, selector, value, timeoutMs) {
+	await page.waitForSelector(selector, { timeout: timeoutMs });
+	// Playwright has fill(); Puppeteer only types, so clear the field first.
+	if (typeof page.fill === "function") {
+		await page.fill(selector, value);
+		return;
+	}
+	await page.$eval(selector, (el) => {
+		el.value = "";
+	});
+	await page.type(selector, value);
+}
+
+async function clickAndSettle(page, selector, timeoutMs) {
+	const navigation =
+		typeof page.waitForNavigation === "function"
+			? page.waitForNavigation({ timeout: timeoutMs }).catch(() => null)
+			: Promise.resolve(null);
+	await page.click(selector);
+	await navigation;
+}
+
+/**
+ * Build a login function (same shape as a `--login-script` export) that fills a
+ * username/password form and, optionally, a one-time-code field with a TOTP code.
+ * Handles username-first flows where the password field only appears after submitting.
+ * @param {{ selectors: { username?: string | null, password: string, submit: string, otp?: string | null, otpSubmit?: string | null }, credentials: { username: string | null, password: string | null, totpSecret: string | null }, stepTimeoutMs?: number, _now?: () => number }} options
+ * @returns {(context: { page: object, log?: (message: string) => void }) => Promise<void>}
+ */
+export function createFormLogin({ selectors, credentials, stepTimeoutMs = 30000, _now = Date.now }) {
+	return async ({ page, log = () => {} }) => {
+		if (selectors.username) {
+			log("form login: filling username");
+			await fillField(page, selectors.username, credentials.username, stepTimeoutMs);
+			if (!(await page.$(selectors.password))) {
+				await page.click(selectors.submit);
+			}
+		}
+
+		log("form login: filling password");
+		await fillField(page, selectors.password, credentials.password, stepTimeoutMs);
+
+		if (!selectors.otp) {
+			await clickAndSettle(page, selectors.submit, stepTimeoutMs);
+			return;
+		}
+
+		await page.click(selectors.submit);
+		log("form login: filling one-time code");
+		await page.waitForSelector(selectors.otp, { timeout: stepTimeoutMs });
+		// Generate the code only once the field is there, so it isn't about to roll over.
+		await fillField(page, selectors.otp, generateTotp(credentials.totpSecret, { time: _now() }), stepTimeoutMs);
+		await clickAndSettle(page, selectors.otpSubmit ?? selectors.submit, stepTimeoutMs);
+	};
+}
@@ -0,0 +1,122 @@
+/**
+ * Response bodies in the network log: which content types are stored, how binary
+ * bodies are encoded, byte-accurate truncation and side files for large bodies.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+import { parseTextPattern } from "./filters.js";
+
+/** The `--record-body-type` value that stands for the built-in text-like types. */
+export const TEXT_BODY_TYPES = "text";
+
+/**
+ * Whether a content type is text-like (stored as UTF-8 text; anything else is base64).
+ * A missing content type counts as text.
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isTextContentType(contentType) {
+	if (!contentType) return true;
+	const ct = contentType.toLowerCase();
+	return (
+		ct.includes("json") ||
+		ct.includes("text") ||
+		ct.includes("javascript") ||
+		ct.includes("xml") ||
+		ct.includes("html") ||
+		ct.includes("form")
+	);
+}
+
+/**
+ * Build the policy deciding whose bodies are stored. `types` replaces the default
+ * (text-like types only); `text` in it stands for those. A `skipTypes` match always wins.
+ * @param {{ types?: string[], skipTypes?: string[] }} [options] patterns for `parseTextPattern()`
+ * @returns {{ test: (contentType: string) => boolean, describe: () => string }}
+ */
+export function buildBodyPolicy({ types = [], skipTypes = [] } = {}) {
+	const parse = (value, label) =>
+		parseTextPattern(/^\/.+\/[a-z]*$/.test(value) ? value : value.toLowerCase(), label);
+	const allow = types.map((value) =>
+		value.toLowerCase() === TEXT_BODY_TYPES
+			? { source: TEXT_BODY_TYPES, test: isTextContentType }
+			: parse(value, "--record-body-type")
+	);
+	const deny = skipTypes.map((value) => parse(value, "--record-body-skip-type"));
+	if (!allow.length) allow.push({ source: TEXT_BODY_TYPES, test: isTextContentType });
+
+	return {
+		test(contentType) {
+			const ct = String(contentType ?? "").toLowerCase();
+			if (deny.some((pattern) => pattern.test(ct))) return false;
+			return allow.some((pattern) => pattern.test(ct));
+		},
+		describe() {
+			const parts = [allow.map((pattern) => pattern.source).join("|")];
+			if (deny.length) parts.push(`skip=${deny.map((pattern) => pattern.source).join("|")}`);
+			return parts.join(" ");
+		},
+	};
+}
+
+/**
+ * Cut a buffer to at most `maxBytes` without splitting a UTF-8 character.
+ * @param {Buffer} buffer
+ * @param {number} maxBytes
+ * @returns {Buffer}
+ */
+export function truncateUtf8(buffer, maxBytes) {
+	if (buffer.length <= maxBytes) return buffer;
+	let end = maxBytes;
+	// Back up over continuation bytes (10xxxxxx) to the start of the cut character.
+	while (end > 0 && (buffer[end] & 0xc0) === 0x80) end--;
+	return buffer.subarray(0, end);
+}
+
+/**
+ * Turn a body into what the log stores: text-like content types as UTF-8 text (cut at a
+ * character boundary), anything else as base64 of the raw bytes.
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @param {number | null} [maxBytes] stored bytes at most (of the raw body)
+ * @returns {{ body: string, encoding: "base64" | null, truncated: boolean }}
+ */
+export function encodeBody(buffer, contentType, maxBytes = null) {
+	if (isTextContentType(contentType)) {
+		const kept = maxBytes ? truncateUtf8(buffer, maxBytes) : buffer;
+		return { body: kept.toString("utf8"), encoding: null, truncated: kept.length < buffer.length };
+	}
+	const kept = maxBytes && buffer.length > maxBytes ? buffer.subarray(0, maxBytes) : buffer;
+	return { body: kept.toString("base64"), encoding: "base64", truncated: kept.length < buffer.length };
+}
+
+/**
+ * Store bodies larger than `inlineBytes` in `dir`, named by their SHA-256, instead of in
+ * the log entry. Identical bodies share one file.
+ * @param {{ dir: string, inlineBytes?: number }} options
+ * @returns {{ store: (exchange: object) => object }} `store()` returns the exchange with
+ *   `body` replaced by `bodyFile` and `bodyHash` when it was moved to a file
+ */
+export function createBodyStore({ dir, inlineBytes = 65536 }) {
+	return {
+		store(exchange) {
+			if (typeof exchange.body !== "string") return exchange;
+			const raw = Buffer.from(exchange.body, exchange.encoding === "base64" ? "base64" : "utf8");
+			if (raw.length <= inlineBytes) return exchange;
+			const hash = createHash("sha256").update(raw).digest("hex");
+			const path = join(dir, hash);
+			if (!existsSync(path)) {
+				try {
+					mkdirSync(dir, { recursive: true });
+					writeFileSync(path, raw);
+				} catch (err) {
+					throw new Error(`Failed to store body in '${path}': ${err.message || err}`);
+				}
+			}
+			return { ...exchange, body: null, bodyFile: path, bodyHash: `sha256:${hash}` };
+		},
+	};
+}
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
-import { mkdirSync, readFileSync, createWriteStream } from "node:fs";
-import { spawnSync } from "node:child_process";
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { spawn, spawnSync } from "node:child_process";
 import { createInterface } from "node:readline/promises";
 import { stdin as input, stdout as output } from "node:process";
 import { fileURLToPath } from "node:url";
@@ -9,14 +9,101 @@ import { homedir } from "node:os";
 import { dirname, join } from "node:path";
 
 import { Command } from "commander";
-import { launchEngine, normalizePort as normalizeCdpPort } from "./engines.js";
+import {
+	checkBrowserOptions,
+	connectEngine,
+	launchEngine,
+	normalizeEndpoint,
+	normalizePort as normalizeCdpPort,
+} from "./engines.js";
+import { loadConfigFile, resolveProfile, mergeWithCli } from "./config.js";
+import { createControlServer, listenLocal } from "./control.js";
+import { createKeepaliveMetrics } from "./metrics.js";
+import { createLogger, validateLogFormat, validateLogLevel } from "./logger.js";
+import { startNetworkRecorder, validateRecordFormat } from "./recorder.js";
+import { validatePathTemplate } from "./rotation.js";
+import { createRedactor } from "./redaction.js";
+import { buildRecordFilter, parseMethodList, parseResourceTypes } from "./filters.js";
+import { buildBodyPolicy } from "./bodies.js";
+import {
+	createReplayIndex,
+	createReplayServer,
+	createUnmatchedReport,
+	parseOrigin,
+	parseStatusCode,
+	readNdjsonLog,
+	validateMatchMode,
+} from "./replay.js";
+import {
+	buildLogFilter,
+	createLogExporter,
+	createLogSummary,
+	formatEntry,
+	formatEntryLine,
+	formatSummary,
+	parseLogTime,
+	readLogEntries,
+	resolveLogFiles,
+	writeText,
+} from "./logs.js";
+import { clickSelector, pingFromPage, simulateActivity, validatePingUrl } from "./strategies.js";
+import {
+	formatExpectedStatus,
+	formatHeartbeat,
+	normalizeHeartbeat,
+	resolveHeartbeat,
+	sendHeartbeat,
+} from "./heartbeat.js";
+import {
+	EXIT_ASSERTION_FAILED,
+	buildAssertions,
+	formatAssertionResults,
+	hasAssertions,
+	runAssertions,
+} from "./assertions.js";
+import {
+	EXIT_TOO_MANY_FAILURES,
+	backoffDelay,
+	classifyNavigationError,
+	isRetryableStatus,
+	parseRetryAfter,
+} from "./retry.js";
+import {
+	EXIT_SESSION_EXPIRED,
+	assertFormCredentials,
+	buildLoginRules,
+	checkSession,
+	createFormLogin,
+	detectLoggedOut,
+	hasLoginRules,
+	loadCredentials,
+	loadLoginScript,
+	parseExpiredAction,
+	parseStatusList,
+	responseStatus,
+	runLoginScript,
+} from "./auth.js";
 import {
 	parseInterval,
+	parseJitter,
+	parseCron,
+	parseActiveHours,
+	validateTimeZone,
+	nextRunTime,
+	nextActiveTime,
+	formatZonedTime,
+	parsePositiveInt,
+	parseNonNegativeInt,
 	validateEngine,
-	validateUrlString,
+	validateBrowser,
+	validateStrategy,
+	parseTargetSpec,
 	stripQueryParam,
 	withCacheBuster,
 	sleep,
+	createWakeableSleep,
+	createRateLimiter,
+	parsePort,
 	isMissingEngineError,
 	isPlaywrightMissingBrowserError,
 	isPuppeteerMissingBrowserError,
@@ -26,6 +113,7 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf-8"));
 
 const program = new Command();
+const DEFAULT_USER_DATA_DIR = join(homedir(), ".browser-keepalive", "chrome");
 
 function collectList(value, previous) {
 	if (!value) return previous ?? [];
@@ -34,32 +122,172 @@ function collectList(value, previous) {
 
 program
 	.name("browser-keepalive")
-	.description("Launch a browser, load a URL, and periodically refresh it to keep it alive.")
+	.description("Launch a browser, load one or more URLs, and periodically refresh them to keep them alive.")
 	.version(pkg.version, "-V, --version", "Show version number")
-	.argument("<url>", "URL to load")
+	.argument(
+		"[url...]",
+		"URL(s) to load, one tab each; append ::interval=<sec>,no-cache-bust,always-reset to override per tab"
+	)
+	.option("-c, --config <file>", "Load settings from a JSON or YAML config file")
+	.option("--profile <name>", "Profile to use from the config file")
 	.option("-i, --interval <seconds>", "Refresh interval in seconds", "60")
+	.option("--jitter <spec>", "Randomize each wait by up to this many seconds, or percent of the interval (e.g. 30 or 10%)")
+	.option("--schedule <cron>", "Refresh on a cron schedule instead of every --interval, e.g. '*/10 * * * *'")
+	.option(
+		"--active-hours <window>",
+		"Only refresh inside this window, e.g. 'mon-fri 07:00-19:00' (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--timezone <zone>", "IANA time zone for --schedule and --active-hours (default: system time zone)")
 	.option("--cache-bust", "Add cache-busting query param on each refresh (default: true)")
 	.option("--no-cache-bust", "Disable cache-busting query param")
 	.option("--always-reset", "Always navigate to the original URL instead of refreshing current page")
+	.option("--strategy <name>", "What a refresh does: reload, ping, activity or click", "reload")
+	.option("--ping-url <url>", "URL (or /path) the ping strategy fetches from inside the page (default: the tab's URL)")
+	.option("--click-selector <css>", "Element the click strategy clicks")
+	.option(
+		"--heartbeat <spec>",
+		"Also send this request with the browser's cookies, e.g. 'POST /api/ping::interval=120,status=204' (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--heartbeat-interval <seconds>", "Default interval between heartbeat requests", "60")
 	.option("--engine <name>", "Browser engine: playwright or puppeteer", "playwright")
+	.option("--browser <name>", "Browser for the Playwright engine: chromium, firefox or webkit", "chromium")
 	.option("--headless", "Run browser without visible window")
 	.option("--auto-install", "Prompt to install missing engine or browser binaries")
 	.option(
 		"--user-data-dir <dir>",
-		"Persist browser profile/cookies in this directory (default: ~/.browser-keepalive/chrome)",
-		join(homedir(), ".browser-keepalive", "chrome")
+		"Persist browser profile/cookies in this directory (default: ~/.browser-keepalive/chrome, or ~/.browser-keepalive/<browser> for firefox and webkit)",
+		DEFAULT_USER_DATA_DIR
 	)
 	.option("-p, --cdp-port <port>", "Enable Chrome DevTools Protocol on this port")
+	.option(
+		"--connect <endpoint>",
+		"Attach to a running Chromium instead of launching one: its DevTools URL (http://127.0.0.1:9222) or ws:// endpoint"
+	)
 	.option("--only-if-idle", "Only refresh when browser has been idle for the full interval")
-	.option("--record-network <path>", "Write NDJSON network log to this path")
+	.option("--record-network <path>", "Write a network log to this path")
+	.option("--record-format <format>", "Network log format: ndjson or har", "ndjson")
+	.option(
+		"--record-include <pattern>",
+		"Only record responses whose URL contains this, matches this /regex/ or contains this *-glob (a glob starting with a scheme or / must match the whole URL or path) (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--record-exclude <pattern>", "Don't record responses whose URL matches this (repeatable)", collectList, [])
+	.option("--record-method <methods>", "Only record these request methods, e.g. GET,POST")
+	.option("--record-status <codes>", "Only record these response statuses, e.g. 200-299,404")
+	.option("--record-resource-type <types>", "Only record these resource types, e.g. xhr,fetch,document")
 	.option(
-		"--record-include <substr>",
-		"Only record responses whose URL includes this substring (repeatable)",
+		"--record-content-type <pattern>",
+		"Only record responses whose content type contains this, e.g. json or image/* (* matches anything) (repeatable)",
 		collectList,
 		[]
 	)
 	.option("--record-max-bytes <bytes>", "Max response body bytes to store per entry", "1000000")
 	.option("--no-record-body", "Do not include response bodies in network log")
+	.option(
+		"--record-body-type <pattern>",
+		"Store bodies of this content type, e.g. image/* ('text' for text-like types, the default) (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--record-body-skip-type <pattern>", "Never store bodies of this content type (repeatable)", collectList, [])
+	.option("--record-body-dir <dir>", "Store large bodies in this directory, named by their SHA-256")
+	.option("--record-body-inline-bytes <bytes>", "Bodies larger than this go to --record-body-dir", "65536")
+	.option("--no-record-streams", "Don't record WebSocket frames and Server-Sent Events")
+	.option("--record-message-max-bytes <bytes>", "Max bytes to store per WebSocket frame or SSE message", "65536")
+	.option("--redact-header <name>", "Also redact this header in the network log (repeatable)", collectList, [])
+	.option(
+		"--redact-json-path <path>",
+		"Redact this JSON field in recorded bodies, e.g. user.password or items[*].token (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--redact-form-field <name>", "Redact this form field in recorded bodies (repeatable)", collectList, [])
+	.option("--redact-query-param <name>", "Redact this query parameter in recorded URLs (repeatable)", collectList, [])
+	.option("--redact-pattern <regex>", "Redact text matching this regex in recorded bodies (repeatable)", collectList, [])
+	.option("--no-redact-defaults", "Don't redact Authorization/Cookie headers and token/password fields by default")
+	.option("--record-rotate-bytes <bytes>", "Start a new network log file once the current one reaches this size")
+	.option("--record-rotate-interval <seconds>", "Start a new network log file once the current one is this old")
+	.option("--record-retain <n>", "Keep at most this many finished network log files (default: all)")
+	.option("--record-gzip", "Gzip finished network log files")
+	.option(
+		"--logged-out-url <pattern>",
+		"Treat the session as expired when the page lands on a URL containing this (or matching /regex/) (repeatable)",
+		collectList,
+		[]
+	)
+	.option(
+		"--logged-out-selector <css>",
+		"Treat the session as expired when this selector is on the page (repeatable)",
+		collectList,
+		[]
+	)
+	.option(
+		"--logged-out-text <text>",
+		"Treat the session as expired when this text is on the page (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--logged-out-status <codes>", "Treat these HTTP statuses as expired, e.g. 401,403 or 400-499")
+	.option(
+		"--on-expired <action>",
+		`When the session expires: exit (code ${EXIT_SESSION_EXPIRED}), continue, or exec:<command>`,
+		"exit"
+	)
+	.option("--login-script <module>", "ES module to run when the session is expired (default export receives { session, page })")
+	.option("--login-username-selector <css>", "Form login: username field (omit for password-only forms)")
+	.option("--login-password-selector <css>", "Form login: password field (enables the built-in form login)")
+	.option(
+		"--login-submit-selector <css>",
+		"Form login: submit button",
+		"button[type=submit], input[type=submit]"
+	)
+	.option("--login-otp-selector <css>", "Form login: one-time code field, filled with a TOTP code")
+	.option("--login-otp-submit-selector <css>", "Form login: one-time code submit button (default: --login-submit-selector)")
+	.option(
+		"--login-env-prefix <prefix>",
+		"Form login: read <prefix>USERNAME, <prefix>PASSWORD, <prefix>TOTP_SECRET from the environment",
+		"KEEPALIVE_"
+	)
+	.option("--login-secrets-file <path>", "Form login: JSON file with username/password/totpSecret (must be chmod 600)")
+	.option("--login-timeout <seconds>", "Give up on a login script attempt after this many seconds", "120")
+	.option("--login-attempts <n>", "Login script attempts before falling back to --on-expired", "3")
+	.option("--assert-selector <css>", "After each refresh, check that this selector is on the page (repeatable)", collectList, [])
+	.option("--assert-text <text>", "After each refresh, check that this text is on the page (repeatable)", collectList, [])
+	.option(
+		"--assert-no-text <text>",
+		"After each refresh, check that this text is not on the page (repeatable)",
+		collectList,
+		[]
+	)
+	.option("--assert-status <codes>", "After each refresh, check the HTTP status, e.g. 200 or 200-299,304")
+	.option("--assert-title <pattern>", "After each refresh, check the title contains this (or matches /regex/)")
+	.option("--assert-retries <n>", "Reload and re-check this many times before counting the checks as failed", "2")
+	.option("--assert-retry-delay <seconds>", "Wait this long before each check retry", "5")
+	.option("--retry-attempts <n>", "Retry a refresh this many times on timeouts, network errors and 5xx/408/429", "3")
+	.option("--retry-delay <seconds>", "First retry delay; doubles on each retry, with jitter", "5")
+	.option("--retry-max-delay <seconds>", "Upper bound for a retry delay", "300")
+	.option(
+		"--max-failures <n>",
+		`Exit (code ${EXIT_TOO_MANY_FAILURES}) after this many failed loads in a row on any tab, retries included`
+	)
+	.option("--no-relaunch", "Don't relaunch the browser when it crashes or disconnects")
+	.option("--relaunch-limit <n>", "Relaunch the browser at most this many times per --relaunch-window", "5")
+	.option("--relaunch-window <seconds>", "Time window for --relaunch-limit", "600")
+	.option("--control-port <port>", "Serve a local HTTP control API on 127.0.0.1 at this port")
+	.option(
+		"--control-token <token>",
+		"Require 'Authorization: Bearer <token>' on the control API (default: $KEEPALIVE_CONTROL_TOKEN)"
+	)
+	.option("--log-level <level>", "Least severe messages to log: debug, info, warn or error", "info")
+	.option("--log-format <format>", "Log as readable text or as JSON lines", "text")
+	.option("--log-file <path>", "Also write the log to this file, rotated by size")
+	.option("--log-max-bytes <bytes>", "Rotate --log-file once it would grow past this size", "10485760")
+	.option("--log-max-files <n>", "Keep this many rotated log files", "5")
 	.option("-y, --yes", "Auto-confirm all prompts (for scripts)")
 	.addHelpText(
 		"after",
@@ -69,50 +297,230 @@ Examples:
   $ browser-keepalive https://example.com -i 300
   $ browser-keepalive https://example.com --headless --no-cache-bust
   $ browser-keepalive https://example.com -p 9222    # enable CDP
+  $ browser-keepalive https://a.example.com https://b.example.com::interval=300,always-reset
   $ browser-keepalive https://example.com --auto-install -y
+  $ browser-keepalive --config keepalive.yaml --profile owa
+  $ browser-keepalive replay net.ndjson --port 8080  # serve a recorded log
+  $ browser-keepalive logs net.ndjson --summary --since 2h
 `
 	)
 	.showHelpAfterError(true);
 
-program.parse();
+program.action(async () => {
+	loadConfig();
+	await main();
+});
 
-const opts = program.opts();
-const url = program.args[0];
+program
+	.command("replay")
+	.description("Serve an NDJSON network log as a local mock server")
+	.argument("<log...>", "Network log(s) written by --record-network (gzipped ones too)")
+	.option("--port <port>", "Port to listen on (127.0.0.1)", "8080")
+	.option(
+		"--match <mode>",
+		"strict (method, path, query and body), query (method, path and query) or path (method and path)",
+		"query"
+	)
+	.option("--ignore-param <name>", "Also ignore this query parameter when matching (repeatable; _cb always is)", collectList, [])
+	.option("--origin <origin>", "Only replay responses recorded from this origin (repeatable)", collectList, [])
+	.option("--unmatched-status <code>", "Status for requests without a recorded response", "404")
+	.option("--report <file>", "Write the unmatched requests to this JSON file on exit")
+	.option("--log-level <level>", "Least severe messages to log: debug, info, warn or error", "info")
+	.option("--log-format <format>", "Log as readable text or as JSON lines", "text")
+	.action(async (logs, opts) => {
+		await runReplay(logs, opts);
+	});
+
+program
+	.command("logs")
+	.description("List, summarize, show or export entries of NDJSON network logs")
+	.argument("<log...>", "Network log(s) written by --record-network, with their rotated and gzipped files")
+	.option("--url <pattern>", "Only entries whose URL matches (substring, glob or /regex/ as for --record-include, repeatable)", collectList, [])
+	.option("--exclude <pattern>", "Leave out entries whose URL matches (repeatable)", collectList, [])
+	.option("--method <methods>", "Only these request methods, e.g. GET,POST")
+	.option("--status <codes>", "Only these response statuses, e.g. 200-299,404")
+	.option("--errors", "Only failed requests and responses with status 400 or higher")
+	.option("--since <time>", "Only entries from this time on: ISO time or a duration ago (e.g. 2h)")
+	.option("--until <time>", "Only entries up to this time: ISO time or a duration ago")
+	.option("--summary", "Count requests and error rates per endpoint instead of listing entries")
+	.option("--show <n>", "Pretty-print the nth matching entry (1 is the first)")
+	.option("--export <file>", "Write the matching entries to this file instead of listing them")
+	.option("--export-format <format>", "Format for --export: ndjson or har", "ndjson")
+	.action(async (logs, opts) => {
+		await runLogs(logs, opts);
+	});
 
 // Validate and normalize options
 let config;
-try {
-	config = {
-		url: validateUrlString(url),
-		intervalSeconds: parseInterval(opts.interval),
-		cacheBust: opts.cacheBust,
-		alwaysReset: opts.alwaysReset || false,
-		engine: validateEngine(opts.engine),
-		headless: opts.headless || false,
-		autoInstall: opts.autoInstall || false,
-		userDataDir: String(opts.userDataDir || "").trim(),
-		cdpPort: normalizeCdpPort(opts.cdpPort),
-		onlyIfIdle: opts.onlyIfIdle || false,
-		recordNetworkPath: opts.recordNetwork ? String(opts.recordNetwork).trim() : null,
-		recordIncludes: Array.isArray(opts.recordInclude)
-			? opts.recordInclude.map((value) => String(value)).filter(Boolean)
-			: [],
-		recordMaxBytes: parsePositiveInt(opts.recordMaxBytes, "--record-max-bytes") ?? 1000000,
-		recordBody: opts.recordBody !== false,
-		yes: opts.yes || false,
-	};
-} catch (err) {
-	console.error(`Error: ${err.message}`);
-	process.exit(1);
+let logger;
+
+function loadConfig() {
+	try {
+		const cliOpts = program.opts();
+		if (!cliOpts.config && cliOpts.profile) {
+			throw new Error("--profile requires --config");
+		}
+		const settings = cliOpts.config ? resolveProfile(loadConfigFile(cliOpts.config), cliOpts.profile) : {};
+		const opts = mergeWithCli(cliOpts, (key) => program.getOptionValueSource(key), settings);
+
+		const intervalSeconds = parseInterval(opts.interval);
+		const cacheBust = opts.cacheBust;
+		const alwaysReset = opts.alwaysReset || false;
+		const strategy = validateStrategy(opts.strategy);
+		const browser = validateBrowser(opts.browser);
+		const targets = resolveTargets(program.args, settings.targets, { intervalSeconds, cacheBust, alwaysReset, strategy });
+		const heartbeatDefaults = { baseUrl: targets[0].url, intervalSeconds: parseInterval(opts.heartbeatInterval, "--heartbeat-interval") };
+		config = {
+			targets,
+			heartbeats: (opts.heartbeat ?? []).map((entry) => resolveHeartbeat(normalizeHeartbeat(entry), heartbeatDefaults)),
+			pingUrl: validatePingUrl(opts.pingUrl),
+			clickSelector: opts.clickSelector ? String(opts.clickSelector) : null,
+			jitter: parseJitter(opts.jitter),
+			schedule: opts.schedule ? parseCron(opts.schedule) : null,
+			activeHours: (opts.activeHours ?? []).map((value) => parseActiveHours(value)),
+			timeZone: validateTimeZone(opts.timezone),
+			engine: validateEngine(opts.engine),
+			browser,
+			headless: opts.headless || false,
+			autoInstall: opts.autoInstall || false,
+			userDataDir: resolveUserDataDir(opts, browser),
+			cdpPort: normalizeCdpPort(opts.cdpPort),
+			connect: normalizeEndpoint(opts.connect),
+			onlyIfIdle: opts.onlyIfIdle || false,
+			recordNetworkPath: opts.recordNetwork ? validatePathTemplate(String(opts.recordNetwork).trim()) : null,
+			recordFormat: validateRecordFormat(opts.recordFormat),
+			recordFilter: buildRecordFilter({
+				includes: (opts.recordInclude ?? []).map((value) => String(value)).filter(Boolean),
+				excludes: (opts.recordExclude ?? []).map((value) => String(value)).filter(Boolean),
+				methods: opts.recordMethod ? parseMethodList(opts.recordMethod) : [],
+				statuses: opts.recordStatus ? parseStatusList(opts.recordStatus, "--record-status") : [],
+				resourceTypes: opts.recordResourceType ? parseResourceTypes(opts.recordResourceType) : [],
+				contentTypes: (opts.recordContentType ?? []).map((value) => String(value)).filter(Boolean),
+			}),
+			recordMaxBytes: parsePositiveInt(opts.recordMaxBytes, "--record-max-bytes") ?? 1000000,
+			recordBody: opts.recordBody !== false,
+			recordBodyPolicy: buildBodyPolicy({
+				types: (opts.recordBodyType ?? []).map((value) => String(value)).filter(Boolean),
+				skipTypes: (opts.recordBodySkipType ?? []).map((value) => String(value)).filter(Boolean),
+			}),
+			recordBodyDir: opts.recordBodyDir ? String(opts.recordBodyDir).trim() : null,
+			recordBodyInlineBytes: parsePositiveInt(opts.recordBodyInlineBytes, "--record-body-inline-bytes") ?? 65536,
+			recordStreams: opts.recordStreams !== false,
+			recordMessageMaxBytes: parsePositiveInt(opts.recordMessageMaxBytes, "--record-message-max-bytes") ?? 65536,
+			redactor: createRedactor({
+				defaults: opts.redactDefaults !== false,
+				headers: opts.redactHeader ?? [],
+				jsonPaths: opts.redactJsonPath ?? [],
+				formFields: opts.redactFormField ?? [],
+				queryParams: opts.redactQueryParam ?? [],
+				patterns: opts.redactPattern ?? [],
+			}),
+			recordRotateBytes: parsePositiveInt(opts.recordRotateBytes, "--record-rotate-bytes"),
+			recordRotateIntervalSeconds: opts.recordRotateInterval
+				? parseInterval(opts.recordRotateInterval, "--record-rotate-interval")
+				: null,
+			recordRetain: parsePositiveInt(opts.recordRetain, "--record-retain"),
+			recordGzip: opts.recordGzip || false,
+			loginRules: buildLoginRules({
+				urls: opts.loggedOutUrl ?? [],
+				selectors: opts.loggedOutSelector ?? [],
+				texts: opts.loggedOutText ?? [],
+				statuses: opts.loggedOutStatus ? parseStatusList(opts.loggedOutStatus, "--logged-out-status") : [],
+			}),
+			onExpired: parseExpiredAction(opts.onExpired),
+			loginScript: opts.loginScript ? String(opts.loginScript).trim() : null,
+			formLogin: opts.loginPasswordSelector
+				? {
+						selectors: {
+							username: opts.loginUsernameSelector || null,
+							password: String(opts.loginPasswordSelector),
+							submit: String(opts.loginSubmitSelector),
+							otp: opts.loginOtpSelector || null,
+							otpSubmit: opts.loginOtpSubmitSelector || null,
+						},
+						envPrefix: String(opts.loginEnvPrefix ?? ""),
+						secretsFile: opts.loginSecretsFile ? String(opts.loginSecretsFile).trim() : null,
+					}
+				: null,
+			assertions: buildAssertions({
+				selectors: opts.assertSelector ?? [],
+				texts: opts.assertText ?? [],
+				absentTexts: opts.assertNoText ?? [],
+				statuses: opts.assertStatus ? parseStatusList(opts.assertStatus, "--assert-status") : [],
+				title: opts.assertTitle || null,
+			}),
+			assertRetries: parseNonNegativeInt(opts.assertRetries, "--assert-retries") ?? 2,
+			assertRetryDelaySeconds: parseNonNegativeInt(opts.assertRetryDelay, "--assert-retry-delay") ?? 5,
+			retryAttempts: parseNonNegativeInt(opts.retryAttempts, "--retry-attempts") ?? 3,
+			retryDelaySeconds: parsePositiveInt(opts.retryDelay, "--retry-delay") ?? 5,
+			retryMaxDelaySeconds: parsePositiveInt(opts.retryMaxDelay, "--retry-max-delay") ?? 300,
+			maxFailures: parsePositiveInt(opts.maxFailures, "--max-failures"),
+			relaunch: opts.relaunch !== false,
+			relaunchLimit: parsePositiveInt(opts.relaunchLimit, "--relaunch-limit") ?? 5,
+			relaunchWindowSeconds: parsePositiveInt(opts.relaunchWindow, "--relaunch-window") ?? 600,
+			loginTimeoutSeconds: parsePositiveInt(opts.loginTimeout, "--login-timeout") ?? 120,
+			loginAttempts: parsePositiveInt(opts.loginAttempts, "--login-attempts") ?? 3,
+			controlPort: parsePort(opts.controlPort, "--control-port"),
+			controlToken: opts.controlToken || process.env.KEEPALIVE_CONTROL_TOKEN || null,
+			logLevel: validateLogLevel(opts.logLevel),
+			logFormat: validateLogFormat(opts.logFormat),
+			logFile: opts.logFile ? String(opts.logFile).trim() : null,
+			logMaxBytes: parsePositiveInt(opts.logMaxBytes, "--log-max-bytes") ?? 10485760,
+			logMaxFiles: parseNonNegativeInt(opts.logMaxFiles, "--log-max-files") ?? 5,
+			yes: opts.yes || false,
+		};
+		checkBrowserOptions(config);
+		if (!config.clickSelector && config.targets.some((target) => target.strategy === "click")) {
+			throw new Error("the click strategy needs --click-selector");
+		}
+		if (config.loginScript && config.formLogin) {
+			throw new Error("use either --login-script or the --login-*-selector form login, not both");
+		}
+		if (!config.formLogin && (opts.loginUsernameSelector || opts.loginOtpSelector)) {
+			throw new Error("form login needs --login-password-selector");
+		}
+		if ((config.loginScript || config.formLogin) && !hasLoginRules(config.loginRules)) {
+			throw new Error("logging in needs at least one --logged-out-* rule to know when the session expired");
+		}
+		if (config.formLogin) {
+			const { selectors, envPrefix, secretsFile } = config.formLogin;
+			const credentials = loadCredentials({ secretsFile, envPrefix });
+			assertFormCredentials(selectors, credentials, envPrefix);
+			config.formLogin.credentials = credentials;
+		}
+		logger = createLogger({
+			level: config.logLevel,
+			format: config.logFormat,
+			file: config.logFile,
+			maxBytes: config.logMaxBytes,
+			maxFiles: config.logMaxFiles,
+		});
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
 }
 
-function parsePositiveInt(value, label) {
-	if (value === undefined || value === null || value === "") return null;
-	const n = Number(value);
-	if (!Number.isInteger(n) || n <= 0) {
-		throw new Error(`${label} must be a positive integer`);
+const metrics = createKeepaliveMetrics();
+
+// Firefox and WebKit can't open a Chromium profile, so each gets its own default directory.
+function resolveUserDataDir(opts, browser) {
+	const isDefault = program.getOptionValueSource("userDataDir") === "default" && opts.userDataDir === DEFAULT_USER_DATA_DIR;
+	if (isDefault && browser !== "chromium") {
+		return join(homedir(), ".browser-keepalive", browser);
 	}
-	return n;
+	return String(opts.userDataDir || "").trim();
+}
+
+function resolveTargets(specs, configTargets, defaults) {
+	// URLs on the command line replace the profile's targets entirely.
+	if (specs.length) {
+		return specs.map((spec) => parseTargetSpec(spec, defaults));
+	}
+	if (configTargets?.length) {
+		return configTargets.map((target) => ({ ...defaults, ...target }));
+	}
+	throw new Error("at least one <url> is required (on the command line or as `targets` in a config profile)");
 }
 
 function commandExists(cmd) {
@@ -129,7 +537,7 @@ function pickPackageManager() {
 async function promptYesNo(question, defaultYes = false) {
 	// Auto-confirm if --yes was passed
 	if (config.yes) {
-		console.info(`${question} [auto-confirmed with --yes]`);
+		logger.info("prompt.confirmed", `${question} [auto-confirmed with --yes]`);
 		return true;
 	}
 
@@ -158,12 +566,14 @@ function runInstallEngine(pm, engine) {
 	throw new Error(`Unknown package manager: ${pm}`);
 }
 
-function runInstallPlaywrightChromium(pm) {
+const PLAYWRIGHT_BROWSER_NAMES = { chromium: "Chromium", firefox: "Firefox", webkit: "WebKit" };
+
+function runInstallPlaywrightBrowser(pm, browser) {
 	if (pm === "pnpm") {
-		return spawnSync("pnpm", ["exec", "playwright", "install", "chromium"], { stdio: "inherit" });
+		return spawnSync("pnpm", ["exec", "playwright", "install", browser], { stdio: "inherit" });
 	}
 	if (pm === "npm") {
-		return spawnSync("npx", ["playwright", "install", "chromium"], { stdio: "inherit" });
+		return spawnSync("npx", ["playwright", "install", browser], { stdio: "inherit" });
 	}
 	throw new Error(`Unknown package manager: ${pm}`);
 }
@@ -178,7 +588,7 @@ function runInstallPuppeteerChrome(pm) {
 	throw new Error(`Unknown package manager: ${pm}`);
 }
 
-async function ensureEngineInstalled(engine) {
+async function ensureEngineInstalled(engine, browser) {
 	const pm = pickPackageManager();
 	if (!pm) {
 		throw new Error(
@@ -193,18 +603,21 @@ async function ensureEngineInstalled(engine) {
 		);
 	}
 
+	logger.info("install.engine", `installing ${engine} with ${pm}`, { engine, packageManager: pm });
 	const result = runInstallEngine(pm, engine);
 	if (result.status !== 0) {
 		throw new Error(`Failed to install '${engine}' (exit code ${result.status ?? "?"}).`);
 	}
 
 	if (engine === "playwright") {
-		const installBrowsers = await promptYesNo("Install Playwright Chromium browser binaries too? (recommended)", true);
+		const name = PLAYWRIGHT_BROWSER_NAMES[browser];
+		const installBrowsers = await promptYesNo(`Install Playwright ${name} browser binaries too? (recommended)`, true);
 		if (installBrowsers) {
-			const installResult = runInstallPlaywrightChromium(pm);
+			logger.info("install.browser", `installing Playwright ${name}`, { engine, browser });
+			const installResult = runInstallPlaywrightBrowser(pm, browser);
 			if (installResult.status !== 0) {
 				throw new Error(
-					`Playwright installed, but failed to install Chromium (exit code ${installResult.status ?? "?"}).`
+					`Playwright installed, but failed to install ${name} (exit code ${installResult.status ?? "?"}).`
 				);
 			}
 		}
@@ -216,6 +629,7 @@ async function ensureEngineInstalled(engine) {
 			true
 		);
 		if (installBrowsers) {
+			logger.info("install.browser", "installing Puppeteer Chrome", { engine, browser: "chrome" });
 			const installResult = runInstallPuppeteerChrome(pm);
 			if (installResult.status !== 0) {
 				throw new Error(
@@ -226,20 +640,22 @@ async function ensureEngineInstalled(engine) {
 	}
 }
 
-async function ensurePlaywrightBrowsersInstalled() {
+async function ensurePlaywrightBrowsersInstalled(browser) {
+	const name = PLAYWRIGHT_BROWSER_NAMES[browser];
 	const pm = pickPackageManager();
 	if (!pm) {
-		throw new Error("No supported package manager found. Run `playwright install chromium` manually.");
+		throw new Error(`No supported package manager found. Run \`playwright install ${browser}\` manually.`);
 	}
 
-	const ok = await promptYesNo("Playwright browser binaries are missing. Install Chromium now?");
+	const ok = await promptYesNo(`Playwright browser binaries are missing. Install ${name} now?`);
 	if (!ok) {
-		throw new Error("Playwright browser binaries missing. Run `playwright install chromium` and retry.");
+		throw new Error(`Playwright browser binaries missing. Run \`playwright install ${browser}\` and retry.`);
 	}
 
-	const installResult = runInstallPlaywrightChromium(pm);
+	logger.info("install.browser", `installing Playwright ${name}`, { engine: "playwright", browser });
+	const installResult = runInstallPlaywrightBrowser(pm, browser);
 	if (installResult.status !== 0) {
-		throw new Error(`Failed to install Playwright Chromium (exit code ${installResult.status ?? "?"}).`);
+		throw new Error(`Failed to install Playwright ${name} (exit code ${installResult.status ?? "?"}).`);
 	}
 }
 
@@ -254,6 +670,7 @@ async function ensurePuppeteerBrowsersInstalled() {
 		throw new Error("Puppeteer browser binaries missing. Run `npx puppeteer browsers install chrome` and retry.");
 	}
 
+	logger.info("install.browser", "installing Puppeteer Chrome", { engine: "puppeteer", browser: "chrome" });
 	const installResult = runInstallPuppeteerChrome(pm);
 	if (installResult.status !== 0) {
 		throw new Error(`Failed to install Puppeteer Chrome (exit code ${installResult.status ?? "?"}).`);
@@ -269,151 +686,27 @@ function ensureDir(dir) {
 	}
 }
 
-function shouldRecordBody(contentType) {
-	if (!contentType) return true;
-	const ct = contentType.toLowerCase();
-	return (
-		ct.includes("json") ||
-		ct.includes("text") ||
-		ct.includes("javascript") ||
-		ct.includes("xml") ||
-		ct.includes("html") ||
-		ct.includes("form")
-	);
-}
-
-function getHeader(headers, name) {
-	if (!headers) return "";
-	const key = name.toLowerCase();
-	return headers[key] ?? headers[name] ?? "";
-}
-
-function startNetworkRecorder(page, options) {
-	const recordPath = options.recordNetworkPath;
-	if (!recordPath) return null;
-
-	ensureDir(dirname(recordPath));
-
-	const includes = options.recordIncludes ?? [];
-	const recordBody = options.recordBody !== false;
-	const maxBytes = options.recordMaxBytes ?? 1000000;
-	const stream = createWriteStream(recordPath, { flags: "a" });
-
-	const shouldIncludeUrl = (url) =>
-		!includes.length || includes.some((needle) => needle && url.includes(needle));
-
-	const writeEntry = (entry) => {
-		try {
-			stream.write(`${JSON.stringify(entry)}\n`);
-		} catch {
-			// ignore
-		}
-	};
-
-	const onResponse = async (response) => {
-		try {
-			const url = typeof response.url === "function" ? response.url() : response.url;
-			if (!url) return;
-			const urlString = String(url);
-			if (!shouldIncludeUrl(urlString)) return;
-
-			const request = typeof response.request === "function" ? response.request() : null;
-			const method = request && typeof request.method === "function" ? request.method() : request?.method;
-			const status = typeof response.status === "function" ? response.status() : response.status;
-
-			const responseHeaders =
-				typeof response.headers === "function" ? response.headers() : response.headers;
-			const contentType = String(getHeader(responseHeaders, "content-type") ?? "");
-
-			let body = null;
-			let bodyTruncated = false;
-			let bodyError = null;
-			if (recordBody && shouldRecordBody(contentType)) {
-				try {
-					let text = await response.text();
-					if (typeof text !== "string") text = text ? String(text) : "";
-					if (maxBytes && text.length > maxBytes) {
-						bodyTruncated = true;
-						text = text.slice(0, maxBytes);
-					}
-					body = text;
-				} catch (err) {
-					bodyError = err?.message ?? String(err ?? "");
-				}
-			}
-
-			let requestPostData = null;
-			if (request && typeof request.postData === "function") {
-				try {
-					requestPostData = request.postData();
-				} catch {
-					requestPostData = null;
-				}
-			} else if (request?.postData) {
-				requestPostData = request.postData;
-			}
-			if (typeof requestPostData === "string" && maxBytes && requestPostData.length > maxBytes) {
-				requestPostData = requestPostData.slice(0, maxBytes);
-			}
-
-			writeEntry({
-				ts: new Date().toISOString(),
-				url: urlString,
-				method: method ?? "GET",
-				status,
-				contentType,
-				body,
-				bodyTruncated,
-				bodyError,
-				requestPostData,
-			});
-		} catch (err) {
-			writeEntry({
-				ts: new Date().toISOString(),
-				error: err?.message ?? String(err ?? ""),
-			});
-		}
-	};
-
-	page.on("response", onResponse);
-
-	return {
-		stop() {
-			try {
-				page.off("response", onResponse);
-			} catch {
-				// ignore
-			}
-			try {
-				stream.end();
-			} catch {
-				// ignore
-			}
-		},
-	};
-}
-
-async function launchWithOptionalInstall({ engine, headless, autoInstall, userDataDir, cdpPort }) {
+async function launchWithOptionalInstall({ engine, browser, headless, autoInstall, userDataDir, cdpPort }) {
 	try {
-		return await launchEngine(engine, { headless, userDataDir, cdpPort });
+		return await launchEngine(engine, { headless, userDataDir, cdpPort, browser });
 	} catch (err) {
 		if (!autoInstall) {
 			throw err;
 		}
 
 		if (isMissingEngineError(err, engine)) {
-			await ensureEngineInstalled(engine);
-			return await launchEngine(engine, { headless, userDataDir, cdpPort });
+			await ensureEngineInstalled(engine, browser);
+			return await launchEngine(engine, { headless, userDataDir, cdpPort, browser });
 		}
 
 		if (engine === "playwright" && isPlaywrightMissingBrowserError(err)) {
-			await ensurePlaywrightBrowsersInstalled();
-			return await launchEngine(engine, { headless, userDataDir, cdpPort });
+			await ensurePlaywrightBrowsersInstalled(browser);
+			return await launchEngine(engine, { headless, userDataDir, cdpPort, browser });
 		}
 
 		if (engine === "puppeteer" && isPuppeteerMissingBrowserError(err)) {
 			await ensurePuppeteerBrowsersInstalled();
-			return await launchEngine(engine, { headless, userDataDir, cdpPort });
+			return await launchEngine(engine, { headless, userDataDir, cdpPort, browser });
 		}
 
 		throw err;
@@ -440,7 +733,7 @@ function registerActivityTracking(page, markActivity) {
 	}
 }
 
-async function waitForIdle({ intervalMs, getLastActivityAt, stoppedRef }) {
+async function waitForIdle({ intervalMs, getLastActivityAt, stoppedRef, log = logger }) {
 	while (!stoppedRef.stopped) {
 		const now = Date.now();
 		const idleForMs = now - getLastActivityAt();
@@ -450,7 +743,7 @@ async function waitForIdle({ intervalMs, getLastActivityAt, stoppedRef }) {
 
 		const remainingMs = intervalMs - idleForMs;
 		const sleepMs = Math.min(remainingMs, 5000);
-		console.info(`[keepalive] waiting for idle (~${Math.ceil(remainingMs / 1000)}s remaining)`);
+		log.info("idle.waiting", `waiting for idle (~${Math.ceil(remainingMs / 1000)}s remaining)`, { remainingMs });
 		await sleep(sleepMs);
 	}
 }
@@ -480,35 +773,590 @@ async function waitForJson(urlString, timeoutMs) {
 
 async function printCdpEndpoints(cdpPort) {
 	const base = `http://127.0.0.1:${cdpPort}`;
-	console.info(`[keepalive] CDP enabled: ${base}`);
+	logger.info("cdp.enabled", `CDP enabled: ${base}`, { endpoint: base });
 
 	try {
 		const version = await waitForJson(`${base}/json/version`, 10000);
 		if (version?.webSocketDebuggerUrl) {
-			console.info(`[keepalive] CDP websocket: ${version.webSocketDebuggerUrl}`);
+			logger.info("cdp.websocket", `CDP websocket: ${version.webSocketDebuggerUrl}`, {
+				endpoint: version.webSocketDebuggerUrl,
+			});
+		}
+	} catch (err) {
+		logger.warn("cdp.version-failed", `CDP: could not read /json/version: ${err.message || err}`, { error: err });
+	}
+}
+
+function targetLabel(index, count) {
+	return count > 1 ? `[keepalive] [tab ${index + 1}]` : "[keepalive]";
+}
+
+async function refreshPage({ page, target, baseUrl, log }) {
+	if (target.alwaysReset) {
+		const nextUrl = target.cacheBust ? withCacheBuster(baseUrl) : baseUrl;
+		log.info("refresh.goto", `goto: ${nextUrl}`, { to: nextUrl });
+		return await page.goto(nextUrl, { waitUntil: "domcontentloaded" });
+	}
+
+	if (target.cacheBust) {
+		const current = page.url();
+		const currentBase = current && current !== "about:blank" ? stripQueryParam(current, "_cb") : baseUrl;
+		const nextUrl = withCacheBuster(currentBase);
+		log.info("refresh.goto", `goto: ${nextUrl}`, { to: nextUrl });
+		return await page.goto(nextUrl, { waitUntil: "domcontentloaded" });
+	}
+
+	log.info("refresh.reload", "reload");
+	return await page.reload({ waitUntil: "domcontentloaded" });
+}
+
+// Run the tab's keepalive strategy. Only `reload` navigates; the others act on the page
+// that's already there, so a tab that isn't showing a web page yet gets a reload instead.
+async function keepAlive({ tab, baseUrl }) {
+	const { page, target, log } = tab;
+	const onPage = /^https?:/i.test(page.url());
+	const strategy = onPage ? target.strategy : "reload";
+	tab.lastStrategy = strategy;
+	switch (strategy) {
+		case "ping": {
+			const url = config.pingUrl ?? baseUrl;
+			const response = await pingFromPage(page, url);
+			log.info("refresh.ping", `ping: ${url} -> ${response.status}`, { to: url, status: response.status });
+			return response;
+		}
+		case "activity":
+			log.info("refresh.activity", "activity");
+			await simulateActivity(page, config.engine);
+			return null;
+		case "click":
+			log.info("refresh.click", `click: ${config.clickSelector}`, { selector: config.clickSelector });
+			await clickSelector(page, config.clickSelector);
+			return null;
+		default:
+			return await refreshPage({ page, target, baseUrl, log });
+	}
+}
+
+// Load the page a tab was on before the browser was relaunched.
+async function restorePage({ tab, baseUrl }) {
+	const { target, page } = tab;
+	const lastUrl = !target.alwaysReset && tab.lastUrl ? tab.lastUrl : baseUrl;
+	const nextUrl = target.cacheBust ? withCacheBuster(stripQueryParam(lastUrl, "_cb")) : lastUrl;
+	tab.log.info("refresh.restore", `restoring: ${nextUrl}`, { to: nextUrl });
+	return await page.goto(nextUrl, { waitUntil: "domcontentloaded" });
+}
+
+function runRecoveryCommand(command, { target, expired }) {
+	return new Promise((resolve) => {
+		const child = spawn(command, {
+			shell: true,
+			stdio: "inherit",
+			env: {
+				...process.env,
+				KEEPALIVE_URL: target.url,
+				KEEPALIVE_EXPIRED_URL: expired.url,
+				KEEPALIVE_EXPIRED_RULE: expired.rule,
+			},
+		});
+		child.on("error", (err) => resolve({ code: null, error: err }));
+		child.on("exit", (code) => resolve({ code, error: null }));
+	});
+}
+
+function createTab(target, index, count, page) {
+	const tab = {
+		index,
+		target,
+		page: null,
+		log: logger.child({ tab: index + 1, url: target.url }, targetLabel(index, count)),
+		metricLabels: { tab: String(index + 1), url: target.url },
+		timer: createWakeableSleep(),
+		forceRefresh: false,
+		lastRefreshAt: null,
+		lastDurationMs: null,
+		lastResult: null,
+		lastError: null,
+		lastChecks: null,
+		lastUrl: null,
+		lastStrategy: null,
+		lastActivityAt: Date.now(),
+		needsRestore: false,
+		consecutiveFailures: 0,
+		nextRefreshAt: null,
+	};
+	attachPage(tab, page);
+	return tab;
+}
+
+// Point a tab at a (new) page and track the page's activity for --only-if-idle.
+function attachPage(tab, page) {
+	tab.page = page;
+	tab.lastActivityAt = Date.now();
+	registerActivityTracking(page, () => {
+		tab.lastActivityAt = Date.now();
+	});
+}
+
+// Run one page load/refresh, keeping the tab's status and the metrics up to date.
+// `verify` inspects the loaded page and returns `{ result, message }` for a failure, or null.
+async function navigate(tab, fn, verify = null) {
+	const labels = tab.metricLabels;
+	const startedAt = Date.now();
+	const fail = (result, message) => {
+		tab.lastResult = result;
+		tab.lastError = message;
+		tab.consecutiveFailures++;
+		metrics.refreshFailures.inc(labels);
+		metrics.consecutiveFailures.set(labels, tab.consecutiveFailures);
+	};
+	metrics.refreshAttempts.inc(labels);
+
+	let response;
+	try {
+		response = await fn();
+		tab.lastUrl = tab.page.url();
+	} catch (err) {
+		fail(classifyNavigationError(err), err?.message ?? String(err));
+		throw err;
+	} finally {
+		tab.lastRefreshAt = Date.now();
+		tab.lastDurationMs = tab.lastRefreshAt - startedAt;
+		metrics.navigationDuration.observe(labels, tab.lastDurationMs / 1000);
+	}
+
+	const problem = verify ? await verify(response) : null;
+	if (problem) {
+		fail(problem.result, problem.message);
+		return response;
+	}
+	tab.lastResult = "ok";
+	tab.lastError = null;
+	tab.consecutiveFailures = 0;
+	tab.log.info("refresh.ok", `ok (${tab.lastDurationMs}ms)`, {
+		strategy: tab.lastStrategy,
+		status: responseStatus(response),
+		durationMs: tab.lastDurationMs,
+	});
+	metrics.lastSuccess.set(labels, Date.now() / 1000);
+	metrics.consecutiveFailures.set(labels, tab.consecutiveFailures);
+	return response;
+}
+
+// Check the session, the HTTP status and the health checks. Returns a failure, or null.
+async function verifyPage(tab, response, onExpired) {
+	const { page, target, log } = tab;
+	if (hasLoginRules(config.loginRules)) {
+		const expired = await checkSession(page, response, config.loginRules, {
+			onExpired: (details) => onExpired({ target, page, expired: details, log }),
+			log,
+		});
+		if (expired) return expired;
+	}
+
+	// An explicit --assert-status decides which statuses are fine.
+	const status = responseStatus(response);
+	if (status !== null && status >= 400 && !config.assertions.statuses.length) {
+		log.warn("refresh.http-error", `HTTP ${status}`, { status });
+		return { result: "http-error", message: `HTTP ${status}` };
+	}
+
+	// Activity and clicks don't load anything, so there's no status to check.
+	const assertions =
+		tab.lastStrategy === "activity" || tab.lastStrategy === "click"
+			? { ...config.assertions, statuses: [] }
+			: config.assertions;
+	if (!hasAssertions(assertions)) return null;
+	const results = await runAssertions(page, response, assertions);
+	tab.lastChecks = results;
+	const failed = results.filter((r) => !r.ok);
+	if (!failed.length) {
+		log.info("checks.passed", `checks passed: ${formatAssertionResults(results)}`, { checks: results });
+		return null;
+	}
+	log.warn("checks.failed", `checks failed: ${formatAssertionResults(results)}`, { checks: results });
+	return { result: "check-failed", message: `checks failed: ${formatAssertionResults(failed)}` };
+}
+
+// How long to wait before loading again after a failed attempt, or null to give up.
+// Timeouts, network errors and retryable HTTP statuses back off exponentially;
+// failed health checks retry at a fixed delay; anything else waits for the next refresh.
+function retryDelayMs(tab, response, retries) {
+	const { lastResult } = tab;
+	if (lastResult === "check-failed") {
+		if (retries.checks >= config.assertRetries) return null;
+		retries.checks++;
+		return config.assertRetryDelaySeconds * 1000;
+	}
+
+	const status = responseStatus(response);
+	const transient =
+		lastResult === "timeout" || lastResult === "network-error" || (lastResult === "http-error" && isRetryableStatus(status));
+	if (!transient || retries.transient >= config.retryAttempts) return null;
+	retries.transient++;
+	const delayMs = backoffDelay(retries.transient, {
+		baseMs: config.retryDelaySeconds * 1000,
+		maxMs: config.retryMaxDelaySeconds * 1000,
+	});
+	if (lastResult !== "http-error") return delayMs;
+
+	// Honour the server's Retry-After (within --retry-max-delay) for 429/503.
+	const headers = typeof response?.headers === "function" ? response.headers() : null;
+	const retryAfterMs = parseRetryAfter(headers?.["retry-after"]);
+	return retryAfterMs === null ? delayMs : Math.min(Math.max(delayMs, retryAfterMs), config.retryMaxDelaySeconds * 1000);
+}
+
+// Load the page and verify it, loading it again (after a delay) while that fails in a way
+// worth retrying. Stops keepalive once the tab has used up its failure budget.
+async function loadAndVerify(tab, load, { stoppedRef, onExpired, stop, waitForBrowser }) {
+	const verify = (response) => verifyPage(tab, response, onExpired);
+	const retries = { checks: 0, transient: 0 };
+	for (;;) {
+		let response = null;
+		let error = null;
+		await waitForBrowser();
+		if (stoppedRef.stopped) return response;
+		try {
+			response = await navigate(tab, load, verify);
+		} catch (err) {
+			error = err;
+		}
+		if (tab.lastResult === "ok" || stoppedRef.stopped) return response;
+
+		if (config.maxFailures && tab.consecutiveFailures >= config.maxFailures) {
+			tab.log.error("refresh.too-many-failures", `${tab.consecutiveFailures} failures in a row: ${tab.lastError}`, {
+				failures: tab.consecutiveFailures,
+				error: tab.lastError,
+				durationMs: tab.lastDurationMs,
+			});
+			await stop("too many failures", EXIT_TOO_MANY_FAILURES);
+			return response;
+		}
+
+		const delayMs = retryDelayMs(tab, response, retries);
+		if (delayMs === null) {
+			if (error) throw error;
+			tab.log.error("refresh.failed", `giving up until the next refresh: ${tab.lastError}`, {
+				result: tab.lastResult,
+				error: tab.lastError,
+				durationMs: tab.lastDurationMs,
+			});
+			return response;
+		}
+		tab.log.warn("refresh.retry", `${tab.lastResult}: ${tab.lastError}; retrying in ${Math.round(delayMs / 1000)}s`, {
+			result: tab.lastResult,
+			error: tab.lastError,
+			durationMs: tab.lastDurationMs,
+			delayMs,
+		});
+		await sleep(delayMs);
+		if (stoppedRef.stopped) return response;
+	}
+}
+
+// Work out the tab's next refresh from its interval or --schedule, jitter and active hours.
+function scheduleNextRefresh(tab) {
+	const { jitter, schedule, activeHours, timeZone } = config;
+	const from = tab.lastRefreshAt ?? Date.now();
+	const next = nextRunTime({ from, intervalSeconds: tab.target.intervalSeconds, jitter, schedule, timeZone });
+	tab.nextRefreshAt = activeHours.length ? nextActiveTime(activeHours, next, timeZone) : next;
+	if (tab.nextRefreshAt !== next) {
+		tab.log.info("schedule.inactive", `outside active hours, next refresh at ${formatZonedTime(tab.nextRefreshAt, timeZone)}`, {
+			nextRefreshAt: new Date(tab.nextRefreshAt).toISOString(),
+		});
+	} else {
+		tab.log.debug("schedule.next", `next refresh at ${formatZonedTime(tab.nextRefreshAt, timeZone)}`, {
+			nextRefreshAt: new Date(tab.nextRefreshAt).toISOString(),
+		});
+	}
+}
+
+// Sleep until the tab is due, it's forced via the control API, or we stop.
+// While paused, only a forced refresh gets through.
+async function waitForNextRefresh(tab, control, stoppedRef) {
+	while (!stoppedRef.stopped) {
+		if (tab.forceRefresh) {
+			tab.forceRefresh = false;
+			return "forced";
+		}
+		const remainingMs = tab.nextRefreshAt - Date.now();
+		if (!control.paused && remainingMs <= 0) {
+			return "due";
 		}
+		await tab.timer.sleep(control.paused ? 60000 : remainingMs);
+	}
+	return "stopped";
+}
+
+async function runTarget({ tab, control, ...options }) {
+	const { target, log } = tab;
+	const { stoppedRef } = options;
+	const baseUrl = target.cacheBust ? stripQueryParam(target.url, "_cb") : target.url;
+	const firstUrl = target.cacheBust ? withCacheBuster(baseUrl) : baseUrl;
+
+	// After a relaunch the tab has a new, blank page: bring back what it showed instead.
+	// Every load starts out as a navigation; keepAlive() records any other strategy.
+	const orRestore = (load) => () => {
+		tab.lastStrategy = "reload";
+		if (!tab.needsRestore) return load();
+		tab.needsRestore = false;
+		return restorePage({ tab, baseUrl });
+	};
+
+	log.info("load.start", `loading: ${firstUrl}`, { to: firstUrl });
+	try {
+		await loadAndVerify(tab, orRestore(() => tab.page.goto(firstUrl, { waitUntil: "domcontentloaded" })), options);
 	} catch (err) {
-		console.warn("[keepalive] CDP: could not read /json/version:", err.message || err);
+		log.error("load.failed", `initial load failed: ${err?.message ?? err}`, { error: err });
+	}
+	tab.lastActivityAt = Date.now();
+
+	while (!stoppedRef.stopped) {
+		scheduleNextRefresh(tab);
+		const reason = await waitForNextRefresh(tab, control, stoppedRef);
+		if (stoppedRef.stopped) break;
+
+		if (config.onlyIfIdle && reason !== "forced") {
+			const idleStartedAt = Date.now();
+			await waitForIdle({
+				intervalMs: target.intervalSeconds * 1000,
+				getLastActivityAt: () => tab.lastActivityAt,
+				stoppedRef,
+				log,
+			});
+			metrics.idleWait.inc(tab.metricLabels, (Date.now() - idleStartedAt) / 1000);
+			if (stoppedRef.stopped) break;
+		}
+
+		try {
+			await loadAndVerify(tab, orRestore(() => keepAlive({ tab, baseUrl })), options);
+		} catch (err) {
+			log.error("refresh.error", `refresh failed: ${err?.message ?? err}`, { error: err });
+		}
 	}
 }
 
+function createHeartbeat(heartbeat, index) {
+	return {
+		index,
+		heartbeat,
+		log: logger.child({ heartbeat: index + 1, url: heartbeat.url }, `[heartbeat ${index + 1}]`),
+		metricLabels: { heartbeat: String(index + 1), url: heartbeat.url },
+		timer: createWakeableSleep(),
+		lastAt: null,
+		lastResult: null,
+		lastStatus: null,
+		lastError: null,
+		consecutiveFailures: 0,
+		nextAt: null,
+	};
+}
+
+// Send a heartbeat on its own interval (with --jitter and --active-hours), independently of
+// the tabs' refreshes. Failures count toward --max-failures just like failed page loads.
+async function runHeartbeat({ beat, control, getSession, stoppedRef, stop, waitForBrowser }) {
+	const { heartbeat, log, metricLabels } = beat;
+	const { jitter, activeHours, timeZone } = config;
+	let from = Date.now();
+	while (!stoppedRef.stopped) {
+		const next = nextRunTime({ from, intervalSeconds: heartbeat.intervalSeconds, jitter, timeZone });
+		beat.nextAt = activeHours.length ? nextActiveTime(activeHours, next, timeZone) : next;
+		while (!stoppedRef.stopped && (control.paused || Date.now() < beat.nextAt)) {
+			await beat.timer.sleep(control.paused ? 60000 : beat.nextAt - Date.now());
+		}
+		await waitForBrowser();
+		if (stoppedRef.stopped) break;
+
+		const outcome = await sendHeartbeat(getSession(), heartbeat);
+		from = Date.now();
+		beat.lastAt = from;
+		beat.lastResult = outcome.result;
+		beat.lastStatus = outcome.status;
+		beat.lastError = outcome.error;
+		metrics.heartbeatRequests.inc(metricLabels);
+		if (outcome.result === "ok") {
+			beat.consecutiveFailures = 0;
+			metrics.heartbeatLastSuccess.set(metricLabels, Date.now() / 1000);
+			log.info("heartbeat.ok", `HTTP ${outcome.status} (${outcome.durationMs}ms)`, {
+				method: heartbeat.method,
+				status: outcome.status,
+				durationMs: outcome.durationMs,
+			});
+		} else {
+			beat.consecutiveFailures++;
+			metrics.heartbeatFailures.inc(metricLabels);
+			log.warn("heartbeat.failed", `${outcome.result}: ${outcome.error}`, {
+				method: heartbeat.method,
+				result: outcome.result,
+				status: outcome.status,
+				error: outcome.error,
+				durationMs: outcome.durationMs,
+			});
+		}
+		metrics.heartbeatConsecutiveFailures.set(metricLabels, beat.consecutiveFailures);
+
+		if (config.maxFailures && beat.consecutiveFailures >= config.maxFailures) {
+			log.error("heartbeat.too-many-failures", `${beat.consecutiveFailures} failures in a row: ${beat.lastError}`, {
+				failures: beat.consecutiveFailures,
+				error: beat.lastError,
+			});
+			await stop("too many failures", EXIT_TOO_MANY_FAILURES);
+		}
+	}
+}
+
+function heartbeatStatus(beat) {
+	const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+	return {
+		heartbeat: beat.index + 1,
+		method: beat.heartbeat.method,
+		url: beat.heartbeat.url,
+		intervalSeconds: beat.heartbeat.intervalSeconds,
+		lastAt: iso(beat.lastAt),
+		lastResult: beat.lastResult,
+		lastStatus: beat.lastStatus,
+		lastError: beat.lastError,
+		consecutiveFailures: beat.consecutiveFailures,
+		nextAt: iso(beat.nextAt),
+	};
+}
+
+function tabStatus(tab) {
+	let currentUrl = null;
+	try {
+		currentUrl = tab.page.url();
+	} catch {
+		// ignore
+	}
+	const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+	return {
+		tab: tab.index + 1,
+		url: tab.target.url,
+		currentUrl,
+		intervalSeconds: tab.target.intervalSeconds,
+		strategy: tab.target.strategy,
+		lastRefreshAt: iso(tab.lastRefreshAt),
+		lastResult: tab.lastResult,
+		lastError: tab.lastError,
+		checks: tab.lastChecks,
+		consecutiveFailures: tab.consecutiveFailures,
+		nextRefreshAt: iso(tab.nextRefreshAt),
+		nextRefreshInSeconds: tab.nextRefreshAt ? Math.max(0, Math.round((tab.nextRefreshAt - Date.now()) / 1000)) : null,
+	};
+}
+
+async function startControlApi({ tabs, heartbeats, control, stop }) {
+	const pick = (index) => (index === null ? tabs : [tabs[index]]);
+	const server = createControlServer({
+		token: config.controlToken,
+		tabCount: tabs.length,
+		getStatus: () => ({
+			pid: process.pid,
+			engine: config.engine,
+			startedAt: new Date(control.startedAt).toISOString(),
+			uptimeSeconds: Math.round((Date.now() - control.startedAt) / 1000),
+			paused: control.paused,
+			browserRelaunches: control.relaunches,
+			tabs: tabs.map(tabStatus),
+			heartbeats: heartbeats.map(heartbeatStatus),
+		}),
+		refresh: (index) => {
+			for (const tab of pick(index)) {
+				tab.forceRefresh = true;
+				tab.timer.wake();
+			}
+			logger.info("control.refresh", "control: refresh requested", { tabs: pick(index).map((tab) => tab.index + 1) });
+			return { refreshing: pick(index).map((tab) => tab.index + 1) };
+		},
+		pause: () => {
+			control.paused = true;
+			logger.info("control.pause", "control: paused");
+			return { paused: true };
+		},
+		resume: () => {
+			control.paused = false;
+			tabs.forEach((tab) => tab.timer.wake());
+			heartbeats.forEach((beat) => beat.timer.wake());
+			logger.info("control.resume", "control: resumed");
+			return { paused: false };
+		},
+		setInterval: (seconds, index) => {
+			if (config.schedule) {
+				throw new Error("the interval isn't used with --schedule");
+			}
+			for (const tab of pick(index)) {
+				tab.target.intervalSeconds = seconds;
+				scheduleNextRefresh(tab);
+				tab.timer.wake();
+			}
+			logger.info("control.interval", `control: interval set to ${seconds}s`, {
+				intervalSeconds: seconds,
+				tabs: pick(index).map((tab) => tab.index + 1),
+			});
+			return { tabs: pick(index).map(tabStatus) };
+		},
+		stop: () => void stop("control API"),
+		getMetrics: () => metrics.registry.render(),
+	});
+	await listenLocal(server, config.controlPort);
+	logger.info(
+		"control.listening",
+		`control API: http://127.0.0.1:${config.controlPort} (auth=${config.controlToken ? "bearer" : "none"})`,
+		{ port: config.controlPort, auth: config.controlToken ? "bearer" : "none" }
+	);
+	return server;
+}
+
+// The first target reuses the tab the engine opened (or picked, with --connect); every other
+// target gets its own tab in the same context so they share cookies and the profile.
+async function openPages(session, targets) {
+	const pages = [session.page];
+	for (const target of targets.slice(1)) {
+		pages.push(await session.pageFor(target.url));
+	}
+	return pages;
+}
+
+// Launch the browser, or attach to the one given with --connect.
+async function startBrowser(launchOptions) {
+	if (config.connect) {
+		return await connectEngine(config.engine, { endpoint: config.connect, targetUrl: config.targets[0].url });
+	}
+	return await launchEngine(config.engine, launchOptions);
+}
+
 async function main() {
-	const baseUrl = config.cacheBust ? stripQueryParam(config.url, "_cb") : config.url;
-	const firstUrl = config.cacheBust ? withCacheBuster(baseUrl) : baseUrl;
+	let login = null;
+	if (config.loginScript) {
+		login = await loadLoginScript(config.loginScript);
+	} else if (config.formLogin) {
+		login = createFormLogin(config.formLogin);
+	}
 
-	ensureDir(config.userDataDir);
-	const session = await launchWithOptionalInstall({
-		engine: config.engine,
+	const launchOptions = {
 		headless: config.headless,
-		autoInstall: config.autoInstall,
 		userDataDir: config.userDataDir,
 		cdpPort: config.cdpPort,
-	});
+		browser: config.browser,
+	};
+	let session;
+	if (config.connect) {
+		session = await startBrowser(launchOptions);
+		logger.info("browser.attached", `attached to ${config.connect}`, { endpoint: config.connect });
+	} else {
+		ensureDir(config.userDataDir);
+		session = await launchWithOptionalInstall({
+			engine: config.engine,
+			autoInstall: config.autoInstall,
+			...launchOptions,
+		});
+	}
 
 	if (config.cdpPort) {
 		await printCdpEndpoints(config.cdpPort);
 	}
 
+	const pages = await openPages(session, config.targets);
+
 	let stopped = false;
 	const stoppedRef = {
 		get stopped() {
@@ -516,78 +1364,421 @@ async function main() {
 		},
 	};
 
-	let lastActivityAt = Date.now();
-	const markActivity = () => {
-		lastActivityAt = Date.now();
-	};
-	registerActivityTracking(session.page, markActivity);
-
-	const recorder = startNetworkRecorder(session.page, config);
+	const recorder = config.recordNetworkPath
+		? startNetworkRecorder(pages, {
+				path: config.recordNetworkPath,
+				format: config.recordFormat,
+				filter: config.recordFilter,
+				recordBody: config.recordBody,
+				bodyPolicy: config.recordBodyPolicy,
+				maxBytes: config.recordMaxBytes,
+				bodyDir: config.recordBodyDir,
+				bodyInlineBytes: config.recordBodyInlineBytes,
+				streams: config.recordStreams,
+				messageMaxBytes: config.recordMessageMaxBytes,
+				redactor: config.redactor,
+				rotateBytes: config.recordRotateBytes,
+				rotateIntervalMs: config.recordRotateIntervalSeconds ? config.recordRotateIntervalSeconds * 1000 : null,
+				retain: config.recordRetain,
+				gzip: config.recordGzip,
+				timeZone: config.timeZone,
+				creator: { name: pkg.name, version: pkg.version },
+				onWritten: () => metrics.recorderWritten.inc(),
+				onDropped: () => metrics.recorderDropped.inc(),
+				onRotate: (finished) => logger.info("recorder.rotated", `network log rotated: ${finished}`, { path: finished }),
+				onError: (err) => {
+					logger.error("recorder.write-failed", `network log write failed: ${err.message || err}`, { error: err });
+				},
+			})
+		: null;
 	if (recorder) {
-		const includeLabel = config.recordIncludes.length ? config.recordIncludes.join(",") : "all";
-		console.info(
-			`[keepalive] network log: ${config.recordNetworkPath} (include=${includeLabel} body=${config.recordBody} maxBytes=${config.recordMaxBytes})`
+		logger.info(
+			"recorder.start",
+			`network log: ${config.recordNetworkPath} (format=${config.recordFormat} filter=${config.recordFilter.describe()} body=${config.recordBody ? config.recordBodyPolicy.describe() : false} maxBytes=${config.recordMaxBytes} streams=${config.recordStreams})`,
+			{ path: config.recordNetworkPath, format: config.recordFormat }
 		);
 	}
 
-	const stop = async (reason) => {
+	let controlServer = null;
+	let tabs = [];
+	const stop = async (reason, exitCode = 0) => {
 		if (stopped) return;
 		stopped = true;
-		console.info(`[keepalive] stopping (${reason})...`);
-		if (recorder) recorder.stop();
+		logger.info("stop", `stopping (${reason})...`, { reason, exitCode });
+		const failing = tabs.filter((tab) => tab.lastResult === "check-failed");
+		if (exitCode === 0 && failing.length) {
+			logger.error("checks.failing", `checks failing on tab(s) ${failing.map((tab) => tab.index + 1).join(", ")}`, {
+				tabs: failing.map((tab) => tab.index + 1),
+			});
+			exitCode = EXIT_ASSERTION_FAILED;
+		}
+		if (controlServer) controlServer.close();
+		if (recorder) await recorder.stop();
 		await session.close();
-		process.exit(0);
+		process.exit(exitCode);
 	};
 
-	process.on("SIGINT", () => void stop("SIGINT"));
-	process.on("SIGTERM", () => void stop("SIGTERM"));
+	// Tabs share cookies, so logins run one at a time; a tab that queued behind another
+	// tab's login first checks whether that already fixed it.
+	let loginChain = Promise.resolve();
+	let loginGeneration = 0;
+	const relogin = ({ target, page, expired, log }) => {
+		const queuedAt = loginGeneration;
+		const verify = async () => {
+			const response = await page.goto(target.url, { waitUntil: "domcontentloaded" });
+			return !(await detectLoggedOut(page, response, config.loginRules));
+		};
+		const run = async () => {
+			if (queuedAt !== loginGeneration && (await verify().catch(() => false))) {
+				log.info("login.skipped", "session restored by an earlier login");
+				return { ok: true, attempts: 0, error: null };
+			}
+			const result = await runLoginScript(
+				login,
+				{ session, page, target, expired, log: (message) => log.info("login.script", message) },
+				{
+					timeoutMs: config.loginTimeoutSeconds * 1000,
+					attempts: config.loginAttempts,
+					verify,
+					log: (message) => log.info("login.attempt", message),
+				}
+			);
+			if (result.ok) loginGeneration++;
+			return result;
+		};
+		const pending = loginChain.then(run);
+		loginChain = pending.catch(() => {});
+		return pending;
+	};
 
-	console.info(
-		`[keepalive] engine=${session.engine} interval=${config.intervalSeconds}s cacheBust=${config.cacheBust} alwaysReset=${config.alwaysReset} headless=${config.headless} userDataDir=${config.userDataDir || "(none)"} cdp=${config.cdpPort ?? "off"} onlyIfIdle=${config.onlyIfIdle}`
-	);
-	console.info(`[keepalive] loading: ${firstUrl}`);
+	// Resolves to true when a re-login restored the session.
+	const onExpired = async ({ target, page, expired, log }) => {
+		if (login) {
+			const result = await relogin({ target, page, expired, log });
+			if (result.ok) return true;
+			log.error("login.failed", `login failed after ${result.attempts} attempt(s): ${result.error?.message}`, {
+				attempts: result.attempts,
+				error: result.error,
+			});
+		}
 
-	await session.goto(firstUrl, { waitUntil: "domcontentloaded" });
-	markActivity();
+		const action = config.onExpired;
+		if (action.type === "exit") {
+			await stop("session expired", EXIT_SESSION_EXPIRED);
+			return false;
+		}
+		if (action.type === "exec") {
+			log.info("recovery.start", `running recovery command: ${action.command}`, { command: action.command });
+			const result = await runRecoveryCommand(action.command, { target, expired });
+			if (result.error || result.code !== 0) {
+				const reason = result.error?.message ?? `exit code ${result.code}`;
+				log.error("recovery.failed", `recovery command failed: ${reason}`, { exitCode: result.code, error: result.error });
+			}
+		}
+		return false;
+	};
 
-	const intervalMs = config.intervalSeconds * 1000;
+	process.on("SIGINT", () => void stop("SIGINT"));
+	process.on("SIGTERM", () => void stop("SIGTERM"));
 
-	while (!stopped) {
-		await sleep(intervalMs);
-		if (stopped) break;
+	const control = { startedAt: Date.now(), paused: false, relaunches: 0 };
+	tabs = config.targets.map((target, index) => createTab(target, index, config.targets.length, pages[index]));
+	const heartbeats = config.heartbeats.map((heartbeat, index) => createHeartbeat(heartbeat, index));
 
-		if (config.onlyIfIdle) {
-			await waitForIdle({
-				intervalMs,
-				getLastActivityAt: () => lastActivityAt,
-				stoppedRef,
+	// When the browser or one of its tabs dies, start a new browser with the same profile
+	// and options and put every tab back where it was. Tabs hold off loading meanwhile.
+	const relaunchLimiter = createRateLimiter({
+		limit: config.relaunchLimit,
+		windowMs: config.relaunchWindowSeconds * 1000,
+	});
+	let relaunching = null;
+	const waitForBrowser = () => relaunching ?? Promise.resolve();
+	const relaunch = async () => {
+		await session.close().catch(() => {});
+		while (!stopped) {
+			const waitMs = relaunchLimiter.delayMs();
+			if (waitMs > 0) {
+				logger.warn("browser.relaunch-limited", `relaunch limit reached, next attempt in ${Math.ceil(waitMs / 1000)}s`, {
+					delayMs: waitMs,
+				});
+				await sleep(waitMs);
+				continue;
+			}
+			relaunchLimiter.record();
+
+			let next = null;
+			try {
+				next = await startBrowser(launchOptions);
+				const nextPages = await openPages(next, tabs.map((tab) => tab.target));
+				session = next;
+				watchSession(next);
+				tabs.forEach((tab, index) => {
+					attachPage(tab, nextPages[index]);
+					if (recorder) recorder.attach(nextPages[index]);
+					tab.needsRestore = true;
+					tab.forceRefresh = true;
+					tab.timer.wake();
+				});
+			} catch (err) {
+				logger.error("browser.relaunch-failed", `relaunch failed: ${err?.message ?? err}`, { error: err });
+				await next?.close().catch(() => {});
+				continue;
+			}
+			control.relaunches++;
+			metrics.browserRelaunches.inc();
+			logger.info(
+				"browser.relaunched",
+				`browser ${config.connect ? "reconnected" : "relaunched"} (${control.relaunches} so far)`,
+				{ relaunches: control.relaunches }
+			);
+			return;
+		}
+	};
+	const watchSession = (current) => {
+		current.onLost((reason) => {
+			if (stopped || relaunching) return;
+			if (!config.relaunch) {
+				logger.error("browser.lost", `browser lost (${reason}); not relaunching (--no-relaunch)`, { reason });
+				return;
+			}
+			logger.warn("browser.lost", `browser lost (${reason}), ${config.connect ? "reconnecting" : "relaunching"}...`, {
+				reason,
+			});
+			relaunching = relaunch().finally(() => {
+				relaunching = null;
 			});
-			if (stopped) break;
+		});
+	};
+	watchSession(session);
+	if (config.controlPort) {
+		controlServer = await startControlApi({ tabs, heartbeats, control, stop });
+	}
+
+	logger.info(
+		"start",
+		`engine=${session.engine} browser=${config.browser} tabs=${config.targets.length} headless=${config.headless} userDataDir=${config.connect ? "(attached)" : config.userDataDir || "(none)"} cdp=${config.cdpPort ?? "off"} connect=${config.connect ?? "off"} onlyIfIdle=${config.onlyIfIdle} loginCheck=${hasLoginRules(config.loginRules) ? config.onExpired.type : "off"} login=${config.loginScript ?? (config.formLogin ? "form" : "none")} checks=${hasAssertions(config.assertions) ? `on retries=${config.assertRetries}` : "off"} retries=${config.retryAttempts} maxFailures=${config.maxFailures ?? "off"} relaunch=${config.relaunch ? `${config.relaunchLimit}/${config.relaunchWindowSeconds}s` : "off"}`,
+		{
+			version: pkg.version,
+			engine: session.engine,
+			browser: config.browser,
+			tabs: config.targets.length,
+			headless: config.headless,
+			connect: config.connect,
 		}
+	);
+	const timing = [
+		config.schedule ? `schedule='${config.schedule.source}'` : null,
+		config.jitter ? `jitter=${"ratio" in config.jitter ? `${config.jitter.ratio * 100}%` : `${config.jitter.seconds}s`}` : null,
+		config.activeHours.length ? `activeHours='${config.activeHours.map((w) => w.source).join("; ")}'` : null,
+		config.timeZone ? `timezone=${config.timeZone}` : null,
+	].filter(Boolean);
+	if (timing.length) {
+		logger.info("start.timing", timing.join(" "));
+	}
+	tabs.forEach(({ target, log }) => {
+		// Nominal time of the first refresh after the initial load (without jitter).
+		const { schedule, activeHours, timeZone } = config;
+		let next = nextRunTime({ from: Date.now(), intervalSeconds: target.intervalSeconds, schedule, timeZone });
+		if (activeHours.length) next = nextActiveTime(activeHours, next, timeZone);
+		log.info(
+			"start.target",
+			`url=${target.url} interval=${config.schedule ? "schedule" : `${target.intervalSeconds}s`} cacheBust=${target.cacheBust} alwaysReset=${target.alwaysReset} strategy=${target.strategy} next=${formatZonedTime(next, timeZone)}`,
+		{ intervalSeconds: target.intervalSeconds, strategy: target.strategy, nextRefreshAt: new Date(next).toISOString() }
+		);
+	});
+
+	heartbeats.forEach(({ heartbeat, log }) => {
+		log.info(
+			"start.heartbeat",
+			`${formatHeartbeat(heartbeat)} interval=${heartbeat.intervalSeconds}s expect=${formatExpectedStatus(heartbeat)}`,
+			{ method: heartbeat.method, intervalSeconds: heartbeat.intervalSeconds }
+		);
+	});
 
+	const getSession = () => session;
+	await Promise.all([
+		...tabs.map((tab) => runTarget({ tab, control, stoppedRef, onExpired, stop, waitForBrowser })),
+		...heartbeats.map((beat) => runHeartbeat({ beat, control, getSession, stoppedRef, stop, waitForBrowser })),
+	]);
+}
+
+/**
+ * The `replay` subcommand: serve recorded responses until SIGINT/SIGTERM, then report
+ * the requests that had no recording.
+ * @param {string[]} logs
+ * @param {object} opts
+ */
+async function runReplay(logs, opts) {
+	let settings;
+	try {
+		settings = {
+			port: parsePort(opts.port, "--port"),
+			match: validateMatchMode(opts.match),
+			ignoreParams: opts.ignoreParam ?? [],
+			origins: (opts.origin ?? []).map((origin) => parseOrigin(origin)),
+			unmatchedStatus: parseStatusCode(opts.unmatchedStatus, "--unmatched-status"),
+			report: opts.report ? String(opts.report).trim() : null,
+		};
+		logger = createLogger({ level: validateLogLevel(opts.logLevel), format: validateLogFormat(opts.logFormat) });
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	const log = logger.child({}, "[replay]");
+
+	const entries = [];
+	for (const path of logs) {
 		try {
-			if (config.alwaysReset) {
-				const nextUrl = config.cacheBust ? withCacheBuster(baseUrl) : baseUrl;
-				console.info(`[keepalive] goto: ${nextUrl}`);
-				await session.goto(nextUrl, { waitUntil: "domcontentloaded" });
-				continue;
+			const { entries: read, invalid } = await readNdjsonLog(path);
+			entries.push(...read);
+			if (invalid) {
+				log.warn("replay.invalid-lines", `${path}: skipped ${invalid} line(s) that aren't JSON`, { path, invalid });
 			}
+		} catch (err) {
+			console.error(`Error: ${err.message}`);
+			process.exit(1);
+		}
+	}
+	const index = createReplayIndex(entries, settings);
+	if (!index.size) {
+		console.error("Error: the network log has no responses to replay");
+		process.exit(1);
+	}
 
-			if (config.cacheBust) {
-				const current = await session.currentUrl();
-				const currentBase = current && current !== "about:blank" ? stripQueryParam(current, "_cb") : baseUrl;
-				const nextUrl = withCacheBuster(currentBase);
-				console.info(`[keepalive] goto: ${nextUrl}`);
-				await session.goto(nextUrl, { waitUntil: "domcontentloaded" });
-				continue;
+	const unmatched = createUnmatchedReport({ ignoreParams: settings.ignoreParams });
+	const server = createReplayServer({
+		index,
+		unmatchedStatus: settings.unmatchedStatus,
+		onMatch: (request, entry) => {
+			const fields = { ...request, status: entry.status };
+			log.debug("replay.match", `${request.method} ${request.url} -> ${entry.status}`, fields);
+		},
+		onUnmatched: (request) => {
+			unmatched.add(request);
+			log.warn("replay.unmatched", `no recorded response for ${request.method} ${request.url}`, request);
+		},
+		onError: (err) => log.error("replay.failed", `replay failed: ${err.message || err}`, { error: err }),
+	});
+	await listenLocal(server, settings.port);
+	log.info(
+		"replay.start",
+		`serving ${index.size} response(s) on http://127.0.0.1:${settings.port} (match=${settings.match})`,
+		{ port: settings.port, responses: index.size, match: settings.match }
+	);
+
+	const stop = async (reason) => {
+		log.info("replay.stop", `stopping (${reason})`, { reason });
+		await new Promise((resolve) => server.close(resolve));
+		const list = unmatched.list();
+		for (const { method, url, count } of list) {
+			log.info("replay.report", `unmatched ${count}x ${method} ${url}`, { method, url, count });
+		}
+		if (!list.length) log.info("replay.report", "every request had a recorded response");
+		if (settings.report) {
+			try {
+				writeFileSync(settings.report, `${JSON.stringify({ unmatched: list }, null, 2)}\n`);
+			} catch (err) {
+				log.error("replay.report-failed", `could not write ${settings.report}: ${err.message || err}`, { error: err });
+				process.exit(1);
 			}
+		}
+		process.exit(0);
+	};
+	process.once("SIGINT", () => void stop("SIGINT"));
+	process.once("SIGTERM", () => void stop("SIGTERM"));
+}
 
-			console.info("[keepalive] reload");
-			await session.reload({ waitUntil: "domcontentloaded" });
+/**
+ * The `logs` subcommand: stream the entries of network logs through a filter and list,
+ * summarize, show or export them.
+ * @param {string[]} logs
+ * @param {object} opts
+ */
+async function runLogs(logs, opts) {
+	let settings;
+	let files;
+	try {
+		const modes = ["summary", "show", "export"].filter((mode) => opts[mode] !== undefined);
+		if (modes.length > 1) {
+			throw new Error(`--${modes.join(", --")} can't be combined`);
+		}
+		settings = {
+			filter: buildLogFilter({
+				urls: opts.url ?? [],
+				excludes: opts.exclude ?? [],
+				methods: opts.method ? parseMethodList(opts.method, "--method") : [],
+				statuses: opts.status ? parseStatusList(opts.status, "--status") : [],
+				errors: Boolean(opts.errors),
+				since: opts.since ? parseLogTime(opts.since, "--since") : null,
+				until: opts.until ? parseLogTime(opts.until, "--until") : null,
+			}),
+			mode: modes[0] ?? "list",
+			show: opts.show !== undefined ? parsePositiveInt(opts.show, "--show") : null,
+			exportPath: opts.export ? String(opts.export).trim() : null,
+			exportFormat: validateRecordFormat(opts.exportFormat, "--export-format"),
+		};
+		files = resolveLogFiles(logs);
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	const log = createLogger({ level: "warn" }).child({}, "[logs]");
+	// Piping into `head` closes stdout early; that's the end of the listing, not an error.
+	process.stdout.on("error", (err) => {
+		if (err.code === "EPIPE") process.exit(0);
+		throw err;
+	});
+
+	const summary = createLogSummary();
+	let exporter = null;
+	if (settings.mode === "export") {
+		try {
+			exporter = createLogExporter(settings.exportPath, {
+				format: settings.exportFormat,
+				creator: { name: pkg.name, version: pkg.version },
+			});
 		} catch (err) {
-			console.error("[keepalive] refresh failed:", err);
+			console.error(`Error: can't write ${settings.exportPath}: ${err.message || err}`);
+			process.exit(1);
 		}
 	}
+
+	let matched = 0;
+	try {
+		scan: for (const path of files) {
+			let invalid = 0;
+			for await (const entry of readLogEntries(path, { onInvalid: () => invalid++ })) {
+				if (!settings.filter.test(entry)) continue;
+				matched++;
+				if (settings.mode === "list") {
+					await writeText(process.stdout, `${formatEntryLine(entry)}\n`);
+				} else if (settings.mode === "summary") {
+					summary.add(entry);
+				} else if (settings.mode === "export") {
+					await exporter.write(entry);
+				} else if (matched === settings.show) {
+					await writeText(process.stdout, `${formatEntry(entry)}\n`);
+					break scan;
+				}
+			}
+			if (invalid) {
+				log.warn("logs.invalid-lines", `${path}: skipped ${invalid} line(s) that aren't JSON`, { path, invalid });
+			}
+		}
+		await exporter?.close();
+	} catch (err) {
+		console.error(`Error: ${err.message || err}`);
+		process.exit(1);
+	}
+
+	if (settings.mode === "summary") {
+		process.stdout.write(`${formatSummary(summary.result())}\n`);
+	} else if (settings.mode === "show" && matched < settings.show) {
+		console.error(`Error: only ${matched} entries match, so there's no entry ${settings.show}`);
+		process.exit(1);
+	} else if (settings.mode === "export") {
+		console.log(`Exported ${matched} entries to ${settings.exportPath} (${settings.exportFormat})`);
+	}
 }
 
-await main();
+await program.parseAsync();
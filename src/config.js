@@ -0,0 +1,350 @@
+/**
+ * Config file support for browser-keepalive.
+ * A config file (JSON or YAML) holds shared `defaults` plus named `profiles` of the
+ * same settings the CLI accepts. Flags given on the command line take precedence.
+ */
+
+import { readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { extname, join } from "node:path";
+import { parse as parseYaml } from "yaml";
+
+import { parseExpiredAction, parseStatusList, parseUrlPattern } from "./auth.js";
+import { normalizeEndpoint, normalizePort } from "./engines.js";
+import { normalizeHeartbeat } from "./heartbeat.js";
+import { validateLogFormat, validateLogLevel } from "./logger.js";
+import { validateRecordFormat } from "./recorder.js";
+import { validatePathTemplate } from "./rotation.js";
+import { parseJsonPath, parseRedactPattern } from "./redaction.js";
+import { parseMethodList, parseResourceTypes, parseTextPattern } from "./filters.js";
+import { TEXT_BODY_TYPES } from "./bodies.js";
+import { validatePingUrl } from "./strategies.js";
+import {
+	parseActiveHours,
+	parseBoolean,
+	parseCron,
+	parseInterval,
+	parseJitter,
+	parseMatchPattern,
+	parseNonNegativeInt,
+	parsePort,
+	parsePositiveInt,
+	validateBrowser,
+	validateEngine,
+	validateStrategy,
+	validateTimeZone,
+	validateUrlString,
+} from "./utils.js";
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parseNonEmptyString(value, label) {
+	if (typeof value !== "string" || !value.trim()) {
+		throw new Error(`${label} must be a non-empty string`);
+	}
+	return value.trim();
+}
+
+// The shell expands `~` for flags, but nothing does for config files.
+function parsePath(value, label) {
+	const path = parseNonEmptyString(value, label);
+	if (path === "~") return homedir();
+	if (path.startsWith("~/")) return join(homedir(), path.slice(2));
+	return path;
+}
+
+function parseStringList(value, label) {
+	const list = Array.isArray(value) ? value : [value];
+	return list.map((item) => parseNonEmptyString(item, label));
+}
+
+function parseBodyTypes(value, label) {
+	return parseStringList(value, label).map((p) =>
+		p.toLowerCase() === TEXT_BODY_TYPES ? p : parseTextPattern(p, label).source
+	);
+}
+
+/**
+ * Run a validator and prefix any error with the config key path it came from.
+ * @template T
+ * @param {string} path
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function atPath(path, fn) {
+	try {
+		return fn();
+	} catch (err) {
+		throw new Error(`Invalid config at ${path}: ${err.message}`);
+	}
+}
+
+// Setting name (same as the CLI option's camelCase name) -> validator.
+const SETTINGS = {
+	interval: (v) => parseInterval(v),
+	cacheBust: (v) => parseBoolean(v, "cacheBust"),
+	alwaysReset: (v) => parseBoolean(v, "alwaysReset"),
+	jitter: (v) => {
+		parseJitter(v);
+		return String(v).trim();
+	},
+	schedule: (v) => parseCron(parseNonEmptyString(v, "schedule")).source,
+	activeHours: (v) => parseStringList(v, "activeHours").map((w) => parseActiveHours(w).source),
+	timezone: (v) => validateTimeZone(parseNonEmptyString(v, "timezone")),
+	strategy: (v) => validateStrategy(v, "strategy"),
+	pingUrl: (v) => validatePingUrl(parseNonEmptyString(v, "pingUrl")),
+	clickSelector: (v) => parseNonEmptyString(v, "clickSelector"),
+	engine: (v) => validateEngine(v),
+	browser: (v) => validateBrowser(v, "browser"),
+	headless: (v) => parseBoolean(v, "headless"),
+	autoInstall: (v) => parseBoolean(v, "autoInstall"),
+	userDataDir: (v) => parsePath(v, "userDataDir"),
+	cdpPort: (v) => normalizePort(v),
+	connect: (v) => normalizeEndpoint(v),
+	onlyIfIdle: (v) => parseBoolean(v, "onlyIfIdle"),
+	recordNetwork: (v) => validatePathTemplate(parsePath(v, "recordNetwork"), "recordNetwork"),
+	recordFormat: (v) => validateRecordFormat(v, "recordFormat"),
+	recordInclude: (v) => parseStringList(v, "recordInclude").map((p) => parseTextPattern(p, "recordInclude").source),
+	recordExclude: (v) => parseStringList(v, "recordExclude").map((p) => parseTextPattern(p, "recordExclude").source),
+	recordMethod: (v) => {
+		parseMethodList(v, "recordMethod");
+		return Array.isArray(v) ? v.join(",") : String(v);
+	},
+	recordStatus: (v) => {
+		parseStatusList(v, "recordStatus");
+		return Array.isArray(v) ? v.join(",") : String(v);
+	},
+	recordResourceType: (v) => {
+		parseResourceTypes(v, "recordResourceType");
+		return Array.isArray(v) ? v.join(",") : String(v);
+	},
+	recordContentType: (v) => parseStringList(v, "recordContentType"),
+	recordMaxBytes: (v) => parsePositiveInt(v, "recordMaxBytes"),
+	recordBody: (v) => parseBoolean(v, "recordBody"),
+	recordBodyType: (v) => parseBodyTypes(v, "recordBodyType"),
+	recordBodySkipType: (v) => parseBodyTypes(v, "recordBodySkipType"),
+	recordBodyDir: (v) => parsePath(v, "recordBodyDir"),
+	recordBodyInlineBytes: (v) => parsePositiveInt(v, "recordBodyInlineBytes"),
+	recordStreams: (v) => parseBoolean(v, "recordStreams"),
+	recordMessageMaxBytes: (v) => parsePositiveInt(v, "recordMessageMaxBytes"),
+	redactHeader: (v) => parseStringList(v, "redactHeader"),
+	redactJsonPath: (v) => {
+		const list = parseStringList(v, "redactJsonPath");
+		list.forEach((path) => parseJsonPath(path, "redactJsonPath"));
+		return list;
+	},
+	redactFormField: (v) => parseStringList(v, "redactFormField"),
+	redactQueryParam: (v) => parseStringList(v, "redactQueryParam"),
+	redactPattern: (v) => {
+		const list = parseStringList(v, "redactPattern");
+		list.forEach((pattern) => parseRedactPattern(pattern, "redactPattern"));
+		return list;
+	},
+	redactDefaults: (v) => parseBoolean(v, "redactDefaults"),
+	recordRotateBytes: (v) => parsePositiveInt(v, "recordRotateBytes"),
+	recordRotateInterval: (v) => parseInterval(v, "recordRotateInterval"),
+	recordRetain: (v) => parsePositiveInt(v, "recordRetain"),
+	recordGzip: (v) => parseBoolean(v, "recordGzip"),
+	loggedOutUrl: (v) => parseStringList(v, "loggedOutUrl").map((p) => parseUrlPattern(p).source),
+	loggedOutSelector: (v) => parseStringList(v, "loggedOutSelector"),
+	loggedOutText: (v) => parseStringList(v, "loggedOutText"),
+	loggedOutStatus: (v) => {
+		parseStatusList(v, "loggedOutStatus");
+		return Array.isArray(v) ? v.join(",") : String(v);
+	},
+	onExpired: (v) => {
+		parseExpiredAction(v);
+		return String(v).trim();
+	},
+	assertSelector: (v) => parseStringList(v, "assertSelector"),
+	assertText: (v) => parseStringList(v, "assertText"),
+	assertNoText: (v) => parseStringList(v, "assertNoText"),
+	assertStatus: (v) => {
+		parseStatusList(v, "assertStatus");
+		return Array.isArray(v) ? v.join(",") : String(v);
+	},
+	assertTitle: (v) => parseMatchPattern(parseNonEmptyString(v, "assertTitle"), "assertTitle").source,
+	assertRetries: (v) => parseNonNegativeInt(v, "assertRetries"),
+	assertRetryDelay: (v) => parseNonNegativeInt(v, "assertRetryDelay"),
+	retryAttempts: (v) => parseNonNegativeInt(v, "retryAttempts"),
+	retryDelay: (v) => parsePositiveInt(v, "retryDelay"),
+	retryMaxDelay: (v) => parsePositiveInt(v, "retryMaxDelay"),
+	maxFailures: (v) => parsePositiveInt(v, "maxFailures"),
+	heartbeat: (v) => {
+		const list = Array.isArray(v) ? v : [v];
+		list.forEach((entry) => normalizeHeartbeat(entry));
+		return list;
+	},
+	heartbeatInterval: (v) => parseInterval(v, "heartbeatInterval"),
+	relaunch: (v) => parseBoolean(v, "relaunch"),
+	relaunchLimit: (v) => parsePositiveInt(v, "relaunchLimit"),
+	relaunchWindow: (v) => parsePositiveInt(v, "relaunchWindow"),
+	loginScript: (v) => parsePath(v, "loginScript"),
+	loginUsernameSelector: (v) => parseNonEmptyString(v, "loginUsernameSelector"),
+	loginPasswordSelector: (v) => parseNonEmptyString(v, "loginPasswordSelector"),
+	loginSubmitSelector: (v) => parseNonEmptyString(v, "loginSubmitSelector"),
+	loginOtpSelector: (v) => parseNonEmptyString(v, "loginOtpSelector"),
+	loginOtpSubmitSelector: (v) => parseNonEmptyString(v, "loginOtpSubmitSelector"),
+	loginEnvPrefix: (v) => parseNonEmptyString(v, "loginEnvPrefix"),
+	loginSecretsFile: (v) => parsePath(v, "loginSecretsFile"),
+	loginTimeout: (v) => parsePositiveInt(v, "loginTimeout"),
+	loginAttempts: (v) => parsePositiveInt(v, "loginAttempts"),
+	controlPort: (v) => parsePort(v, "controlPort"),
+	controlToken: (v) => parseNonEmptyString(v, "controlToken"),
+	logLevel: (v) => validateLogLevel(v, "logLevel"),
+	logFormat: (v) => validateLogFormat(v, "logFormat"),
+	logFile: (v) => parsePath(v, "logFile"),
+	logMaxBytes: (v) => parsePositiveInt(v, "logMaxBytes"),
+	logMaxFiles: (v) => parseNonNegativeInt(v, "logMaxFiles"),
+	yes: (v) => parseBoolean(v, "yes"),
+};
+
+const TARGET_SETTINGS = {
+	interval: ["intervalSeconds", (v) => parseInterval(v)],
+	cacheBust: ["cacheBust", (v) => parseBoolean(v, "cacheBust")],
+	alwaysReset: ["alwaysReset", (v) => parseBoolean(v, "alwaysReset")],
+	strategy: ["strategy", (v) => validateStrategy(v, "strategy")],
+};
+
+/**
+ * Validate a single target entry: either a URL string or `{ url, interval?, cacheBust?, alwaysReset?, strategy? }`.
+ * Returns the URL plus only the overrides that were set.
+ * @param {unknown} entry
+ * @param {string} path
+ * @returns {{ url: string, intervalSeconds?: number, cacheBust?: boolean, alwaysReset?: boolean }}
+ */
+export function normalizeTarget(entry, path) {
+	if (typeof entry === "string") {
+		return { url: atPath(path, () => validateUrlString(entry)) };
+	}
+	if (!isPlainObject(entry)) {
+		throw new Error(`Invalid config at ${path}: must be a URL string or an object with a 'url' key`);
+	}
+
+	const target = { url: atPath(`${path}.url`, () => validateUrlString(entry.url)) };
+	for (const [key, value] of Object.entries(entry)) {
+		if (key === "url") continue;
+		const setting = TARGET_SETTINGS[key];
+		if (!setting) {
+			throw new Error(`Invalid config at ${path}.${key}: unknown target setting`);
+		}
+		const [field, validate] = setting;
+		target[field] = atPath(`${path}.${key}`, () => validate(value));
+	}
+	return target;
+}
+
+/**
+ * Validate a block of settings (the `defaults` block or one profile).
+ * @param {unknown} block
+ * @param {string} path
+ * @returns {Record<string, unknown>}
+ */
+export function normalizeSettings(block, path) {
+	if (block === undefined || block === null) return {};
+	if (!isPlainObject(block)) {
+		throw new Error(`Invalid config at ${path}: must be an object`);
+	}
+
+	const settings = {};
+	for (const [key, value] of Object.entries(block)) {
+		if (key === "targets") {
+			if (!Array.isArray(value) || !value.length) {
+				throw new Error(`Invalid config at ${path}.targets: must be a non-empty list`);
+			}
+			settings.targets = value.map((entry, i) => normalizeTarget(entry, `${path}.targets[${i}]`));
+			continue;
+		}
+		const validate = SETTINGS[key];
+		if (!validate) {
+			throw new Error(`Invalid config at ${path}.${key}: unknown setting`);
+		}
+		settings[key] = atPath(`${path}.${key}`, () => validate(value));
+	}
+	return settings;
+}
+
+/**
+ * Read and parse a config file. `.yaml`/`.yml` files are parsed as YAML, everything else as JSON.
+ * @param {string} path
+ * @param {{ _readFile?: (path: string) => string }} [options]
+ * @returns {object}
+ */
+export function loadConfigFile(path, { _readFile = (p) => readFileSync(p, "utf-8") } = {}) {
+	let text;
+	try {
+		text = _readFile(path);
+	} catch (err) {
+		throw new Error(`Failed to read config file '${path}': ${err.message || err}`);
+	}
+
+	const ext = extname(path).toLowerCase();
+	let doc;
+	try {
+		doc = ext === ".yaml" || ext === ".yml" ? parseYaml(text) : JSON.parse(text);
+	} catch (err) {
+		throw new Error(`Failed to parse config file '${path}': ${err.message || err}`);
+	}
+
+	if (!isPlainObject(doc)) {
+		throw new Error(`Invalid config file '${path}': top level must be an object`);
+	}
+	return doc;
+}
+
+/**
+ * Pick a profile from a parsed config file and merge it over the shared `defaults`.
+ * With no name, a config holding exactly one profile uses it.
+ * @param {object} doc
+ * @param {string | null | undefined} name
+ * @returns {Record<string, unknown>}
+ */
+export function resolveProfile(doc, name) {
+	for (const key of Object.keys(doc)) {
+		if (key !== "defaults" && key !== "profiles") {
+			throw new Error(`Invalid config at ${key}: unknown key (expected 'defaults' or 'profiles')`);
+		}
+	}
+
+	const profiles = doc.profiles ?? {};
+	if (!isPlainObject(profiles)) {
+		throw new Error("Invalid config at profiles: must be an object of named profiles");
+	}
+
+	const names = Object.keys(profiles);
+	const available = names.length ? names.join(", ") : "none";
+	let selected = name ?? null;
+	if (!selected && names.length > 1) {
+		throw new Error(`Config has several profiles; pick one with --profile (available: ${available})`);
+	}
+	if (!selected && names.length === 1) {
+		selected = names[0];
+	}
+	if (selected && !Object.hasOwn(profiles, selected)) {
+		throw new Error(`Unknown profile '${selected}' (available: ${available})`);
+	}
+
+	const defaults = normalizeSettings(doc.defaults, "defaults");
+	const profile = selected ? normalizeSettings(profiles[selected], `profiles.${selected}`) : {};
+	return { ...defaults, ...profile };
+}
+
+/**
+ * Merge config settings under the parsed CLI options: an option explicitly given on the
+ * command line wins, otherwise the config value replaces the CLI default.
+ * @param {Record<string, unknown>} opts commander options
+ * @param {(key: string) => string | undefined} getSource commander `getOptionValueSource`
+ * @param {Record<string, unknown>} settings result of `resolveProfile`
+ * @returns {Record<string, unknown>}
+ */
+export function mergeWithCli(opts, getSource, settings) {
+	const merged = { ...opts };
+	for (const [key, value] of Object.entries(settings)) {
+		if (key === "targets") continue;
+		if (getSource(key) === "cli") continue;
+		merged[key] = value;
+	}
+	return merged;
+}
@@ -0,0 +1,186 @@
+/**
+ * Local HTTP control API for a running keepalive.
+ * Always bound to 127.0.0.1; optionally protected by a bearer token.
+ */
+
+import { createServer } from "node:http";
+import { timingSafeEqual } from "node:crypto";
+
+import { METRICS_CONTENT_TYPE } from "./metrics.js";
+import { parseInterval } from "./utils.js";
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Check an `Authorization: Bearer <token>` header in constant time.
+ * @param {string | undefined} header
+ * @param {string | null} token expected token, or null when auth is disabled
+ * @returns {boolean}
+ */
+export function isAuthorized(header, token) {
+	if (!token) return true;
+	const m = /^Bearer\s+(.+)$/i.exec(String(header ?? ""));
+	if (!m) return false;
+	const given = Buffer.from(m[1].trim());
+	const expected = Buffer.from(token);
+	return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Parse the optional `tab` parameter (1-based, as in the log prefixes) into a 0-based index.
+ * @param {unknown} value
+ * @param {number} count number of tabs
+ * @returns {number | null} null means "all tabs"
+ */
+export function parseTabParam(value, count) {
+	if (value === undefined || value === null || value === "") return null;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 1 || n > count) {
+		throw new Error(`tab must be an integer between 1 and ${count}`);
+	}
+	return n - 1;
+}
+
+function sendJson(res, status, body) {
+	const text = `${JSON.stringify(body)}\n`;
+	res.writeHead(status, { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" });
+	res.end(text);
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let size = 0;
+		const chunks = [];
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(new Error("request body too large"));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+		req.on("error", reject);
+	});
+}
+
+async function readParams(req, url) {
+	const params = Object.fromEntries(url.searchParams);
+	if (req.method !== "POST") return params;
+
+	const text = (await readBody(req)).trim();
+	if (!text) return params;
+	let body;
+	try {
+		body = JSON.parse(text);
+	} catch {
+		throw new Error("request body must be JSON");
+	}
+	if (body === null || typeof body !== "object" || Array.isArray(body)) {
+		throw new Error("request body must be a JSON object");
+	}
+	return { ...params, ...body };
+}
+
+/**
+ * Create (but don't start) the control server.
+ *
+ * Routes:
+ * - `GET /status`
+ * - `GET /metrics` (Prometheus text format, when `getMetrics` is given)
+ * - `POST /refresh` (`tab`)
+ * - `POST /pause`, `POST /resume`
+ * - `POST /interval` (`seconds`, `tab`)
+ * - `POST /stop`
+ *
+ * Parameters come from the query string or a JSON body. Handler errors are reported as 400.
+ * @param {{
+ *   token?: string | null,
+ *   tabCount: number,
+ *   getStatus: () => object,
+ *   refresh: (tab: number | null) => object,
+ *   pause: () => object,
+ *   resume: () => object,
+ *   setInterval: (seconds: number, tab: number | null) => object,
+ *   stop: () => void,
+ *   getMetrics?: () => string,
+ * }} options
+ * @returns {import("node:http").Server}
+ */
+export function createControlServer({
+	token = null,
+	tabCount,
+	getStatus,
+	refresh,
+	pause,
+	resume,
+	setInterval,
+	stop,
+	getMetrics = null,
+}) {
+	const routes = {
+		"GET /status": () => getStatus(),
+		"POST /refresh": (params) => refresh(parseTabParam(params.tab, tabCount)),
+		"POST /pause": () => pause(),
+		"POST /resume": () => resume(),
+		"POST /interval": (params) =>
+			setInterval(parseInterval(params.seconds), parseTabParam(params.tab, tabCount)),
+		"POST /stop": () => {
+			// Reply before shutting down so the caller gets an answer.
+			setImmediate(stop);
+			return { stopping: true };
+		},
+	};
+	const paths = new Set(Object.keys(routes).map((key) => key.split(" ")[1]));
+	if (getMetrics) paths.add("/metrics");
+
+	return createServer(async (req, res) => {
+		const url = new URL(req.url ?? "/", "http://127.0.0.1");
+
+		if (!isAuthorized(req.headers.authorization, token)) {
+			res.setHeader("www-authenticate", "Bearer");
+			sendJson(res, 401, { error: "unauthorized" });
+			return;
+		}
+
+		if (getMetrics && req.method === "GET" && url.pathname === "/metrics") {
+			res.writeHead(200, { "content-type": METRICS_CONTENT_TYPE, "cache-control": "no-store" });
+			res.end(getMetrics());
+			return;
+		}
+
+		const handler = routes[`${req.method} ${url.pathname}`];
+		if (!handler) {
+			if (paths.has(url.pathname)) {
+				sendJson(res, 405, { error: `method ${req.method} not allowed` });
+			} else {
+				sendJson(res, 404, { error: "not found" });
+			}
+			return;
+		}
+
+		try {
+			const params = await readParams(req, url);
+			sendJson(res, 200, await handler(params));
+		} catch (err) {
+			sendJson(res, 400, { error: err?.message ?? String(err) });
+		}
+	});
+}
+
+/**
+ * Start listening on 127.0.0.1.
+ * @param {import("node:http").Server} server
+ * @param {number} port
+ * @returns {Promise<import("node:http").Server>}
+ */
+export function listenLocal(server, port) {
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, "127.0.0.1", () => {
+			server.off("error", reject);
+			resolve(server);
+		});
+	});
+}
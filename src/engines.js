@@ -3,6 +3,8 @@
  * Supports Playwright and Puppeteer.
  */
 
+import { pingFromPage } from "./strategies.js";
+
 function isPuppeteerCouldNotFindChromeError(err) {
 	const message = err instanceof Error ? err.message : String(err ?? "");
 	return message.toLowerCase().includes("could not find chrome");
@@ -48,6 +50,80 @@ export function normalizePort(value) {
 	return n;
 }
 
+/**
+ * Normalize and validate a `--connect` endpoint: the browser's DevTools HTTP address
+ * (e.g. `http://127.0.0.1:9222`) or its `ws://` browser endpoint.
+ * @param {string | null | undefined} value
+ * @returns {string | null}
+ */
+export function normalizeEndpoint(value) {
+	if (value === undefined || value === null || value === "") {
+		return null;
+	}
+	const text = String(value).trim();
+	let url;
+	try {
+		url = new URL(text);
+	} catch {
+		url = null;
+	}
+	if (!url || !["http:", "https:", "ws:", "wss:"].includes(url.protocol)) {
+		throw new Error("--connect must be an http(s) or ws(s) URL, e.g. http://127.0.0.1:9222");
+	}
+	return text;
+}
+
+/**
+ * Check that the engine can drive the chosen browser, and that CDP-only options
+ * are only used with Chromium.
+ * @param {{ engine: string, browser: string, cdpPort: number | null, connect?: string | null }} options
+ */
+export function checkBrowserOptions({ engine, browser, cdpPort, connect = null }) {
+	if (browser !== "chromium" && engine !== "playwright") {
+		throw new Error(`--browser ${browser} needs --engine playwright`);
+	}
+	if (browser !== "chromium" && cdpPort) {
+		throw new Error(`--cdp-port needs --browser chromium (${browser} doesn't speak the Chrome DevTools Protocol)`);
+	}
+	if (browser !== "chromium" && connect) {
+		throw new Error(`--connect needs --browser chromium (${browser} doesn't speak the Chrome DevTools Protocol)`);
+	}
+	if (connect && cdpPort) {
+		throw new Error("--connect can't be combined with --cdp-port; the browser already has its debugging port");
+	}
+}
+
+// Compare URLs without the fragment and keepalive's own cache-buster.
+function comparableUrl(value) {
+	try {
+		const url = new URL(value);
+		url.hash = "";
+		url.searchParams.delete("_cb");
+		return url;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Find an open tab showing `url`: the same URL, or failing that a page further down
+ * the same path on the same origin (e.g. where the app redirected to).
+ * @param {object[]} pages
+ * @param {string} url
+ * @returns {object | null}
+ */
+export function findMatchingPage(pages, url) {
+	const target = comparableUrl(url);
+	if (!target) return null;
+	const candidates = pages
+		.map((page) => ({ page, url: comparableUrl(page.url()) }))
+		.filter((c) => c.url && c.url.origin === target.origin);
+	const match =
+		candidates.find((c) => c.url.href === target.href) ??
+		candidates.find((c) => c.url.pathname.startsWith(target.pathname));
+	return match?.page ?? null;
+}
+
 /**
  * Build Chromium launch arguments.
  * @param {{ cdpPort: number | null }} options
@@ -77,20 +153,82 @@ export function withCause(message, err) {
 
 /**
  * Create a session wrapper from a browser page.
+ * `context` is whatever owns the tabs (a Playwright BrowserContext, or the browser itself);
+ * new tabs opened with `newPage()` share its cookies and profile.
+ *
+ * `onLost(handler)` reports, once, that the session is no longer usable: the browser
+ * disconnected (crashed or was killed), or one of its pages crashed or was closed.
+ * Nothing is reported after `close()`.
+ *
+ * `request(options)` sends an HTTP request with the session's cookies: through the
+ * context's own request API on Playwright, or with `fetch` from the first tab on Puppeteer
+ * (which has no such API, so the page's CORS rules apply).
+ *
+ * A `connected` session is attached to a browser something else started (`--connect`):
+ * `pageFor(url)` reuses a matching open tab before opening one, and `close()` only
+ * disconnects, leaving the browser and its tabs running.
  * @param {string} engine
  * @param {object} page
  * @param {object} browser
  * @param {number | null} cdpPort
+ * @param {object} [context]
+ * @param {{ connected?: boolean }} [options]
  * @returns {object}
  */
-export function createSession(engine, page, browser, cdpPort) {
+export function createSession(engine, page, browser, cdpPort, context = browser, { connected = false } = {}) {
+	const claimed = new Set([page]);
+	const lostHandlers = [];
+	let closing = false;
+	let lost = false;
+	const emitLost = (reason) => {
+		if (closing || lost) return;
+		lost = true;
+		for (const handler of lostHandlers) handler(reason);
+	};
+	const watchPage = (p) => {
+		// Playwright emits `crash` when the renderer dies, Puppeteer `error`.
+		p.on?.(engine === "puppeteer" ? "error" : "crash", () => emitLost("page crashed"));
+		p.on?.("close", () => emitLost("page closed"));
+		return p;
+	};
+	// Browsers emit `disconnected`; a Playwright persistent context only emits `close`.
+	browser.on?.("disconnected", () => emitLost("browser disconnected"));
+	browser.on?.("close", () => emitLost("browser closed"));
+	watchPage(page);
+
+	const newPage = async () => {
+		const p = watchPage(await context.newPage());
+		claimed.add(p);
+		return p;
+	};
+
 	return {
 		engine,
 		page,
 		cdpPort,
+		connected,
 		async close() {
+			closing = true;
+			// Puppeteer can disconnect explicitly; Playwright's close() only disconnects
+			// from a browser it attached to over CDP.
+			if (connected && browser.disconnect) {
+				await browser.disconnect();
+				return;
+			}
 			await browser.close();
 		},
+		newPage,
+		async pageFor(url) {
+			if (connected) {
+				const open = (await context.pages?.()) ?? [];
+				const match = findMatchingPage(open.filter((p) => !claimed.has(p)), url);
+				if (match) {
+					claimed.add(match);
+					return watchPage(match);
+				}
+			}
+			return await newPage();
+		},
 		async goto(url, options) {
 			return await page.goto(url, options);
 		},
@@ -100,6 +238,24 @@ export function createSession(engine, page, browser, cdpPort) {
 		async currentUrl() {
 			return page.url();
 		},
+		async request({ method = "GET", url, headers = {}, body = null, timeoutMs = 30000 }) {
+			if (context.request?.fetch) {
+				const response = await context.request.fetch(url, {
+					method,
+					headers,
+					data: body ?? undefined,
+					timeout: timeoutMs,
+					failOnStatusCode: false,
+				});
+				const result = { status: response.status(), url: response.url() };
+				await response.dispose?.();
+				return result;
+			}
+			return await pingFromPage(page, url, { method, headers, body, timeoutMs });
+		},
+		onLost(handler) {
+			lostHandlers.push(handler);
+		},
 	};
 }
 
@@ -115,10 +271,18 @@ export async function importModule(moduleName) {
 
 /**
  * Launch Playwright browser.
- * @param {{ headless: boolean, cdpPort: number | null, userDataDir?: string | null, _import?: function }} options
+ * `browser` picks Playwright's Chromium, Firefox or WebKit; only Chromium tries the
+ * system Chrome/Edge channels and takes Chromium flags.
+ * @param {{ headless: boolean, cdpPort: number | null, userDataDir?: string | null, browser?: "chromium" | "firefox" | "webkit", _import?: function }} options
  * @returns {Promise<object>}
  */
-export async function launchPlaywright({ headless, cdpPort, userDataDir = null, _import = importModule }) {
+export async function launchPlaywright({
+	headless,
+	cdpPort,
+	userDataDir = null,
+	browser: browserName = "chromium",
+	_import = importModule,
+}) {
 	let mod;
 	try {
 		mod = await _import("playwright");
@@ -128,13 +292,14 @@ export async function launchPlaywright({ headless, cdpPort, userDataDir = null,
 		throw new Error(withCause(message, err));
 	}
 
-	const chromium = mod.chromium;
-	if (!chromium) {
-		throw new Error("'playwright' was imported but `chromium` export was not found.");
+	const browserType = mod[browserName];
+	if (!browserType) {
+		throw new Error(`'playwright' was imported but \`${browserName}\` export was not found.`);
 	}
+	const isChromium = browserName === "chromium";
 
-	const args = buildChromiumArgs({ cdpPort });
-	if (!headless) {
+	const args = isChromium ? buildChromiumArgs({ cdpPort }) : [];
+	if (!headless && isChromium) {
 		args.push("--start-maximized");
 	}
 
@@ -145,24 +310,26 @@ export async function launchPlaywright({ headless, cdpPort, userDataDir = null,
 		if (channel) {
 			opts.channel = channel;
 		}
-		return await chromium.launch(opts);
+		return await browserType.launch(opts);
 	};
 
 	const launchPersistent = async (channel) => {
-		if (!chromium.launchPersistentContext) {
-			throw new Error("'playwright' was imported but `chromium.launchPersistentContext()` was not found.");
+		if (!browserType.launchPersistentContext) {
+			throw new Error(
+				`'playwright' was imported but \`${browserName}.launchPersistentContext()\` was not found.`
+			);
 		}
 		const opts = { headless, args, ...contextOptions };
 		if (channel) {
 			opts.channel = channel;
 		}
-		return await chromium.launchPersistentContext(userDataDir, opts);
+		return await browserType.launchPersistentContext(userDataDir, opts);
 	};
 
 	const doLaunch = userDataDir ? launchPersistent : launch;
 
 	let browser;
-	for (const channel of preferredPlaywrightChannels()) {
+	for (const channel of isChromium ? preferredPlaywrightChannels() : []) {
 		try {
 			browser = await doLaunch(channel);
 			break;
@@ -188,7 +355,7 @@ export async function launchPlaywright({ headless, cdpPort, userDataDir = null,
 	const context = await browser.newContext(contextOptions);
 	const page = await context.newPage();
 
-	return createSession("playwright", page, browser, cdpPort);
+	return createSession("playwright", page, browser, cdpPort, context);
 }
 
 /**
@@ -249,23 +416,111 @@ export async function launchPuppeteer({ headless, cdpPort, userDataDir = null, _
 	return createSession("puppeteer", page, browser, cdpPort);
 }
 
+/**
+ * Attach Playwright to a running Chromium over CDP and use its default context, so
+ * tabs share the profile and cookies the browser already has.
+ * @param {{ endpoint: string, targetUrl: string, _import?: function }} options
+ * @returns {Promise<object>}
+ */
+export async function connectPlaywright({ endpoint, targetUrl, _import = importModule }) {
+	let mod;
+	try {
+		mod = await _import("playwright");
+	} catch (err) {
+		const message =
+			"Failed to import 'playwright'. Install it in this project (e.g. `pnpm add playwright` or `npm i playwright`).";
+		throw new Error(withCause(message, err));
+	}
+
+	if (!mod.chromium?.connectOverCDP) {
+		throw new Error("'playwright' was imported but `chromium.connectOverCDP()` was not found.");
+	}
+
+	let browser;
+	try {
+		browser = await mod.chromium.connectOverCDP(endpoint);
+	} catch (err) {
+		throw new Error(withCause(`Failed to connect to the browser at ${endpoint}.`, err));
+	}
+
+	const context = browser.contexts()[0] ?? (await browser.newContext());
+	const page = findMatchingPage(context.pages(), targetUrl) ?? (await context.newPage());
+	return createSession("playwright", page, browser, null, context, { connected: true });
+}
+
+/**
+ * Attach Puppeteer to a running Chromium, by its DevTools HTTP address or `ws://` endpoint.
+ * @param {{ endpoint: string, targetUrl: string, _import?: function }} options
+ * @returns {Promise<object>}
+ */
+export async function connectPuppeteer({ endpoint, targetUrl, _import = importModule }) {
+	let mod;
+	try {
+		mod = await _import("puppeteer");
+	} catch (err) {
+		const message =
+			"Failed to import 'puppeteer'. Install it in this project (e.g. `pnpm add puppeteer` or `npm i puppeteer`).";
+		throw new Error(withCause(message, err));
+	}
+
+	const puppeteer = mod.default ?? mod;
+	if (!puppeteer?.connect) {
+		throw new Error("'puppeteer' was imported but no `connect()` function was found.");
+	}
+
+	const opts = /^wss?:/.test(endpoint) ? { browserWSEndpoint: endpoint } : { browserURL: endpoint };
+	let browser;
+	try {
+		browser = await puppeteer.connect({ ...opts, defaultViewport: null });
+	} catch (err) {
+		throw new Error(withCause(`Failed to connect to the browser at ${endpoint}.`, err));
+	}
+
+	const page = findMatchingPage(await browser.pages(), targetUrl) ?? (await browser.newPage());
+	return createSession("puppeteer", page, browser, null, browser, { connected: true });
+}
+
+/**
+ * Attach to an already-running browser using the specified engine.
+ * @param {"playwright" | "puppeteer"} engine
+ * @param {{ endpoint: string, targetUrl: string, _import?: function }} options
+ * @returns {Promise<object>}
+ */
+export async function connectEngine(engine, options) {
+	const endpoint = normalizeEndpoint(options.endpoint);
+	const _import = options._import || importModule;
+
+	if (engine === "playwright") {
+		return await connectPlaywright({ endpoint, targetUrl: options.targetUrl, _import });
+	}
+
+	if (engine === "puppeteer") {
+		return await connectPuppeteer({ endpoint, targetUrl: options.targetUrl, _import });
+	}
+
+	throw new Error(`Unknown engine: ${engine}`);
+}
+
 /**
  * Launch a browser using the specified engine.
  * @param {"playwright" | "puppeteer"} engine
- * @param {{ headless?: boolean, cdpPort?: number | null, userDataDir?: string | null, _import?: function }} options
+ * @param {{ headless?: boolean, cdpPort?: number | null, userDataDir?: string | null, browser?: "chromium" | "firefox" | "webkit", _import?: function }} options
  * @returns {Promise<object>}
  */
 export async function launchEngine(engine, options = {}) {
 	const headless = options.headless === true;
 	const cdpPort = normalizePort(options.cdpPort);
 	const userDataDir = options.userDataDir ?? null;
+	const browser = options.browser ?? "chromium";
 	const _import = options._import || importModule;
 
 	if (engine === "playwright") {
-		return await launchPlaywright({ headless, cdpPort, userDataDir, _import });
+		checkBrowserOptions({ engine, browser, cdpPort });
+		return await launchPlaywright({ headless, cdpPort, userDataDir, browser, _import });
 	}
 
 	if (engine === "puppeteer") {
+		checkBrowserOptions({ engine, browser, cdpPort });
 		return await launchPuppeteer({ headless, cdpPort, userDataDir, _import });
 	}
 
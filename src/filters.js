@@ -0,0 +1,152 @@
+/**
+ * Filters deciding which responses the network recorder keeps. Values given for the
+ * same filter are alternatives (any may match); different filters must all match;
+ * an exclude match always drops the response.
+ */
+
+import { statusInRanges } from "./auth.js";
+import { HTTP_METHODS, parseMatchPattern } from "./utils.js";
+
+/** Resource types reported by Playwright and Puppeteer. */
+export const RESOURCE_TYPES = [
+	"document",
+	"stylesheet",
+	"image",
+	"media",
+	"font",
+	"script",
+	"texttrack",
+	"xhr",
+	"fetch",
+	"prefetch",
+	"eventsource",
+	"websocket",
+	"manifest",
+	"signedexchange",
+	"ping",
+	"cspviolationreport",
+	"preflight",
+	"other",
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a text pattern: `/.../flags` is a regular expression, a value with `*` a glob
+ * (`*` matches anything), anything else a substring. Like a substring, a glob may match
+ * anywhere in the text (`api*v2`), unless it starts with a scheme (`https://`), when it has to match the
+ * whole text (`https://*.example.com/api/*`), or with `/`, when it has to match a URL's
+ * whole path and query (`/owa/*`).
+ * @param {string} value
+ * @param {string} label used in error messages
+ * @returns {{ source: string, test: (text: string) => boolean }}
+ */
+export function parseTextPattern(value, label) {
+	const source = String(value ?? "");
+	if (source.includes("*") && !/^\/.+\/[a-z]*$/.test(source)) {
+		const glob = source.split("*").map(escapeRegex).join(".*");
+		let anchor = "";
+		if (/^[a-z][a-z\d+.-]*:\/\//i.test(source)) anchor = "^";
+		else if (source.startsWith("/")) anchor = "^(?:[a-z][a-z\\d+.-]*://[^/?#]*)?";
+		const re = new RegExp(anchor ? `${anchor}${glob}$` : glob, "s");
+		return { source, test: (text) => re.test(text) };
+	}
+	return parseMatchPattern(source, label);
+}
+
+/**
+ * Parse a comma-separated list of HTTP methods (or a list of them).
+ * @param {string | string[]} value
+ * @param {string} [label]
+ * @returns {string[]}
+ */
+export function parseMethodList(value, label = "--record-method") {
+	const methods = (Array.isArray(value) ? value : String(value ?? "").split(","))
+		.map((method) => String(method).trim().toUpperCase())
+		.filter(Boolean);
+	if (!methods.length) {
+		throw new Error(`${label} must list HTTP methods (e.g. GET,POST)`);
+	}
+	const unknown = methods.find((method) => !HTTP_METHODS.includes(method));
+	if (unknown) {
+		throw new Error(`${label} has an unknown method '${unknown}' (use ${HTTP_METHODS.join(", ")})`);
+	}
+	return methods;
+}
+
+/**
+ * Parse a comma-separated list of resource types (or a list of them).
+ * @param {string | string[]} value
+ * @param {string} [label]
+ * @returns {string[]}
+ */
+export function parseResourceTypes(value, label = "--record-resource-type") {
+	const types = (Array.isArray(value) ? value : String(value ?? "").split(","))
+		.map((type) => String(type).trim().toLowerCase())
+		.filter(Boolean);
+	if (!types.length) {
+		throw new Error(`${label} must list resource types (e.g. xhr,fetch)`);
+	}
+	const unknown = types.find((type) => !RESOURCE_TYPES.includes(type));
+	if (unknown) {
+		throw new Error(`${label} has an unknown resource type '${unknown}' (use ${RESOURCE_TYPES.join(", ")})`);
+	}
+	return types;
+}
+
+/**
+ * Build the recorder's filter. Every option is optional; an empty filter keeps everything.
+ * @param {{
+ *   includes?: string[],
+ *   excludes?: string[],
+ *   methods?: string[],
+ *   statuses?: Array<[number, number]>,
+ *   resourceTypes?: string[],
+ *   contentTypes?: string[],
+ * }} [options] URL and content type values are patterns for `parseTextPattern()`
+ * @returns {{
+ *   test: (response: { url: string, method: string, status: number, resourceType?: string, contentType?: string }) => boolean,
+ *   describe: () => string,
+ * }}
+ */
+export function buildRecordFilter({
+	includes = [],
+	excludes = [],
+	methods = [],
+	statuses = [],
+	resourceTypes = [],
+	contentTypes = [],
+} = {}) {
+	const include = includes.map((value) => parseTextPattern(value, "--record-include"));
+	const exclude = excludes.map((value) => parseTextPattern(value, "--record-exclude"));
+	// Content types are case-insensitive; regular expressions can use the `i` flag.
+	const contentType = contentTypes.map((value) =>
+		parseTextPattern(/^\/.+\/[a-z]*$/.test(value) ? value : value.toLowerCase(), "--record-content-type")
+	);
+
+	return {
+		test({ url, method, status, resourceType = "", contentType: type = "" }) {
+			if (exclude.some((pattern) => pattern.test(url))) return false;
+			if (include.length && !include.some((pattern) => pattern.test(url))) return false;
+			if (methods.length && !methods.includes(String(method).toUpperCase())) return false;
+			if (statuses.length && !statusInRanges(status, statuses)) return false;
+			if (resourceTypes.length && !resourceTypes.includes(String(resourceType).toLowerCase())) return false;
+			if (contentType.length && !contentType.some((pattern) => pattern.test(String(type).toLowerCase()))) {
+				return false;
+			}
+			return true;
+		},
+		describe() {
+			const parts = [];
+			if (include.length) parts.push(`include=${includes.join("|")}`);
+			if (exclude.length) parts.push(`exclude=${excludes.join("|")}`);
+			if (methods.length) parts.push(`method=${methods.join("|")}`);
+			if (statuses.length) {
+				parts.push(`status=${statuses.map(([min, max]) => (min === max ? min : `${min}-${max}`)).join("|")}`);
+			}
+			if (resourceTypes.length) parts.push(`type=${resourceTypes.join("|")}`);
+			if (contentType.length) parts.push(`contentType=${contentTypes.join("|")}`);
+			return parts.length ? parts.join(" ") : "all";
+		},
+	};
+}
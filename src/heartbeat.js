@@ -0,0 +1,215 @@
+/**
+ * Heartbeat requests: cheap API calls (a `/api/ping`, a token refresh) sent with the
+ * browser's cookies on their own interval, for apps that keep the session alive that way
+ * rather than through the page itself.
+ */
+
+import { parseStatusList, statusInRanges } from "./auth.js";
+import { classifyNavigationError } from "./retry.js";
+import { HTTP_METHODS, parseInterval, splitSpecOptions } from "./utils.js";
+
+/** HTTP methods a heartbeat may use: all but those `fetch()` refuses to send. */
+export const HEARTBEAT_METHODS = HTTP_METHODS.filter((method) => method !== "CONNECT" && method !== "TRACE");
+
+const HEARTBEAT_KEYS = ["method", "url", "headers", "body", "status", "interval"];
+
+function validateMethod(value) {
+	const method = String(value ?? "").trim().toUpperCase();
+	if (!HEARTBEAT_METHODS.includes(method)) {
+		throw new Error(`heartbeat method must be one of ${HEARTBEAT_METHODS.join(", ")}`);
+	}
+	return method;
+}
+
+// An absolute http(s) URL, or a path resolved against the first target later on.
+function validateHeartbeatUrl(value) {
+	const text = String(value ?? "").trim();
+	if (text.startsWith("/") && !text.startsWith("//")) return text;
+	let url;
+	try {
+		url = new URL(text);
+	} catch {
+		throw new Error(`heartbeat URL must be an absolute http(s) URL or a path starting with /, got '${text}'`);
+	}
+	if (url.protocol !== "http:" && url.protocol !== "https:") {
+		throw new Error(`heartbeat URL must be an absolute http(s) URL or a path starting with /, got '${text}'`);
+	}
+	return url.toString();
+}
+
+function parseHeaderLine(value) {
+	const line = String(value);
+	const colon = line.indexOf(":");
+	const name = colon > 0 ? line.slice(0, colon).trim() : "";
+	if (!name) {
+		throw new Error(`heartbeat header must look like 'Name: value', got '${line}'`);
+	}
+	return [name.toLowerCase(), line.slice(colon + 1).trim()];
+}
+
+/**
+ * Parse a `--heartbeat` spec: `[METHOD ]<url>[::key=value,...]`.
+ * Keys: `interval=<seconds>`, `status=<codes>` (`|`-separated, e.g. `200-299|304`),
+ * `header=Name: value` (repeatable) and `body=<text>`. Options are comma-separated, so
+ * headers and bodies containing commas need the config file.
+ * @param {string} spec
+ * @returns {{ method: string, url: string, headers: Record<string, string>, body: string | null, statuses: Array<[number, number]>, intervalSeconds: number | null }}
+ */
+export function parseHeartbeatSpec(spec) {
+	const { head, options } = splitSpecOptions(String(spec ?? "").trim());
+	const m = /^([A-Za-z]+)\s+(\S.*)$/.exec(head);
+	const heartbeat = {
+		method: m ? validateMethod(m[1]) : "GET",
+		url: validateHeartbeatUrl(m ? m[2] : head),
+		headers: {},
+		body: null,
+		statuses: [],
+		intervalSeconds: null,
+	};
+
+	for (const [key, value] of options) {
+		if (value === true) {
+			throw new Error(`heartbeat option '${key}' needs a value`);
+		}
+		switch (key) {
+			case "interval":
+				heartbeat.intervalSeconds = parseInterval(value, "heartbeat interval");
+				break;
+			case "status":
+				heartbeat.statuses = parseStatusList(value.split("|"), "heartbeat status");
+				break;
+			case "header": {
+				const [name, headerValue] = parseHeaderLine(value);
+				heartbeat.headers[name] = headerValue;
+				break;
+			}
+			case "body":
+				heartbeat.body = value;
+				break;
+			default:
+				throw new Error(`Unknown heartbeat option '${key}' for ${heartbeat.url}`);
+		}
+	}
+	return heartbeat;
+}
+
+/**
+ * Validate a heartbeat from the config file: a `--heartbeat` spec string, or
+ * `{ method?, url, headers?, body?, status?, interval? }`. An object or list `body`
+ * is sent as JSON (with a JSON content type unless one is given).
+ * @param {unknown} entry
+ * @returns {{ method: string, url: string, headers: Record<string, string>, body: string | null, statuses: Array<[number, number]>, intervalSeconds: number | null }}
+ */
+export function normalizeHeartbeat(entry) {
+	if (typeof entry === "string") return parseHeartbeatSpec(entry);
+	if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+		throw new Error("heartbeat must be a spec string or an object with a 'url' key");
+	}
+	const unknown = Object.keys(entry).find((key) => !HEARTBEAT_KEYS.includes(key));
+	if (unknown) {
+		throw new Error(`unknown heartbeat setting '${unknown}'`);
+	}
+
+	const headers = {};
+	if (entry.headers !== undefined) {
+		if (entry.headers === null || typeof entry.headers !== "object" || Array.isArray(entry.headers)) {
+			throw new Error("heartbeat headers must be an object of header names to values");
+		}
+		for (const [name, value] of Object.entries(entry.headers)) {
+			headers[name.toLowerCase()] = String(value);
+		}
+	}
+
+	let body = null;
+	if (entry.body !== undefined && entry.body !== null) {
+		if (typeof entry.body === "string") {
+			body = entry.body;
+		} else {
+			body = JSON.stringify(entry.body);
+			headers["content-type"] ??= "application/json";
+		}
+	}
+
+	return {
+		method: entry.method === undefined ? "GET" : validateMethod(entry.method),
+		url: validateHeartbeatUrl(entry.url),
+		headers,
+		body,
+		statuses: entry.status === undefined ? [] : parseStatusList(entry.status, "heartbeat status"),
+		intervalSeconds: entry.interval === undefined ? null : parseInterval(entry.interval, "heartbeat interval"),
+	};
+}
+
+/**
+ * Fill in what a heartbeat left to the defaults: resolve a path against `baseUrl`
+ * and use `intervalSeconds` when it has no interval of its own.
+ * @param {{ url: string, intervalSeconds: number | null }} heartbeat
+ * @param {{ baseUrl: string, intervalSeconds: number }} defaults
+ * @returns {object}
+ */
+export function resolveHeartbeat(heartbeat, { baseUrl, intervalSeconds }) {
+	return {
+		...heartbeat,
+		url: new URL(heartbeat.url, baseUrl).toString(),
+		intervalSeconds: heartbeat.intervalSeconds ?? intervalSeconds,
+	};
+}
+
+/**
+ * Short description for logs, e.g. `POST https://app.example.com/api/ping`.
+ * @param {{ method: string, url: string }} heartbeat
+ * @returns {string}
+ */
+export function formatHeartbeat({ method, url }) {
+	return `${method} ${url}`;
+}
+
+/**
+ * The statuses a heartbeat accepts, for logs, e.g. `200-299,304` (or `<400` by default).
+ * @param {{ statuses: Array<[number, number]> }} heartbeat
+ * @returns {string}
+ */
+export function formatExpectedStatus({ statuses }) {
+	if (!statuses.length) return "<400";
+	return statuses.map(([min, max]) => (min === max ? String(min) : `${min}-${max}`)).join(",");
+}
+
+/**
+ * Whether a heartbeat's response status is the expected one (any status below 400 by default).
+ * @param {{ statuses: Array<[number, number]> }} heartbeat
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isExpectedStatus(heartbeat, status) {
+	return heartbeat.statuses.length ? statusInRanges(status, heartbeat.statuses) : status < 400;
+}
+
+/**
+ * Send one heartbeat through the session so it carries the browser's cookies.
+ * Never throws; failures are classified like page loads.
+ * @param {{ request: (options: object) => Promise<{ status: number }> }} session
+ * @param {{ method: string, url: string, headers: Record<string, string>, body: string | null, statuses: Array<[number, number]> }} heartbeat
+ * @param {{ timeoutMs?: number, now?: () => number }} [options]
+ * @returns {Promise<{ result: "ok" | "unexpected-status" | "timeout" | "network-error" | "error", status: number | null, error: string | null, durationMs: number }>}
+ */
+export async function sendHeartbeat(session, heartbeat, { timeoutMs = 30000, now = Date.now } = {}) {
+	const { method, url, headers, body } = heartbeat;
+	const startedAt = now();
+	try {
+		const { status } = await session.request({ method, url, headers, body, timeoutMs });
+		const ok = isExpectedStatus(heartbeat, status);
+		return {
+			result: ok ? "ok" : "unexpected-status",
+			status,
+			error: ok ? null : `HTTP ${status}`,
+			durationMs: now() - startedAt,
+		};
+	} catch (err) {
+		return {
+			result: classifyNavigationError(err),
+			status: null,
+			error: err?.message ?? String(err),
+			durationMs: now() - startedAt,
+		};
+	}
+}
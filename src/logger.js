@@ -0,0 +1,161 @@
+/**
+ * Leveled logging for the CLI: readable lines (the default) or JSON lines a log pipeline
+ * can parse, to the console and optionally to a file rotated by size.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } from "node:fs";
+import { dirname } from "node:path";
+
+/** Log levels, least severe first. */
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/** Output formats. */
+export const LOG_FORMATS = ["text", "json"];
+
+/**
+ * Validate a `--log-level`.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"debug" | "info" | "warn" | "error"}
+ */
+export function validateLogLevel(value, label = "--log-level") {
+	const level = String(value ?? "").trim().toLowerCase();
+	if (!LOG_LEVELS.includes(level)) {
+		throw new Error(`${label} must be one of ${LOG_LEVELS.join(", ")}`);
+	}
+	return level;
+}
+
+/**
+ * Validate a `--log-format`.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"text" | "json"}
+ */
+export function validateLogFormat(value, label = "--log-format") {
+	const format = String(value ?? "").trim().toLowerCase();
+	if (!LOG_FORMATS.includes(format)) {
+		throw new Error(`${label} must be one of ${LOG_FORMATS.join(", ")}`);
+	}
+	return format;
+}
+
+// Errors become their message; undefined fields are left out.
+function normalizeFields(fields) {
+	const out = {};
+	for (const [key, value] of Object.entries(fields)) {
+		if (value === undefined) continue;
+		out[key] = value instanceof Error ? value.message : value;
+	}
+	return out;
+}
+
+/**
+ * Render a log record as one line (without the trailing newline).
+ * JSON lines hold `time`, `level`, `event`, `message` and any bound or given fields (which
+ * can't override those four);
+ * text lines are `<prefix> <message>`, with the time and level in front when `timestamp` is set.
+ * @param {{ time: Date, level: string, event: string, prefix: string, message: string, fields: object }} record
+ * @param {"text" | "json"} format
+ * @param {{ timestamp?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatLogLine({ time, level, event, prefix, message, fields }, format, { timestamp = false } = {}) {
+	if (format === "json") {
+		const core = { time: time.toISOString(), level, event, message };
+		// Spread `core` again last so a field named like a core key can't replace it;
+		// the first spread keeps the core keys at the front of the line.
+		return JSON.stringify({ ...core, ...normalizeFields(fields), ...core });
+	}
+	const line = prefix ? `${prefix} ${message}` : message;
+	return timestamp ? `${time.toISOString()} ${level.toUpperCase()} ${line}` : line;
+}
+
+/**
+ * Append lines to a file, rotating it once it would grow past `maxBytes`:
+ * `app.log` becomes `app.log.1`, `app.log.1` becomes `app.log.2`, and so on,
+ * keeping at most `maxFiles` rotated files.
+ * @param {string} path
+ * @param {{ maxBytes: number, maxFiles: number }} options
+ * @returns {{ write: (line: string) => void }}
+ */
+export function createRotatingFile(path, { maxBytes, maxFiles }) {
+	mkdirSync(dirname(path), { recursive: true });
+	let size = existsSync(path) ? statSync(path).size : 0;
+
+	const rotate = () => {
+		rmSync(`${path}.${maxFiles}`, { force: true });
+		for (let i = maxFiles - 1; i >= 1; i--) {
+			if (existsSync(`${path}.${i}`)) renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+		}
+		if (maxFiles > 0) {
+			renameSync(path, `${path}.1`);
+		} else {
+			rmSync(path, { force: true });
+		}
+		size = 0;
+	};
+
+	return {
+		write(line) {
+			const bytes = Buffer.byteLength(line);
+			if (size > 0 && size + bytes > maxBytes) rotate();
+			appendFileSync(path, line);
+			size += bytes;
+		},
+	};
+}
+
+/**
+ * Create a logger. Each method takes an event name (e.g. `refresh.failed`), a readable
+ * message and optional fields such as `durationMs` or `error`; `child()` adds fields
+ * (like the tab and target URL) and a text prefix to every line.
+ * Logging never throws: a failing log file is reported once and then skipped.
+ * @param {{
+ *   level?: string,
+ *   format?: "text" | "json",
+ *   file?: string | null,
+ *   maxBytes?: number,
+ *   maxFiles?: number,
+ *   console?: { info: function, warn: function, error: function, debug: function },
+ *   now?: () => Date,
+ * }} [options]
+ * @returns {{ debug: function, info: function, warn: function, error: function, child: function }}
+ */
+export function createLogger({
+	level = "info",
+	format = "text",
+	file = null,
+	maxBytes = 10 * 1024 * 1024,
+	maxFiles = 5,
+	console: out = console,
+	now = () => new Date(),
+} = {}) {
+	const threshold = LOG_LEVELS.indexOf(validateLogLevel(level));
+	let sink = null;
+	if (file) {
+		sink = createRotatingFile(file, { maxBytes, maxFiles });
+	}
+
+	const emit = (recordLevel, event, message, fields, bindings, prefix) => {
+		if (LOG_LEVELS.indexOf(recordLevel) < threshold) return;
+		const record = { time: now(), level: recordLevel, event, prefix, message, fields: { ...bindings, ...fields } };
+		out[recordLevel](formatLogLine(record, format));
+		if (!sink) return;
+		try {
+			sink.write(`${formatLogLine(record, format, { timestamp: true })}\n`);
+		} catch (err) {
+			sink = null;
+			out.error(`[keepalive] log file write failed, logging to the console only: ${err.message}`);
+		}
+	};
+
+	const make = (bindings, prefix) => ({
+		debug: (event, message, fields = {}) => emit("debug", event, message, fields, bindings, prefix),
+		info: (event, message, fields = {}) => emit("info", event, message, fields, bindings, prefix),
+		warn: (event, message, fields = {}) => emit("warn", event, message, fields, bindings, prefix),
+		error: (event, message, fields = {}) => emit("error", event, message, fields, bindings, prefix),
+		child: (extra, childPrefix = prefix) => make({ ...bindings, ...extra }, childPrefix),
+	});
+	return make({}, "[keepalive]");
+}
@@ -0,0 +1,483 @@
+/**
+ * Inspection of NDJSON network logs: reading them (rotated and gzipped files too) one
+ * line at a time, filtering entries, summarizing them per endpoint, pretty-printing
+ * one and exporting a subset as NDJSON or HAR.
+ */
+
+import { once } from "node:events";
+import { createReadStream, createWriteStream, rmSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { createGunzip } from "node:zlib";
+
+import { statusInRanges } from "./auth.js";
+import { parseTextPattern } from "./filters.js";
+import { createHarStreamAggregator, createHarWriter, toHarEntry } from "./recorder.js";
+import { listLogFiles } from "./rotation.js";
+
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const TIMING_PHASES = ["blocked", "dns", "connect", "ssl", "send", "wait", "receive"];
+
+/**
+ * The files a log path stands for: like `--record-network`, a path (or date template)
+ * covers its rotated archives and their gzipped copies, oldest first.
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+export function resolveLogFiles(paths) {
+	const files = [];
+	for (const path of paths) {
+		const found = listLogFiles(path);
+		if (!found.length) {
+			throw new Error(`No network log found at '${path}'`);
+		}
+		for (const file of found) {
+			if (!files.includes(file)) files.push(file);
+		}
+	}
+	return files;
+}
+
+/**
+ * Read an NDJSON log line by line, gunzipping it when the name ends in `.gz`, so logs of
+ * any size can be read. Lines that aren't JSON objects are passed to `onInvalid`.
+ * @param {string} path
+ * @param {{ onInvalid?: (line: number) => void }} [options]
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* readLogEntries(path, { onInvalid = () => {} } = {}) {
+	const file = createReadStream(path);
+	const input = path.endsWith(".gz") ? file.pipe(createGunzip()) : file;
+	// Errors of the file stream don't reach the gunzip stream on their own.
+	if (input !== file) file.on("error", (err) => input.destroy(err));
+	const lines = createInterface({ input, crlfDelay: Infinity });
+	let number = 0;
+	try {
+		for await (const line of lines) {
+			number++;
+			if (!line.trim()) continue;
+			let entry;
+			try {
+				entry = JSON.parse(line);
+			} catch {
+				entry = null;
+			}
+			if (entry && typeof entry === "object" && !Array.isArray(entry)) yield entry;
+			else onInvalid(number);
+		}
+	} catch (err) {
+		throw new Error(`Can't read network log '${path}': ${err.message || err}`);
+	} finally {
+		lines.close();
+		file.destroy();
+	}
+}
+
+/**
+ * Parse a `--since`/`--until` time: an ISO date or time (`2026-03-02`,
+ * `2026-03-02T09:30:00Z`) or a duration before now (`90s`, `30m`, `2h`, `7d`).
+ * @param {unknown} value
+ * @param {string} label
+ * @param {{ now?: () => number }} [options]
+ * @returns {number} ms since the epoch
+ */
+export function parseLogTime(value, label, { now = Date.now } = {}) {
+	const text = String(value ?? "").trim();
+	const m = /^(\d+(?:\.\d+)?)([smhd])$/.exec(text);
+	if (m) return now() - Number(m[1]) * TIME_UNITS[m[2]];
+	const time = /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : NaN;
+	if (!Number.isFinite(time)) {
+		throw new Error(`${label} must be an ISO time (e.g. 2026-03-02T09:30:00Z) or a duration ago (e.g. 2h)`);
+	}
+	return time;
+}
+
+/**
+ * What a log entry records.
+ * @param {object} entry
+ * @returns {"response" | "failed" | "websocket" | "sse" | "error"} `error` for the recorder's own errors
+ */
+export function entryKind(entry) {
+	if (entry.type === "websocket" || entry.type === "sse") return entry.type;
+	if (typeof entry.url !== "string") return "error";
+	return entry.status === 0 ? "failed" : "response";
+}
+
+/**
+ * Whether an entry is a failed request or an HTTP error response.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isErrorEntry(entry) {
+	const kind = entryKind(entry);
+	return kind === "failed" || (kind === "response" && entry.status >= 400);
+}
+
+/**
+ * Build the filter for log entries. Every option is optional; an empty filter keeps
+ * everything. WebSocket and SSE events count as `GET`s without a status, so a status
+ * filter or `errors` leaves them out.
+ * @param {{
+ *   urls?: string[],
+ *   excludes?: string[],
+ *   methods?: string[],
+ *   statuses?: Array<[number, number]>,
+ *   errors?: boolean,
+ *   since?: number | null,
+ *   until?: number | null,
+ * }} [options] URL values are patterns for `parseTextPattern()`
+ * @returns {{ test: (entry: object) => boolean }}
+ */
+export function buildLogFilter({
+	urls = [],
+	excludes = [],
+	methods = [],
+	statuses = [],
+	errors = false,
+	since = null,
+	until = null,
+} = {}) {
+	const include = urls.map((value) => parseTextPattern(value, "--url"));
+	const exclude = excludes.map((value) => parseTextPattern(value, "--exclude"));
+	const filtersRequests = include.length || exclude.length || methods.length || statuses.length || errors;
+
+	return {
+		test(entry) {
+			if (since !== null || until !== null) {
+				const time = Date.parse(entry.ts);
+				if (!Number.isFinite(time)) return false;
+				if (since !== null && time < since) return false;
+				if (until !== null && time > until) return false;
+			}
+			const kind = entryKind(entry);
+			if (kind === "error") return !filtersRequests;
+			const url = String(entry.url);
+			if (exclude.some((pattern) => pattern.test(url))) return false;
+			if (include.length && !include.some((pattern) => pattern.test(url))) return false;
+			const stream = kind === "websocket" || kind === "sse";
+			if (methods.length && !methods.includes(stream ? "GET" : String(entry.method).toUpperCase())) return false;
+			if (statuses.length && (stream || !statusInRanges(entry.status, statuses))) return false;
+			if (errors && !isErrorEntry(entry)) return false;
+			return true;
+		},
+	};
+}
+
+/**
+ * The endpoint an entry belongs to: its method, origin and path, without the query.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function endpointOf(entry) {
+	const kind = entryKind(entry);
+	const method = kind === "websocket" ? "WS" : kind === "sse" ? "SSE" : String(entry.method ?? "GET").toUpperCase();
+	let path;
+	try {
+		const url = new URL(entry.url);
+		path = `${url.origin}${url.pathname}`;
+	} catch {
+		path = String(entry.url).split(/[?#]/)[0];
+	}
+	return `${method} ${path}`;
+}
+
+/**
+ * Count entries per endpoint. Responses and failed requests count as requests, with
+ * failed ones and statuses of 400 and up as errors; WebSocket and SSE events are counted
+ * per endpoint as events.
+ * @returns {{
+ *   add: (entry: object) => void,
+ *   result: () => {
+ *     entries: number, requests: number, errors: number, streamEvents: number, recorderErrors: number,
+ *     first: string | null, last: string | null,
+ *     endpoints: Array<{
+ *       endpoint: string, requests: number, errors: number, failed: number, errorRate: number,
+ *       statuses: Record<string, number>, avgTtfb: number | null, streamEvents: number,
+ *     }>,
+ *   },
+ * }}
+ */
+export function createLogSummary() {
+	const endpoints = new Map();
+	const totals = { entries: 0, requests: 0, errors: 0, streamEvents: 0, recorderErrors: 0 };
+	let first = null;
+	let last = null;
+
+	return {
+		add(entry) {
+			totals.entries++;
+			if (typeof entry.ts === "string") {
+				if (first === null || entry.ts < first) first = entry.ts;
+				if (last === null || entry.ts > last) last = entry.ts;
+			}
+			const kind = entryKind(entry);
+			if (kind === "error") {
+				totals.recorderErrors++;
+				return;
+			}
+			const key = endpointOf(entry);
+			let stats = endpoints.get(key);
+			if (!stats) {
+				stats = {
+					endpoint: key,
+					requests: 0,
+					errors: 0,
+					failed: 0,
+					statuses: {},
+					ttfbSum: 0,
+					ttfbCount: 0,
+					streamEvents: 0,
+				};
+				endpoints.set(key, stats);
+			}
+			if (kind === "websocket" || kind === "sse") {
+				stats.streamEvents++;
+				totals.streamEvents++;
+				return;
+			}
+			stats.requests++;
+			totals.requests++;
+			const status = kind === "failed" ? "failed" : String(entry.status);
+			stats.statuses[status] = (stats.statuses[status] ?? 0) + 1;
+			if (kind === "failed") stats.failed++;
+			if (isErrorEntry(entry)) {
+				stats.errors++;
+				totals.errors++;
+			}
+			const ttfb = entry.timing?.ttfb;
+			if (typeof ttfb === "number" && ttfb >= 0) {
+				stats.ttfbSum += ttfb;
+				stats.ttfbCount++;
+			}
+		},
+		result() {
+			const list = [...endpoints.values()]
+				.map(({ ttfbSum, ttfbCount, ...stats }) => ({
+					...stats,
+					errorRate: stats.requests ? stats.errors / stats.requests : 0,
+					avgTtfb: ttfbCount ? Math.round(ttfbSum / ttfbCount) : null,
+				}))
+				.sort(
+					(a, b) =>
+						b.requests - a.requests || b.streamEvents - a.streamEvents || a.endpoint.localeCompare(b.endpoint)
+				);
+			return { ...totals, first, last, endpoints: list };
+		},
+	};
+}
+
+const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+/**
+ * Lay out a summary from `createLogSummary()` as a text table.
+ * @param {ReturnType<ReturnType<typeof createLogSummary>["result"]>} summary
+ * @returns {string}
+ */
+export function formatSummary(summary) {
+	const rows = summary.endpoints.map((stats) => [
+		String(stats.requests || ""),
+		stats.requests ? String(stats.errors) : "",
+		stats.requests ? percent(stats.errorRate) : "",
+		stats.avgTtfb === null ? "" : `${stats.avgTtfb}ms`,
+		stats.streamEvents ? String(stats.streamEvents) : "",
+		Object.entries(stats.statuses)
+			.map(([status, count]) => `${status}:${count}`)
+			.join(" "),
+		stats.endpoint,
+	]);
+	const header = ["requests", "errors", "rate", "ttfb", "events", "statuses", "endpoint"];
+	const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+	// Numbers are right-aligned; the last two columns are text.
+	const line = (cells) =>
+		cells
+			.map((cell, column) =>
+				column === cells.length - 1 ? cell : column < 5 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])
+			)
+			.join("  ");
+
+	const range = summary.first ? ` from ${summary.first} to ${summary.last}` : "";
+	const rate = summary.requests ? ` (${percent(summary.errors / summary.requests)})` : "";
+	const lines = [
+		`${summary.entries} entries${range}: ${summary.requests} requests, ${summary.errors} errors${rate}, ` +
+			`${summary.streamEvents} WebSocket/SSE events`,
+	];
+	if (summary.recorderErrors) lines.push(`${summary.recorderErrors} recorder errors`);
+	if (rows.length) lines.push("", line(header), ...rows.map(line));
+	return lines.join("\n");
+}
+
+/**
+ * One line describing an entry, for listings.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatEntryLine(entry) {
+	const ts = String(entry.ts ?? "-");
+	switch (entryKind(entry)) {
+		case "websocket":
+		case "sse": {
+			const size = typeof entry.size === "number" ? ` ${entry.size}B` : "";
+			return `${ts}  ${entry.type === "sse" ? "SSE" : "WS"} ${entry.event}${size}  ${entry.url}  [${entry.id}]`;
+		}
+		case "failed":
+			return `${ts}  ${entry.method} ${entry.url}  failed: ${entry.errorText ?? "request failed"}`;
+		case "error":
+			return `${ts}  recorder error: ${entry.error ?? "unknown"}`;
+		default: {
+			const ttfb = typeof entry.timing?.ttfb === "number" && entry.timing.ttfb >= 0 ? `  ${entry.timing.ttfb}ms` : "";
+			return `${ts}  ${entry.method} ${entry.url}  ${entry.status}${ttfb}`;
+		}
+	}
+}
+
+// A recorded body as readable text: JSON indented, binary and stored bodies described.
+function formatBody(entry, body, encoding) {
+	if (entry.bodyFile) return `(stored in ${entry.bodyFile}, ${entry.bodyHash ?? "no hash"})`;
+	if (typeof body !== "string") return entry.bodyError ? `(unavailable: ${entry.bodyError})` : null;
+	if (encoding === "base64") return `(binary, ${Buffer.from(body, "base64").length} bytes of base64)`;
+	let text = body;
+	try {
+		text = JSON.stringify(JSON.parse(body), null, 2);
+	} catch {
+		// not JSON (or cut short): as recorded
+	}
+	return entry.bodyTruncated ? `${text}\n(truncated by --record-max-bytes)` : text;
+}
+
+function formatHeaders(title, headers) {
+	const names = Object.keys(headers ?? {});
+	if (!names.length) return [];
+	const lines = [`${title}:`];
+	for (const name of names) {
+		for (const value of String(headers[name]).split("\n")) lines.push(`  ${name}: ${value}`);
+	}
+	return lines;
+}
+
+/**
+ * An entry pretty-printed for reading: the request and response line, details,
+ * headers and bodies (JSON indented).
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatEntry(entry) {
+	const kind = entryKind(entry);
+	if (kind !== "response" && kind !== "failed") return JSON.stringify(entry, null, 2);
+
+	const status = kind === "failed" ? `failed: ${entry.errorText ?? "request failed"}` : entry.status;
+	const lines = [`${entry.method} ${entry.url}`, `-> ${status}${entry.statusText ? ` ${entry.statusText}` : ""}`, ""];
+	const details = [
+		["time", entry.ts],
+		["resource type", entry.resourceType],
+		["content type", entry.contentType],
+	];
+	const timing = entry.timing;
+	if (timing) {
+		const phases = TIMING_PHASES.filter((phase) => timing[phase] >= 0).map((phase) => `${phase} ${timing[phase]}ms`);
+		details.push(["ttfb", timing.ttfb >= 0 ? `${timing.ttfb}ms` : null], ["timing", phases.join(", ")]);
+	}
+	if (entry.sizes) details.push(["size", `${entry.sizes.transferred} transferred, ${entry.sizes.decoded} decoded`]);
+	for (const [name, value] of details) {
+		if (value) lines.push(`${name}: ${value}`);
+	}
+	for (const hop of entry.redirectChain ?? []) lines.push(`redirected from: ${hop.status} ${hop.url}`);
+
+	for (const [title, headers] of [
+		["Request headers", entry.requestHeaders],
+		["Response headers", entry.responseHeaders],
+	]) {
+		const block = formatHeaders(title, headers);
+		if (block.length) lines.push("", ...block);
+	}
+	if (typeof entry.requestPostData === "string") {
+		lines.push("", "Request body:", formatBody({}, entry.requestPostData, null));
+	}
+	const body = formatBody(entry, entry.body, entry.encoding);
+	if (body !== null) lines.push("", "Response body:", body);
+	return lines.join("\n");
+}
+
+/**
+ * Turn an NDJSON response entry back into the exchange `toHarEntry()` takes. Entries
+ * from before timings and sizes were recorded get unknown (-1) values, except for the
+ * phases HAR requires (`send`, `wait` and `receive`), which get 0.
+ * @param {object} entry
+ * @returns {object}
+ */
+export function toExchange(entry) {
+	const { start, ttfb = -1, end, ...phases } = entry.timing ?? {};
+	const startedAt = Date.parse(start ?? entry.ts) || 0;
+	const timing = { startedAt, ttfb, endedAt: Date.parse(end ?? entry.ts) || startedAt };
+	for (const phase of TIMING_PHASES) {
+		const required = phase === "send" || phase === "wait" || phase === "receive";
+		timing[phase] = typeof phases[phase] === "number" ? phases[phase] : required ? 0 : -1;
+	}
+	return {
+		...entry,
+		statusText: entry.statusText ?? "",
+		requestHeaders: entry.requestHeaders ?? {},
+		responseHeaders: entry.responseHeaders ?? (entry.contentType ? { "content-type": entry.contentType } : {}),
+		timing,
+		sizes: entry.sizes ?? { transferred: -1, decoded: -1 },
+		resourceType: entry.resourceType ?? "other",
+		errorText: entry.errorText ?? null,
+	};
+}
+
+/**
+ * Write `text` to a stream, waiting for `drain` when its buffer is full, so a listing
+ * or export of a large log goes at the pace of the reader instead of piling up in memory.
+ * @param {import("node:stream").Writable} stream
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function writeText(stream, text) {
+	if (!stream.write(text)) await once(stream, "drain");
+}
+
+/**
+ * Open a file (replacing it) to export entries to. NDJSON gets the entries as they
+ * are. HAR gets one entry per response or failed request and one per WebSocket or SSE
+ * stream, written when its `close` event arrives, every 1000 messages and on `close()`;
+ * the recorder's own error lines are left out.
+ * @param {string} path
+ * @param {{ format?: "ndjson" | "har", creator: { name: string, version: string } }} options
+ * @returns {{ write: (entry: object) => Promise<void>, close: () => Promise<void> }}
+ */
+export function createLogExporter(path, { format = "ndjson", creator }) {
+	if (format === "ndjson") {
+		const stream = createWriteStream(path);
+		let failure = null;
+		stream.on("error", (err) => {
+			failure = err;
+		});
+		return {
+			async write(entry) {
+				if (!failure) await writeText(stream, `${JSON.stringify(entry)}\n`);
+			},
+			close() {
+				return new Promise((resolve, reject) => {
+					stream.end(() => (failure ? reject(failure) : resolve()));
+				});
+			},
+		};
+	}
+
+	rmSync(path, { force: true });
+	const writer = createHarWriter(path, { creator });
+	const streams = createHarStreamAggregator((entry) => writer.write(entry));
+	return {
+		async write(entry) {
+			const kind = entryKind(entry);
+			if (kind === "response" || kind === "failed") {
+				writer.write(toHarEntry(toExchange(entry)));
+				return;
+			}
+			if (kind !== "error") streams.add(entry, Date.parse(entry.ts) || 0);
+		},
+		async close() {
+			streams.flush();
+			writer.close();
+		},
+	};
+}
@@ -0,0 +1,177 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4).
+ * Just enough for counters, gauges and histograms with labels; no client library needed.
+ */
+
+/** Content-Type for the text exposition format. */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Default navigation duration buckets, in seconds. */
+export const NAVIGATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (!entries.length) return "";
+	return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+	if (value === Infinity) return "+Inf";
+	if (value === -Infinity) return "-Inf";
+	if (Number.isNaN(value)) return "NaN";
+	return String(value);
+}
+
+function labelKey(labels) {
+	return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Create a metrics registry.
+ * @returns {{
+ *   counter: (name: string, help: string) => { inc: (labels?: object, n?: number) => void, get: (labels?: object) => number },
+ *   gauge: (name: string, help: string) => { set: (labels: object, v: number) => void, inc: (labels?: object, n?: number) => void, get: (labels?: object) => number },
+ *   histogram: (name: string, help: string, buckets?: number[]) => { observe: (labels: object, v: number) => void },
+ *   render: () => string,
+ * }}
+ */
+export function createMetricsRegistry() {
+	const metrics = [];
+
+	const simple = (type, name, help) => {
+		const series = new Map();
+		const metric = {
+			render() {
+				const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+				for (const { labels, value } of series.values()) {
+					lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+				}
+				return lines.join("\n");
+			},
+		};
+		metrics.push(metric);
+
+		const entry = (labels) => {
+			const key = labelKey(labels);
+			if (!series.has(key)) series.set(key, { labels: { ...labels }, value: 0 });
+			return series.get(key);
+		};
+		return {
+			inc(labels = {}, n = 1) {
+				entry(labels).value += n;
+			},
+			set(labels, value) {
+				entry(labels ?? {}).value = value;
+			},
+			get(labels = {}) {
+				return series.get(labelKey(labels))?.value ?? 0;
+			},
+		};
+	};
+
+	return {
+		counter(name, help) {
+			const { inc, get } = simple("counter", name, help);
+			return { inc, get };
+		},
+		gauge(name, help) {
+			return simple("gauge", name, help);
+		},
+		histogram(name, help, buckets = NAVIGATION_BUCKETS) {
+			const bounds = [...buckets].sort((a, b) => a - b);
+			const series = new Map();
+			metrics.push({
+				render() {
+					const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+					for (const { labels, counts, sum, count } of series.values()) {
+						bounds.forEach((le, i) => {
+							lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+						});
+						lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+						lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+						lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+					}
+					return lines.join("\n");
+				},
+			});
+			return {
+				observe(labels, value) {
+					const key = labelKey(labels ?? {});
+					if (!series.has(key)) {
+						series.set(key, { labels: { ...labels }, counts: bounds.map(() => 0), sum: 0, count: 0 });
+					}
+					const s = series.get(key);
+					bounds.forEach((le, i) => {
+						if (value <= le) s.counts[i]++;
+					});
+					s.sum += value;
+					s.count++;
+				},
+			};
+		},
+		render() {
+			return `${metrics.map((metric) => metric.render()).join("\n")}\n`;
+		},
+	};
+}
+
+/**
+ * Create the registry and metrics browser-keepalive reports.
+ * Per-tab metrics are labelled with `tab` (1-based) and `url`; heartbeat metrics with
+ * `heartbeat` (1-based) and `url`.
+ */
+export function createKeepaliveMetrics() {
+	const registry = createMetricsRegistry();
+	const metrics = {
+		registry,
+		refreshAttempts: registry.counter("keepalive_refresh_attempts_total", "Page loads and refreshes attempted."),
+		refreshFailures: registry.counter("keepalive_refresh_failures_total", "Page loads and refreshes that failed."),
+		consecutiveFailures: registry.gauge(
+			"keepalive_consecutive_failures",
+			"Refresh failures in a row since the last success."
+		),
+		lastSuccess: registry.gauge(
+			"keepalive_last_success_timestamp_seconds",
+			"Unix time of the last successful refresh."
+		),
+		navigationDuration: registry.histogram(
+			"keepalive_navigation_duration_seconds",
+			"Time taken by page loads and refreshes."
+		),
+		idleWait: registry.counter(
+			"keepalive_idle_wait_seconds_total",
+			"Time spent waiting for the page to go idle (--only-if-idle)."
+		),
+		recorderWritten: registry.counter(
+			"keepalive_recorder_entries_written_total",
+			"Network log entries written."
+		),
+		recorderDropped: registry.counter(
+			"keepalive_recorder_entries_dropped_total",
+			"Network log entries that could not be written."
+		),
+		browserRelaunches: registry.counter("keepalive_browser_relaunches_total", "Times the browser was relaunched."),
+		heartbeatRequests: registry.counter("keepalive_heartbeat_requests_total", "Heartbeat requests sent."),
+		heartbeatFailures: registry.counter(
+			"keepalive_heartbeat_failures_total",
+			"Heartbeat requests that failed or got an unexpected status."
+		),
+		heartbeatConsecutiveFailures: registry.gauge(
+			"keepalive_heartbeat_consecutive_failures",
+			"Heartbeat failures in a row since the last success."
+		),
+		heartbeatLastSuccess: registry.gauge(
+			"keepalive_heartbeat_last_success_timestamp_seconds",
+			"Unix time of the last successful heartbeat."
+		),
+	};
+	// Unlabelled counters are exported from the start, so they read 0 instead of missing.
+	metrics.recorderWritten.inc({}, 0);
+	metrics.recorderDropped.inc({}, 0);
+	metrics.browserRelaunches.inc({}, 0);
+	return metrics;
+}
@@ -0,0 +1,973 @@
+/**
+ * Network recorder: writes the responses a page receives, and the requests that fail,
+ * to a log file, either as NDJSON (one entry per line) or as a HAR 1.2 archive that
+ * DevTools and other HAR viewers can open.
+ */
+
+import {
+	closeSync,
+	createWriteStream,
+	existsSync,
+	fstatSync,
+	mkdirSync,
+	openSync,
+	readSync,
+	renameSync,
+	statSync,
+	writeSync,
+} from "node:fs";
+import { dirname } from "node:path";
+
+import { createBodyStore, encodeBody, isTextContentType, truncateUtf8 } from "./bodies.js";
+import { archivePath, gzipFile, pruneLogFiles, renderPathTemplate } from "./rotation.js";
+import { watchStreams } from "./streams.js";
+
+/** Network log formats. */
+export const RECORD_FORMATS = ["ndjson", "har"];
+
+/**
+ * Validate a `--record-format`.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"ndjson" | "har"}
+ */
+export function validateRecordFormat(value, label = "--record-format") {
+	const format = String(value ?? "").trim().toLowerCase();
+	if (!RECORD_FORMATS.includes(format)) {
+		throw new Error(`${label} must be one of ${RECORD_FORMATS.join(", ")}`);
+	}
+	return format;
+}
+
+function getHeader(headers, name) {
+	if (!headers) return "";
+	const key = name.toLowerCase();
+	return headers[key] ?? headers[name] ?? "";
+}
+
+// Both engines expose most request/response details as methods, some as properties.
+function read(target, key) {
+	if (!target) return undefined;
+	return typeof target[key] === "function" ? target[key]() : target[key];
+}
+
+// Raw body bytes: Playwright has `body()`, Puppeteer `content()` (or `buffer()` before v23).
+async function readBody(response) {
+	for (const key of ["body", "content", "buffer"]) {
+		if (typeof response[key] === "function") return Buffer.from(await response[key]());
+	}
+	const text = await response.text();
+	return Buffer.from(typeof text === "string" ? text : text ? String(text) : "");
+}
+
+// Playwright's `allHeaders()` includes the cookie and security headers `headers()` leaves
+// out; Puppeteer only has `headers()`. Names are lowercased either way.
+async function readHeaders(target) {
+	let headers;
+	try {
+		headers = typeof target?.allHeaders === "function" ? await target.allHeaders() : read(target, "headers");
+	} catch {
+		headers = read(target, "headers");
+	}
+	const out = {};
+	for (const [name, value] of Object.entries(headers ?? {})) {
+		out[name.toLowerCase()] = value;
+	}
+	return out;
+}
+
+// Playwright links each request to the one it was redirected from; Puppeteer lists them all.
+async function readRedirectChain(request) {
+	let requests = [];
+	if (typeof request?.redirectChain === "function") {
+		requests = [...request.redirectChain()];
+	} else if (typeof request?.redirectedFrom === "function") {
+		for (let from = request.redirectedFrom(); from; from = from.redirectedFrom()) {
+			requests.unshift(from);
+		}
+	}
+	const chain = [];
+	for (const hop of requests) {
+		let response = null;
+		try {
+			response = (await read(hop, "response")) ?? null;
+		} catch {
+			response = null;
+		}
+		chain.push({ url: String(read(hop, "url")), status: response ? read(response, "status") : 0 });
+	}
+	return chain;
+}
+
+/**
+ * Turn an engine's raw timing into HAR-style phase durations in milliseconds
+ * (-1 where the engine doesn't know). Playwright's `request.timing()` is relative to
+ * an epoch `startTime`; Puppeteer's `response.timing()` (CDP ResourceTiming) is relative
+ * to a monotonic `requestTime`, so its start is derived from when the response arrived.
+ * The receive phase falls back to the time between the response and the end of its body.
+ * `ttfb` is the time from the start until the response headers arrived (-1 if unknown)
+ * and `endedAt` when the body was complete.
+ * @param {object | null} raw
+ * @param {{ receivedAt: number, finishedAt: number }} clock epoch ms of the response event and body end
+ * @returns {{
+ *   startedAt: number, ttfb: number, endedAt: number,
+ *   blocked: number, dns: number, connect: number, ssl: number, send: number, wait: number, receive: number,
+ * }}
+ */
+export function normalizeTiming(raw, { receivedAt, finishedAt }) {
+	const span = (from, to) => (from >= 0 && to >= from ? to - from : -1);
+	const first = (...values) => values.find((value) => value >= 0) ?? -1;
+	const measured = Math.max(0, finishedAt - receivedAt);
+
+	if (raw && typeof raw.startTime === "number" && raw.startTime > 0) {
+		const receive = span(raw.responseStart, raw.responseEnd);
+		return {
+			startedAt: raw.startTime,
+			ttfb: raw.responseStart >= 0 ? raw.responseStart : -1,
+			endedAt: raw.responseEnd >= 0 ? raw.startTime + raw.responseEnd : finishedAt,
+			blocked: first(raw.domainLookupStart, raw.connectStart, raw.requestStart),
+			dns: span(raw.domainLookupStart, raw.domainLookupEnd),
+			connect: span(raw.connectStart, raw.connectEnd),
+			ssl: span(raw.secureConnectionStart, raw.connectEnd),
+			send: 0,
+			wait: Math.max(0, span(raw.requestStart, raw.responseStart)),
+			receive: receive >= 0 ? receive : measured,
+		};
+	}
+	if (raw && typeof raw.requestTime === "number") {
+		const headersAt = Math.max(0, raw.receiveHeadersEnd ?? 0);
+		return {
+			startedAt: receivedAt - headersAt,
+			ttfb: headersAt,
+			endedAt: finishedAt,
+			blocked: first(raw.dnsStart, raw.connectStart, raw.sendStart),
+			dns: span(raw.dnsStart, raw.dnsEnd),
+			connect: span(raw.connectStart, raw.connectEnd),
+			ssl: span(raw.sslStart, raw.sslEnd),
+			send: Math.max(0, span(raw.sendStart, raw.sendEnd)),
+			wait: Math.max(0, span(raw.sendEnd, raw.receiveHeadersEnd)),
+			receive: measured,
+		};
+	}
+	return {
+		startedAt: receivedAt,
+		ttfb: -1,
+		endedAt: finishedAt,
+		blocked: -1,
+		dns: -1,
+		connect: -1,
+		ssl: -1,
+		send: 0,
+		wait: 0,
+		receive: measured,
+	};
+}
+
+/**
+ * Body sizes in bytes (-1 if unknown): `transferred` as sent over the network (after
+ * content encoding, without headers) and `decoded` after decompression. Playwright
+ * reports the transferred size from `request.sizes()`; for Puppeteer it comes from the
+ * `content-length` header. Without a content encoding either size gives the other.
+ * @param {{ responseBodySize?: number } | null} raw Playwright's `request.sizes()`
+ * @param {{ headers: Record<string, string>, decoded?: number }} response
+ * @returns {{ transferred: number, decoded: number }}
+ */
+export function normalizeSizes(raw, { headers, decoded = -1 }) {
+	let transferred = raw && raw.responseBodySize >= 0 ? raw.responseBodySize : -1;
+	const length = Number.parseInt(getHeader(headers, "content-length"), 10);
+	if (transferred < 0 && length >= 0) transferred = length;
+	const encoding = String(getHeader(headers, "content-encoding") ?? "").toLowerCase();
+	if (!encoding || encoding === "identity") {
+		if (transferred < 0) transferred = decoded;
+		if (decoded < 0) decoded = transferred;
+	}
+	return { transferred, decoded };
+}
+
+/**
+ * The facts about a response that are known before its body is read, for filtering.
+ * @param {object} response a Playwright or Puppeteer response
+ * @returns {{ url: string, method: string, status: number, resourceType: string, contentType: string }}
+ */
+export function summarizeResponse(response) {
+	const request = read(response, "request") ?? null;
+	return {
+		url: String(read(response, "url")),
+		method: read(request, "method") ?? "GET",
+		status: read(response, "status"),
+		resourceType: read(request, "resourceType") ?? "",
+		contentType: String(getHeader(read(response, "headers"), "content-type") ?? ""),
+	};
+}
+
+// What both kinds of exchange know about the request.
+async function captureRequest(request, maxBytes) {
+	let requestPostData = null;
+	try {
+		requestPostData = read(request, "postData") ?? null;
+	} catch {
+		requestPostData = null;
+	}
+	if (typeof requestPostData === "string" && maxBytes && Buffer.byteLength(requestPostData) > maxBytes) {
+		requestPostData = truncateUtf8(Buffer.from(requestPostData), maxBytes).toString("utf8");
+	}
+	return {
+		method: read(request, "method") ?? "GET",
+		resourceType: read(request, "resourceType") ?? "",
+		requestHeaders: await readHeaders(request),
+		requestPostData,
+		redirectChain: await readRedirectChain(request),
+	};
+}
+
+/**
+ * Read what the recorder needs from a Playwright or Puppeteer response. Bodies are
+ * only read when `recordBody` is set and `bodyPolicy` (by default: text-like types only)
+ * allows the content type. They're cut to `maxBytes` (as is the request's post data);
+ * binary bodies are base64-encoded, with `encoding: "base64"`.
+ * @param {object} response
+ * @param {{
+ *   recordBody?: boolean,
+ *   bodyPolicy?: { test: (contentType: string) => boolean } | null,
+ *   maxBytes?: number,
+ *   now?: () => number,
+ * }} [options]
+ * @returns {Promise<object>} the captured exchange
+ */
+export async function captureResponse(
+	response,
+	{ recordBody = true, bodyPolicy = null, maxBytes = 1000000, now = Date.now } = {}
+) {
+	const receivedAt = now();
+	const request = read(response, "request") ?? null;
+	const responseHeaders = await readHeaders(response);
+	const contentType = String(getHeader(responseHeaders, "content-type") ?? "");
+
+	let body = null;
+	let encoding = null;
+	let bodyTruncated = false;
+	let bodyError = null;
+	let decoded = -1;
+	// An event stream's body only ends with the stream; its messages are recorded as they come.
+	const streaming = contentType.toLowerCase().startsWith("text/event-stream");
+	if (recordBody && !streaming && (bodyPolicy ? bodyPolicy.test(contentType) : isTextContentType(contentType))) {
+		try {
+			const buffer = await readBody(response);
+			decoded = buffer.length;
+			({ body, encoding, truncated: bodyTruncated } = encodeBody(buffer, contentType, maxBytes));
+		} catch (err) {
+			bodyError = err?.message ?? String(err ?? "");
+		}
+	}
+
+	let timing = null;
+	try {
+		timing = read(request, "timing") ?? read(response, "timing") ?? null;
+	} catch {
+		timing = null;
+	}
+	const finishedAt = now();
+
+	let sizes = null;
+	try {
+		sizes = typeof request?.sizes === "function" ? await request.sizes() : null;
+	} catch {
+		sizes = null;
+	}
+
+	const { method, resourceType, requestHeaders, requestPostData, redirectChain } = await captureRequest(
+		request,
+		maxBytes
+	);
+	return {
+		url: String(read(response, "url")),
+		method,
+		status: read(response, "status"),
+		statusText: read(response, "statusText") ?? "",
+		resourceType,
+		requestHeaders,
+		responseHeaders,
+		contentType,
+		body,
+		encoding,
+		bodyTruncated,
+		bodyError,
+		bodyFile: null,
+		bodyHash: null,
+		requestPostData,
+		timing: normalizeTiming(timing, { receivedAt, finishedAt }),
+		sizes: normalizeSizes(sizes, { headers: responseHeaders, decoded }),
+		redirectChain,
+		errorText: null,
+	};
+}
+
+/**
+ * Read a request that failed (`requestfailed`) into an exchange with status 0 and the
+ * engine's `errorText`, e.g. `net::ERR_NAME_NOT_RESOLVED`.
+ * @param {object} request a Playwright or Puppeteer request
+ * @param {{ maxBytes?: number, now?: () => number }} [options]
+ * @returns {Promise<object>} the captured exchange
+ */
+export async function captureFailure(request, { maxBytes = 1000000, now = Date.now } = {}) {
+	const failedAt = now();
+	let failure = null;
+	try {
+		failure = read(request, "failure") ?? null;
+	} catch {
+		failure = null;
+	}
+	let timing = null;
+	try {
+		timing = read(request, "timing") ?? null;
+	} catch {
+		timing = null;
+	}
+	return {
+		url: String(read(request, "url")),
+		...(await captureRequest(request, maxBytes)),
+		status: 0,
+		statusText: "",
+		responseHeaders: {},
+		contentType: "",
+		body: null,
+		encoding: null,
+		bodyTruncated: false,
+		bodyError: null,
+		bodyFile: null,
+		bodyHash: null,
+		timing: normalizeTiming(timing, { receivedAt: failedAt, finishedAt: failedAt }),
+		sizes: { transferred: -1, decoded: -1 },
+		errorText: failure?.errorText || "request failed",
+	};
+}
+
+/**
+ * The NDJSON shape of a captured exchange.
+ * @param {object} exchange from `captureResponse()`
+ * @param {{ now?: () => number }} [options]
+ * @returns {object}
+ */
+export function toNdjsonEntry(exchange, { now = Date.now } = {}) {
+	const { url, method, status, contentType, body, bodyTruncated, bodyError, requestPostData } = exchange;
+	const { startedAt, ttfb, endedAt, ...phases } = exchange.timing;
+	return {
+		ts: new Date(now()).toISOString(),
+		url,
+		method,
+		status,
+		contentType,
+		body,
+		bodyTruncated,
+		bodyError,
+		requestPostData,
+		encoding: exchange.encoding,
+		bodyFile: exchange.bodyFile,
+		bodyHash: exchange.bodyHash,
+		statusText: exchange.statusText,
+		resourceType: exchange.resourceType,
+		requestHeaders: exchange.requestHeaders,
+		responseHeaders: exchange.responseHeaders,
+		timing: { start: new Date(startedAt).toISOString(), ttfb, end: new Date(endedAt).toISOString(), ...phases },
+		sizes: exchange.sizes,
+		redirectChain: exchange.redirectChain,
+		errorText: exchange.errorText,
+	};
+}
+
+// HAR wants a list of name/value pairs; engines join repeated headers with newlines.
+function toHarHeaders(headers) {
+	const list = [];
+	for (const [name, value] of Object.entries(headers ?? {})) {
+		for (const line of String(value).split("\n")) {
+			list.push({ name, value: line });
+		}
+	}
+	return list;
+}
+
+function toHarQueryString(url) {
+	try {
+		return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * The HAR 1.2 entry of a captured exchange.
+ * @param {object} exchange from `captureResponse()`
+ * @returns {object}
+ */
+export function toHarEntry(exchange) {
+	const { url, method, status, statusText, requestHeaders, responseHeaders, contentType, body, requestPostData } =
+		exchange;
+	const { startedAt, ttfb, endedAt, ...timings } = exchange.timing;
+	const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+		.map((phase) => timings[phase])
+		.filter((ms) => ms > 0)
+		.reduce((sum, ms) => sum + ms, 0);
+
+	const request = {
+		method,
+		url,
+		httpVersion: "",
+		cookies: [],
+		headers: toHarHeaders(requestHeaders),
+		queryString: toHarQueryString(url),
+		headersSize: -1,
+		bodySize: typeof requestPostData === "string" ? Buffer.byteLength(requestPostData) : 0,
+	};
+	if (typeof requestPostData === "string") {
+		request.postData = { mimeType: String(getHeader(requestHeaders, "content-type") ?? ""), text: requestPostData };
+	}
+
+	const { transferred, decoded } = exchange.sizes;
+	const content = { size: decoded, mimeType: contentType || "x-unknown" };
+	if (typeof body === "string") content.text = body;
+	if (typeof body === "string" && exchange.encoding) content.encoding = exchange.encoding;
+	// Custom fields pointing at a body stored by --record-body-dir.
+	if (exchange.bodyFile) {
+		content._file = exchange.bodyFile;
+		content._hash = exchange.bodyHash;
+	}
+	const notes = [];
+	if (exchange.bodyTruncated) notes.push("body truncated by --record-max-bytes");
+	if (exchange.bodyError) notes.push(`body unavailable: ${exchange.bodyError}`);
+	if (notes.length) content.comment = notes.join("; ");
+
+	const response = {
+		status,
+		statusText,
+		httpVersion: "",
+		cookies: [],
+		headers: toHarHeaders(responseHeaders),
+		content,
+		redirectURL: String(getHeader(responseHeaders, "location") ?? ""),
+		headersSize: -1,
+		bodySize: transferred,
+	};
+	// The same custom fields DevTools uses for failed requests and resource types.
+	if (exchange.errorText) response._error = exchange.errorText;
+
+	return {
+		startedDateTime: new Date(startedAt).toISOString(),
+		time,
+		request,
+		response,
+		cache: {},
+		timings,
+		_resourceType: exchange.resourceType,
+	};
+}
+
+/**
+ * The NDJSON shape of a WebSocket or SSE event from `watchStreams()`.
+ * @param {object} event
+ * @param {{ now?: () => number }} [options]
+ * @returns {object}
+ */
+export function toStreamNdjsonEntry(event, { now = Date.now } = {}) {
+	const { type, id, event: name, url, ...details } = event;
+	return { ts: new Date(now()).toISOString(), type, id, event: name, url, ...details };
+}
+
+/**
+ * The HAR 1.2 entry of a WebSocket or SSE stream, with its messages in the custom
+ * `_webSocketMessages` field DevTools uses (or `_eventSourceMessages` for SSE).
+ * @param {{
+ *   type: "websocket" | "sse",
+ *   url: string,
+ *   startedAt: number,
+ *   messages: object[],
+ *   errorText?: string | null,
+ * }} stream
+ * @returns {object}
+ */
+export function toStreamHarEntry({ type, url, startedAt, messages, errorText = null }) {
+	const websocket = type === "websocket";
+	const response = {
+		status: websocket ? 101 : 200,
+		statusText: "",
+		httpVersion: "",
+		cookies: [],
+		headers: [],
+		content: { size: -1, mimeType: websocket ? "x-unknown" : "text/event-stream" },
+		redirectURL: "",
+		headersSize: -1,
+		bodySize: -1,
+	};
+	if (errorText) response._error = errorText;
+	return {
+		startedDateTime: new Date(startedAt).toISOString(),
+		time: 0,
+		request: {
+			method: "GET",
+			url,
+			httpVersion: "",
+			cookies: [],
+			headers: [],
+			queryString: toHarQueryString(url),
+			headersSize: -1,
+			bodySize: 0,
+		},
+		response,
+		cache: {},
+		timings: { send: 0, wait: 0, receive: 0 },
+		_resourceType: websocket ? "websocket" : "eventsource",
+		[websocket ? "_webSocketMessages" : "_eventSourceMessages"]: messages,
+	};
+}
+
+// Messages a HAR stream entry holds before it's written and a new one started.
+const HAR_STREAM_BATCH = 1000;
+
+/**
+ * Group WebSocket and SSE events (NDJSON stream entries or `watchStreams()` events) into
+ * HAR entries, one per stream. A stream's entry is written when its `close` event
+ * arrives and every `HAR_STREAM_BATCH` messages, a new entry continuing from there;
+ * `flush()` writes the streams still open.
+ * @param {(entry: object) => void} write
+ * @returns {{ add: (event: object, at: number) => void, flush: () => void }} `at` is the
+ *   event's time in ms since the epoch
+ */
+export function createHarStreamAggregator(write) {
+	const open = new Map();
+	const flushStream = (stream, at) => {
+		write(toStreamHarEntry(stream));
+		stream.written = true;
+		stream.messages = [];
+		stream.startedAt = at;
+	};
+
+	return {
+		add(event, at) {
+			let stream = open.get(event.id);
+			if (!stream) {
+				stream = { type: event.type, url: event.url, startedAt: at, messages: [], errorText: null, written: false };
+				open.set(event.id, stream);
+			}
+			const time = at / 1000;
+			if (event.event === "sent" || event.event === "received") {
+				const type = event.event === "sent" ? "send" : "receive";
+				stream.messages.push({ type, time, opcode: event.opcode, data: event.data });
+			} else if (event.event === "message") {
+				stream.messages.push({ time, eventName: event.eventName, eventId: event.eventId, data: event.data });
+			} else if (event.event === "error") {
+				stream.errorText = event.errorText;
+			}
+			if (event.event === "close") {
+				open.delete(event.id);
+				flushStream(stream, at);
+			} else if (stream.messages.length >= HAR_STREAM_BATCH) {
+				flushStream(stream, at);
+			}
+		},
+		flush() {
+			for (const stream of open.values()) {
+				if (stream.messages.length || !stream.written) write(toStreamHarEntry(stream));
+			}
+			open.clear();
+		},
+	};
+}
+
+/**
+ * Open an NDJSON file for appending entries, one JSON object per line.
+ * @param {string} path
+ * @param {{ onError?: (err: Error) => void }} [options]
+ * @returns {{ size: number, empty: boolean, write: (entry: object) => boolean, close: () => Promise<void> }}
+ */
+export function createNdjsonWriter(path, { onError = () => {} } = {}) {
+	// Opened synchronously so the file exists (and can be rotated) from the first entry on.
+	const fd = openSync(path, "a");
+	let size = fstatSync(fd).size;
+	const stream = createWriteStream(null, { fd });
+	stream.on("error", onError);
+	return {
+		get size() {
+			return size;
+		},
+		get empty() {
+			return size === 0;
+		},
+		write(entry) {
+			if (stream.destroyed || stream.writableEnded) return false;
+			const line = `${JSON.stringify(entry)}\n`;
+			stream.write(line);
+			size += Buffer.byteLength(line);
+			return true;
+		},
+		close() {
+			if (stream.writableEnded) return Promise.resolve();
+			return new Promise((resolve) => stream.end(resolve));
+		},
+	};
+}
+
+const HAR_FOOTER = "\n]}}\n";
+
+/**
+ * Open a HAR file for appending entries. The file is a complete HAR document after
+ * every write (each entry is written over the closing brackets, which follow it again),
+ * so it stays readable if the process dies without stopping the recorder. An existing
+ * HAR written this way is continued rather than replaced.
+ * @param {string} path
+ * @param {{ creator: { name: string, version: string } }} options
+ * @returns {{ size: number, empty: boolean, write: (entry: object) => boolean, close: () => void }}
+ */
+export function createHarWriter(path, { creator }) {
+	let offset;
+	let empty;
+	let fd;
+	const size = existsSync(path) ? statSync(path).size : 0;
+	if (size > 0) {
+		fd = openSync(path, "r+");
+		const tail = Buffer.alloc(Math.min(size, HAR_FOOTER.length + 1));
+		readSync(fd, tail, 0, tail.length, size - tail.length);
+		const text = tail.toString("utf-8");
+		if (!text.endsWith(HAR_FOOTER)) {
+			closeSync(fd);
+			throw new Error(`Can't append to '${path}': it isn't a HAR file written by --record-format har`);
+		}
+		offset = size - HAR_FOOTER.length;
+		empty = text.startsWith("[");
+	} else {
+		fd = openSync(path, "w");
+		const header = `{"log":{"version":"1.2","creator":${JSON.stringify(creator)},"pages":[],"entries":[`;
+		writeSync(fd, header + HAR_FOOTER, 0);
+		offset = Buffer.byteLength(header);
+		empty = true;
+	}
+
+	return {
+		get size() {
+			return offset + HAR_FOOTER.length;
+		},
+		get empty() {
+			return empty;
+		},
+		write(entry) {
+			if (fd === null) return false;
+			const chunk = `${empty ? "" : ","}\n${JSON.stringify(entry)}`;
+			writeSync(fd, chunk + HAR_FOOTER, offset);
+			offset += Buffer.byteLength(chunk);
+			empty = false;
+			return true;
+		},
+		close() {
+			if (fd === null) return;
+			closeSync(fd);
+			fd = null;
+		},
+	};
+}
+
+/**
+ * Write entries to the file a path template currently names, moving on to a new file
+ * when the rendered name changes (a new day for `net-%Y-%m-%d.ndjson`), when the file
+ * reaches `rotateBytes` or when it's older than `rotateIntervalMs`. A file rotated by
+ * size or age is renamed with a timestamp (see `archivePath()`) before its successor is
+ * opened, in the same synchronous step, so no entry is lost in between. Finished files
+ * are gzipped and pruned to `retain` in the background.
+ * @param {{
+ *   path: string,
+ *   open: (path: string) => { size: number, empty: boolean, write: (entry: object) => boolean, close: () => unknown },
+ *   rotateBytes?: number | null,
+ *   rotateIntervalMs?: number | null,
+ *   retain?: number | null,
+ *   gzip?: boolean,
+ *   timeZone?: string | null,
+ *   onRotate?: (finished: string) => void,
+ *   onError?: (err: Error) => void,
+ *   now?: () => number,
+ * }} options
+ * @returns {{ path: string, write: (entry: object) => boolean, close: () => Promise<void> }}
+ */
+export function createRotatingWriter({
+	path: template,
+	open,
+	rotateBytes = null,
+	rotateIntervalMs = null,
+	retain = null,
+	gzip = false,
+	timeZone = null,
+	onRotate = () => {},
+	onError = () => {},
+	now = Date.now,
+}) {
+	const openFile = (time) => {
+		const path = renderPathTemplate(template, time, timeZone);
+		try {
+			mkdirSync(dirname(path), { recursive: true });
+		} catch (err) {
+			throw new Error(`Failed to create network log dir '${dirname(path)}': ${err.message || err}`);
+		}
+		return { path, writer: open(path), openedAt: time };
+	};
+
+	let current = openFile(now());
+	let closed = false;
+	let background = Promise.resolve();
+
+	const finish = (file, { archive }) => {
+		let finished = file.path;
+		if (archive) {
+			finished = archivePath(file.path, now(), timeZone);
+			renameSync(file.path, finished);
+		}
+		const closing = file.writer.close();
+		onRotate(finished);
+		background = background
+			.then(async () => {
+				await closing;
+				if (gzip) await gzipFile(finished);
+				if (retain) pruneLogFiles(template, { retain, keep: [current.path] });
+			})
+			.catch(onError);
+	};
+
+	const rotateIfDue = (time) => {
+		const path = renderPathTemplate(template, time, timeZone);
+		if (path !== current.path) {
+			finish(current, { archive: false });
+			current = openFile(time);
+			return;
+		}
+		const full = rotateBytes && current.writer.size >= rotateBytes;
+		const old = rotateIntervalMs && time - current.openedAt >= rotateIntervalMs;
+		if (!full && !old) return;
+		if (current.writer.empty) {
+			current.openedAt = time;
+			return;
+		}
+		try {
+			finish(current, { archive: true });
+		} catch (err) {
+			// Couldn't rename it; keep writing to the same file and try again later.
+			onError(err);
+			current.openedAt = time;
+			return;
+		}
+		current = openFile(time);
+	};
+
+	return {
+		get path() {
+			return current.path;
+		},
+		write(entry) {
+			if (closed) return false;
+			rotateIfDue(now());
+			return current.writer.write(entry);
+		},
+		async close() {
+			if (closed) return;
+			closed = true;
+			await current.writer.close();
+			await background;
+		},
+	};
+}
+
+/**
+ * Record the responses and failed requests of `pages` (and pages attached later) to
+ * `path`, which may be a date template and is rotated as described for
+ * `createRotatingWriter()`. Failed requests are filtered with status 0. With a
+ * `redactor`, secrets are masked before anything is written; with a `bodyDir`, bodies
+ * over `bodyInlineBytes` are then stored there (see `createBodyStore()`).
+ *
+ * With `streams`, WebSocket and SSE events are recorded too, their payloads cut to
+ * `messageMaxBytes`, and filtered like a `GET` with status 101 (resource type
+ * `websocket`) or 200 (`eventsource`). NDJSON gets an entry per event; HAR an entry per
+ * stream, written when it closes, every `HAR_STREAM_BATCH` messages and on `stop()`.
+ * @param {Array<{ on: function, off: function }>} pages
+ * @param {{
+ *   path: string,
+ *   format?: "ndjson" | "har",
+ *   rotateBytes?: number | null,
+ *   rotateIntervalMs?: number | null,
+ *   retain?: number | null,
+ *   gzip?: boolean,
+ *   timeZone?: string | null,
+ *   onRotate?: (finished: string) => void,
+ *   filter?: { test: (response: object) => boolean } | null,
+ *   recordBody?: boolean,
+ *   bodyPolicy?: { test: (contentType: string) => boolean } | null,
+ *   maxBytes?: number,
+ *   bodyDir?: string | null,
+ *   bodyInlineBytes?: number,
+ *   streams?: boolean,
+ *   messageMaxBytes?: number | null,
+ *   redactor?: { redactExchange: (exchange: object) => object } | null,
+ *   creator?: { name: string, version: string },
+ *   onWritten?: () => void,
+ *   onDropped?: () => void,
+ *   onError?: (err: Error) => void,
+ *   now?: () => number,
+ * }} options
+ * @returns {{ attach: (page: object) => void, stop: () => Promise<void> }}
+ */
+export function startNetworkRecorder(
+	pages,
+	{
+		path,
+		format = "ndjson",
+		filter = null,
+		recordBody = true,
+		bodyPolicy = null,
+		maxBytes = 1000000,
+		bodyDir = null,
+		bodyInlineBytes = 65536,
+		streams = false,
+		messageMaxBytes = 65536,
+		redactor = null,
+		rotateBytes = null,
+		rotateIntervalMs = null,
+		retain = null,
+		gzip = false,
+		timeZone = null,
+		creator = { name: "browser-keepalive", version: "" },
+		onWritten = () => {},
+		onDropped = () => {},
+		onRotate = () => {},
+		onError = () => {},
+		now = Date.now,
+	}
+) {
+	const writer = createRotatingWriter({
+		path,
+		open: (file) => (format === "har" ? createHarWriter(file, { creator }) : createNdjsonWriter(file, { onError })),
+		rotateBytes,
+		rotateIntervalMs,
+		retain,
+		gzip,
+		timeZone,
+		onRotate,
+		onError,
+		now,
+	});
+
+	const writeEntry = (entry) => {
+		try {
+			if (writer.write(entry)) {
+				onWritten();
+				return;
+			}
+		} catch (err) {
+			onError(err);
+		}
+		onDropped();
+	};
+
+	const bodyStore = bodyDir ? createBodyStore({ dir: bodyDir, inlineBytes: bodyInlineBytes }) : null;
+
+	const writeExchange = (captured) => {
+		let exchange = redactor ? redactor.redactExchange(captured) : captured;
+		if (bodyStore) {
+			try {
+				exchange = bodyStore.store(exchange);
+			} catch (err) {
+				// Keep the body in the entry instead.
+				onError(err);
+			}
+		}
+		writeEntry(format === "har" ? toHarEntry(exchange) : toNdjsonEntry(exchange, { now }));
+	};
+
+	const onResponse = async (response) => {
+		try {
+			const url = read(response, "url");
+			if (!url) return;
+			if (filter && !filter.test(summarizeResponse(response))) return;
+			writeExchange(await captureResponse(response, { recordBody, bodyPolicy, maxBytes, now }));
+		} catch (err) {
+			if (format === "har") {
+				// A HAR entry needs a request and a response; there's nothing to write.
+				onDropped();
+				return;
+			}
+			writeEntry({
+				ts: new Date(now()).toISOString(),
+				error: err?.message ?? String(err ?? ""),
+			});
+		}
+	};
+
+	const onRequestFailed = async (request) => {
+		try {
+			const url = read(request, "url");
+			if (!url) return;
+			const summary = { url: String(url), method: read(request, "method") ?? "GET", status: 0 };
+			if (filter && !filter.test({ ...summary, resourceType: read(request, "resourceType") ?? "" })) return;
+			writeExchange(await captureFailure(request, { maxBytes, now }));
+		} catch (err) {
+			onError(err);
+			onDropped();
+		}
+	};
+
+	// HAR only: streams whose messages haven't been written yet.
+	const harStreams = createHarStreamAggregator(writeEntry);
+
+	const onStreamEvent = (raw) => {
+		const websocket = raw.type === "websocket";
+		const summary = {
+			url: raw.url,
+			method: "GET",
+			status: websocket ? 101 : 200,
+			resourceType: websocket ? "websocket" : "eventsource",
+			contentType: websocket ? "" : "text/event-stream",
+		};
+		if (filter && !filter.test(summary)) return;
+		const event = redactor ? redactor.redactStreamEvent(raw) : raw;
+		if (format !== "har") {
+			writeEntry(toStreamNdjsonEntry(event, { now }));
+			return;
+		}
+		harStreams.add(event, now());
+	};
+
+	const attached = [];
+	const watchers = [];
+	const attach = (page) => {
+		page.on("response", onResponse);
+		page.on("requestfailed", onRequestFailed);
+		if (streams) {
+			// Ids are only unique per page.
+			const prefix = `p${attached.length + 1}-`;
+			const emit = (event) => onStreamEvent({ ...event, id: `${prefix}${event.id}` });
+			watchers.push(
+				watchStreams(page, emit, { maxBytes: messageMaxBytes }).catch((err) => {
+					onError(err);
+					return async () => {};
+				})
+			);
+		}
+		attached.push(page);
+	};
+	pages.forEach(attach);
+
+	return {
+		attach,
+		async stop() {
+			for (const page of attached) {
+				try {
+					page.off("response", onResponse);
+					page.off("requestfailed", onRequestFailed);
+				} catch {
+					// ignore
+				}
+			}
+			for (const watcher of watchers) {
+				await (await watcher)();
+			}
+			harStreams.flush();
+			try {
+				await writer.close();
+			} catch (err) {
+				onError(err);
+			}
+		},
+	};
+}
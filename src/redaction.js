@@ -0,0 +1,275 @@
+/**
+ * Redaction of secrets in recorded traffic. Header values, JSON fields, form fields,
+ * query parameters and anything matching a user pattern are replaced with `[REDACTED]`
+ * before an entry reaches the network log.
+ */
+
+/** What redacted values are replaced with. */
+export const REDACTED = "[REDACTED]";
+
+/** Headers whose values are always redacted unless the defaults are turned off. */
+export const DEFAULT_REDACT_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"];
+
+/**
+ * Field names redacted by default wherever they appear: JSON keys at any depth, form
+ * fields and query parameters. Matching ignores case, `_` and `-`, so `access_token`
+ * also covers `accessToken` and `Access-Token`.
+ */
+export const DEFAULT_REDACT_FIELDS = [
+	"access_token",
+	"refresh_token",
+	"id_token",
+	"auth_token",
+	"session_token",
+	"token",
+	"password",
+	"passwd",
+	"client_secret",
+	"api_key",
+	"secret",
+];
+
+// Headers whose values are URLs that may carry secrets in the query string.
+const URL_HEADERS = ["location", "referer", "content-location"];
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[-_]/g, "");
+
+function safeDecode(text) {
+	try {
+		return decodeURIComponent(text.replace(/\+/g, " "));
+	} catch {
+		return text;
+	}
+}
+
+/**
+ * Parse a JSON path such as `user.password`, `$.items[*].token` or `data[0].secret`
+ * into its segments (`*` matches every key or index at that level).
+ * @param {string} value
+ * @param {string} [label]
+ * @returns {Array<string | number>}
+ */
+export function parseJsonPath(value, label = "--redact-json-path") {
+	const text = String(value ?? "").trim().replace(/^\$\.?/, "");
+	const segments = [];
+	const pattern = /(?:^|\.)([^.[\]]+)|\[(\d+|\*)\]/gy;
+	let m;
+	while (pattern.lastIndex < text.length && (m = pattern.exec(text))) {
+		if (m[1] !== undefined) segments.push(m[1]);
+		else segments.push(m[2] === "*" ? "*" : Number(m[2]));
+	}
+	if (!segments.length || pattern.lastIndex !== text.length) {
+		throw new Error(`${label} '${value}' is not a valid path (e.g. user.password or items[*].token)`);
+	}
+	return segments;
+}
+
+/**
+ * Parse a `--redact-pattern`: `/regex/flags` or a bare regular expression. When the
+ * pattern has a capture group, only the first group is masked.
+ * @param {string} value
+ * @param {string} [label]
+ * @returns {RegExp} a global regular expression
+ */
+export function parseRedactPattern(value, label = "--redact-pattern") {
+	const source = String(value ?? "");
+	if (!source) {
+		throw new Error(`${label} must not be empty`);
+	}
+	const m = /^\/(.+)\/([a-z]*)$/.exec(source);
+	try {
+		const flags = m ? m[2] : "";
+		return new RegExp(m ? m[1] : source, flags.includes("g") ? flags : `${flags}g`);
+	} catch (err) {
+		throw new Error(`Invalid ${label} ${source}: ${err.message}`);
+	}
+}
+
+// Mask every match of a global `d`-flagged regex: the first group where it took part in
+// the match, the whole match otherwise.
+function maskMatches(text, re) {
+	let out = "";
+	let last = 0;
+	for (const m of text.matchAll(re)) {
+		const [start, end] = typeof m[1] === "string" ? m.indices[1] : m.indices[0];
+		out += text.slice(last, start) + REDACTED;
+		last = end;
+	}
+	return out + text.slice(last);
+}
+
+// Mask `name=value` pairs whose name is in `names`, keeping everything else byte for byte.
+function redactPairs(text, names) {
+	if (!names.size) return text;
+	return text
+		.split("&")
+		.map((pair) => {
+			const eq = pair.indexOf("=");
+			if (eq < 0) return pair;
+			const name = pair.slice(0, eq);
+			return names.has(normalizeName(safeDecode(name))) ? `${name}=${REDACTED}` : pair;
+		})
+		.join("&");
+}
+
+function redactJsonValue(value, keys, paths) {
+	let changed = false;
+	const walk = (node) => {
+		if (Array.isArray(node)) {
+			node.forEach(walk);
+		} else if (node && typeof node === "object") {
+			for (const key of Object.keys(node)) {
+				if (keys.has(normalizeName(key))) {
+					node[key] = REDACTED;
+					changed = true;
+				} else {
+					walk(node[key]);
+				}
+			}
+		}
+	};
+	const applyPath = (node, segments) => {
+		if (!node || typeof node !== "object") return;
+		const [head, ...rest] = segments;
+		const children = head === "*" ? Object.keys(node) : [head];
+		for (const key of children) {
+			if (!Object.hasOwn(node, key)) continue;
+			if (rest.length) {
+				applyPath(node[key], rest);
+			} else {
+				node[key] = REDACTED;
+				changed = true;
+			}
+		}
+	};
+	walk(value);
+	for (const segments of paths) applyPath(value, segments);
+	return changed;
+}
+
+// Bodies cut by --record-max-bytes don't parse; mask `"key": <scalar>` pairs in the text instead.
+const JSON_PAIR_PATTERN = /"((?:[^"\\]|\\.)*)"(\s*:\s*)("(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*|true|false|null)/g;
+
+function redactJsonText(text, keys, paths) {
+	let value;
+	try {
+		value = JSON.parse(text);
+	} catch {
+		if (!keys.size) return text;
+		return text.replace(JSON_PAIR_PATTERN, (pair, key, colon) =>
+			keys.has(normalizeName(key)) ? `"${key}"${colon}"${REDACTED}"` : pair
+		);
+	}
+	return redactJsonValue(value, keys, paths) ? JSON.stringify(value) : text;
+}
+
+function bodyKind(text, contentType) {
+	const ct = String(contentType ?? "").toLowerCase();
+	if (ct.includes("json")) return "json";
+	if (ct.includes("x-www-form-urlencoded")) return "form";
+	if (/^\s*[{[]/.test(text)) return "json";
+	if (/^[^\s=&]+=[^\s&]*(?:&[^\s=&]+=[^\s&]*)*$/.test(text)) return "form";
+	return "text";
+}
+
+/**
+ * Build a redactor for network log entries.
+ * @param {{
+ *   defaults?: boolean,
+ *   headers?: string[],
+ *   jsonPaths?: string[],
+ *   formFields?: string[],
+ *   queryParams?: string[],
+ *   patterns?: string[],
+ * }} [options] `defaults: false` drops the built-in header and field lists
+ * @returns {{
+ *   redactUrl: (url: string) => string,
+ *   redactHeaders: (headers: Record<string, string>) => Record<string, string>,
+ *   redactBody: (text: string | null, contentType?: string) => string | null,
+ *   redactExchange: (exchange: object) => object,
+ *   redactStreamEvent: (event: object) => object,
+ * }}
+ */
+export function createRedactor({
+	defaults = true,
+	headers = [],
+	jsonPaths = [],
+	formFields = [],
+	queryParams = [],
+	patterns = [],
+} = {}) {
+	const defaultFields = defaults ? DEFAULT_REDACT_FIELDS : [];
+	const headerNames = new Set([...(defaults ? DEFAULT_REDACT_HEADERS : []), ...headers].map((h) => h.toLowerCase()));
+	const jsonKeys = new Set(defaultFields.map(normalizeName));
+	const formNames = new Set([...defaultFields, ...formFields].map(normalizeName));
+	const queryNames = new Set([...defaultFields, ...queryParams].map(normalizeName));
+	const paths = jsonPaths.map((path) => parseJsonPath(path));
+	// With `d`, matches carry the offsets of their groups (see `maskMatches()`).
+	const regexes = patterns.map((pattern) => {
+		const re = parseRedactPattern(pattern);
+		return new RegExp(re.source, `${re.flags}d`);
+	});
+
+	const redactUrl = (url) => {
+		if (typeof url !== "string") return url;
+		const hash = url.indexOf("#");
+		const beforeHash = hash < 0 ? url : url.slice(0, hash);
+		const query = beforeHash.indexOf("?");
+		let out = query < 0 ? beforeHash : beforeHash.slice(0, query + 1) + redactPairs(beforeHash.slice(query + 1), queryNames);
+		// OAuth implicit flows return tokens in the fragment.
+		if (hash >= 0) out += `#${redactPairs(url.slice(hash + 1), queryNames)}`;
+		return out;
+	};
+
+	const redactHeaders = (list) => {
+		const out = {};
+		for (const [name, value] of Object.entries(list ?? {})) {
+			const key = name.toLowerCase();
+			if (headerNames.has(key)) out[name] = REDACTED;
+			else if (URL_HEADERS.includes(key)) out[name] = redactUrl(value);
+			else out[name] = value;
+		}
+		return out;
+	};
+
+	const redactBody = (text, contentType = "") => {
+		if (typeof text !== "string" || !text) return text;
+		let out = text;
+		const kind = bodyKind(text, contentType);
+		if (kind === "json") out = redactJsonText(out, jsonKeys, paths);
+		else if (kind === "form") out = redactPairs(out, formNames);
+		for (const re of regexes) {
+			out = maskMatches(out, re);
+		}
+		return out;
+	};
+
+	return {
+		redactUrl,
+		redactHeaders,
+		redactBody,
+		redactExchange(exchange) {
+			const requestHeaders = exchange.requestHeaders ?? {};
+			const requestType = requestHeaders["content-type"] ?? requestHeaders["Content-Type"] ?? "";
+			return {
+				...exchange,
+				url: redactUrl(exchange.url),
+				requestHeaders: redactHeaders(requestHeaders),
+				responseHeaders: redactHeaders(exchange.responseHeaders),
+				// Base64 bodies are binary; there's no text to redact.
+				body: exchange.encoding === "base64" ? exchange.body : redactBody(exchange.body, exchange.contentType),
+				requestPostData: redactBody(exchange.requestPostData, requestType),
+				...(exchange.redirectChain && {
+					redirectChain: exchange.redirectChain.map((hop) => ({ ...hop, url: redactUrl(hop.url) })),
+				}),
+			};
+		},
+		redactStreamEvent(event) {
+			return {
+				...event,
+				url: redactUrl(event.url),
+				...(typeof event.data === "string" && !event.encoding && { data: redactBody(event.data) }),
+			};
+		},
+	};
+}
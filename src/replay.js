@@ -0,0 +1,295 @@
+/**
+ * Replay of an NDJSON network log: a local HTTP server that answers each request with
+ * the response recorded for it, to reproduce bugs and run tests offline.
+ */
+
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+
+import { readLogEntries } from "./logs.js";
+
+/** How closely a request must match a recording, strictest first. */
+export const MATCH_MODES = ["strict", "query", "path"];
+
+/** Query parameters never compared: the cache buster keepalive adds to each refresh. */
+export const DEFAULT_IGNORED_PARAMS = ["_cb"];
+
+// Hop-by-hop headers and ones that no longer describe the (decoded) recorded body.
+const DROPPED_HEADERS = ["content-encoding", "content-length", "transfer-encoding", "connection", "keep-alive"];
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Validate a `--match` mode.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"strict" | "query" | "path"}
+ */
+export function validateMatchMode(value, label = "--match") {
+	const mode = String(value ?? "").trim().toLowerCase();
+	if (!MATCH_MODES.includes(mode)) {
+		throw new Error(`${label} must be one of ${MATCH_MODES.join(", ")}`);
+	}
+	return mode;
+}
+
+/**
+ * Parse an `--origin`, e.g. `https://app.example.com` (any path is dropped).
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {string}
+ */
+export function parseOrigin(value, label = "--origin") {
+	let url;
+	try {
+		url = new URL(String(value ?? "").trim());
+	} catch {
+		url = null;
+	}
+	if (!url || url.origin === "null") {
+		throw new Error(`${label} must be an absolute URL (e.g. https://app.example.com)`);
+	}
+	return url.origin;
+}
+
+/**
+ * Parse a single HTTP status code.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number}
+ */
+export function parseStatusCode(value, label) {
+	const status = Number(value);
+	if (!Number.isInteger(status) || status < 100 || status > 599) {
+		throw new Error(`${label} must be an HTTP status code between 100 and 599`);
+	}
+	return status;
+}
+
+/**
+ * Read an NDJSON log, gzipped when the name ends in `.gz`, line by line. Lines that
+ * aren't JSON objects (e.g. the last line of a log whose writer was killed) are counted,
+ * not fatal.
+ * @param {string} path
+ * @returns {Promise<{ entries: object[], invalid: number }>}
+ */
+export async function readNdjsonLog(path) {
+	const entries = [];
+	let invalid = 0;
+	for await (const entry of readLogEntries(path, { onInvalid: () => invalid++ })) {
+		entries.push(entry);
+	}
+	return { entries, invalid };
+}
+
+/**
+ * Whether a log entry is a recorded HTTP response that can be replayed (not a failed
+ * request, a WebSocket or SSE event, or a recorder error).
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isReplayable(entry) {
+	return !entry.type && typeof entry.url === "string" && Number.isInteger(entry.status) && entry.status > 0;
+}
+
+// Sorted `name=value` pairs of a query string, leaving out the ignored parameters.
+function queryPairs(searchParams, ignored) {
+	return [...searchParams]
+		.filter(([name]) => !ignored.has(name))
+		.map(([name, value]) => `${name}=${value}`)
+		.sort();
+}
+
+function parseUrl(url) {
+	try {
+		return new URL(url, "http://replay.invalid");
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Index replayable entries for lookup. In every mode the method and path must match;
+ * `query` also needs the same query parameters (in any order), `strict` the same
+ * request body as well, and `path` picks the recording sharing the most parameters.
+ * When several recordings match equally well, they're served in recorded order, the
+ * last one repeating once all have been served.
+ * @param {object[]} entries log entries (others than replayable ones are skipped)
+ * @param {{ match?: "strict" | "query" | "path", ignoreParams?: string[], origins?: string[] }} [options]
+ * @returns {{ size: number, find: (request: { method: string, url: string, body?: string }) => object | null }}
+ */
+export function createReplayIndex(entries, { match = "query", ignoreParams = [], origins = [] } = {}) {
+	const ignored = new Set([...DEFAULT_IGNORED_PARAMS, ...ignoreParams]);
+	const allowedOrigins = new Set(origins.map((origin) => parseOrigin(origin)));
+	const byPath = new Map();
+	let size = 0;
+	for (const entry of entries) {
+		if (!isReplayable(entry)) continue;
+		const url = parseUrl(entry.url);
+		if (!url || (allowedOrigins.size && !allowedOrigins.has(url.origin))) continue;
+		const key = `${String(entry.method ?? "GET").toUpperCase()} ${url.pathname}`;
+		if (!byPath.has(key)) byPath.set(key, []);
+		byPath.get(key).push({ entry, query: queryPairs(url.searchParams, ignored), body: entry.requestPostData ?? "" });
+		size++;
+	}
+	// How often each group of equally good recordings has been served.
+	const served = new Map();
+
+	return {
+		size,
+		find({ method, url, body = "" }) {
+			const parsed = parseUrl(url);
+			if (!parsed) return null;
+			const candidates = byPath.get(`${String(method).toUpperCase()} ${parsed.pathname}`) ?? [];
+			const query = queryPairs(parsed.searchParams, ignored);
+			const queryText = query.join("&");
+
+			let best = [];
+			if (match === "path") {
+				let bestScore = -Infinity;
+				for (const candidate of candidates) {
+					const shared = candidate.query.filter((pair) => query.includes(pair)).length;
+					const score = shared * 2 - candidate.query.length - query.length;
+					if (score > bestScore) {
+						bestScore = score;
+						best = [candidate];
+					} else if (score === bestScore) {
+						best.push(candidate);
+					}
+				}
+			} else {
+				best = candidates.filter(
+					(candidate) =>
+						candidate.query.join("&") === queryText && (match !== "strict" || candidate.body === (body ?? ""))
+				);
+			}
+			if (!best.length) return null;
+
+			const groupKey = best[0];
+			const count = served.get(groupKey) ?? 0;
+			served.set(groupKey, count + 1);
+			return best[Math.min(count, best.length - 1)].entry;
+		},
+	};
+}
+
+/**
+ * The status, headers and body to answer with for a recorded entry. Base64 bodies are
+ * decoded and bodies stored by `--record-body-dir` read from their file.
+ * @param {object} entry
+ * @param {{ readFile?: (path: string) => Buffer }} [options]
+ * @returns {{ status: number, headers: Record<string, string | string[]>, body: Buffer }}
+ */
+export function toReplayResponse(entry, { readFile = readFileSync } = {}) {
+	const headers = {};
+	const recorded = entry.responseHeaders ?? (entry.contentType ? { "content-type": entry.contentType } : {});
+	for (const [name, value] of Object.entries(recorded)) {
+		const key = name.toLowerCase();
+		if (DROPPED_HEADERS.includes(key)) continue;
+		// Repeated headers were recorded joined with newlines.
+		const values = String(value).split("\n");
+		headers[key] = values.length > 1 ? values : values[0];
+	}
+
+	let body = Buffer.alloc(0);
+	if (entry.bodyFile) {
+		body = readFile(entry.bodyFile);
+	} else if (typeof entry.body === "string") {
+		body = Buffer.from(entry.body, entry.encoding === "base64" ? "base64" : "utf8");
+	}
+	return { status: entry.status, headers, body };
+}
+
+/**
+ * Collect requests nothing matched, by method and URL (without ignored parameters).
+ * @param {{ ignoreParams?: string[], now?: () => number }} [options]
+ * @returns {{
+ *   add: (request: { method: string, url: string }) => void,
+ *   list: () => Array<{ method: string, url: string, count: number, firstAt: string, lastAt: string }>,
+ * }}
+ */
+export function createUnmatchedReport({ ignoreParams = [], now = Date.now } = {}) {
+	const ignored = new Set([...DEFAULT_IGNORED_PARAMS, ...ignoreParams]);
+	const requests = new Map();
+	return {
+		add({ method, url }) {
+			const parsed = parseUrl(url);
+			const query = parsed ? queryPairs(parsed.searchParams, ignored).join("&") : "";
+			const path = parsed ? `${parsed.pathname}${query ? `?${query}` : ""}` : String(url);
+			const key = `${method} ${path}`;
+			const at = new Date(now()).toISOString();
+			const seen = requests.get(key);
+			if (seen) {
+				seen.count++;
+				seen.lastAt = at;
+			} else {
+				requests.set(key, { method, url: path, count: 1, firstAt: at, lastAt: at });
+			}
+		},
+		list() {
+			return [...requests.values()].sort((a, b) => b.count - a.count || a.url.localeCompare(b.url));
+		},
+	};
+}
+
+function readRequestBody(req) {
+	return new Promise((resolve, reject) => {
+		let size = 0;
+		const chunks = [];
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(new Error("request body too large"));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+		req.on("error", reject);
+	});
+}
+
+/**
+ * Create (but don't start) the replay server. Requests without a recording get
+ * `unmatchedStatus` and a JSON error, and are passed to `onUnmatched`.
+ * @param {{
+ *   index: { find: (request: { method: string, url: string, body?: string }) => object | null },
+ *   unmatchedStatus?: number,
+ *   onMatch?: (request: { method: string, url: string }, entry: object) => void,
+ *   onUnmatched?: (request: { method: string, url: string }) => void,
+ *   onError?: (err: Error) => void,
+ *   readFile?: (path: string) => Buffer,
+ * }} options
+ * @returns {import("node:http").Server}
+ */
+export function createReplayServer({
+	index,
+	unmatchedStatus = 404,
+	onMatch = () => {},
+	onUnmatched = () => {},
+	onError = () => {},
+	readFile = readFileSync,
+}) {
+	return createServer(async (req, res) => {
+		const request = { method: req.method ?? "GET", url: req.url ?? "/" };
+		try {
+			const body = await readRequestBody(req);
+			const entry = index.find({ ...request, body });
+			if (!entry) {
+				onUnmatched(request);
+				res.writeHead(unmatchedStatus, { "content-type": "application/json; charset=utf-8" });
+				res.end(`${JSON.stringify({ error: "no recorded response", ...request })}\n`);
+				return;
+			}
+			const { status, headers, body: responseBody } = toReplayResponse(entry, { readFile });
+			onMatch(request, entry);
+			res.writeHead(status, headers);
+			res.end(req.method === "HEAD" ? undefined : responseBody);
+		} catch (err) {
+			onError(err);
+			if (!res.headersSent) res.writeHead(500, { "content-type": "application/json; charset=utf-8" });
+			res.end(`${JSON.stringify({ error: err?.message ?? String(err) })}\n`);
+		}
+	});
+}
@@ -0,0 +1,73 @@
+/**
+ * Retry policy for page loads: tell transient failures apart from real ones
+ * and space retries out with exponential backoff and jitter.
+ */
+
+/** Exit code used when a tab used up its failure budget (`--max-failures`). */
+export const EXIT_TOO_MANY_FAILURES = 5;
+
+// Chromium reports `net::ERR_*`, Firefox `NS_ERROR_*`, WebKit plain messages;
+// an in-page `fetch` (the ping strategy) fails with each browser's own wording.
+const NETWORK_ERROR_PATTERNS = [
+	/Failed to fetch/,
+	/NetworkError when attempting to fetch/,
+	/net::ERR_/,
+	/NS_ERROR_/,
+	/\bE(?:CONNREFUSED|CONNRESET|HOSTUNREACH|NETUNREACH|NOTFOUND|AI_AGAIN)\b/,
+	/Could not connect to (?:the )?server/i,
+	/network connection was lost/i,
+];
+
+/**
+ * Classify a navigation error.
+ * @param {unknown} err
+ * @returns {"timeout" | "network-error" | "error"}
+ */
+export function classifyNavigationError(err) {
+	const message = String(err?.message ?? err ?? "");
+	if (err?.name === "TimeoutError" || /\bTimeout \d+ ?ms exceeded|Navigation timeout of \d+ ms exceeded/i.test(message)) {
+		return "timeout";
+	}
+	if (NETWORK_ERROR_PATTERNS.some((re) => re.test(message))) {
+		return "network-error";
+	}
+	return "error";
+}
+
+/**
+ * True for HTTP statuses worth retrying soon: server errors, 408 and 429.
+ * Other 4xx responses won't fix themselves by asking again.
+ * @param {number | null} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+	return typeof status === "number" && (status >= 500 || status === 408 || status === 429);
+}
+
+/**
+ * Parse a `Retry-After` header (delay in seconds or an HTTP date) into milliseconds.
+ * @param {string | null | undefined} value
+ * @param {number} [now] ms since the epoch
+ * @returns {number | null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+	const text = String(value ?? "").trim();
+	if (!text) return null;
+	if (/^\d+$/.test(text)) return Number(text) * 1000;
+	const at = Date.parse(text);
+	if (Number.isNaN(at)) return null;
+	return Math.max(0, at - now);
+}
+
+/**
+ * Delay before retry number `retry` (1-based): exponential growth from `baseMs`,
+ * capped at `maxMs`, with "equal jitter" (a random point in the upper half) so
+ * tabs and processes that failed together don't retry in lockstep.
+ * @param {number} retry
+ * @param {{ baseMs: number, maxMs: number, random?: () => number }} options
+ * @returns {number}
+ */
+export function backoffDelay(retry, { baseMs, maxMs, random = Math.random }) {
+	const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, retry - 1));
+	return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
@@ -0,0 +1,167 @@
+/**
+ * Files for long-running network logs: date-templated paths (`net-%Y-%m-%d.ndjson`),
+ * archive names for rotated files, gzip and a retention limit.
+ */
+
+import { createReadStream, createWriteStream, existsSync, readdirSync, rmSync, statSync, utimesSync } from "node:fs";
+import { basename, dirname, extname, join } from "node:path";
+import { pipeline } from "node:stream/promises";
+import { createGzip } from "node:zlib";
+
+import { zonedParts } from "./utils.js";
+
+// Date tokens and their width.
+const TEMPLATE_TOKENS = { Y: 4, m: 2, d: 2, H: 2, M: 2, S: 2 };
+const TOKEN_PATTERN = /%(.?)/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Validate a path that may contain date tokens: `%Y`, `%m`, `%d`, `%H`, `%M`, `%S`
+ * (and `%%` for a literal `%`). Tokens may only appear in the file name.
+ * @param {string} template
+ * @param {string} [label]
+ * @returns {string}
+ */
+export function validatePathTemplate(template, label = "--record-network") {
+	for (const [, token] of template.matchAll(TOKEN_PATTERN)) {
+		if (token !== "%" && !(token in TEMPLATE_TOKENS)) {
+			throw new Error(`${label} has an unknown date token '%${token}' (use %Y, %m, %d, %H, %M, %S or %%)`);
+		}
+	}
+	if (hasPathTemplate(dirname(template))) {
+		throw new Error(`${label} can only use date tokens in the file name`);
+	}
+	return template;
+}
+
+/**
+ * Whether a path contains date tokens.
+ * @param {string} template
+ * @returns {boolean}
+ */
+export function hasPathTemplate(template) {
+	return /%[YmdHMS]/.test(template);
+}
+
+/**
+ * Fill in the date tokens of a path with the wall-clock time in `timeZone`.
+ * @param {string} template
+ * @param {number} time ms since the epoch
+ * @param {string | null} [timeZone] system time zone when null
+ * @returns {string}
+ */
+export function renderPathTemplate(template, time, timeZone = null) {
+	if (!template.includes("%")) return template;
+	const p = zonedParts(time, timeZone);
+	const values = { Y: p.year, m: p.month, d: p.day, H: p.hour, M: p.minute, S: p.second };
+	return template.replace(TOKEN_PATTERN, (text, token) => {
+		if (token === "%") return "%";
+		return token in values ? String(values[token]).padStart(TEMPLATE_TOKENS[token], "0") : text;
+	});
+}
+
+function splitExtension(path) {
+	const ext = extname(path);
+	return [path.slice(0, path.length - ext.length), ext];
+}
+
+/**
+ * Name a rotated file by inserting a timestamp before its extension, e.g.
+ * `net.ndjson` → `net.20260302-093000.ndjson` (with `-1`, `-2`... if that's taken).
+ * @param {string} path
+ * @param {number} time ms since the epoch
+ * @param {string | null} [timeZone]
+ * @returns {string}
+ */
+export function archivePath(path, time, timeZone = null) {
+	const [stem, ext] = splitExtension(path);
+	const stamp = renderPathTemplate("%Y%m%d-%H%M%S", time, timeZone);
+	let candidate = `${stem}.${stamp}${ext}`;
+	for (let n = 1; existsSync(candidate) || existsSync(`${candidate}.gz`); n++) {
+		candidate = `${stem}.${stamp}-${n}${ext}`;
+	}
+	return candidate;
+}
+
+/**
+ * A pattern for the file names a template produces: each rendered name, its rotated
+ * archives and their gzipped copies.
+ * @param {string} template
+ * @returns {RegExp}
+ */
+export function templatePattern(template) {
+	const toRegex = (text) =>
+		text
+			.split(/(%[YmdHMS%])/)
+			.map((part) => {
+				if (part === "%%") return "%";
+				const m = /^%([YmdHMS])$/.exec(part);
+				return m ? `\\d{${TEMPLATE_TOKENS[m[1]]}}` : escapeRegex(part);
+			})
+			.join("");
+	const [stem, ext] = splitExtension(basename(template));
+	return new RegExp(`^${toRegex(stem)}(?:\\.\\d{8}-\\d{6}(?:-\\d+)?)?${toRegex(ext)}(?:\\.gz)?$`);
+}
+
+/**
+ * The files a template has produced so far, oldest first.
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function listLogFiles(template) {
+	const dir = dirname(template);
+	const pattern = templatePattern(template);
+	let names;
+	try {
+		names = readdirSync(dir);
+	} catch {
+		return [];
+	}
+	const files = [];
+	for (const name of names) {
+		if (!pattern.test(name)) continue;
+		const path = join(dir, name);
+		try {
+			files.push({ path, mtimeMs: statSync(path).mtimeMs });
+		} catch {
+			// removed in the meantime
+		}
+	}
+	return files.sort((a, b) => a.mtimeMs - b.mtimeMs || a.path.localeCompare(b.path)).map((file) => file.path);
+}
+
+/**
+ * Delete the oldest files of a template beyond `retain`, never touching `keep`.
+ * @param {string} template
+ * @param {{ retain: number, keep?: string[] }} options
+ * @returns {string[]} the deleted paths
+ */
+export function pruneLogFiles(template, { retain, keep = [] }) {
+	const finished = listLogFiles(template).filter((path) => !keep.includes(path));
+	const excess = finished.slice(0, Math.max(0, finished.length - retain));
+	for (const path of excess) {
+		rmSync(path, { force: true });
+	}
+	return excess;
+}
+
+/**
+ * Compress a file to `<path>.gz` and remove the original. The copy keeps the original's
+ * modification time so `listLogFiles()` still orders it correctly.
+ * @param {string} path
+ * @returns {Promise<string>} the path of the compressed file
+ */
+export async function gzipFile(path) {
+	const target = `${path}.gz`;
+	try {
+		const { atimeMs, mtimeMs } = statSync(path);
+		await pipeline(createReadStream(path), createGzip(), createWriteStream(target));
+		utimesSync(target, atimeMs / 1000, mtimeMs / 1000);
+	} catch (err) {
+		rmSync(target, { force: true });
+		throw err;
+	}
+	rmSync(path, { force: true });
+	return target;
+}
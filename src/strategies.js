@@ -0,0 +1,92 @@
+/**
+ * Lightweight keepalive strategies that keep in-page state, as alternatives to
+ * reloading the page (the default `reload` strategy, which lives in the CLI).
+ */
+
+/**
+ * Validate a `--ping-url`: an absolute http(s) URL, or a path resolved against the page.
+ * @param {unknown} value
+ * @returns {string | null} null when empty/absent (ping the tab's own URL)
+ */
+export function validatePingUrl(value) {
+	if (value === undefined || value === null || value === "") return null;
+	const text = String(value).trim();
+	if (text.startsWith("/") && !text.startsWith("//")) return text;
+	let url;
+	try {
+		url = new URL(text);
+	} catch {
+		throw new Error("--ping-url must be an absolute http(s) URL or a path starting with /");
+	}
+	if (url.protocol !== "http:" && url.protocol !== "https:") {
+		throw new Error("--ping-url must be an absolute http(s) URL or a path starting with /");
+	}
+	return url.toString();
+}
+
+/**
+ * Request a URL with `fetch` from inside the page, so it carries the page's cookies
+ * and looks like the app's own traffic. Works with Playwright and Puppeteer pages.
+ * Subject to the page's CORS rules like any other script on it.
+ * @param {object} page
+ * @param {string} url absolute, or relative to the page
+ * @param {{ method?: string, headers?: Record<string, string>, body?: string | null, timeoutMs?: number }} [options]
+ * @returns {Promise<{ status: number, url: string }>} a minimal stand-in for a navigation response
+ */
+export async function pingFromPage(page, url, { method = "GET", headers = {}, body = null, timeoutMs = 30000 } = {}) {
+	return await page.evaluate(
+		async ({ url, method, headers, body, timeoutMs }) => {
+			const controller = new AbortController();
+			const timer = setTimeout(() => controller.abort(), timeoutMs);
+			try {
+				const res = await fetch(url, {
+					method,
+					headers,
+					body: body ?? undefined,
+					credentials: "include",
+					cache: "no-store",
+					signal: controller.signal,
+				});
+				return { status: res.status, url: res.url };
+			} catch (err) {
+				// Reported like a navigation timeout so retries treat it the same way.
+				if (controller.signal.aborted) throw new Error(`Timeout ${timeoutMs}ms exceeded`);
+				throw err;
+			} finally {
+				clearTimeout(timer);
+			}
+		},
+		{ url, method, headers, body, timeoutMs }
+	);
+}
+
+/**
+ * Generate real (trusted) input so client-side idle timers reset: move the mouse
+ * somewhere in the middle of the viewport, tap Shift, and scroll down and back.
+ * @param {object} page
+ * @param {"playwright" | "puppeteer"} engine
+ * @param {{ random?: () => number }} [options]
+ * @returns {Promise<void>}
+ */
+export async function simulateActivity(page, engine, { random = Math.random } = {}) {
+	const { width, height } = await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+	const x = Math.round(width * (0.25 + random() * 0.5));
+	const y = Math.round(height * (0.25 + random() * 0.5));
+	await page.mouse.move(x, y, { steps: 5 });
+	await page.keyboard.press("Shift");
+
+	// Playwright takes (deltaX, deltaY); Puppeteer an options object.
+	const wheel = (deltaY) => (engine === "puppeteer" ? page.mouse.wheel({ deltaY }) : page.mouse.wheel(0, deltaY));
+	await wheel(100);
+	await wheel(-100);
+}
+
+/**
+ * Click an element on the page.
+ * @param {object} page
+ * @param {string} selector
+ * @returns {Promise<void>}
+ */
+export async function clickSelector(page, selector) {
+	await page.click(selector);
+}
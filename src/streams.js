@@ -0,0 +1,186 @@
+/**
+ * WebSocket and Server-Sent Events for the network recorder. Playwright reports
+ * WebSockets itself; Puppeteer's come from the Chrome DevTools Protocol, as do SSE
+ * messages for both engines (Chromium only). Either way they're normalized into the
+ * same stream events.
+ */
+
+import { truncateUtf8 } from "./bodies.js";
+
+/**
+ * A WebSocket frame or SSE message payload as the log stores it: text as UTF-8 (cut at a
+ * character boundary), binary as base64 of the raw bytes, either cut to `maxBytes`.
+ * @param {string | Buffer | Uint8Array} payload
+ * @param {{ binary?: boolean, maxBytes?: number | null }} [options] `binary` for a base64 string
+ * @returns {{ data: string, encoding: "base64" | null, size: number, truncated: boolean }}
+ */
+export function normalizePayload(payload, { binary = false, maxBytes = null } = {}) {
+	if (typeof payload === "string" && !binary) {
+		const buffer = Buffer.from(payload);
+		const kept = maxBytes ? truncateUtf8(buffer, maxBytes) : buffer;
+		return {
+			data: kept === buffer ? payload : kept.toString("utf8"),
+			encoding: null,
+			size: buffer.length,
+			truncated: kept.length < buffer.length,
+		};
+	}
+	const buffer = typeof payload === "string" ? Buffer.from(payload, "base64") : Buffer.from(payload ?? []);
+	const kept = maxBytes && buffer.length > maxBytes ? buffer.subarray(0, maxBytes) : buffer;
+	return {
+		data: kept.toString("base64"),
+		encoding: "base64",
+		size: buffer.length,
+		truncated: kept.length < buffer.length,
+	};
+}
+
+/**
+ * Follow a Playwright page's WebSockets.
+ * @param {{ on: function, off: function }} page
+ * @param {(event: object) => void} emit
+ * @param {{ maxBytes?: number | null }} [options]
+ * @returns {() => Promise<void>} stops following
+ */
+export function watchPlaywrightWebSockets(page, emit, { maxBytes = null } = {}) {
+	let ids = 0;
+	let stopped = false;
+	const onWebSocket = (ws) => {
+		const id = `ws-${++ids}`;
+		const url = String(ws.url());
+		const send = (event, extra = {}) => {
+			if (!stopped) emit({ type: "websocket", id, event, url, ...extra });
+		};
+		const frame = (event) => ({ payload }) => {
+			const binary = typeof payload !== "string";
+			send(event, { opcode: binary ? 2 : 1, ...normalizePayload(payload, { maxBytes }) });
+		};
+		send("open");
+		ws.on("framesent", frame("sent"));
+		ws.on("framereceived", frame("received"));
+		ws.on("socketerror", (errorText) => send("error", { errorText: String(errorText) }));
+		ws.on("close", () => send("close"));
+	};
+	page.on("websocket", onWebSocket);
+	return async () => {
+		stopped = true;
+		page.off("websocket", onWebSocket);
+	};
+}
+
+/**
+ * Follow WebSockets (when `webSockets` is set) and SSE messages through a CDP session.
+ * @param {{ send: function, on: function, off?: function }} client
+ * @param {(event: object) => void} emit
+ * @param {{ webSockets?: boolean, maxBytes?: number | null }} [options]
+ * @returns {Promise<() => Promise<void>>} stops following
+ */
+export async function watchCdpStreams(client, emit, { webSockets = true, maxBytes = null } = {}) {
+	const sockets = new Map();
+	const eventSources = new Map();
+	let stopped = false;
+
+	const frame = (event) => ({ requestId, response }) => {
+		const url = sockets.get(requestId);
+		if (url === undefined) return;
+		const opcode = response?.opcode ?? 1;
+		const payload = normalizePayload(response?.payloadData ?? "", { binary: opcode !== 1, maxBytes });
+		emit({ type: "websocket", id: requestId, event, url, opcode, ...payload });
+	};
+	const handlers = {
+		"Network.requestWillBeSent": ({ requestId, request, type }) => {
+			if (type === "EventSource") eventSources.set(requestId, String(request?.url ?? ""));
+		},
+		"Network.eventSourceMessageReceived": ({ requestId, eventName, eventId, data }) => {
+			const url = eventSources.get(requestId);
+			if (url === undefined) return;
+			emit({
+				type: "sse",
+				id: requestId,
+				event: "message",
+				url,
+				eventName: eventName || "message",
+				eventId: eventId || null,
+				...normalizePayload(String(data ?? ""), { maxBytes }),
+			});
+		},
+		"Network.loadingFinished": ({ requestId }) => {
+			const url = eventSources.get(requestId);
+			if (url === undefined) return;
+			eventSources.delete(requestId);
+			emit({ type: "sse", id: requestId, event: "close", url });
+		},
+		"Network.loadingFailed": ({ requestId, errorText }) => {
+			const url = eventSources.get(requestId);
+			if (url === undefined) return;
+			eventSources.delete(requestId);
+			emit({ type: "sse", id: requestId, event: "error", url, errorText: String(errorText ?? "") });
+		},
+	};
+	if (webSockets) {
+		Object.assign(handlers, {
+			"Network.webSocketCreated": ({ requestId, url }) => {
+				sockets.set(requestId, String(url));
+				emit({ type: "websocket", id: requestId, event: "open", url: String(url) });
+			},
+			"Network.webSocketFrameSent": frame("sent"),
+			"Network.webSocketFrameReceived": frame("received"),
+			"Network.webSocketFrameError": ({ requestId, errorMessage }) => {
+				const url = sockets.get(requestId);
+				if (url === undefined) return;
+				emit({ type: "websocket", id: requestId, event: "error", url, errorText: String(errorMessage ?? "") });
+			},
+			"Network.webSocketClosed": ({ requestId }) => {
+				const url = sockets.get(requestId);
+				if (url === undefined) return;
+				sockets.delete(requestId);
+				emit({ type: "websocket", id: requestId, event: "close", url });
+			},
+		});
+	}
+
+	const listeners = Object.entries(handlers).map(([name, handler]) => {
+		const listener = (params) => {
+			if (!stopped) handler(params ?? {});
+		};
+		client.on(name, listener);
+		return [name, listener];
+	});
+	await client.send("Network.enable");
+
+	return async () => {
+		stopped = true;
+		for (const [name, listener] of listeners) client.off?.(name, listener);
+		try {
+			await client.detach?.();
+		} catch {
+			// the page is gone already
+		}
+	};
+}
+
+/**
+ * Follow a page's WebSockets and SSE messages with whatever its engine offers.
+ * Puppeteer pages (which have `createCDPSession()`) get both over CDP. Playwright pages
+ * report WebSockets themselves; their SSE messages need a CDP session, which only
+ * Chromium has, so other browsers don't record SSE.
+ * @param {object} page a Playwright or Puppeteer page
+ * @param {(event: object) => void} emit
+ * @param {{ maxBytes?: number | null }} [options]
+ * @returns {Promise<() => Promise<void>>} stops following
+ */
+export async function watchStreams(page, emit, { maxBytes = null } = {}) {
+	if (typeof page.createCDPSession === "function") {
+		return await watchCdpStreams(await page.createCDPSession(), emit, { maxBytes });
+	}
+	const stops = [watchPlaywrightWebSockets(page, emit, { maxBytes })];
+	try {
+		const client = await page.context().newCDPSession(page);
+		stops.push(await watchCdpStreams(client, emit, { webSockets: false, maxBytes }));
+	} catch {
+		// Not Chromium: WebSockets only.
+	}
+	return async () => {
+		await Promise.all(stops.map((stop) => stop()));
+	};
+}
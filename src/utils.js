@@ -6,16 +6,401 @@
 /**
  * Parse interval value from string to number.
  * @param {string} value
+ * @param {string} [label] option name for error messages
  * @returns {number}
  */
-export function parseInterval(value) {
+export function parseInterval(value, label = "--interval") {
 	const n = Number(value);
 	if (!Number.isFinite(n) || n <= 0) {
-		throw new Error("--interval must be a positive number of seconds");
+		throw new Error(`${label} must be a positive number of seconds`);
 	}
 	return n;
 }
 
+/**
+ * Parse a jitter option: seconds (`30`) or a share of the interval (`10%`).
+ * Each wait is moved by a random amount within plus or minus the jitter.
+ * @param {unknown} value
+ * @returns {{ seconds: number } | { ratio: number } | null} null when empty/absent
+ */
+export function parseJitter(value) {
+	if (value === undefined || value === null || value === "") return null;
+	const text = String(value).trim();
+	const m = /^(\d+(?:\.\d+)?)%$/.exec(text);
+	if (m) {
+		const percent = Number(m[1]);
+		if (percent >= 100) {
+			throw new Error("--jitter must be less than 100%");
+		}
+		return { ratio: percent / 100 };
+	}
+	const n = Number(text);
+	if (!text || !Number.isFinite(n) || n < 0) {
+		throw new Error("--jitter must be a number of seconds or a percentage, e.g. 30 or 10%");
+	}
+	return { seconds: n };
+}
+
+/**
+ * Validate an IANA time zone name (e.g. `Europe/Berlin`).
+ * @param {unknown} value
+ * @returns {string | null} null when empty/absent (use the system time zone)
+ */
+export function validateTimeZone(value) {
+	if (value === undefined || value === null || value === "") return null;
+	const zone = String(value).trim();
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: zone });
+	} catch {
+		throw new Error(`--timezone must be an IANA time zone like Europe/Berlin (got '${zone}')`);
+	}
+	return zone;
+}
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const zonedFormats = new Map();
+
+/**
+ * Wall-clock parts of a time in a time zone (the system zone when `timeZone` is null).
+ * @param {number} time ms since the epoch
+ * @param {string | null} timeZone
+ * @returns {{ year: number, month: number, day: number, weekday: number, hour: number, minute: number, second: number }}
+ */
+export function zonedParts(time, timeZone) {
+	const key = timeZone ?? "";
+	if (!zonedFormats.has(key)) {
+		zonedFormats.set(
+			key,
+			new Intl.DateTimeFormat("en-US", {
+				timeZone: timeZone ?? undefined,
+				hourCycle: "h23",
+				weekday: "short",
+				year: "numeric",
+				month: "numeric",
+				day: "numeric",
+				hour: "numeric",
+				minute: "numeric",
+				second: "numeric",
+			})
+		);
+	}
+	const parts = {};
+	for (const { type, value } of zonedFormats.get(key).formatToParts(time)) {
+		parts[type] = value;
+	}
+	return {
+		year: Number(parts.year),
+		month: Number(parts.month),
+		day: Number(parts.day),
+		weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+		hour: Number(parts.hour),
+		minute: Number(parts.minute),
+		second: Number(parts.second),
+	};
+}
+
+function parseNamedNumber(text, names, offset, label) {
+	const lower = text.toLowerCase();
+	const index = names ? names.indexOf(lower) : -1;
+	if (index >= 0) return index + offset;
+	if (!/^\d+$/.test(text)) {
+		throw new Error(`${label} has an invalid value '${text}'`);
+	}
+	return Number(text);
+}
+
+// Parse a day-of-week list like `mon-fri` or `sat,sun` into a set of 0 (Sunday) .. 6.
+function parseWeekdays(text, label) {
+	const days = new Set();
+	for (const part of text.split(",")) {
+		const [from, to = from] = part.split("-");
+		const [start, end] = [from, to].map((text) => {
+			const day = parseNamedNumber(text, WEEKDAYS, 0, label);
+			if (day > 7) {
+				throw new Error(`${label} has an invalid day '${text}'`);
+			}
+			return day % 7;
+		});
+		for (let d = start; ; d = (d + 1) % 7) {
+			days.add(d);
+			if (d === end) break;
+		}
+	}
+	return days;
+}
+
+const CRON_FIELDS = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12, names: MONTHS, offset: 1 },
+	{ name: "day of week", min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+];
+
+const CRON_MACROS = {
+	"@hourly": "0 * * * *",
+	"@daily": "0 0 * * *",
+	"@weekly": "0 0 * * 0",
+	"@monthly": "0 0 1 * *",
+};
+
+function parseCronField(text, { name, min, max, names, offset }) {
+	const label = `--schedule ${name}`;
+	const values = new Set();
+	for (const part of text.split(",")) {
+		const [range, stepText] = part.split("/");
+		const step = stepText === undefined ? 1 : Number(stepText);
+		if (!Number.isInteger(step) || step < 1) {
+			throw new Error(`${label} has an invalid step '${part}'`);
+		}
+		let start = min;
+		let end = max;
+		if (range !== "*") {
+			const [from, to] = range.split("-");
+			start = parseNamedNumber(from, names, offset, label);
+			end = to === undefined ? (stepText === undefined ? start : max) : parseNamedNumber(to, names, offset, label);
+		}
+		if (start < min || end > max || start > end) {
+			throw new Error(`${label} must be within ${min}-${max} (got '${part}')`);
+		}
+		for (let v = start; v <= end; v += step) values.add(v);
+	}
+	return values;
+}
+
+/**
+ * Parse a 5-field cron expression (`minute hour day-of-month month day-of-week`), e.g.
+ * `*\/15 7-19 * * mon-fri`, or one of `@hourly`, `@daily`, `@weekly`, `@monthly`.
+ * As in cron, when both day fields are restricted a time matches if either does.
+ * @param {string} value
+ * @returns {{ source: string, next: (after: number, timeZone?: string | null) => number }}
+ */
+export function parseCron(value) {
+	const source = String(value ?? "").trim();
+	const expr = CRON_MACROS[source.toLowerCase()] ?? source;
+	const fields = expr.split(/\s+/);
+	if (fields.length !== 5) {
+		throw new Error(`--schedule must be a cron expression with 5 fields (got '${source}')`);
+	}
+	const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+	if (weekdays.delete(7)) weekdays.add(0);
+	const anyDay = fields[2].startsWith("*");
+	const anyWeekday = fields[4].startsWith("*");
+	const dayMatches = (p) => {
+		if (anyDay || anyWeekday) return days.has(p.day) && weekdays.has(p.weekday);
+		return days.has(p.day) || weekdays.has(p.weekday);
+	};
+
+	const next = (after, timeZone = null) => {
+		// Walk forward in whole minutes, skipping a day or hour at a time when those don't match.
+		// Wall-clock parts are re-read after every step, so DST changes sort themselves out.
+		const limit = after + 5 * 366 * 24 * 60 * 60000;
+		let t = Math.floor(after / 60000) * 60000 + 60000;
+		while (t <= limit) {
+			const p = zonedParts(t, timeZone);
+			if (!months.has(p.month) || !dayMatches(p)) {
+				t += (24 * 60 - (p.hour * 60 + p.minute)) * 60000;
+			} else if (!hours.has(p.hour)) {
+				t += (60 - p.minute) * 60000;
+			} else if (!minutes.has(p.minute)) {
+				t += 60000;
+			} else {
+				return t;
+			}
+		}
+		throw new Error(`--schedule '${source}' never matches`);
+	};
+
+	next(Date.UTC(2000, 0, 1), "UTC");
+	return { source, next };
+}
+
+function parseClock(text, label) {
+	const m = /^(\d{1,2}):(\d{2})$/.exec(text);
+	const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+	if (!m || Number(m[2]) > 59 || minutes > 24 * 60) {
+		throw new Error(`${label} has an invalid time '${text}' (expected HH:MM)`);
+	}
+	return minutes;
+}
+
+/**
+ * Parse an active-hours window: `[days] HH:MM-HH:MM`, e.g. `mon-fri 07:00-19:00`,
+ * `sat,sun 10:00-12:00` or `22:00-06:00` (windows may run past midnight; the days are
+ * the days the window starts on).
+ * @param {string} value
+ * @returns {{ source: string, days: Set<number>, start: number, end: number }} start/end in minutes of the day
+ */
+export function parseActiveHours(value) {
+	const source = String(value ?? "").trim();
+	const label = `--active-hours '${source}'`;
+	const m = /^(?:(\S+)\s+)?(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(source);
+	if (!m) {
+		throw new Error(`${label} must look like 'mon-fri 07:00-19:00' or '07:00-19:00'`);
+	}
+	const days = m[1] ? parseWeekdays(m[1], label) : new Set([0, 1, 2, 3, 4, 5, 6]);
+	const start = parseClock(m[2], label);
+	const end = parseClock(m[3], label);
+	if (start === end || start === 24 * 60) {
+		throw new Error(`${label} must not be empty`);
+	}
+	return { source, days, start, end };
+}
+
+/**
+ * Check whether a time falls inside any of the active-hours windows.
+ * @param {Array<ReturnType<typeof parseActiveHours>>} windows
+ * @param {number} time ms since the epoch
+ * @param {string | null} [timeZone]
+ * @returns {boolean}
+ */
+export function isWithinActiveHours(windows, time, timeZone = null) {
+	const p = zonedParts(time, timeZone);
+	const minute = p.hour * 60 + p.minute;
+	const yesterday = (p.weekday + 6) % 7;
+	return windows.some(({ days, start, end }) => {
+		if (start < end) return days.has(p.weekday) && minute >= start && minute < end;
+		return (days.has(p.weekday) && minute >= start) || (days.has(yesterday) && minute < end);
+	});
+}
+
+/**
+ * The first time at or after `time` that is inside the active hours.
+ * @param {Array<ReturnType<typeof parseActiveHours>>} windows
+ * @param {number} time ms since the epoch
+ * @param {string | null} [timeZone]
+ * @returns {number}
+ */
+export function nextActiveTime(windows, time, timeZone = null) {
+	if (isWithinActiveHours(windows, time, timeZone)) return time;
+	// Jump to the nearest window start by wall clock, then step minute by minute in case
+	// a DST change moved it.
+	const p = zonedParts(time, timeZone);
+	const minute = p.hour * 60 + p.minute;
+	let best = Infinity;
+	for (const { days, start } of windows) {
+		for (let d = 0; d <= 7; d++) {
+			if (days.has((p.weekday + d) % 7) && (d > 0 || start > minute)) {
+				best = Math.min(best, d * 24 * 60 + start - minute);
+				break;
+			}
+		}
+	}
+	let t = Math.floor(time / 60000) * 60000 + best * 60000;
+	for (let i = 0; i < 180 && !isWithinActiveHours(windows, t, timeZone); i++) {
+		t += 60000;
+	}
+	return t;
+}
+
+/**
+ * Work out when a tab should refresh next (before applying active hours).
+ * - With a cron `schedule`, at its next match after `from`, delayed by up to the jitter.
+ *   A percentage jitter is a share of the gap between that match and the one after it.
+ * - Otherwise `intervalSeconds` after `from`, moved by up to plus or minus the jitter.
+ * @param {{
+ *   from: number,
+ *   intervalSeconds: number,
+ *   jitter?: ReturnType<typeof parseJitter>,
+ *   schedule?: ReturnType<typeof parseCron> | null,
+ *   timeZone?: string | null,
+ *   random?: () => number,
+ * }} options
+ * @returns {number} ms since the epoch
+ */
+export function nextRunTime({ from, intervalSeconds, jitter = null, schedule = null, timeZone = null, random = Math.random }) {
+	const jitterMs = (periodMs) => (!jitter ? 0 : "ratio" in jitter ? jitter.ratio * periodMs : jitter.seconds * 1000);
+	if (schedule) {
+		const next = schedule.next(from, timeZone);
+		return Math.round(next + random() * jitterMs(schedule.next(next, timeZone) - next));
+	}
+	// Never closer than a second, however large the jitter.
+	const intervalMs = intervalSeconds * 1000;
+	return Math.round(from + Math.max(1000, intervalMs + (random() * 2 - 1) * jitterMs(intervalMs)));
+}
+
+/**
+ * Format a time as `YYYY-MM-DD HH:MM` wall-clock time in a time zone, for logs.
+ * @param {number} time ms since the epoch
+ * @param {string | null} [timeZone] system time zone when null
+ * @returns {string}
+ */
+export function formatZonedTime(time, timeZone = null) {
+	const p = zonedParts(time, timeZone);
+	const pad = (n) => String(n).padStart(2, "0");
+	const zone = timeZone ? ` ${timeZone}` : "";
+	return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}${zone}`;
+}
+
+/**
+ * Parse an optional positive integer option.
+ * Returns null when the value is empty/absent.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number | null}
+ */
+export function parsePositiveInt(value, label) {
+	if (value === undefined || value === null || value === "") return null;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n <= 0) {
+		throw new Error(`${label} must be a positive integer`);
+	}
+	return n;
+}
+
+/**
+ * Parse an optional non-negative integer option (0 allowed).
+ * Returns null when the value is empty/absent.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number | null}
+ */
+export function parseNonNegativeInt(value, label) {
+	if (value === undefined || value === null || value === "") return null;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 0) {
+		throw new Error(`${label} must be a non-negative integer`);
+	}
+	return n;
+}
+
+/**
+ * Parse an optional TCP port option.
+ * Returns null when the value is empty/absent.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number | null}
+ */
+export function parsePort(value, label) {
+	if (value === undefined || value === null || value === "") return null;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n <= 0 || n > 65535) {
+		throw new Error(`${label} must be an integer between 1 and 65535`);
+	}
+	return n;
+}
+
+/** Keepalive strategy names, default first. */
+export const STRATEGIES = ["reload", "ping", "activity", "click"];
+
+/** Standard HTTP request methods (RFC 9110 and PATCH). */
+export const HTTP_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "CONNECT", "TRACE"];
+
+/**
+ * Validate a keepalive strategy name.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"reload" | "ping" | "activity" | "click"}
+ */
+export function validateStrategy(value, label = "--strategy") {
+	const name = String(value ?? "").trim();
+	if (!STRATEGIES.includes(name)) {
+		throw new Error(`${label} must be one of ${STRATEGIES.join(", ")}`);
+	}
+	return name;
+}
+
 /**
  * Validate engine name.
  * @param {string} value
@@ -28,6 +413,23 @@ export function validateEngine(value) {
 	return value;
 }
 
+/** Browsers the Playwright engine can launch. */
+export const BROWSERS = ["chromium", "firefox", "webkit"];
+
+/**
+ * Validate a `--browser` name.
+ * @param {unknown} value
+ * @param {string} [label]
+ * @returns {"chromium" | "firefox" | "webkit"}
+ */
+export function validateBrowser(value, label = "--browser") {
+	const name = String(value ?? "").trim().toLowerCase();
+	if (!BROWSERS.includes(name)) {
+		throw new Error(`${label} must be one of ${BROWSERS.join(", ")}`);
+	}
+	return name;
+}
+
 /**
  * Validate and normalize a URL string.
  * Returns a normalized absolute URL (e.g. ensures trailing slash where applicable).
@@ -42,6 +444,114 @@ export function validateUrlString(value) {
 	}
 }
 
+/**
+ * Parse a boolean flag value ("true"/"false", "yes"/"no", "1"/"0", "on"/"off").
+ * @param {string | boolean} value
+ * @param {string} label
+ * @returns {boolean}
+ */
+export function parseBoolean(value, label) {
+	if (typeof value === "boolean") return value;
+	const v = String(value ?? "").trim().toLowerCase();
+	if (v === "true" || v === "yes" || v === "1" || v === "on") return true;
+	if (v === "false" || v === "no" || v === "0" || v === "off") return false;
+	throw new Error(`${label} must be true or false`);
+}
+
+const SPEC_OPTIONS_SEPARATOR = "::";
+const SPEC_OPTIONS_PATTERN = /^[a-z-]+(=[^,]*)?(,[a-z-]+(=[^,]*)?)*$/;
+
+/**
+ * Split a spec of the form `<head>[::key=value,...]` into its head and its options.
+ * Anything after the last `::` that doesn't look like options is treated as part of the head
+ * (so IPv6 hosts like `http://[::1]:8080/` still work). A key without `=` has the value `true`.
+ * @param {string} spec
+ * @returns {{ head: string, options: Array<[string, string | true]> }}
+ */
+export function splitSpecOptions(spec) {
+	const raw = String(spec ?? "");
+	const at = raw.lastIndexOf(SPEC_OPTIONS_SEPARATOR);
+	const tail = at >= 0 ? raw.slice(at + SPEC_OPTIONS_SEPARATOR.length) : "";
+	if (at < 0 || !SPEC_OPTIONS_PATTERN.test(tail)) {
+		return { head: raw, options: [] };
+	}
+	const options = tail.split(",").map((pair) => {
+		const eq = pair.indexOf("=");
+		return eq >= 0 ? [pair.slice(0, eq), pair.slice(eq + 1)] : [pair, true];
+	});
+	return { head: raw.slice(0, at), options };
+}
+
+/**
+ * Parse a target spec of the form `<url>[::key=value,...]` into per-tab settings.
+ * Supported keys: `interval=<seconds>`, `cache-bust[=bool]`, `no-cache-bust`, `always-reset[=bool]`,
+ * `strategy=<reload|ping|activity|click>`.
+ * @param {string} spec
+ * @param {{ intervalSeconds: number, cacheBust: boolean, alwaysReset: boolean, strategy: string }} defaults
+ * @returns {{ url: string, intervalSeconds: number, cacheBust: boolean, alwaysReset: boolean, strategy: string }}
+ */
+export function parseTargetSpec(spec, defaults) {
+	const { head, options } = splitSpecOptions(spec);
+	const target = {
+		url: validateUrlString(head),
+		intervalSeconds: defaults.intervalSeconds,
+		cacheBust: defaults.cacheBust,
+		alwaysReset: defaults.alwaysReset,
+		strategy: defaults.strategy,
+	};
+	for (const [key, value] of options) {
+		// Only the boolean options may be given without a value.
+		if (value === true && (key === "interval" || key === "strategy")) {
+			throw new Error(`Target option '${key}' for ${target.url} needs a value`);
+		}
+		switch (key) {
+			case "interval":
+				target.intervalSeconds = parseInterval(value);
+				break;
+			case "cache-bust":
+				target.cacheBust = parseBoolean(value, `'${key}' for ${target.url}`);
+				break;
+			case "no-cache-bust":
+				target.cacheBust = !parseBoolean(value, `'${key}' for ${target.url}`);
+				break;
+			case "always-reset":
+				target.alwaysReset = parseBoolean(value, `'${key}' for ${target.url}`);
+				break;
+			case "strategy":
+				target.strategy = validateStrategy(value, `'${key}' for ${target.url}`);
+				break;
+			default:
+				throw new Error(`Unknown target option '${key}' for ${target.url}`);
+		}
+	}
+	return target;
+}
+
+/**
+ * Parse a match pattern. `/.../flags` is a regular expression, anything else a substring.
+ * @param {string} value
+ * @param {string} label used in error messages
+ * @returns {{ source: string, test: (text: string) => boolean }}
+ */
+export function parseMatchPattern(value, label) {
+	const source = String(value ?? "");
+	if (!source) {
+		throw new Error(`${label} must not be empty`);
+	}
+
+	const m = /^\/(.+)\/([a-z]*)$/.exec(source);
+	if (m) {
+		let re;
+		try {
+			re = new RegExp(m[1], m[2]);
+		} catch (err) {
+			throw new Error(`Invalid ${label} ${source}: ${err.message}`);
+		}
+		return { source, test: (text) => re.test(text) };
+	}
+	return { source, test: (text) => text.includes(source) };
+}
+
 /**
  * Remove a specific query parameter from a URL.
  * @param {string} urlString
@@ -84,6 +594,60 @@ export function sleep(ms) {
 	return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// The longest delay setTimeout() takes; longer ones overflow and fire after 1 ms.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Create a sleep that can be cut short.
+ * `wake()` resolves the sleep currently in progress (if any) immediately.
+ * A sleep longer than about 24.8 days (the most `setTimeout()` can wait) ends early,
+ * so callers re-check their deadline in a loop.
+ * @returns {{ sleep: (ms: number) => Promise<void>, wake: () => void }}
+ */
+export function createWakeableSleep() {
+	let pending = null;
+	return {
+		sleep(ms) {
+			return new Promise((resolve) => {
+				const timer = setTimeout(done, Math.min(Math.max(0, ms), MAX_TIMEOUT_MS));
+				function done() {
+					clearTimeout(timer);
+					if (pending === done) pending = null;
+					resolve();
+				}
+				pending = done;
+			});
+		},
+		wake() {
+			if (pending) pending();
+		},
+	};
+}
+
+/**
+ * Sliding-window rate limiter: allows at most `limit` events per `windowMs`.
+ * `delayMs()` says how long to wait before the next event is allowed; `record()` logs one.
+ * @param {{ limit: number, windowMs: number, now?: () => number }} options
+ * @returns {{ delayMs: () => number, record: () => void }}
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+	const events = [];
+	const prune = () => {
+		const cutoff = now() - windowMs;
+		while (events.length && events[0] <= cutoff) events.shift();
+	};
+	return {
+		delayMs() {
+			prune();
+			return events.length < limit ? 0 : events[0] + windowMs - now();
+		},
+		record() {
+			prune();
+			events.push(now());
+		},
+	};
+}
+
 /**
  * Check if an error indicates a missing engine package.
  * @param {unknown} err
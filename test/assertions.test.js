@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+	EXIT_ASSERTION_FAILED,
+	buildAssertions,
+	hasAssertions,
+	runAssertions,
+	formatAssertionResults,
+} from "../src/assertions.js";
+import { EXIT_SESSION_EXPIRED } from "../src/auth.js";
+
+function createMockPage({ title = "Inbox", selectors = [], text = "" } = {}) {
+	return {
+		title: vi.fn().mockResolvedValue(title),
+		$: vi.fn(async (selector) => (selectors.includes(selector) ? {} : null)),
+		evaluate: vi.fn().mockResolvedValue(text),
+	};
+}
+
+describe("EXIT_ASSERTION_FAILED", () => {
+	it("is distinct from the other exit codes", () => {
+		expect([0, 1, EXIT_SESSION_EXPIRED]).not.toContain(EXIT_ASSERTION_FAILED);
+	});
+});
+
+describe("buildAssertions / hasAssertions", () => {
+	it("is empty by default", () => {
+		expect(hasAssertions(buildAssertions())).toBe(false);
+		expect(hasAssertions(null)).toBe(false);
+	});
+
+	it("drops empty values and parses the title pattern", () => {
+		const assertions = buildAssertions({ selectors: ["", "#app"], title: "/^inbox/i" });
+		expect(assertions.selectors).toEqual(["#app"]);
+		expect(assertions.title.test("Inbox - Mail")).toBe(true);
+		expect(hasAssertions(assertions)).toBe(true);
+	});
+
+	it("throws on an invalid title regex", () => {
+		expect(() => buildAssertions({ title: "/(/" })).toThrow("Invalid title pattern /(/");
+	});
+});
+
+describe("runAssertions", () => {
+	it("passes when every check holds", async () => {
+		const page = createMockPage({ title: "Inbox - Mail", selectors: ["#app"], text: "Welcome back" });
+		const assertions = buildAssertions({
+			selectors: ["#app"],
+			texts: ["Welcome"],
+			absentTexts: ["Something went wrong"],
+			statuses: [[200, 299]],
+			title: "Inbox",
+		});
+		const results = await runAssertions(page, { status: () => 200 }, assertions);
+		expect(results.map((r) => r.check)).toEqual(["status", "title", "selector", "text", "no-text"]);
+		expect(results.every((r) => r.ok)).toBe(true);
+		expect(page.evaluate).toHaveBeenCalledTimes(1);
+	});
+
+	it("reports each failing check", async () => {
+		const page = createMockPage({ title: "Error", text: "Something went wrong" });
+		const assertions = buildAssertions({
+			selectors: ["#app"],
+			texts: ["Welcome"],
+			absentTexts: ["Something went wrong"],
+			statuses: [[200, 200]],
+			title: "Inbox",
+		});
+		const results = await runAssertions(page, { status: () => 502 }, assertions);
+		expect(results).toEqual([
+			{ check: "status", expected: "200", ok: false, actual: "502" },
+			{ check: "title", expected: "Inbox", ok: false, actual: "Error" },
+			{ check: "selector", expected: "#app", ok: false },
+			{ check: "text", expected: "Welcome", ok: false },
+			{ check: "no-text", expected: "Something went wrong", ok: false },
+		]);
+	});
+
+	it("fails the status check without a response", async () => {
+		const results = await runAssertions(createMockPage(), null, buildAssertions({ statuses: [[200, 299]] }));
+		expect(results).toEqual([{ check: "status", expected: "200-299", ok: false, actual: "no response" }]);
+	});
+
+	it("fails checks the page can't answer", async () => {
+		const page = createMockPage();
+		page.$.mockRejectedValue(new Error("Execution context was destroyed"));
+		page.evaluate.mockRejectedValue(new Error("Execution context was destroyed"));
+		const results = await runAssertions(page, null, buildAssertions({ selectors: ["#app"], absentTexts: ["oops"] }));
+		expect(results.map((r) => r.ok)).toEqual([false, false]);
+	});
+});
+
+describe("formatAssertionResults", () => {
+	it("summarizes results on one line", () => {
+		expect(
+			formatAssertionResults([
+				{ check: "status", expected: "200-299", ok: false, actual: "502" },
+				{ check: "selector", expected: "#app", ok: true },
+			])
+		).toBe("status '200-299' FAILED (got 502), selector '#app' ok");
+	});
+});
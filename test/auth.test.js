@@ -0,0 +1,475 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+	EXIT_SESSION_EXPIRED,
+	parseUrlPattern,
+	parseStatusList,
+	statusInRanges,
+	parseExpiredAction,
+	buildLoginRules,
+	hasLoginRules,
+	detectLoggedOut,
+	checkSession,
+	loadLoginScript,
+	withTimeout,
+	runLoginScript,
+	loadCredentials,
+	assertFormCredentials,
+	createFormLogin,
+} from "../src/auth.js";
+
+describe("EXIT_SESSION_EXPIRED", () => {
+	it("is distinct from success and generic failure", () => {
+		expect(EXIT_SESSION_EXPIRED).not.toBe(0);
+		expect(EXIT_SESSION_EXPIRED).not.toBe(1);
+	});
+});
+
+describe("parseUrlPattern", () => {
+	it("matches substrings", () => {
+		const pattern = parseUrlPattern("login.microsoftonline.com");
+		expect(pattern.test("https://login.microsoftonline.com/common/oauth2")).toBe(true);
+		expect(pattern.test("https://outlook.office.com/mail/")).toBe(false);
+		expect(pattern.source).toBe("login.microsoftonline.com");
+	});
+
+	it("matches /regex/flags", () => {
+		const pattern = parseUrlPattern("/\\/(login|signin)\\b/i");
+		expect(pattern.test("https://example.com/SignIn?next=/")).toBe(true);
+		expect(pattern.test("https://example.com/app")).toBe(false);
+	});
+
+	it("throws on invalid regex", () => {
+		expect(() => parseUrlPattern("/(/")).toThrow("Invalid URL pattern /(/");
+	});
+
+	it("throws on empty pattern", () => {
+		expect(() => parseUrlPattern("")).toThrow("URL pattern must not be empty");
+	});
+});
+
+describe("parseStatusList", () => {
+	it("parses codes and ranges", () => {
+		expect(parseStatusList("401, 403,500-599")).toEqual([
+			[401, 401],
+			[403, 403],
+			[500, 599],
+		]);
+	});
+
+	it("accepts numbers and lists", () => {
+		expect(parseStatusList(401)).toEqual([[401, 401]]);
+		expect(parseStatusList([401, "400-404"])).toEqual([
+			[401, 401],
+			[400, 404],
+		]);
+	});
+
+	it("rejects invalid entries", () => {
+		expect(() => parseStatusList("4xx", "--logged-out-status")).toThrow(
+			"--logged-out-status has an invalid status '4xx'"
+		);
+		expect(() => parseStatusList("499-400")).toThrow("invalid status '499-400'");
+		expect(() => parseStatusList("")).toThrow("must list HTTP status codes");
+	});
+});
+
+describe("statusInRanges", () => {
+	it("checks inclusive ranges", () => {
+		const ranges = [
+			[401, 401],
+			[500, 599],
+		];
+		expect(statusInRanges(401, ranges)).toBe(true);
+		expect(statusInRanges(599, ranges)).toBe(true);
+		expect(statusInRanges(200, ranges)).toBe(false);
+	});
+});
+
+describe("parseExpiredAction", () => {
+	it("parses exit and continue", () => {
+		expect(parseExpiredAction("exit")).toEqual({ type: "exit" });
+		expect(parseExpiredAction("continue")).toEqual({ type: "continue" });
+	});
+
+	it("parses exec commands", () => {
+		expect(parseExpiredAction("exec: notify-send expired")).toEqual({ type: "exec", command: "notify-send expired" });
+	});
+
+	it("rejects anything else", () => {
+		expect(() => parseExpiredAction("restart")).toThrow("--on-expired must be");
+		expect(() => parseExpiredAction("exec:")).toThrow("--on-expired must be");
+	});
+});
+
+describe("hasLoginRules", () => {
+	it("is false with no rules", () => {
+		expect(hasLoginRules(buildLoginRules())).toBe(false);
+		expect(hasLoginRules(null)).toBe(false);
+	});
+
+	it("is true when any rule is set", () => {
+		expect(hasLoginRules(buildLoginRules({ texts: ["Sign in"] }))).toBe(true);
+		expect(hasLoginRules(buildLoginRules({ statuses: [[401, 401]] }))).toBe(true);
+	});
+});
+
+function createMockPage({ url = "https://app.example.com/", selectors = [], text = "" } = {}) {
+	return {
+		url: vi.fn().mockReturnValue(url),
+		$: vi.fn(async (selector) => (selectors.includes(selector) ? {} : null)),
+		evaluate: vi.fn().mockResolvedValue(text),
+	};
+}
+
+describe("detectLoggedOut", () => {
+	it("returns null without rules", async () => {
+		const page = createMockPage();
+		expect(await detectLoggedOut(page, null, buildLoginRules())).toBe(null);
+		expect(page.evaluate).not.toHaveBeenCalled();
+	});
+
+	it("detects URL redirects", async () => {
+		const page = createMockPage({ url: "https://login.example.com/?next=/" });
+		const rules = buildLoginRules({ urls: ["login.example.com"] });
+		expect(await detectLoggedOut(page, null, rules)).toEqual({
+			rule: "url",
+			match: "login.example.com",
+			url: "https://login.example.com/?next=/",
+		});
+	});
+
+	it("detects HTTP status from function or property", async () => {
+		const rules = buildLoginRules({ statuses: [[401, 401]] });
+		expect((await detectLoggedOut(createMockPage(), { status: () => 401 }, rules))?.rule).toBe("status");
+		expect((await detectLoggedOut(createMockPage(), { status: 401 }, rules))?.match).toBe("401");
+		expect(await detectLoggedOut(createMockPage(), { status: () => 200 }, rules)).toBe(null);
+	});
+
+	it("detects selectors", async () => {
+		const page = createMockPage({ selectors: ["#loginForm"] });
+		const rules = buildLoginRules({ selectors: ["#app", "#loginForm"] });
+		expect(await detectLoggedOut(page, null, rules)).toMatchObject({ rule: "selector", match: "#loginForm" });
+	});
+
+	it("detects page text", async () => {
+		const page = createMockPage({ text: "Your session has expired. Sign in again." });
+		const rules = buildLoginRules({ texts: ["session has expired"] });
+		expect(await detectLoggedOut(page, null, rules)).toMatchObject({ rule: "text", match: "session has expired" });
+	});
+
+	it("treats failing checks as no match", async () => {
+		const page = createMockPage();
+		page.$.mockRejectedValue(new Error("Execution context was destroyed"));
+		page.evaluate.mockRejectedValue(new Error("Execution context was destroyed"));
+		const rules = buildLoginRules({ selectors: ["#loginForm"], texts: ["Sign in"] });
+		expect(await detectLoggedOut(page, null, rules)).toBe(null);
+	});
+});
+
+describe("checkSession", () => {
+	const rules = buildLoginRules({ urls: ["login.example.com"] });
+	const expiredPage = () => createMockPage({ url: "https://login.example.com/?next=/" });
+
+	it("does nothing while logged in", async () => {
+		const onExpired = vi.fn();
+		const log = { warn: vi.fn() };
+		expect(await checkSession(createMockPage(), null, rules, { onExpired, log })).toBe(null);
+		expect(onExpired).not.toHaveBeenCalled();
+		expect(log.warn).not.toHaveBeenCalled();
+	});
+
+	it("fails the refresh when the session stays expired (--on-expired continue)", async () => {
+		const onExpired = vi.fn().mockResolvedValue(false);
+		const log = { warn: vi.fn() };
+		expect(await checkSession(expiredPage(), null, rules, { onExpired, log })).toEqual({
+			result: "session-expired",
+			message: "session expired: url matched 'login.example.com' (url=https://login.example.com/?next=/)",
+		});
+		expect(onExpired).toHaveBeenCalledWith({
+			rule: "url",
+			match: "login.example.com",
+			url: "https://login.example.com/?next=/",
+		});
+		expect(log.warn).toHaveBeenCalledWith("session.expired", expect.stringContaining("session expired"), {
+			rule: "url",
+			match: "login.example.com",
+			currentUrl: "https://login.example.com/?next=/",
+		});
+	});
+
+	it("passes once a re-login restored the session", async () => {
+		const onExpired = vi.fn().mockResolvedValue(true);
+		expect(await checkSession(expiredPage(), null, rules, { onExpired, log: { warn: vi.fn() } })).toBe(null);
+		expect(onExpired).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe("loadLoginScript", () => {
+	it("returns the default export", async () => {
+		const fn = vi.fn();
+		const _import = vi.fn().mockResolvedValue({ default: fn });
+		expect(await loadLoginScript("./login.mjs", { _import })).toBe(fn);
+		expect(_import.mock.calls[0][0]).toMatch(/^file:\/\/.*\/login\.mjs$/);
+	});
+
+	it("falls back to a named login export", async () => {
+		const fn = vi.fn();
+		expect(await loadLoginScript("/opt/login.mjs", { _import: async () => ({ login: fn }) })).toBe(fn);
+	});
+
+	it("throws when no function is exported", async () => {
+		await expect(loadLoginScript("login.mjs", { _import: async () => ({ default: 42 }) })).rejects.toThrow(
+			"Login script 'login.mjs' must export a default function"
+		);
+	});
+
+	it("wraps import errors", async () => {
+		const _import = vi.fn().mockRejectedValue(new Error("Cannot find module"));
+		await expect(loadLoginScript("missing.mjs", { _import })).rejects.toThrow(
+			"Failed to load login script 'missing.mjs': Cannot find module"
+		);
+	});
+});
+
+describe("withTimeout", () => {
+	it("resolves with the promise value", async () => {
+		expect(await withTimeout(Promise.resolve(5), 1000, "slow")).toBe(5);
+	});
+
+	it("rejects after the timeout", async () => {
+		vi.useFakeTimers();
+		try {
+			const pending = withTimeout(new Promise(() => {}), 1000, "too slow");
+			const assertion = expect(pending).rejects.toThrow("too slow");
+			await vi.advanceTimersByTimeAsync(1000);
+			await assertion;
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+});
+
+describe("runLoginScript", () => {
+	it("passes context and attempt number", async () => {
+		const login = vi.fn().mockResolvedValue(undefined);
+		const result = await runLoginScript(login, { page: "p" }, { timeoutMs: 1000, attempts: 3 });
+
+		expect(result).toEqual({ ok: true, attempts: 1, error: null });
+		expect(login).toHaveBeenCalledWith({ page: "p", attempt: 1 });
+	});
+
+	it("retries until success", async () => {
+		const login = vi.fn().mockRejectedValueOnce(new Error("bad password")).mockResolvedValueOnce(true);
+		const log = vi.fn();
+		const result = await runLoginScript(login, {}, { timeoutMs: 1000, attempts: 3, log });
+
+		expect(result.ok).toBe(true);
+		expect(result.attempts).toBe(2);
+		expect(log).toHaveBeenCalledWith("login script: attempt 1 failed: bad password");
+		expect(log).toHaveBeenCalledWith("login script: succeeded on attempt 2");
+	});
+
+	it("treats a false return value as failure", async () => {
+		const result = await runLoginScript(() => false, {}, { timeoutMs: 1000, attempts: 2 });
+		expect(result.ok).toBe(false);
+		expect(result.attempts).toBe(2);
+		expect(result.error.message).toBe("login script reported failure");
+	});
+
+	it("fails attempts that verify() rejects", async () => {
+		const verify = vi.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+		const result = await runLoginScript(() => {}, {}, { timeoutMs: 1000, attempts: 2, verify });
+		expect(result).toEqual({ ok: true, attempts: 2, error: null });
+		expect(verify).toHaveBeenCalledTimes(2);
+	});
+
+	it("catches synchronous throws", async () => {
+		const login = () => {
+			throw new Error("boom");
+		};
+		const result = await runLoginScript(login, {}, { timeoutMs: 1000, attempts: 1 });
+		expect(result.ok).toBe(false);
+		expect(result.error.message).toBe("boom");
+	});
+
+	it("times out hung attempts", async () => {
+		vi.useFakeTimers();
+		try {
+			const pending = runLoginScript(() => new Promise(() => {}), {}, { timeoutMs: 5000, attempts: 1 });
+			await vi.advanceTimersByTimeAsync(5000);
+			const result = await pending;
+			expect(result.ok).toBe(false);
+			expect(result.error.message).toBe("login script timed out after 5s");
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+});
+
+describe("loadCredentials", () => {
+	it("reads credentials from prefixed environment variables", () => {
+		const env = { APP_USERNAME: "alice", APP_PASSWORD: "s3cret", APP_TOTP_SECRET: "JBSWY3DP" };
+		expect(loadCredentials({ envPrefix: "APP_", env })).toEqual({
+			username: "alice",
+			password: "s3cret",
+			totpSecret: "JBSWY3DP",
+		});
+	});
+
+	it("returns null for missing values", () => {
+		expect(loadCredentials({ env: { KEEPALIVE_PASSWORD: "" } })).toEqual({
+			username: null,
+			password: null,
+			totpSecret: null,
+		});
+	});
+
+	it("prefers the secrets file over the environment", () => {
+		const credentials = loadCredentials({
+			secretsFile: "/etc/keepalive/secrets.json",
+			env: { KEEPALIVE_USERNAME: "env-user", KEEPALIVE_PASSWORD: "env-pass" },
+			_stat: () => ({ mode: 0o100600 }),
+			_readFile: () => '{"password":"file-pass"}',
+			_platform: "linux",
+		});
+		expect(credentials).toEqual({ username: "env-user", password: "file-pass", totpSecret: null });
+	});
+
+	it("refuses secrets files readable by others", () => {
+		expect(() =>
+			loadCredentials({
+				secretsFile: "secrets.json",
+				env: {},
+				_stat: () => ({ mode: 0o100644 }),
+				_readFile: () => "{}",
+				_platform: "linux",
+			})
+		).toThrow("Secrets file 'secrets.json' is accessible by group/others (mode 0644). Run: chmod 600 secrets.json");
+	});
+
+	it("skips the permission check on Windows", () => {
+		const credentials = loadCredentials({
+			secretsFile: "secrets.json",
+			env: {},
+			_stat: () => ({ mode: 0o100666 }),
+			_readFile: () => '{"password":"p"}',
+			_platform: "win32",
+		});
+		expect(credentials.password).toBe("p");
+	});
+
+	it("wraps unreadable and invalid files", () => {
+		const _stat = () => {
+			throw new Error("ENOENT");
+		};
+		expect(() => loadCredentials({ secretsFile: "nope.json", _stat })).toThrow(
+			"Failed to read secrets file 'nope.json': ENOENT"
+		);
+		expect(() =>
+			loadCredentials({ secretsFile: "bad.json", _stat: () => ({ mode: 0o600 }), _readFile: () => "[]" })
+		).toThrow("Secrets file 'bad.json' must contain a JSON object");
+	});
+});
+
+describe("assertFormCredentials", () => {
+	it("lists every missing credential", () => {
+		expect(() =>
+			assertFormCredentials(
+				{ username: "#user", password: "#pass", otp: "#otp" },
+				{ username: null, password: null, totpSecret: null },
+				"APP_"
+			)
+		).toThrow(
+			"Form login is missing credentials: username (APP_USERNAME), password (APP_PASSWORD), totpSecret (APP_TOTP_SECRET)"
+		);
+	});
+
+	it("only requires what the form uses", () => {
+		expect(() =>
+			assertFormCredentials({ password: "#pass" }, { username: null, password: "p", totpSecret: null }, "K_")
+		).not.toThrow();
+	});
+
+	it("validates the TOTP secret", () => {
+		expect(() =>
+			assertFormCredentials({ password: "#p", otp: "#o" }, { username: null, password: "p", totpSecret: "0" }, "K_")
+		).toThrow("TOTP secret is not valid base32");
+	});
+});
+
+function createFormPage({ present = [] } = {}) {
+	const visible = new Set(present);
+	return {
+		waitForSelector: vi.fn(async (selector) => {
+			visible.add(selector);
+		}),
+		$: vi.fn(async (selector) => (visible.has(selector) ? {} : null)),
+		fill: vi.fn().mockResolvedValue(undefined),
+		click: vi.fn().mockResolvedValue(undefined),
+		waitForNavigation: vi.fn().mockResolvedValue(null),
+	};
+}
+
+describe("createFormLogin", () => {
+	const credentials = { username: "alice", password: "s3cret", totpSecret: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ" };
+
+	it("fills username and password, then submits", async () => {
+		const page = createFormPage({ present: ["#pass"] });
+		const login = createFormLogin({
+			selectors: { username: "#user", password: "#pass", submit: "#go" },
+			credentials,
+		});
+		await login({ page });
+
+		expect(page.fill).toHaveBeenNthCalledWith(1, "#user", "alice");
+		expect(page.fill).toHaveBeenNthCalledWith(2, "#pass", "s3cret");
+		expect(page.click).toHaveBeenCalledOnce();
+		expect(page.click).toHaveBeenCalledWith("#go");
+		expect(page.waitForNavigation).toHaveBeenCalledOnce();
+	});
+
+	it("submits the username first when the password field is not shown yet", async () => {
+		const page = createFormPage();
+		const login = createFormLogin({
+			selectors: { username: "#user", password: "#pass", submit: "#next" },
+			credentials,
+		});
+		await login({ page });
+
+		expect(page.click).toHaveBeenCalledTimes(2);
+		expect(page.waitForSelector).toHaveBeenCalledWith("#pass", { timeout: 30000 });
+	});
+
+	it("fills a TOTP code when an OTP field is configured", async () => {
+		const page = createFormPage({ present: ["#pass"] });
+		const login = createFormLogin({
+			selectors: { password: "#pass", submit: "#go", otp: "#otp", otpSubmit: "#verify" },
+			credentials,
+			_now: () => 59 * 1000,
+		});
+		await login({ page });
+
+		expect(page.fill).toHaveBeenCalledWith("#otp", "287082");
+		expect(page.click).toHaveBeenNthCalledWith(1, "#go");
+		expect(page.click).toHaveBeenNthCalledWith(2, "#verify");
+	});
+
+	it("types into fields on pages without fill() (Puppeteer)", async () => {
+		const page = createFormPage({ present: ["#pass"] });
+		delete page.fill;
+		page.$eval = vi.fn().mockResolvedValue(undefined);
+		page.type = vi.fn().mockResolvedValue(undefined);
+		const login = createFormLogin({ selectors: { password: "#pass", submit: "#go" }, credentials });
+		await login({ page });
+
+		expect(page.$eval).toHaveBeenCalledWith("#pass", expect.any(Function));
+		expect(page.type).toHaveBeenCalledWith("#pass", "s3cret");
+	});
+
+	it("doesn't fail when the submit doesn't navigate", async () => {
+		const page = createFormPage({ present: ["#pass"] });
+		page.waitForNavigation.mockRejectedValue(new Error("Timeout 30000ms exceeded"));
+		const login = createFormLogin({ selectors: { password: "#pass", submit: "#go" }, credentials });
+		await expect(login({ page })).resolves.toBeUndefined();
+	});
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { isTextContentType, buildBodyPolicy, truncateUtf8, encodeBody, createBodyStore } from "../src/bodies.js";
+
+describe("isTextContentType", () => {
+	it("recognizes text-like types", () => {
+		expect(isTextContentType("application/json; charset=utf-8")).toBe(true);
+		expect(isTextContentType("")).toBe(true);
+		expect(isTextContentType("image/png")).toBe(false);
+		expect(isTextContentType("application/x-protobuf")).toBe(false);
+	});
+});
+
+describe("buildBodyPolicy", () => {
+	it("defaults to text-like types", () => {
+		const policy = buildBodyPolicy();
+		expect(policy.test("text/html")).toBe(true);
+		expect(policy.test("application/octet-stream")).toBe(false);
+		expect(policy.describe()).toBe("text");
+	});
+
+	it("replaces the defaults with the allowed types", () => {
+		const policy = buildBodyPolicy({ types: ["image/*", "/protobuf/i"] });
+		expect(policy.test("image/PNG")).toBe(true);
+		expect(policy.test("application/x-protobuf")).toBe(true);
+		expect(policy.test("application/json")).toBe(false);
+	});
+
+	it("lets skipped types win", () => {
+		const policy = buildBodyPolicy({ types: ["TEXT", "*"], skipTypes: ["video/*", "javascript"] });
+		expect(policy.test("application/octet-stream")).toBe(true);
+		expect(policy.test("video/mp4")).toBe(false);
+		expect(policy.test("text/javascript")).toBe(false);
+		expect(policy.describe()).toBe("text|* skip=video/*|javascript");
+	});
+
+	it("rejects invalid patterns", () => {
+		expect(() => buildBodyPolicy({ skipTypes: ["/(/"] })).toThrow("Invalid --record-body-skip-type /(/");
+	});
+});
+
+describe("truncateUtf8", () => {
+	it("cuts at character boundaries", () => {
+		const buffer = Buffer.from("a€b");
+		expect(truncateUtf8(buffer, 10)).toBe(buffer);
+		expect(truncateUtf8(buffer, 3).toString()).toBe("a");
+		expect(truncateUtf8(buffer, 4).toString()).toBe("a€");
+	});
+});
+
+describe("encodeBody", () => {
+	it("keeps text as UTF-8 and binary as base64", () => {
+		expect(encodeBody(Buffer.from("héllo"), "text/plain", 3)).toEqual({ body: "hé", encoding: null, truncated: true });
+		expect(encodeBody(Buffer.from([1, 2, 3]), "application/octet-stream")).toEqual({
+			body: "AQID",
+			encoding: "base64",
+			truncated: false,
+		});
+		expect(encodeBody(Buffer.from([1, 2, 3]), "application/octet-stream", 2)).toEqual({
+			body: "AQI=",
+			encoding: "base64",
+			truncated: true,
+		});
+	});
+});
+
+describe("createBodyStore", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("writes large bodies' raw bytes to files named by hash", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-bodies-"));
+		const store = createBodyStore({ dir: join(dir, "bodies"), inlineBytes: 2 });
+		const stored = store.store({ url: "u", body: "AQID", encoding: "base64" });
+		expect(stored).toMatchObject({
+			url: "u",
+			body: null,
+			bodyHash: "sha256:039058c6f2c0cb492c533b0a4d14ef77cc0f78abccced5287d84a1a2011cfb81",
+		});
+		expect([...readFileSync(stored.bodyFile)]).toEqual([1, 2, 3]);
+
+		const small = { body: "ok", encoding: null };
+		expect(store.store(small)).toBe(small);
+		expect(store.store({ body: null })).toEqual({ body: null });
+	});
+});
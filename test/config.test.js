@@ -0,0 +1,400 @@
+import { describe, it, expect, vi } from "vitest";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { normalizeTarget, normalizeSettings, loadConfigFile, resolveProfile, mergeWithCli } from "../src/config.js";
+
+describe("normalizeTarget", () => {
+	it("accepts a URL string", () => {
+		expect(normalizeTarget("https://example.com", "targets[0]")).toEqual({ url: "https://example.com/" });
+	});
+
+	it("accepts an object with overrides", () => {
+		expect(
+			normalizeTarget(
+				{ url: "https://example.com", interval: 30, cacheBust: false, alwaysReset: "yes", strategy: "activity" },
+				"t"
+			)
+		).toEqual({
+			url: "https://example.com/",
+			intervalSeconds: 30,
+			cacheBust: false,
+			alwaysReset: true,
+			strategy: "activity",
+		});
+	});
+
+	it("points at the offending key", () => {
+		expect(() => normalizeTarget({ url: "https://example.com", interval: 0 }, "profiles.a.targets[1]")).toThrow(
+			"Invalid config at profiles.a.targets[1].interval: --interval must be a positive number"
+		);
+		expect(() => normalizeTarget({ url: "nope" }, "profiles.a.targets[0]")).toThrow(
+			"Invalid config at profiles.a.targets[0].url: <url> must be a valid absolute URL"
+		);
+		expect(() => normalizeTarget({ url: "https://example.com", speed: 1 }, "t")).toThrow(
+			"Invalid config at t.speed: unknown target setting"
+		);
+	});
+
+	it("rejects other shapes", () => {
+		expect(() => normalizeTarget(42, "t")).toThrow("Invalid config at t: must be a URL string or an object");
+	});
+});
+
+describe("normalizeSettings", () => {
+	it("returns empty settings for a missing block", () => {
+		expect(normalizeSettings(undefined, "defaults")).toEqual({});
+	});
+
+	it("validates each setting with the CLI validators", () => {
+		expect(
+			normalizeSettings(
+				{
+					interval: "90",
+					engine: "puppeteer",
+					browser: "chromium",
+					cdpPort: "9222",
+					recordInclude: "example.com",
+					recordFormat: "HAR",
+					recordMaxBytes: 2048,
+					headless: true,
+				},
+				"profiles.a"
+			)
+		).toEqual({
+			interval: 90,
+			engine: "puppeteer",
+			browser: "chromium",
+			cdpPort: 9222,
+			recordInclude: ["example.com"],
+			recordFormat: "har",
+			recordMaxBytes: 2048,
+			headless: true,
+		});
+	});
+
+	it("expands ~ in paths", () => {
+		expect(normalizeSettings({ userDataDir: "~/.profiles/owa", recordNetwork: "/var/log/owa.ndjson" }, "d")).toEqual({
+			userDataDir: join(homedir(), ".profiles/owa"),
+			recordNetwork: "/var/log/owa.ndjson",
+		});
+	});
+
+	it("reports the key path of invalid values", () => {
+		expect(() => normalizeSettings({ engine: "selenium" }, "profiles.a")).toThrow(
+			"Invalid config at profiles.a.engine: --engine must be 'playwright' or 'puppeteer'"
+		);
+		expect(() => normalizeSettings({ cdpPort: 70000 }, "defaults")).toThrow(
+			"Invalid config at defaults.cdpPort: CDP port must be an integer between 1 and 65535"
+		);
+		expect(() => normalizeSettings({ connect: "9222" }, "defaults")).toThrow(
+			"Invalid config at defaults.connect: --connect must be an http(s) or ws(s) URL"
+		);
+		expect(() => normalizeSettings({ recordInclude: ["ok", ""] }, "defaults")).toThrow(
+			"Invalid config at defaults.recordInclude: recordInclude must be a non-empty string"
+		);
+	});
+
+	it("validates login-detection settings", () => {
+		expect(
+			normalizeSettings(
+				{ loggedOutUrl: "/login/", loggedOutStatus: [401, "403"], onExpired: "exec:./relogin.sh" },
+				"p"
+			)
+		).toEqual({ loggedOutUrl: ["/login/"], loggedOutStatus: "401,403", onExpired: "exec:./relogin.sh" });
+		expect(() => normalizeSettings({ loggedOutStatus: "4xx" }, "p")).toThrow(
+			"Invalid config at p.loggedOutStatus: loggedOutStatus has an invalid status '4xx'"
+		);
+		expect(() => normalizeSettings({ onExpired: "panic" }, "p")).toThrow("Invalid config at p.onExpired:");
+	});
+
+	it("validates health-check settings", () => {
+		expect(
+			normalizeSettings(
+				{ assertSelector: "#app", assertStatus: [200, 304], assertTitle: "/inbox/i", assertRetries: 0 },
+				"p"
+			)
+		).toEqual({ assertSelector: ["#app"], assertStatus: "200,304", assertTitle: "/inbox/i", assertRetries: 0 });
+		expect(() => normalizeSettings({ assertTitle: "/(/" }, "p")).toThrow("Invalid config at p.assertTitle:");
+		expect(() => normalizeSettings({ assertRetryDelay: -1 }, "p")).toThrow(
+			"Invalid config at p.assertRetryDelay: assertRetryDelay must be a non-negative integer"
+		);
+	});
+
+	it("validates retry settings", () => {
+		expect(normalizeSettings({ retryAttempts: 0, retryDelay: "2", maxFailures: 10 }, "p")).toEqual({
+			retryAttempts: 0,
+			retryDelay: 2,
+			maxFailures: 10,
+		});
+		expect(() => normalizeSettings({ maxFailures: 0 }, "p")).toThrow(
+			"Invalid config at p.maxFailures: maxFailures must be a positive integer"
+		);
+	});
+
+	it("validates schedule settings", () => {
+		expect(
+			normalizeSettings(
+				{ jitter: 30, schedule: "*/10 * * * *", activeHours: "mon-fri 07:00-19:00", timezone: "Europe/Berlin" },
+				"p"
+			)
+		).toEqual({
+			jitter: "30",
+			schedule: "*/10 * * * *",
+			activeHours: ["mon-fri 07:00-19:00"],
+			timezone: "Europe/Berlin",
+		});
+		expect(() => normalizeSettings({ schedule: "every hour" }, "p")).toThrow("Invalid config at p.schedule:");
+		expect(() => normalizeSettings({ activeHours: ["25:00-26:00"] }, "p")).toThrow("Invalid config at p.activeHours:");
+	});
+
+	it("validates strategy settings", () => {
+		expect(normalizeSettings({ strategy: "ping", pingUrl: "/owa/ping", clickSelector: "#stay" }, "p")).toEqual({
+			strategy: "ping",
+			pingUrl: "/owa/ping",
+			clickSelector: "#stay",
+		});
+		expect(() => normalizeSettings({ strategy: "poke" }, "p")).toThrow(
+			"Invalid config at p.strategy: strategy must be one of reload, ping, activity, click"
+		);
+		expect(() => normalizeSettings({ pingUrl: "ping" }, "p")).toThrow("Invalid config at p.pingUrl:");
+	});
+
+	it("validates heartbeat settings", () => {
+		const heartbeat = ["POST /api/ping::status=204", { url: "https://sso.example.com/refresh", interval: 900 }];
+		expect(normalizeSettings({ heartbeat, heartbeatInterval: "120" }, "p")).toEqual({
+			heartbeat,
+			heartbeatInterval: 120,
+		});
+		expect(normalizeSettings({ heartbeat: "/api/ping" }, "p")).toEqual({ heartbeat: ["/api/ping"] });
+		expect(() => normalizeSettings({ heartbeat: [{ url: "/ping", method: "FETCH" }] }, "p")).toThrow(
+			"Invalid config at p.heartbeat: heartbeat method must be one of"
+		);
+		expect(() => normalizeSettings({ heartbeatInterval: 0 }, "p")).toThrow(
+			"Invalid config at p.heartbeatInterval: heartbeatInterval must be a positive number"
+		);
+	});
+
+	it("validates network log rotation settings", () => {
+		expect(
+			normalizeSettings(
+				{
+					recordNetwork: "/var/log/owa-%Y-%m-%d.ndjson",
+					recordRotateBytes: "1048576",
+					recordRotateInterval: 3600,
+					recordRetain: 7,
+					recordGzip: "yes",
+				},
+				"p"
+			)
+		).toEqual({
+			recordNetwork: "/var/log/owa-%Y-%m-%d.ndjson",
+			recordRotateBytes: 1048576,
+			recordRotateInterval: 3600,
+			recordRetain: 7,
+			recordGzip: true,
+		});
+		expect(() => normalizeSettings({ recordNetwork: "/var/log/%Y/owa.ndjson" }, "p")).toThrow(
+			"Invalid config at p.recordNetwork: recordNetwork can only use date tokens in the file name"
+		);
+		expect(() => normalizeSettings({ recordRetain: 0 }, "p")).toThrow(
+			"Invalid config at p.recordRetain: recordRetain must be a positive integer"
+		);
+	});
+
+	it("validates recorder filters", () => {
+		expect(
+			normalizeSettings(
+				{
+					recordInclude: "https://*.example.com/api/*",
+					recordExclude: ["/health", "/\\.(png|svg)$/"],
+					recordMethod: ["get", "POST"],
+					recordStatus: "200-299,404",
+					recordResourceType: ["xhr", "fetch"],
+					recordContentType: "json",
+				},
+				"p"
+			)
+		).toEqual({
+			recordInclude: ["https://*.example.com/api/*"],
+			recordExclude: ["/health", "/\\.(png|svg)$/"],
+			recordMethod: "get,POST",
+			recordStatus: "200-299,404",
+			recordResourceType: "xhr,fetch",
+			recordContentType: ["json"],
+		});
+		expect(() => normalizeSettings({ recordMethod: "FETCH" }, "p")).toThrow(
+			"Invalid config at p.recordMethod: recordMethod has an unknown method 'FETCH'"
+		);
+		expect(() => normalizeSettings({ recordResourceType: "ajax" }, "p")).toThrow(
+			"Invalid config at p.recordResourceType: recordResourceType has an unknown resource type 'ajax'"
+		);
+		expect(() => normalizeSettings({ recordExclude: "/(/" }, "p")).toThrow(
+			"Invalid config at p.recordExclude: Invalid recordExclude /(/"
+		);
+	});
+
+	it("validates body settings", () => {
+		expect(
+			normalizeSettings(
+				{
+					recordBodyType: ["text", "image/*"],
+					recordBodySkipType: "video/*",
+					recordBodyDir: "/var/log/bodies",
+					recordBodyInlineBytes: "4096",
+					recordStreams: "false",
+					recordMessageMaxBytes: 1024,
+				},
+				"p"
+			)
+		).toEqual({
+			recordBodyType: ["text", "image/*"],
+			recordBodySkipType: ["video/*"],
+			recordBodyDir: "/var/log/bodies",
+			recordBodyInlineBytes: 4096,
+			recordStreams: false,
+			recordMessageMaxBytes: 1024,
+		});
+		expect(() => normalizeSettings({ recordBodyType: "/(/" }, "p")).toThrow(
+			"Invalid config at p.recordBodyType: Invalid recordBodyType /(/"
+		);
+	});
+
+	it("validates redaction settings", () => {
+		expect(
+			normalizeSettings(
+				{
+					redactHeader: "X-Session",
+					redactJsonPath: ["user.email"],
+					redactPattern: "/card=(\\d+)/",
+					redactDefaults: false,
+				},
+				"p"
+			)
+		).toEqual({
+			redactHeader: ["X-Session"],
+			redactJsonPath: ["user.email"],
+			redactPattern: ["/card=(\\d+)/"],
+			redactDefaults: false,
+		});
+		expect(() => normalizeSettings({ redactJsonPath: "a..b" }, "p")).toThrow(
+			"Invalid config at p.redactJsonPath: redactJsonPath 'a..b' is not a valid path"
+		);
+		expect(() => normalizeSettings({ redactPattern: ["("] }, "p")).toThrow(
+			"Invalid config at p.redactPattern: Invalid redactPattern (:"
+		);
+	});
+
+	it("validates logging settings", () => {
+		expect(normalizeSettings({ logLevel: "DEBUG", logFormat: "json", logMaxBytes: 1024, logMaxFiles: 0 }, "p")).toEqual({
+			logLevel: "debug",
+			logFormat: "json",
+			logMaxBytes: 1024,
+			logMaxFiles: 0,
+		});
+		expect(normalizeSettings({ logFile: "~/keepalive.log" }, "p")).toEqual({ logFile: join(homedir(), "keepalive.log") });
+		expect(() => normalizeSettings({ logFormat: "xml" }, "p")).toThrow(
+			"Invalid config at p.logFormat: logFormat must be one of text, json"
+		);
+	});
+
+	it("rejects unknown settings", () => {
+		expect(() => normalizeSettings({ intervl: 5 }, "profiles.a")).toThrow(
+			"Invalid config at profiles.a.intervl: unknown setting"
+		);
+	});
+
+	it("validates targets", () => {
+		expect(normalizeSettings({ targets: ["https://a.example.com"] }, "p").targets).toEqual([
+			{ url: "https://a.example.com/" },
+		]);
+		expect(() => normalizeSettings({ targets: [] }, "p")).toThrow("Invalid config at p.targets: must be a non-empty list");
+	});
+});
+
+describe("loadConfigFile", () => {
+	it("parses JSON", () => {
+		const _readFile = vi.fn().mockReturnValue('{"defaults":{"interval":30}}');
+		expect(loadConfigFile("/etc/keepalive.json", { _readFile })).toEqual({ defaults: { interval: 30 } });
+		expect(_readFile).toHaveBeenCalledWith("/etc/keepalive.json");
+	});
+
+	it("parses YAML by extension", () => {
+		const _readFile = () => "profiles:\n  owa:\n    interval: 300\n";
+		expect(loadConfigFile("keepalive.yaml", { _readFile })).toEqual({ profiles: { owa: { interval: 300 } } });
+		expect(loadConfigFile("keepalive.YML", { _readFile })).toEqual({ profiles: { owa: { interval: 300 } } });
+	});
+
+	it("wraps read errors", () => {
+		const _readFile = () => {
+			throw new Error("ENOENT");
+		};
+		expect(() => loadConfigFile("missing.json", { _readFile })).toThrow(
+			"Failed to read config file 'missing.json': ENOENT"
+		);
+	});
+
+	it("wraps parse errors", () => {
+		expect(() => loadConfigFile("bad.json", { _readFile: () => "{" })).toThrow(
+			"Failed to parse config file 'bad.json'"
+		);
+	});
+
+	it("requires an object at the top level", () => {
+		expect(() => loadConfigFile("list.json", { _readFile: () => "[]" })).toThrow("top level must be an object");
+	});
+});
+
+describe("resolveProfile", () => {
+	const doc = {
+		defaults: { interval: 60, headless: true },
+		profiles: {
+			owa: { interval: 300, targets: ["https://outlook.office.com/mail/"] },
+			wiki: { engine: "puppeteer" },
+		},
+	};
+
+	it("merges the named profile over defaults", () => {
+		expect(resolveProfile(doc, "owa")).toEqual({
+			interval: 300,
+			headless: true,
+			targets: [{ url: "https://outlook.office.com/mail/" }],
+		});
+	});
+
+	it("uses the only profile when none is named", () => {
+		expect(resolveProfile({ profiles: { solo: { interval: 5 } } }, undefined)).toEqual({ interval: 5 });
+	});
+
+	it("uses defaults alone when there are no profiles", () => {
+		expect(resolveProfile({ defaults: { interval: 5 } }, null)).toEqual({ interval: 5 });
+	});
+
+	it("requires a name when several profiles exist", () => {
+		expect(() => resolveProfile(doc, undefined)).toThrow(
+			"Config has several profiles; pick one with --profile (available: owa, wiki)"
+		);
+	});
+
+	it("throws on unknown profile", () => {
+		expect(() => resolveProfile(doc, "nope")).toThrow("Unknown profile 'nope' (available: owa, wiki)");
+	});
+
+	it("throws on unknown top-level keys", () => {
+		expect(() => resolveProfile({ profile: {} }, null)).toThrow("Invalid config at profile: unknown key");
+	});
+});
+
+describe("mergeWithCli", () => {
+	it("lets explicit CLI flags win over config values", () => {
+		const opts = { interval: "10", engine: "playwright", headless: undefined };
+		const sources = { interval: "cli", engine: "default" };
+		const merged = mergeWithCli(opts, (key) => sources[key], {
+			interval: 300,
+			engine: "puppeteer",
+			headless: true,
+			targets: [{ url: "https://example.com/" }],
+		});
+
+		expect(merged).toEqual({ interval: "10", engine: "puppeteer", headless: true });
+	});
+});
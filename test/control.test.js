@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { isAuthorized, parseTabParam, createControlServer, listenLocal } from "../src/control.js";
+
+describe("isAuthorized", () => {
+	it("allows everything without a token", () => {
+		expect(isAuthorized(undefined, null)).toBe(true);
+	});
+
+	it("requires a matching bearer token", () => {
+		expect(isAuthorized("Bearer s3cret", "s3cret")).toBe(true);
+		expect(isAuthorized("bearer s3cret", "s3cret")).toBe(true);
+		expect(isAuthorized("Bearer wrong!", "s3cret")).toBe(false);
+		expect(isAuthorized("Bearer s3cre", "s3cret")).toBe(false);
+		expect(isAuthorized("Basic czNjcmV0", "s3cret")).toBe(false);
+		expect(isAuthorized(undefined, "s3cret")).toBe(false);
+	});
+});
+
+describe("parseTabParam", () => {
+	it("returns null when absent", () => {
+		expect(parseTabParam(undefined, 3)).toBe(null);
+		expect(parseTabParam("", 3)).toBe(null);
+	});
+
+	it("converts 1-based tabs to indexes", () => {
+		expect(parseTabParam("1", 3)).toBe(0);
+		expect(parseTabParam(3, 3)).toBe(2);
+	});
+
+	it("rejects out-of-range tabs", () => {
+		expect(() => parseTabParam("4", 3)).toThrow("tab must be an integer between 1 and 3");
+		expect(() => parseTabParam("0", 3)).toThrow("tab must be an integer between 1 and 3");
+		expect(() => parseTabParam("x", 3)).toThrow("tab must be an integer between 1 and 3");
+	});
+});
+
+describe("createControlServer", () => {
+	let server;
+
+	afterEach(async () => {
+		if (server) await new Promise((resolve) => server.close(resolve));
+		server = null;
+	});
+
+	function createHandlers() {
+		return {
+			tabCount: 2,
+			getStatus: vi.fn().mockReturnValue({ paused: false, tabs: [] }),
+			refresh: vi.fn((tab) => ({ tab })),
+			pause: vi.fn().mockReturnValue({ paused: true }),
+			resume: vi.fn().mockReturnValue({ paused: false }),
+			setInterval: vi.fn((seconds, tab) => ({ seconds, tab })),
+			stop: vi.fn(),
+		};
+	}
+
+	async function start(options) {
+		server = await listenLocal(createControlServer(options), 0);
+		const { address, port } = server.address();
+		expect(address).toBe("127.0.0.1");
+		return `http://127.0.0.1:${port}`;
+	}
+
+	it("serves status", async () => {
+		const handlers = createHandlers();
+		const base = await start(handlers);
+
+		const res = await fetch(`${base}/status`);
+		expect(res.status).toBe(200);
+		expect(await res.json()).toEqual({ paused: false, tabs: [] });
+	});
+
+	it("routes actions with query or JSON parameters", async () => {
+		const handlers = createHandlers();
+		const base = await start(handlers);
+
+		await fetch(`${base}/refresh?tab=2`, { method: "POST" });
+		expect(handlers.refresh).toHaveBeenCalledWith(1);
+
+		await fetch(`${base}/refresh`, { method: "POST" });
+		expect(handlers.refresh).toHaveBeenLastCalledWith(null);
+
+		const res = await fetch(`${base}/interval`, {
+			method: "POST",
+			headers: { "content-type": "application/json" },
+			body: JSON.stringify({ seconds: 300, tab: 1 }),
+		});
+		expect(await res.json()).toEqual({ seconds: 300, tab: 0 });
+
+		await fetch(`${base}/pause`, { method: "POST" });
+		await fetch(`${base}/resume`, { method: "POST" });
+		expect(handlers.pause).toHaveBeenCalledOnce();
+		expect(handlers.resume).toHaveBeenCalledOnce();
+	});
+
+	it("stops after replying", async () => {
+		const handlers = createHandlers();
+		const base = await start(handlers);
+
+		const res = await fetch(`${base}/stop`, { method: "POST" });
+		expect(await res.json()).toEqual({ stopping: true });
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(handlers.stop).toHaveBeenCalledOnce();
+	});
+
+	it("reports bad parameters as 400", async () => {
+		const base = await start(createHandlers());
+
+		const bad = await fetch(`${base}/interval?seconds=0`, { method: "POST" });
+		expect(bad.status).toBe(400);
+		expect((await bad.json()).error).toMatch("--interval must be a positive number");
+
+		const badTab = await fetch(`${base}/refresh?tab=9`, { method: "POST" });
+		expect(badTab.status).toBe(400);
+
+		const badJson = await fetch(`${base}/interval`, { method: "POST", body: "{" });
+		expect((await badJson.json()).error).toBe("request body must be JSON");
+	});
+
+	it("serves Prometheus metrics when enabled", async () => {
+		const base = await start({ ...createHandlers(), getMetrics: () => "up 1\n" });
+
+		const res = await fetch(`${base}/metrics`);
+		expect(res.status).toBe(200);
+		expect(res.headers.get("content-type")).toMatch(/^text\/plain; version=0\.0\.4/);
+		expect(await res.text()).toBe("up 1\n");
+		expect((await fetch(`${base}/metrics`, { method: "POST" })).status).toBe(405);
+	});
+
+	it("has no metrics route otherwise", async () => {
+		const base = await start(createHandlers());
+		expect((await fetch(`${base}/metrics`)).status).toBe(404);
+	});
+
+	it("returns 404 and 405", async () => {
+		const base = await start(createHandlers());
+
+		expect((await fetch(`${base}/nope`)).status).toBe(404);
+		expect((await fetch(`${base}/stop`)).status).toBe(405);
+	});
+
+	it("enforces the bearer token", async () => {
+		const handlers = createHandlers();
+		const base = await start({ ...handlers, token: "s3cret" });
+
+		const denied = await fetch(`${base}/status`);
+		expect(denied.status).toBe(401);
+		expect(denied.headers.get("www-authenticate")).toBe("Bearer");
+
+		const allowed = await fetch(`${base}/status`, { headers: { authorization: "Bearer s3cret" } });
+		expect(allowed.status).toBe(200);
+	});
+});
@@ -1,10 +1,17 @@
 import { describe, it, expect, vi } from "vitest";
+import { EventEmitter } from "node:events";
 import {
 	normalizePort,
 	buildChromiumArgs,
 	withCause,
 	createSession,
+	checkBrowserOptions,
+	normalizeEndpoint,
+	findMatchingPage,
 	importModule,
+	connectPlaywright,
+	connectPuppeteer,
+	connectEngine,
 	launchPlaywright,
 	launchPuppeteer,
 	launchEngine,
@@ -149,6 +156,28 @@ describe("createSession", () => {
 		expect(result).toBe("reloaded");
 	});
 
+	it("newPage() opens a tab in the given context", async () => {
+		const page = { goto: vi.fn(), reload: vi.fn(), url: vi.fn() };
+		const tab = { goto: vi.fn() };
+		const browser = { close: vi.fn(), newPage: vi.fn() };
+		const context = { newPage: vi.fn().mockResolvedValue(tab) };
+		const session = createSession("playwright", page, browser, null, context);
+
+		expect(await session.newPage()).toBe(tab);
+		expect(context.newPage).toHaveBeenCalledOnce();
+		expect(browser.newPage).not.toHaveBeenCalled();
+	});
+
+	it("newPage() defaults to the browser when no context given", async () => {
+		const page = { goto: vi.fn(), reload: vi.fn(), url: vi.fn() };
+		const tab = { goto: vi.fn() };
+		const browser = { close: vi.fn(), newPage: vi.fn().mockResolvedValue(tab) };
+		const session = createSession("puppeteer", page, browser, null);
+
+		expect(await session.newPage()).toBe(tab);
+		expect(browser.newPage).toHaveBeenCalledOnce();
+	});
+
 	it("currentUrl() calls page.url()", async () => {
 		const page = {
 			goto: vi.fn(),
@@ -162,6 +191,159 @@ describe("createSession", () => {
 		expect(page.url).toHaveBeenCalled();
 		expect(result).toBe("https://current.url");
 	});
+
+	it("request() uses the Playwright context's request API", async () => {
+		const page = { goto: vi.fn(), reload: vi.fn(), url: vi.fn(), evaluate: vi.fn() };
+		const response = {
+			status: () => 204,
+			url: () => "https://app.example.com/api/ping",
+			dispose: vi.fn(),
+		};
+		const context = { newPage: vi.fn(), request: { fetch: vi.fn().mockResolvedValue(response) } };
+		const session = createSession("playwright", page, { close: vi.fn() }, null, context);
+
+		const result = await session.request({
+			method: "POST",
+			url: "https://app.example.com/api/ping",
+			headers: { "x-a": "1" },
+			body: "{}",
+			timeoutMs: 5000,
+		});
+		expect(result).toEqual({ status: 204, url: "https://app.example.com/api/ping" });
+		expect(context.request.fetch).toHaveBeenCalledWith("https://app.example.com/api/ping", {
+			method: "POST",
+			headers: { "x-a": "1" },
+			data: "{}",
+			timeout: 5000,
+			failOnStatusCode: false,
+		});
+		expect(response.dispose).toHaveBeenCalledOnce();
+		expect(page.evaluate).not.toHaveBeenCalled();
+	});
+
+	it("request() fetches from the page without a request API", async () => {
+		const page = {
+			goto: vi.fn(),
+			reload: vi.fn(),
+			url: vi.fn(),
+			evaluate: vi.fn().mockResolvedValue({ status: 200, url: "https://app.example.com/api/ping" }),
+		};
+		const session = createSession("puppeteer", page, { close: vi.fn() }, null);
+
+		const result = await session.request({ url: "https://app.example.com/api/ping" });
+		expect(result).toEqual({ status: 200, url: "https://app.example.com/api/ping" });
+		expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), {
+			url: "https://app.example.com/api/ping",
+			method: "GET",
+			headers: {},
+			body: null,
+			timeoutMs: 30000,
+		});
+	});
+
+	it("close() only disconnects a connected Puppeteer browser", async () => {
+		const page = { goto: vi.fn(), reload: vi.fn(), url: vi.fn() };
+		const browser = { close: vi.fn(), disconnect: vi.fn().mockResolvedValue(undefined) };
+		const session = createSession("puppeteer", page, browser, null, browser, { connected: true });
+
+		await session.close();
+		expect(browser.disconnect).toHaveBeenCalledOnce();
+		expect(browser.close).not.toHaveBeenCalled();
+	});
+
+	it("pageFor() reuses a matching tab of a connected browser once", async () => {
+		const page = { url: () => "https://a.example.com/" };
+		const other = { url: () => "https://b.example.com/app/" };
+		const fresh = { url: () => "about:blank" };
+		const context = { pages: vi.fn().mockReturnValue([page, other]), newPage: vi.fn().mockResolvedValue(fresh) };
+		const session = createSession("playwright", page, { close: vi.fn() }, null, context, { connected: true });
+
+		expect(await session.pageFor("https://b.example.com/app/")).toBe(other);
+		expect(await session.pageFor("https://b.example.com/app/")).toBe(fresh);
+		expect(context.newPage).toHaveBeenCalledOnce();
+	});
+
+	it("pageFor() always opens a tab in a launched browser", async () => {
+		const page = { url: () => "about:blank" };
+		const open = { url: () => "https://b.example.com/" };
+		const fresh = { url: () => "about:blank" };
+		const context = { pages: vi.fn().mockReturnValue([page, open]), newPage: vi.fn().mockResolvedValue(fresh) };
+		const session = createSession("playwright", page, { close: vi.fn() }, null, context);
+
+		expect(await session.pageFor("https://b.example.com/")).toBe(fresh);
+		expect(context.pages).not.toHaveBeenCalled();
+	});
+
+	describe("onLost()", () => {
+		const emitter = (extra = {}) => {
+			const target = new EventEmitter();
+			return Object.assign(target, extra);
+		};
+
+		it("reports a browser disconnect once", () => {
+			const page = emitter({ url: vi.fn() });
+			const browser = emitter({ close: vi.fn() });
+			const session = createSession("puppeteer", page, browser, null);
+			const onLost = vi.fn();
+			session.onLost(onLost);
+
+			browser.emit("disconnected");
+			page.emit("close");
+			expect(onLost).toHaveBeenCalledOnce();
+			expect(onLost).toHaveBeenCalledWith("browser disconnected");
+		});
+
+		it("reports a closed Playwright persistent context", () => {
+			const context = emitter({ close: vi.fn() });
+			const session = createSession("playwright", emitter(), context, null);
+			const onLost = vi.fn();
+			session.onLost(onLost);
+
+			context.emit("close");
+			expect(onLost).toHaveBeenCalledWith("browser closed");
+		});
+
+		it("reports page crashes with each engine's event name", () => {
+			const playwrightPage = emitter();
+			const playwright = createSession("playwright", playwrightPage, emitter(), null);
+			const onPlaywrightLost = vi.fn();
+			playwright.onLost(onPlaywrightLost);
+			playwrightPage.emit("crash");
+			expect(onPlaywrightLost).toHaveBeenCalledWith("page crashed");
+
+			const puppeteerPage = emitter();
+			const puppeteer = createSession("puppeteer", puppeteerPage, emitter(), null);
+			const onPuppeteerLost = vi.fn();
+			puppeteer.onLost(onPuppeteerLost);
+			puppeteerPage.emit("error", new Error("Page crashed!"));
+			expect(onPuppeteerLost).toHaveBeenCalledWith("page crashed");
+		});
+
+		it("watches tabs opened with newPage()", async () => {
+			const tab = emitter();
+			const context = emitter({ newPage: vi.fn().mockResolvedValue(tab) });
+			const session = createSession("playwright", emitter(), emitter(), null, context);
+			const onLost = vi.fn();
+			session.onLost(onLost);
+
+			await session.newPage();
+			tab.emit("close");
+			expect(onLost).toHaveBeenCalledWith("page closed");
+		});
+
+		it("stays quiet after close()", async () => {
+			const page = emitter();
+			const browser = emitter({ close: vi.fn().mockResolvedValue(undefined) });
+			const session = createSession("playwright", page, browser, null);
+			const onLost = vi.fn();
+			session.onLost(onLost);
+
+			await session.close();
+			page.emit("close");
+			browser.emit("disconnected");
+			expect(onLost).not.toHaveBeenCalled();
+		});
+	});
 });
 
 describe("importModule", () => {
@@ -298,6 +480,19 @@ describe("launchPlaywright", () => {
 		});
 	});
 
+	it("opens additional tabs in the same context", async () => {
+		const { context, browser } = createMockBrowser();
+		const mockImport = vi.fn().mockResolvedValue({
+			chromium: { launch: vi.fn().mockResolvedValue(browser) },
+		});
+
+		const session = await launchPlaywright({ headless: true, cdpPort: null, _import: mockImport });
+		await session.newPage();
+
+		expect(context.newPage).toHaveBeenCalledTimes(2);
+		expect(browser.newPage).not.toHaveBeenCalled();
+	});
+
 	it("throws when import fails", async () => {
 		const mockImport = vi.fn().mockRejectedValue(new Error("Cannot find package 'playwright'"));
 
@@ -339,6 +534,117 @@ describe("launchPlaywright", () => {
 		await expect(launchPlaywright({ headless: false, cdpPort: null, _import: mockImport }))
 			.rejects.toThrow("'playwright' was imported but `chromium` export was not found");
 	});
+
+	it("launches Firefox without Chromium channels or flags", async () => {
+		const { browser } = createMockBrowser();
+		const firefoxLaunch = vi.fn().mockResolvedValue(browser);
+		const chromiumLaunch = vi.fn();
+		const mockImport = vi.fn().mockResolvedValue({
+			chromium: { launch: chromiumLaunch },
+			firefox: { launch: firefoxLaunch },
+		});
+
+		await launchPlaywright({ headless: false, cdpPort: null, browser: "firefox", _import: mockImport });
+
+		expect(firefoxLaunch).toHaveBeenCalledOnce();
+		expect(firefoxLaunch).toHaveBeenCalledWith({ headless: false, args: [] });
+		expect(chromiumLaunch).not.toHaveBeenCalled();
+		expect(browser.newContext).toHaveBeenCalledWith({ viewport: null });
+	});
+
+	it("uses a persistent WebKit profile when userDataDir specified", async () => {
+		const { page, context } = createMockBrowser();
+		const launchPersistentFn = vi.fn().mockResolvedValue(context);
+		const mockImport = vi.fn().mockResolvedValue({ webkit: { launchPersistentContext: launchPersistentFn } });
+
+		const session = await launchPlaywright({
+			headless: true,
+			cdpPort: null,
+			userDataDir: "/tmp/browser-keepalive-webkit",
+			browser: "webkit",
+			_import: mockImport,
+		});
+
+		expect(launchPersistentFn).toHaveBeenCalledWith("/tmp/browser-keepalive-webkit", { headless: true, args: [] });
+		expect(session.page).toBe(page);
+	});
+
+	it("throws when the browser export is missing", async () => {
+		const mockImport = vi.fn().mockResolvedValue({ chromium: {} });
+
+		await expect(
+			launchPlaywright({ headless: false, cdpPort: null, browser: "firefox", _import: mockImport })
+		).rejects.toThrow("'playwright' was imported but `firefox` export was not found");
+	});
+});
+
+describe("checkBrowserOptions", () => {
+	it("accepts any browser with Playwright and Chromium with either engine", () => {
+		expect(() => checkBrowserOptions({ engine: "playwright", browser: "webkit", cdpPort: null })).not.toThrow();
+		expect(() => checkBrowserOptions({ engine: "puppeteer", browser: "chromium", cdpPort: 9222 })).not.toThrow();
+	});
+
+	it("rejects other browsers with Puppeteer", () => {
+		expect(() => checkBrowserOptions({ engine: "puppeteer", browser: "firefox", cdpPort: null })).toThrow(
+			"--browser firefox needs --engine playwright"
+		);
+	});
+
+	it("rejects --cdp-port with a non-Chromium browser", () => {
+		expect(() => checkBrowserOptions({ engine: "playwright", browser: "firefox", cdpPort: 9222 })).toThrow(
+			"--cdp-port needs --browser chromium"
+		);
+	});
+
+	it("rejects --connect with a non-Chromium browser or --cdp-port", () => {
+		const connect = "http://127.0.0.1:9222";
+		expect(() => checkBrowserOptions({ engine: "playwright", browser: "webkit", cdpPort: null, connect })).toThrow(
+			"--connect needs --browser chromium"
+		);
+		expect(() => checkBrowserOptions({ engine: "puppeteer", browser: "chromium", cdpPort: 9222, connect })).toThrow(
+			"--connect can't be combined with --cdp-port"
+		);
+	});
+});
+
+describe("normalizeEndpoint", () => {
+	it("returns null when not set", () => {
+		expect(normalizeEndpoint(undefined)).toBe(null);
+		expect(normalizeEndpoint("")).toBe(null);
+	});
+
+	it("accepts DevTools HTTP addresses and ws endpoints", () => {
+		expect(normalizeEndpoint(" http://127.0.0.1:9222 ")).toBe("http://127.0.0.1:9222");
+		expect(normalizeEndpoint("ws://127.0.0.1:9222/devtools/browser/abc")).toBe(
+			"ws://127.0.0.1:9222/devtools/browser/abc"
+		);
+	});
+
+	it("rejects anything else", () => {
+		expect(() => normalizeEndpoint("9222")).toThrow("--connect must be an http(s) or ws(s) URL");
+		expect(() => normalizeEndpoint("ftp://127.0.0.1/")).toThrow("--connect must be an http(s) or ws(s) URL");
+	});
+});
+
+describe("findMatchingPage", () => {
+	const page = (url) => ({ url: () => url });
+
+	it("prefers the same URL, ignoring the fragment and cache-buster", () => {
+		const inbox = page("https://mail.example.com/mail/inbox");
+		const exact = page("https://mail.example.com/mail/?_cb=123#top");
+		expect(findMatchingPage([inbox, exact], "https://mail.example.com/mail/")).toBe(exact);
+	});
+
+	it("falls back to a page further down the same path", () => {
+		const other = page("https://mail.example.com/calendar/");
+		const inbox = page("https://mail.example.com/mail/inbox");
+		expect(findMatchingPage([other, inbox], "https://mail.example.com/mail/")).toBe(inbox);
+	});
+
+	it("returns null when nothing matches", () => {
+		const pages = [page("about:blank"), page("https://other.example.com/mail/")];
+		expect(findMatchingPage(pages, "https://mail.example.com/mail/")).toBe(null);
+	});
 });
 
 describe("launchPuppeteer", () => {
@@ -463,6 +769,93 @@ describe("launchPuppeteer", () => {
 	});
 });
 
+describe("connectPlaywright", () => {
+	it("attaches over CDP and picks the matching tab of the default context", async () => {
+		const blank = { url: () => "about:blank", on: vi.fn() };
+		const app = { url: () => "https://app.example.com/home", on: vi.fn() };
+		const context = { pages: () => [blank, app], newPage: vi.fn() };
+		const browser = { contexts: () => [context], close: vi.fn(), on: vi.fn() };
+		const connectOverCDP = vi.fn().mockResolvedValue(browser);
+		const mockImport = vi.fn().mockResolvedValue({ chromium: { connectOverCDP } });
+
+		const session = await connectPlaywright({
+			endpoint: "http://127.0.0.1:9222",
+			targetUrl: "https://app.example.com/",
+			_import: mockImport,
+		});
+
+		expect(connectOverCDP).toHaveBeenCalledWith("http://127.0.0.1:9222");
+		expect(session.page).toBe(app);
+		expect(session.connected).toBe(true);
+		expect(context.newPage).not.toHaveBeenCalled();
+	});
+
+	it("opens a tab when none matches", async () => {
+		const fresh = { url: () => "about:blank", on: vi.fn() };
+		const context = { pages: () => [], newPage: vi.fn().mockResolvedValue(fresh) };
+		const browser = { contexts: () => [context], close: vi.fn() };
+		const mockImport = vi.fn().mockResolvedValue({ chromium: { connectOverCDP: vi.fn().mockResolvedValue(browser) } });
+
+		const session = await connectPlaywright({
+			endpoint: "http://127.0.0.1:9222",
+			targetUrl: "https://app.example.com/",
+			_import: mockImport,
+		});
+		expect(session.page).toBe(fresh);
+	});
+
+	it("wraps connection errors", async () => {
+		const connectOverCDP = vi.fn().mockRejectedValue(new Error("connect ECONNREFUSED 127.0.0.1:9222"));
+		const mockImport = vi.fn().mockResolvedValue({ chromium: { connectOverCDP } });
+
+		await expect(
+			connectPlaywright({ endpoint: "http://127.0.0.1:9222", targetUrl: "https://app.example.com/", _import: mockImport })
+		).rejects.toThrow("Failed to connect to the browser at http://127.0.0.1:9222.\nCause: connect ECONNREFUSED");
+	});
+});
+
+describe("connectPuppeteer", () => {
+	it("connects by browser URL or ws endpoint", async () => {
+		const page = { url: () => "https://app.example.com/", on: vi.fn() };
+		const browser = { pages: vi.fn().mockResolvedValue([page]), newPage: vi.fn(), disconnect: vi.fn(), close: vi.fn() };
+		const connect = vi.fn().mockResolvedValue(browser);
+		const mockImport = vi.fn().mockResolvedValue({ default: { connect } });
+
+		const session = await connectPuppeteer({
+			endpoint: "http://127.0.0.1:9222",
+			targetUrl: "https://app.example.com/",
+			_import: mockImport,
+		});
+		expect(connect).toHaveBeenCalledWith({ browserURL: "http://127.0.0.1:9222", defaultViewport: null });
+		expect(session.page).toBe(page);
+
+		await connectPuppeteer({
+			endpoint: "ws://127.0.0.1:9222/devtools/browser/abc",
+			targetUrl: "https://app.example.com/",
+			_import: mockImport,
+		});
+		expect(connect).toHaveBeenLastCalledWith({
+			browserWSEndpoint: "ws://127.0.0.1:9222/devtools/browser/abc",
+			defaultViewport: null,
+		});
+
+		await session.close();
+		expect(browser.disconnect).toHaveBeenCalledOnce();
+		expect(browser.close).not.toHaveBeenCalled();
+	});
+});
+
+describe("connectEngine", () => {
+	it("validates the endpoint and the engine", async () => {
+		await expect(connectEngine("playwright", { endpoint: "nope" })).rejects.toThrow(
+			"--connect must be an http(s) or ws(s) URL"
+		);
+		await expect(connectEngine("selenium", { endpoint: "http://127.0.0.1:9222" })).rejects.toThrow(
+			"Unknown engine: selenium"
+		);
+	});
+});
+
 describe("launchEngine", () => {
 	it("throws on unknown engine", async () => {
 		await expect(launchEngine("selenium")).rejects.toThrow("Unknown engine: selenium");
@@ -472,6 +865,14 @@ describe("launchEngine", () => {
 		await expect(launchEngine("")).rejects.toThrow("Unknown engine: ");
 	});
 
+	it("checks the browser options before launching", async () => {
+		const mockImport = vi.fn();
+		await expect(launchEngine("playwright", { browser: "webkit", cdpPort: 9222, _import: mockImport })).rejects.toThrow(
+			"--cdp-port needs --browser chromium"
+		);
+		expect(mockImport).not.toHaveBeenCalled();
+	});
+
 	it("validates cdpPort before launching", async () => {
 		await expect(launchEngine("playwright", { cdpPort: 99999 })).rejects.toThrow(
 			"CDP port must be an integer between 1 and 65535"
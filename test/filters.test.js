@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import { parseTextPattern, parseMethodList, parseResourceTypes, buildRecordFilter } from "../src/filters.js";
+
+describe("parseTextPattern", () => {
+	it("matches substrings, regular expressions and globs", () => {
+		expect(parseTextPattern("/api/", "p").test("https://a.example.com/api/x")).toBe(true);
+		expect(parseTextPattern("/\\/v\\d+\\//i", "p").test("https://a.example.com/V2/x")).toBe(true);
+
+		const glob = parseTextPattern("https://*.example.com/api/*", "p");
+		expect(glob.test("https://mail.example.com/api/items?x=1")).toBe(true);
+		expect(glob.test("https://example.com/api/items")).toBe(false);
+		expect(glob.test("https://mail.example.com/static/api/x")).toBe(false);
+	});
+
+	it("matches globs anywhere unless they start with a scheme or /", () => {
+		const anywhere = parseTextPattern("api*v2", "p");
+		expect(anywhere.test("https://a.example.com/api/x/v2/items")).toBe(true);
+		expect(anywhere.test("https://a.example.com/api/x")).toBe(false);
+		expect(parseTextPattern("*/health", "p").test("https://a.example.com/api/health?x=1")).toBe(true);
+
+		const path = parseTextPattern("/owa/*", "p");
+		expect(path.test("https://outlook.office.com/owa/service.svc?x=1")).toBe(true);
+		expect(path.test("/owa/")).toBe(true);
+		expect(path.test("https://outlook.office.com/mail/owa/x")).toBe(false);
+		expect(path.test("https://outlook.office.com/?next=/owa/x")).toBe(false);
+	});
+
+	it("rejects empty and invalid patterns", () => {
+		expect(() => parseTextPattern("", "--record-include")).toThrow("--record-include must not be empty");
+		expect(() => parseTextPattern("/(/", "--record-exclude")).toThrow("Invalid --record-exclude /(/");
+	});
+});
+
+describe("parseMethodList / parseResourceTypes", () => {
+	it("normalizes lists", () => {
+		expect(parseMethodList("get, post")).toEqual(["GET", "POST"]);
+		expect(parseMethodList(["PUT"])).toEqual(["PUT"]);
+		expect(parseMethodList("connect,TRACE")).toEqual(["CONNECT", "TRACE"]);
+		expect(parseResourceTypes("XHR,fetch")).toEqual(["xhr", "fetch"]);
+	});
+
+	it("rejects unknown values", () => {
+		expect(() => parseMethodList("GET,FETCH")).toThrow("--record-method has an unknown method 'FETCH'");
+		expect(() => parseMethodList("")).toThrow("--record-method must list HTTP methods");
+		expect(() => parseResourceTypes("ajax", "recordResourceType")).toThrow(
+			"recordResourceType has an unknown resource type 'ajax'"
+		);
+	});
+});
+
+describe("buildRecordFilter", () => {
+	const response = {
+		url: "https://mail.example.com/api/items",
+		method: "GET",
+		status: 200,
+		resourceType: "fetch",
+		contentType: "application/json; charset=utf-8",
+	};
+
+	it("keeps everything without options", () => {
+		const filter = buildRecordFilter();
+		expect(filter.test(response)).toBe(true);
+		expect(filter.describe()).toBe("all");
+	});
+
+	it("ORs values of one filter and ANDs different filters", () => {
+		const filter = buildRecordFilter({
+			includes: ["/api/", "/graphql"],
+			methods: ["GET", "POST"],
+			statuses: [
+				[200, 299],
+				[404, 404],
+			],
+			resourceTypes: ["xhr", "fetch"],
+			contentTypes: ["JSON"],
+		});
+		expect(filter.test(response)).toBe(true);
+		expect(filter.test({ ...response, url: "https://mail.example.com/graphql" })).toBe(true);
+		expect(filter.test({ ...response, status: 404 })).toBe(true);
+
+		expect(filter.test({ ...response, url: "https://mail.example.com/app.js" })).toBe(false);
+		expect(filter.test({ ...response, method: "DELETE" })).toBe(false);
+		expect(filter.test({ ...response, status: 500 })).toBe(false);
+		expect(filter.test({ ...response, resourceType: "script" })).toBe(false);
+		expect(filter.test({ ...response, contentType: "text/html" })).toBe(false);
+		expect(filter.describe()).toBe(
+			"include=/api/|/graphql method=GET|POST status=200-299|404 type=xhr|fetch contentType=JSON"
+		);
+	});
+
+	it("lets excludes win over includes", () => {
+		const filter = buildRecordFilter({ includes: ["/api/"], excludes: ["*/api/health*"] });
+		expect(filter.test(response)).toBe(true);
+		expect(filter.test({ ...response, url: "https://mail.example.com/api/health?x=1" })).toBe(false);
+	});
+
+	it("matches content type globs", () => {
+		const filter = buildRecordFilter({ contentTypes: ["image/*"] });
+		expect(filter.test({ ...response, contentType: "image/png" })).toBe(true);
+		expect(filter.test(response)).toBe(false);
+		expect(filter.test({ ...response, contentType: "" })).toBe(false);
+	});
+});
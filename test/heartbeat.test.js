@@ -0,0 +1,178 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+	parseHeartbeatSpec,
+	normalizeHeartbeat,
+	resolveHeartbeat,
+	formatHeartbeat,
+	formatExpectedStatus,
+	isExpectedStatus,
+	sendHeartbeat,
+} from "../src/heartbeat.js";
+
+describe("parseHeartbeatSpec", () => {
+	it("defaults to GET with no options", () => {
+		expect(parseHeartbeatSpec("https://app.example.com/api/ping")).toEqual({
+			method: "GET",
+			url: "https://app.example.com/api/ping",
+			headers: {},
+			body: null,
+			statuses: [],
+			intervalSeconds: null,
+		});
+	});
+
+	it("parses the method, a path and options", () => {
+		expect(
+			parseHeartbeatSpec("post /api/token/refresh::interval=300,status=200-299|304,header=X-Requested-With: XMLHttpRequest,body=keepalive")
+		).toEqual({
+			method: "POST",
+			url: "/api/token/refresh",
+			headers: { "x-requested-with": "XMLHttpRequest" },
+			body: "keepalive",
+			statuses: [
+				[200, 299],
+				[304, 304],
+			],
+			intervalSeconds: 300,
+		});
+	});
+
+	it("rejects bad methods, URLs and options", () => {
+		expect(() => parseHeartbeatSpec("FETCH /api/ping")).toThrow("heartbeat method must be one of GET");
+		expect(() => parseHeartbeatSpec("TRACE /api/ping")).toThrow("heartbeat method must be one of GET");
+		expect(() => parseHeartbeatSpec("api/ping")).toThrow("heartbeat URL must be an absolute http(s) URL");
+		expect(() => parseHeartbeatSpec("//evil.example.com/")).toThrow("heartbeat URL must be an absolute http(s) URL");
+		expect(() => parseHeartbeatSpec("/api/ping::status=2xx")).toThrow("heartbeat status has an invalid status '2xx'");
+		expect(() => parseHeartbeatSpec("/api/ping::header=nope")).toThrow("heartbeat header must look like 'Name: value'");
+		expect(() => parseHeartbeatSpec("/api/ping::interval")).toThrow("heartbeat option 'interval' needs a value");
+		expect(() => parseHeartbeatSpec("/api/ping::speed=1")).toThrow("Unknown heartbeat option 'speed' for /api/ping");
+	});
+});
+
+describe("normalizeHeartbeat", () => {
+	it("accepts spec strings", () => {
+		expect(normalizeHeartbeat("HEAD /ping").method).toBe("HEAD");
+	});
+
+	it("accepts objects and sends object bodies as JSON", () => {
+		expect(
+			normalizeHeartbeat({
+				method: "post",
+				url: "https://app.example.com/api/ping",
+				headers: { "X-Client": "keepalive" },
+				body: { refresh: true },
+				status: [200, "204"],
+				interval: 120,
+			})
+		).toEqual({
+			method: "POST",
+			url: "https://app.example.com/api/ping",
+			headers: { "x-client": "keepalive", "content-type": "application/json" },
+			body: '{"refresh":true}',
+			statuses: [
+				[200, 200],
+				[204, 204],
+			],
+			intervalSeconds: 120,
+		});
+	});
+
+	it("keeps an explicit content type", () => {
+		const heartbeat = normalizeHeartbeat({ url: "/ping", headers: { "Content-Type": "text/json" }, body: [1] });
+		expect(heartbeat.headers).toEqual({ "content-type": "text/json" });
+		expect(heartbeat.body).toBe("[1]");
+	});
+
+	it("rejects other shapes and unknown keys", () => {
+		expect(() => normalizeHeartbeat(42)).toThrow("heartbeat must be a spec string or an object");
+		expect(() => normalizeHeartbeat({ url: "/ping", every: 5 })).toThrow("unknown heartbeat setting 'every'");
+		expect(() => normalizeHeartbeat({ url: "/ping", headers: ["a"] })).toThrow("heartbeat headers must be an object");
+	});
+});
+
+describe("resolveHeartbeat", () => {
+	it("resolves paths against the base URL and fills in the interval", () => {
+		const heartbeat = parseHeartbeatSpec("/api/ping");
+		expect(resolveHeartbeat(heartbeat, { baseUrl: "https://app.example.com/mail/", intervalSeconds: 60 })).toMatchObject({
+			url: "https://app.example.com/api/ping",
+			intervalSeconds: 60,
+		});
+	});
+
+	it("keeps absolute URLs and explicit intervals", () => {
+		const heartbeat = parseHeartbeatSpec("https://sso.example.com/refresh::interval=900");
+		expect(resolveHeartbeat(heartbeat, { baseUrl: "https://app.example.com/", intervalSeconds: 60 })).toMatchObject({
+			url: "https://sso.example.com/refresh",
+			intervalSeconds: 900,
+		});
+	});
+});
+
+describe("formatHeartbeat / formatExpectedStatus", () => {
+	it("describes the request and the expected statuses", () => {
+		expect(formatHeartbeat({ method: "POST", url: "https://app.example.com/api/ping" })).toBe(
+			"POST https://app.example.com/api/ping"
+		);
+		expect(formatExpectedStatus({ statuses: [] })).toBe("<400");
+		expect(formatExpectedStatus(parseHeartbeatSpec("/p::status=200-299|304"))).toBe("200-299,304");
+	});
+});
+
+describe("isExpectedStatus", () => {
+	it("accepts anything below 400 by default", () => {
+		expect(isExpectedStatus({ statuses: [] }, 302)).toBe(true);
+		expect(isExpectedStatus({ statuses: [] }, 401)).toBe(false);
+	});
+
+	it("uses the given statuses", () => {
+		expect(isExpectedStatus({ statuses: [[204, 204]] }, 200)).toBe(false);
+		expect(isExpectedStatus({ statuses: [[204, 204]] }, 204)).toBe(true);
+	});
+});
+
+describe("sendHeartbeat", () => {
+	const heartbeat = {
+		method: "POST",
+		url: "https://app.example.com/api/ping",
+		headers: { "x-a": "1" },
+		body: "{}",
+		statuses: [[204, 204]],
+	};
+	const clock = () => {
+		let t = 1000;
+		return () => (t += 25);
+	};
+
+	it("sends the request through the session", async () => {
+		const session = { request: vi.fn().mockResolvedValue({ status: 204 }) };
+		expect(await sendHeartbeat(session, heartbeat, { timeoutMs: 5000, now: clock() })).toEqual({
+			result: "ok",
+			status: 204,
+			error: null,
+			durationMs: 25,
+		});
+		expect(session.request).toHaveBeenCalledWith({
+			method: "POST",
+			url: "https://app.example.com/api/ping",
+			headers: { "x-a": "1" },
+			body: "{}",
+			timeoutMs: 5000,
+		});
+	});
+
+	it("reports an unexpected status", async () => {
+		const session = { request: vi.fn().mockResolvedValue({ status: 401 }) };
+		expect(await sendHeartbeat(session, heartbeat, { now: clock() })).toMatchObject({
+			result: "unexpected-status",
+			status: 401,
+			error: "HTTP 401",
+		});
+	});
+
+	it("classifies request errors", async () => {
+		const session = { request: vi.fn().mockRejectedValue(new Error("apiRequestContext.fetch: Timeout 30000ms exceeded.")) };
+		expect(await sendHeartbeat(session, heartbeat)).toMatchObject({ result: "timeout", status: null });
+		session.request.mockRejectedValue(new Error("getaddrinfo ENOTFOUND app.example.com"));
+		expect(await sendHeartbeat(session, heartbeat)).toMatchObject({ result: "network-error" });
+	});
+});
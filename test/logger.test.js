@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+	validateLogLevel,
+	validateLogFormat,
+	formatLogLine,
+	createRotatingFile,
+	createLogger,
+} from "../src/logger.js";
+
+const time = new Date("2026-03-02T09:30:00.000Z");
+
+function fakeConsole() {
+	return { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+}
+
+describe("validateLogLevel / validateLogFormat", () => {
+	it("accepts known values case-insensitively", () => {
+		expect(validateLogLevel("WARN")).toBe("warn");
+		expect(validateLogFormat(" json ")).toBe("json");
+	});
+
+	it("rejects anything else", () => {
+		expect(() => validateLogLevel("verbose")).toThrow("--log-level must be one of debug, info, warn, error");
+		expect(() => validateLogFormat("xml", "logFormat")).toThrow("logFormat must be one of text, json");
+	});
+});
+
+describe("formatLogLine", () => {
+	const record = {
+		time,
+		level: "warn",
+		event: "refresh.failed",
+		prefix: "[tab 1]",
+		message: "refresh failed: timeout",
+		fields: { tab: 1, error: new Error("timeout"), skipped: undefined },
+	};
+
+	it("renders text lines with the prefix", () => {
+		expect(formatLogLine(record, "text")).toBe("[tab 1] refresh failed: timeout");
+		expect(formatLogLine({ ...record, prefix: "" }, "text")).toBe("refresh failed: timeout");
+	});
+
+	it("puts the time and level in front when asked", () => {
+		expect(formatLogLine(record, "text", { timestamp: true })).toBe(
+			"2026-03-02T09:30:00.000Z WARN [tab 1] refresh failed: timeout"
+		);
+	});
+
+	it("renders JSON lines with fields and error messages", () => {
+		expect(JSON.parse(formatLogLine(record, "json"))).toEqual({
+			time: "2026-03-02T09:30:00.000Z",
+			level: "warn",
+			event: "refresh.failed",
+			message: "refresh failed: timeout",
+			tab: 1,
+			error: "timeout",
+		});
+	});
+
+	it("keeps the core keys when a field has the same name", () => {
+		const fields = { level: "debug", event: "x", message: "y", time: "then", status: 401 };
+		const line = formatLogLine({ ...record, fields }, "json");
+		expect(Object.keys(JSON.parse(line))).toEqual(["time", "level", "event", "message", "status"]);
+		expect(JSON.parse(line)).toEqual({
+			time: "2026-03-02T09:30:00.000Z",
+			level: "warn",
+			event: "refresh.failed",
+			message: "refresh failed: timeout",
+			status: 401,
+		});
+	});
+});
+
+describe("createLogger", () => {
+	it("drops records below the level", () => {
+		const out = fakeConsole();
+		const logger = createLogger({ level: "warn", console: out });
+		logger.debug("a", "debug");
+		logger.info("b", "info");
+		logger.warn("c", "careful");
+		logger.error("d", "broken");
+
+		expect(out.debug).not.toHaveBeenCalled();
+		expect(out.info).not.toHaveBeenCalled();
+		expect(out.warn).toHaveBeenCalledWith("[keepalive] careful");
+		expect(out.error).toHaveBeenCalledWith("[keepalive] broken");
+	});
+
+	it("binds fields and a prefix in children", () => {
+		const out = fakeConsole();
+		const logger = createLogger({ format: "json", console: out, now: () => time });
+		const tab = logger.child({ tab: 2, url: "https://example.com/" }, "[tab 2]");
+		tab.info("refresh.ok", "refreshed", { durationMs: 120 });
+
+		expect(JSON.parse(out.info.mock.calls[0][0])).toEqual({
+			time: "2026-03-02T09:30:00.000Z",
+			level: "info",
+			event: "refresh.ok",
+			message: "refreshed",
+			tab: 2,
+			url: "https://example.com/",
+			durationMs: 120,
+		});
+
+		tab.child({ attempt: 1 }).warn("retry", "retrying");
+		expect(out.warn).not.toHaveBeenCalledWith(expect.stringContaining("[keepalive]"));
+		expect(JSON.parse(out.warn.mock.calls[0][0])).toMatchObject({ tab: 2, attempt: 1 });
+	});
+
+	it("keeps the text prefix of the parent in children by default", () => {
+		const out = fakeConsole();
+		createLogger({ console: out }).child({ tab: 1 }, "[tab 1]").child({ attempt: 2 }).info("x", "hello");
+		expect(out.info).toHaveBeenCalledWith("[tab 1] hello");
+	});
+
+	it("rejects an invalid level", () => {
+		expect(() => createLogger({ level: "loud" })).toThrow("--log-level must be one of");
+	});
+});
+
+describe("log files", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("writes timestamped lines to the file", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-log-"));
+		const file = join(dir, "nested", "keepalive.log");
+		const logger = createLogger({ file, console: fakeConsole(), now: () => time });
+		logger.info("start", "started");
+
+		expect(readFileSync(file, "utf8")).toBe("2026-03-02T09:30:00.000Z INFO [keepalive] started\n");
+	});
+
+	it("rotates by size and keeps maxFiles old files", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-log-"));
+		const file = join(dir, "app.log");
+		const sink = createRotatingFile(file, { maxBytes: 10, maxFiles: 2 });
+		for (const line of ["aaaa\n", "bbbb\n", "cccc\n", "dddd\n", "eeee\n", "ffff\n", "gggg\n"]) {
+			sink.write(line);
+		}
+
+		expect(readFileSync(file, "utf8")).toBe("gggg\n");
+		expect(readFileSync(`${file}.1`, "utf8")).toBe("eeee\nffff\n");
+		expect(readFileSync(`${file}.2`, "utf8")).toBe("cccc\ndddd\n");
+		expect(existsSync(`${file}.3`)).toBe(false);
+	});
+
+	it("truncates instead of keeping old files when maxFiles is 0", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-log-"));
+		const file = join(dir, "app.log");
+		const sink = createRotatingFile(file, { maxBytes: 6, maxFiles: 0 });
+		sink.write("aaaa\n");
+		sink.write("bbbb\n");
+
+		expect(readFileSync(file, "utf8")).toBe("bbbb\n");
+		expect(existsSync(`${file}.1`)).toBe(false);
+	});
+});
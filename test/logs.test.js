@@ -0,0 +1,354 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Writable } from "node:stream";
+import { gzipSync } from "node:zlib";
+import {
+	resolveLogFiles,
+	readLogEntries,
+	parseLogTime,
+	entryKind,
+	buildLogFilter,
+	endpointOf,
+	createLogSummary,
+	formatSummary,
+	formatEntryLine,
+	formatEntry,
+	toExchange,
+	createLogExporter,
+	writeText,
+} from "../src/logs.js";
+
+const response = (url, fields = {}) => ({
+	ts: "2026-03-02T09:00:00.000Z",
+	url,
+	method: "GET",
+	status: 200,
+	contentType: "application/json",
+	body: "{}",
+	...fields,
+});
+
+const failed = { ts: "2026-03-02T09:05:00.000Z", url: "https://a.example.com/save", method: "POST", status: 0 };
+const wsEvent = (event, fields = {}) => ({
+	ts: "2026-03-02T09:10:00.000Z",
+	type: "websocket",
+	id: "p1-ws-1",
+	event,
+	url: "wss://a.example.com/push",
+	...fields,
+});
+
+const collect = async (iterable) => {
+	const list = [];
+	for await (const item of iterable) list.push(item);
+	return list;
+};
+
+describe("reading logs", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("resolves a log path to its rotated and gzipped files, oldest first", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-logs-"));
+		const files = ["net.20260301-100000.ndjson.gz", "net.20260302-100000.ndjson", "net.ndjson", "other.ndjson"];
+		files.forEach((name, i) => {
+			writeFileSync(join(dir, name), "");
+			utimesSync(join(dir, name), 1000 + i, 1000 + i);
+		});
+
+		expect(resolveLogFiles([join(dir, "net.ndjson"), join(dir, "net.ndjson")])).toEqual(
+			files.slice(0, 3).map((name) => join(dir, name))
+		);
+		writeFileSync(join(dir, "day-2026.ndjson.gz"), "");
+		expect(resolveLogFiles([join(dir, "day-%Y.ndjson"), join(dir, "other.ndjson")])).toEqual([
+			join(dir, "day-2026.ndjson.gz"),
+			join(dir, "other.ndjson"),
+		]);
+		expect(() => resolveLogFiles([join(dir, "missing.ndjson")])).toThrow("No network log found at");
+	});
+
+	it("streams plain and gzipped logs, reporting lines that aren't JSON objects", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-logs-"));
+		const text = `${JSON.stringify(response("https://a.example.com/"))}\n[1]\n\n{"url":"https://a.exa`;
+		writeFileSync(join(dir, "net.ndjson"), text);
+		writeFileSync(join(dir, "net.ndjson.gz"), gzipSync(text));
+
+		for (const name of ["net.ndjson", "net.ndjson.gz"]) {
+			const invalid = [];
+			const entries = await collect(readLogEntries(join(dir, name), { onInvalid: (line) => invalid.push(line) }));
+			expect(entries).toEqual([response("https://a.example.com/")]);
+			expect(invalid).toEqual([2, 4]);
+		}
+		await expect(collect(readLogEntries(join(dir, "missing.ndjson")))).rejects.toThrow("Can't read network log");
+	});
+});
+
+describe("parseLogTime", () => {
+	it("takes ISO times and durations before now", () => {
+		const now = () => Date.parse("2026-03-02T12:00:00Z");
+		expect(parseLogTime("2026-03-02T09:30:00Z", "--since")).toBe(Date.parse("2026-03-02T09:30:00Z"));
+		expect(parseLogTime("2h", "--since", { now })).toBe(Date.parse("2026-03-02T10:00:00Z"));
+		expect(parseLogTime("1.5d", "--until", { now })).toBe(Date.parse("2026-03-01T00:00:00Z"));
+		expect(() => parseLogTime("yesterday", "--since")).toThrow("--since must be an ISO time");
+		expect(() => parseLogTime("2h ago", "--until")).toThrow("--until must be an ISO time");
+	});
+});
+
+describe("buildLogFilter", () => {
+	const entries = [
+		response("https://a.example.com/api/items?page=1"),
+		response("https://a.example.com/api/items?page=2", { status: 500, ts: "2026-03-02T09:01:00.000Z" }),
+		response("https://a.example.com/ping", { method: "HEAD" }),
+		failed,
+		wsEvent("open"),
+		{ ts: "2026-03-02T09:20:00.000Z", error: "boom" },
+	];
+	const urls = (filter) => entries.filter((entry) => filter.test(entry)).map((entry) => entry.url ?? entry.error);
+
+	it("keeps everything without options", () => {
+		expect(urls(buildLogFilter())).toHaveLength(entries.length);
+		expect(entries.map(entryKind)).toEqual(["response", "response", "response", "failed", "websocket", "error"]);
+	});
+
+	it("filters by URL, method, status and errors", () => {
+		expect(urls(buildLogFilter({ urls: ["api/items"], excludes: ["page=2"] }))).toEqual([
+			"https://a.example.com/api/items?page=1",
+		]);
+		expect(urls(buildLogFilter({ methods: ["GET"] }))).toEqual([
+			"https://a.example.com/api/items?page=1",
+			"https://a.example.com/api/items?page=2",
+			"wss://a.example.com/push",
+		]);
+		expect(urls(buildLogFilter({ statuses: [[500, 599]] }))).toEqual(["https://a.example.com/api/items?page=2"]);
+		expect(urls(buildLogFilter({ errors: true }))).toEqual([
+			"https://a.example.com/api/items?page=2",
+			"https://a.example.com/save",
+		]);
+	});
+
+	it("filters by time range, inclusive", () => {
+		const since = Date.parse("2026-03-02T09:01:00Z");
+		const until = Date.parse("2026-03-02T09:10:00Z");
+		expect(urls(buildLogFilter({ since, until }))).toEqual([
+			"https://a.example.com/api/items?page=2",
+			"https://a.example.com/save",
+			"wss://a.example.com/push",
+		]);
+	});
+});
+
+describe("summary", () => {
+	it("counts requests, errors and stream events per endpoint", () => {
+		const summary = createLogSummary();
+		[
+			response("https://a.example.com/api/items?page=1", { timing: { ttfb: 100 } }),
+			response("https://a.example.com/api/items?page=2", { status: 503, timing: { ttfb: 50 } }),
+			response("https://a.example.com/api/items?page=3", { timing: { ttfb: -1 } }),
+			failed,
+			wsEvent("open"),
+			wsEvent("received"),
+			{ ts: "2026-03-02T09:20:00.000Z", error: "boom" },
+		].forEach((entry) => summary.add(entry));
+
+		const result = summary.result();
+		expect(result).toMatchObject({
+			entries: 7,
+			requests: 4,
+			errors: 2,
+			streamEvents: 2,
+			recorderErrors: 1,
+			first: "2026-03-02T09:00:00.000Z",
+			last: "2026-03-02T09:20:00.000Z",
+		});
+		expect(result.endpoints).toEqual([
+			{
+				endpoint: "GET https://a.example.com/api/items",
+				requests: 3,
+				errors: 1,
+				failed: 0,
+				errorRate: 1 / 3,
+				statuses: { 200: 2, 503: 1 },
+				avgTtfb: 75,
+				streamEvents: 0,
+			},
+			{
+				endpoint: "POST https://a.example.com/save",
+				requests: 1,
+				errors: 1,
+				failed: 1,
+				errorRate: 1,
+				statuses: { failed: 1 },
+				avgTtfb: null,
+				streamEvents: 0,
+			},
+			{
+				endpoint: "WS wss://a.example.com/push",
+				requests: 0,
+				errors: 0,
+				failed: 0,
+				errorRate: 0,
+				statuses: {},
+				avgTtfb: null,
+				streamEvents: 2,
+			},
+		]);
+
+		const text = formatSummary(result);
+		expect(text).toContain("7 entries from 2026-03-02T09:00:00.000Z to 2026-03-02T09:20:00.000Z");
+		expect(text).toContain("4 requests, 2 errors (50.0%), 2 WebSocket/SSE events");
+		expect(text).toMatch(/ 3 +1 +33\.3% +75ms +200:2 503:1 +GET https:\/\/a\.example\.com\/api\/items/);
+	});
+
+	it("names endpoints without the query", () => {
+		expect(endpointOf(response("https://a.example.com/x?y=1#z", { method: "post" }))).toBe(
+			"POST https://a.example.com/x"
+		);
+		expect(endpointOf(wsEvent("open", { type: "sse", url: "https://a.example.com/events?t=1" }))).toBe(
+			"SSE https://a.example.com/events"
+		);
+	});
+});
+
+describe("formatting entries", () => {
+	it("describes each kind of entry on one line", () => {
+		expect(formatEntryLine(response("https://a.example.com/", { timing: { ttfb: 42 } }))).toBe(
+			"2026-03-02T09:00:00.000Z  GET https://a.example.com/  200  42ms"
+		);
+		expect(formatEntryLine({ ...failed, errorText: "net::ERR_FAILED" })).toBe(
+			"2026-03-02T09:05:00.000Z  POST https://a.example.com/save  failed: net::ERR_FAILED"
+		);
+		expect(formatEntryLine(wsEvent("received", { size: 2 }))).toBe(
+			"2026-03-02T09:10:00.000Z  WS received 2B  wss://a.example.com/push  [p1-ws-1]"
+		);
+		expect(formatEntryLine({ ts: "2026-03-02T09:20:00.000Z", error: "boom" })).toBe(
+			"2026-03-02T09:20:00.000Z  recorder error: boom"
+		);
+	});
+
+	it("pretty-prints an entry with headers and an indented JSON body", () => {
+		const text = formatEntry(
+			response("https://a.example.com/api", {
+				statusText: "OK",
+				requestHeaders: { accept: "*/*" },
+				responseHeaders: { "set-cookie": "a=1\nb=2" },
+				body: '{"items":[1]}',
+				bodyTruncated: false,
+			})
+		);
+		expect(text).toBe(
+			[
+				"GET https://a.example.com/api",
+				"-> 200 OK",
+				"",
+				"time: 2026-03-02T09:00:00.000Z",
+				"content type: application/json",
+				"",
+				"Request headers:",
+				"  accept: */*",
+				"",
+				"Response headers:",
+				"  set-cookie: a=1",
+				"  set-cookie: b=2",
+				"",
+				"Response body:",
+				'{\n  "items": [\n    1\n  ]\n}',
+			].join("\n")
+		);
+		expect(formatEntry(response("https://a.example.com/img", { body: "AAEC", encoding: "base64" }))).toContain(
+			"(binary, 3 bytes of base64)"
+		);
+		expect(formatEntry(wsEvent("open"))).toBe(JSON.stringify(wsEvent("open"), null, 2));
+	});
+});
+
+describe("exporting", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("rebuilds an exchange from an entry, filling in what old entries lack", () => {
+		const exchange = toExchange(response("https://a.example.com/"));
+		expect(exchange.timing).toEqual({
+			startedAt: Date.parse("2026-03-02T09:00:00Z"),
+			ttfb: -1,
+			endedAt: Date.parse("2026-03-02T09:00:00Z"),
+			blocked: -1,
+			dns: -1,
+			connect: -1,
+			ssl: -1,
+			send: 0,
+			wait: 0,
+			receive: 0,
+		});
+		expect(exchange.sizes).toEqual({ transferred: -1, decoded: -1 });
+		expect(exchange.responseHeaders).toEqual({ "content-type": "application/json" });
+	});
+
+	it("writes NDJSON entries as they are, replacing the file", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-logs-"));
+		const path = join(dir, "out.ndjson");
+		writeFileSync(path, "old\n");
+		const exporter = createLogExporter(path, { format: "ndjson", creator: { name: "t", version: "1" } });
+		await exporter.write(response("https://a.example.com/"));
+		await exporter.write(failed);
+		await exporter.close();
+		expect(readFileSync(path, "utf8")).toBe(
+			`${JSON.stringify(response("https://a.example.com/"))}\n${JSON.stringify(failed)}\n`
+		);
+	});
+
+	it("writes a HAR with one entry per request and per stream", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-logs-"));
+		const path = join(dir, "out.har");
+		writeFileSync(path, "not a HAR");
+		const exporter = createLogExporter(path, { format: "har", creator: { name: "t", version: "1" } });
+		await exporter.write(response("https://a.example.com/api?x=1"));
+		await exporter.write({ ...failed, errorText: "net::ERR_FAILED" });
+		await exporter.write(wsEvent("open"));
+		await exporter.write(wsEvent("received", { opcode: 1, data: "hi" }));
+		await exporter.write({ ts: "2026-03-02T09:20:00.000Z", error: "boom" });
+		await exporter.close();
+
+		const har = JSON.parse(readFileSync(path, "utf8"));
+		expect(har.log.creator).toEqual({ name: "t", version: "1" });
+		const [ok, fail, ws] = har.log.entries;
+		expect(har.log.entries).toHaveLength(3);
+		expect(ok.request.queryString).toEqual([{ name: "x", value: "1" }]);
+		expect(ok.response.content).toMatchObject({ mimeType: "application/json", text: "{}" });
+		expect(fail.response).toMatchObject({ status: 0, _error: "net::ERR_FAILED" });
+		expect(ws._webSocketMessages).toEqual([
+			{ type: "receive", time: Date.parse("2026-03-02T09:10:00Z") / 1000, opcode: 1, data: "hi" },
+		]);
+	});
+
+	it("waits for a full stream to drain before writing on", async () => {
+		const chunks = [];
+		let release;
+		const stream = new Writable({
+			highWaterMark: 4,
+			write(chunk, _encoding, callback) {
+				chunks.push(String(chunk));
+				release = callback;
+			},
+		});
+		let done = false;
+		const writing = writeText(stream, "0123456789").then(() => (done = true));
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(chunks).toEqual(["0123456789"]);
+		expect(done).toBe(false);
+
+		release();
+		await writing;
+		expect(done).toBe(true);
+		await writeText(stream, "ab");
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { createMetricsRegistry, createKeepaliveMetrics, METRICS_CONTENT_TYPE } from "../src/metrics.js";
+
+describe("createMetricsRegistry", () => {
+	it("renders counters with labels", () => {
+		const registry = createMetricsRegistry();
+		const counter = registry.counter("app_requests_total", "Requests.");
+		counter.inc({ tab: "1" });
+		counter.inc({ tab: "1" }, 2);
+		counter.inc({ tab: "2" });
+
+		expect(counter.get({ tab: "1" })).toBe(3);
+		expect(registry.render()).toBe(
+			[
+				"# HELP app_requests_total Requests.",
+				"# TYPE app_requests_total counter",
+				'app_requests_total{tab="1"} 3',
+				'app_requests_total{tab="2"} 1',
+				"",
+			].join("\n")
+		);
+	});
+
+	it("treats label order as irrelevant", () => {
+		const registry = createMetricsRegistry();
+		const counter = registry.counter("c_total", "C.");
+		counter.inc({ a: "1", b: "2" });
+		counter.inc({ b: "2", a: "1" });
+		expect(counter.get({ a: "1", b: "2" })).toBe(2);
+	});
+
+	it("renders gauges", () => {
+		const registry = createMetricsRegistry();
+		const gauge = registry.gauge("app_temperature", "Temp.");
+		gauge.set({}, 21.5);
+		gauge.set({}, 22);
+		expect(registry.render()).toContain("# TYPE app_temperature gauge\napp_temperature 22\n");
+	});
+
+	it("escapes label values", () => {
+		const registry = createMetricsRegistry();
+		registry.counter("c_total", "C.").inc({ url: 'https://x/"a"\\b\nc' });
+		expect(registry.render()).toContain('c_total{url="https://x/\\"a\\"\\\\b\\nc"} 1');
+	});
+
+	it("renders cumulative histograms", () => {
+		const registry = createMetricsRegistry();
+		const histogram = registry.histogram("nav_seconds", "Nav.", [1, 0.5]);
+		histogram.observe({ tab: "1" }, 0.2);
+		histogram.observe({ tab: "1" }, 0.7);
+		histogram.observe({ tab: "1" }, 3);
+
+		expect(registry.render()).toBe(
+			[
+				"# HELP nav_seconds Nav.",
+				"# TYPE nav_seconds histogram",
+				'nav_seconds_bucket{tab="1",le="0.5"} 1',
+				'nav_seconds_bucket{tab="1",le="1"} 2',
+				'nav_seconds_bucket{tab="1",le="+Inf"} 3',
+				'nav_seconds_sum{tab="1"} 3.9',
+				'nav_seconds_count{tab="1"} 3',
+				"",
+			].join("\n")
+		);
+	});
+});
+
+describe("createKeepaliveMetrics", () => {
+	it("exports unlabelled counters as zero from the start", () => {
+		const text = createKeepaliveMetrics().registry.render();
+		expect(text).toContain("keepalive_recorder_entries_written_total 0");
+		expect(text).toContain("keepalive_recorder_entries_dropped_total 0");
+		expect(text).toContain("keepalive_browser_relaunches_total 0");
+		expect(text).toContain("# TYPE keepalive_navigation_duration_seconds histogram");
+		expect(text).toContain("# TYPE keepalive_consecutive_failures gauge");
+		expect(text).toContain("# TYPE keepalive_heartbeat_requests_total counter");
+	});
+});
+
+describe("METRICS_CONTENT_TYPE", () => {
+	it("is the Prometheus text format", () => {
+		expect(METRICS_CONTENT_TYPE).toMatch(/^text\/plain; version=0\.0\.4/);
+	});
+});
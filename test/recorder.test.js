@@ -0,0 +1,837 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gunzipSync } from "node:zlib";
+import {
+	validateRecordFormat,
+	normalizeTiming,
+	summarizeResponse,
+	normalizeSizes,
+	captureResponse,
+	captureFailure,
+	toNdjsonEntry,
+	toHarEntry,
+	createHarStreamAggregator,
+	createNdjsonWriter,
+	createHarWriter,
+	createRotatingWriter,
+	startNetworkRecorder,
+} from "../src/recorder.js";
+import { createRedactor } from "../src/redaction.js";
+import { buildRecordFilter } from "../src/filters.js";
+import { buildBodyPolicy } from "../src/bodies.js";
+
+const startTime = Date.parse("2026-03-02T09:30:00.000Z");
+
+// A Playwright-style response (methods everywhere).
+function fakeResponse({
+	url = "https://app.example.com/api/items?page=2",
+	method = "POST",
+	resourceType = "fetch",
+	status = 200,
+	statusText = "OK",
+	headers = { "content-type": "application/json", "set-cookie": "a=1\nb=2" },
+	requestHeaders = { "content-type": "application/json", accept: "*/*" },
+	postData = '{"q":1}',
+	body = '{"items":[]}',
+	timing = {
+		startTime,
+		domainLookupStart: 1,
+		domainLookupEnd: 5,
+		connectStart: 5,
+		secureConnectionStart: 10,
+		connectEnd: 20,
+		requestStart: 21,
+		responseStart: 121,
+		responseEnd: 131,
+	},
+} = {}) {
+	const request = {
+		url: () => url,
+		method: () => method,
+		resourceType: () => resourceType,
+		headers: () => requestHeaders,
+		postData: () => postData,
+		timing: () => timing,
+	};
+	return {
+		url: () => url,
+		status: () => status,
+		statusText: () => statusText,
+		headers: () => headers,
+		request: () => request,
+		body: vi.fn(async () => Buffer.from(body)),
+	};
+}
+
+function fakePage() {
+	const handlers = new Map();
+	return {
+		on: vi.fn((event, fn) => handlers.set(event, fn)),
+		off: vi.fn((event) => handlers.delete(event)),
+		emit: (event, value) => handlers.get(event)?.(value),
+	};
+}
+
+describe("validateRecordFormat", () => {
+	it("accepts ndjson and har", () => {
+		expect(validateRecordFormat("HAR")).toBe("har");
+		expect(validateRecordFormat("ndjson")).toBe("ndjson");
+	});
+
+	it("rejects other formats", () => {
+		expect(() => validateRecordFormat("csv")).toThrow("--record-format must be one of ndjson, har");
+	});
+});
+
+describe("normalizeTiming", () => {
+	const clock = { receivedAt: startTime + 200, finishedAt: startTime + 260 };
+
+	it("converts Playwright timings", () => {
+		expect(normalizeTiming(fakeResponse().request().timing(), clock)).toEqual({
+			startedAt: startTime,
+			ttfb: 121,
+			endedAt: startTime + 131,
+			blocked: 1,
+			dns: 4,
+			connect: 15,
+			ssl: 10,
+			send: 0,
+			wait: 100,
+			receive: 10,
+		});
+	});
+
+	it("measures the receive phase when the engine doesn't know it yet", () => {
+		const raw = { ...fakeResponse().request().timing(), responseEnd: -1 };
+		expect(normalizeTiming(raw, clock)).toMatchObject({ receive: 60, endedAt: clock.finishedAt });
+	});
+
+	it("converts CDP timings from Puppeteer", () => {
+		const raw = {
+			requestTime: 12345.6,
+			dnsStart: -1,
+			dnsEnd: -1,
+			connectStart: -1,
+			connectEnd: -1,
+			sslStart: -1,
+			sslEnd: -1,
+			sendStart: 2,
+			sendEnd: 3,
+			receiveHeadersEnd: 83,
+		};
+		expect(normalizeTiming(raw, clock)).toEqual({
+			startedAt: startTime + 117,
+			ttfb: 83,
+			endedAt: startTime + 260,
+			blocked: 2,
+			dns: -1,
+			connect: -1,
+			ssl: -1,
+			send: 1,
+			wait: 80,
+			receive: 60,
+		});
+	});
+
+	it("falls back to the response time", () => {
+		expect(normalizeTiming(null, clock)).toMatchObject({
+			startedAt: startTime + 200,
+			ttfb: -1,
+			endedAt: startTime + 260,
+			wait: 0,
+			receive: 60,
+		});
+	});
+});
+
+describe("normalizeSizes", () => {
+	it("prefers the engine's transferred size", () => {
+		const headers = { "content-encoding": "gzip", "content-length": "99" };
+		expect(normalizeSizes({ responseBodySize: 120 }, { headers, decoded: 400 })).toEqual({
+			transferred: 120,
+			decoded: 400,
+		});
+		expect(normalizeSizes(null, { headers })).toEqual({ transferred: 99, decoded: -1 });
+	});
+
+	it("uses one size for both without a content encoding", () => {
+		expect(normalizeSizes(null, { headers: {}, decoded: 12 })).toEqual({ transferred: 12, decoded: 12 });
+		expect(normalizeSizes(null, { headers: { "content-length": "30" } })).toEqual({ transferred: 30, decoded: 30 });
+		expect(normalizeSizes(null, { headers: {} })).toEqual({ transferred: -1, decoded: -1 });
+	});
+});
+
+describe("summarizeResponse", () => {
+	it("reads what filters need without the body", () => {
+		const response = fakeResponse();
+		expect(summarizeResponse(response)).toEqual({
+			url: "https://app.example.com/api/items?page=2",
+			method: "POST",
+			status: 200,
+			resourceType: "fetch",
+			contentType: "application/json",
+		});
+		expect(response.body).not.toHaveBeenCalled();
+	});
+});
+
+describe("captureResponse", () => {
+	it("reads the exchange and cuts long bodies", async () => {
+		const exchange = await captureResponse(fakeResponse({ body: "x".repeat(20) }), { maxBytes: 8 });
+		expect(exchange).toMatchObject({
+			url: "https://app.example.com/api/items?page=2",
+			method: "POST",
+			status: 200,
+			contentType: "application/json",
+			body: "xxxxxxxx",
+			bodyTruncated: true,
+			requestPostData: '{"q":1}',
+			sizes: { transferred: 20, decoded: 20 },
+		});
+	});
+
+	it("reads all headers, sizes and the redirect chain from Playwright", async () => {
+		const response = fakeResponse({ url: "https://app.example.com/inbox" });
+		const request = response.request();
+		const login = { url: () => "https://app.example.com/login", response: async () => ({ status: () => 302 }) };
+		const root = { url: () => "https://app.example.com/", response: async () => ({ status: () => 301 }) };
+		login.redirectedFrom = () => root;
+		root.redirectedFrom = () => null;
+		request.redirectedFrom = () => login;
+		request.allHeaders = async () => ({ Cookie: "sid=1", accept: "*/*" });
+		request.sizes = async () => ({ responseBodySize: 10, responseHeadersSize: 200 });
+		response.allHeaders = async () => ({ "Content-Type": "application/json", "Content-Encoding": "br" });
+
+		expect(await captureResponse(response)).toMatchObject({
+			resourceType: "fetch",
+			requestHeaders: { cookie: "sid=1", accept: "*/*" },
+			responseHeaders: { "content-type": "application/json", "content-encoding": "br" },
+			sizes: { transferred: 10, decoded: 12 },
+			redirectChain: [
+				{ url: "https://app.example.com/", status: 301 },
+				{ url: "https://app.example.com/login", status: 302 },
+			],
+			errorText: null,
+		});
+	});
+
+	it("reads the redirect chain from Puppeteer", async () => {
+		const hop = { url: () => "http://app.example.com/", response: () => ({ status: () => 301 }) };
+		const response = {
+			url: () => "https://app.example.com/",
+			status: () => 200,
+			headers: () => ({ "content-length": "0" }),
+			request: () => ({ method: () => "GET", redirectChain: () => [hop] }),
+			content: async () => new Uint8Array(),
+		};
+		expect(await captureResponse(response)).toMatchObject({
+			sizes: { transferred: 0, decoded: 0 },
+			redirectChain: [{ url: "http://app.example.com/", status: 301 }],
+		});
+	});
+
+	it("skips bodies when asked and for binary types", async () => {
+		const response = fakeResponse({ headers: { "content-type": "image/png" } });
+		expect((await captureResponse(response)).body).toBe(null);
+		expect((await captureResponse(fakeResponse(), { recordBody: false })).body).toBe(null);
+		expect(response.body).not.toHaveBeenCalled();
+	});
+
+	it("cuts bodies by bytes without splitting characters", async () => {
+		const exchange = await captureResponse(fakeResponse({ body: "héllo", postData: "ééé" }), { maxBytes: 2 });
+		expect(exchange).toMatchObject({ body: "h", bodyTruncated: true, requestPostData: "é" });
+		expect(exchange.sizes.decoded).toBe(6);
+	});
+
+	it("stores binary bodies the policy allows as base64", async () => {
+		const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+		const response = fakeResponse({ headers: { "content-type": "image/png" } });
+		response.body.mockResolvedValue(png);
+		const bodyPolicy = buildBodyPolicy({ types: ["text", "image/*"] });
+		expect(await captureResponse(response, { bodyPolicy })).toMatchObject({
+			body: png.toString("base64"),
+			encoding: "base64",
+			bodyTruncated: false,
+		});
+		expect(await captureResponse(response, { bodyPolicy, maxBytes: 4 })).toMatchObject({
+			body: png.subarray(0, 4).toString("base64"),
+			bodyTruncated: true,
+			sizes: { decoded: 6 },
+		});
+		const json = await captureResponse(fakeResponse(), { bodyPolicy: buildBodyPolicy({ skipTypes: ["json"] }) });
+		expect(json.body).toBe(null);
+	});
+
+	it("doesn't wait for the body of an event stream", async () => {
+		const response = fakeResponse({ headers: { "content-type": "text/event-stream" } });
+		expect(await captureResponse(response)).toMatchObject({ body: null, bodyError: null });
+		expect(response.body).not.toHaveBeenCalled();
+	});
+
+	it("keeps the error when the body can't be read", async () => {
+		const response = fakeResponse();
+		response.body.mockRejectedValue(new Error("No resource with given identifier found"));
+		expect(await captureResponse(response)).toMatchObject({
+			body: null,
+			bodyError: "No resource with given identifier found",
+		});
+	});
+
+	it("accepts Puppeteer-style property values", async () => {
+		const response = { url: "https://a.example.com/", status: 204, headers: {}, request: () => ({ method: "GET" }) };
+		expect(await captureResponse(response)).toMatchObject({ url: "https://a.example.com/", status: 204, method: "GET" });
+	});
+});
+
+describe("captureFailure", () => {
+	it("reads a failed request with its error text", async () => {
+		const request = fakeResponse({ method: "GET", postData: null, timing: { startTime, responseStart: -1 } }).request();
+		request.failure = () => ({ errorText: "net::ERR_NAME_NOT_RESOLVED" });
+		expect(await captureFailure(request, { now: () => startTime + 40 })).toMatchObject({
+			url: "https://app.example.com/api/items?page=2",
+			method: "GET",
+			status: 0,
+			resourceType: "fetch",
+			requestHeaders: { "content-type": "application/json", accept: "*/*" },
+			responseHeaders: {},
+			body: null,
+			timing: { startedAt: startTime, ttfb: -1, endedAt: startTime + 40 },
+			sizes: { transferred: -1, decoded: -1 },
+			errorText: "net::ERR_NAME_NOT_RESOLVED",
+		});
+	});
+});
+
+describe("toNdjsonEntry", () => {
+	it("keeps the NDJSON shape", async () => {
+		const exchange = await captureResponse(fakeResponse());
+		expect(toNdjsonEntry(exchange, { now: () => startTime })).toEqual({
+			ts: "2026-03-02T09:30:00.000Z",
+			url: "https://app.example.com/api/items?page=2",
+			method: "POST",
+			status: 200,
+			contentType: "application/json",
+			body: '{"items":[]}',
+			bodyTruncated: false,
+			bodyError: null,
+			requestPostData: '{"q":1}',
+			encoding: null,
+			bodyFile: null,
+			bodyHash: null,
+			statusText: "OK",
+			resourceType: "fetch",
+			requestHeaders: { "content-type": "application/json", accept: "*/*" },
+			responseHeaders: { "content-type": "application/json", "set-cookie": "a=1\nb=2" },
+			timing: {
+				start: "2026-03-02T09:30:00.000Z",
+				ttfb: 121,
+				end: "2026-03-02T09:30:00.131Z",
+				blocked: 1,
+				dns: 4,
+				connect: 15,
+				ssl: 10,
+				send: 0,
+				wait: 100,
+				receive: 10,
+			},
+			sizes: { transferred: 12, decoded: 12 },
+			redirectChain: [],
+			errorText: null,
+		});
+	});
+});
+
+describe("toHarEntry", () => {
+	it("builds a HAR 1.2 entry", async () => {
+		const entry = toHarEntry(await captureResponse(fakeResponse()));
+		expect(entry).toEqual({
+			startedDateTime: "2026-03-02T09:30:00.000Z",
+			time: 130,
+			request: {
+				method: "POST",
+				url: "https://app.example.com/api/items?page=2",
+				httpVersion: "",
+				cookies: [],
+				headers: [
+					{ name: "content-type", value: "application/json" },
+					{ name: "accept", value: "*/*" },
+				],
+				queryString: [{ name: "page", value: "2" }],
+				headersSize: -1,
+				bodySize: 7,
+				postData: { mimeType: "application/json", text: '{"q":1}' },
+			},
+			response: {
+				status: 200,
+				statusText: "OK",
+				httpVersion: "",
+				cookies: [],
+				headers: [
+					{ name: "content-type", value: "application/json" },
+					{ name: "set-cookie", value: "a=1" },
+					{ name: "set-cookie", value: "b=2" },
+				],
+				content: { size: 12, mimeType: "application/json", text: '{"items":[]}' },
+				redirectURL: "",
+				headersSize: -1,
+				bodySize: 12,
+			},
+			cache: {},
+			timings: { blocked: 1, dns: 4, connect: 15, ssl: 10, send: 0, wait: 100, receive: 10 },
+			_resourceType: "fetch",
+		});
+	});
+
+	it("notes truncated and missing bodies", async () => {
+		const truncated = toHarEntry(await captureResponse(fakeResponse(), { maxBytes: 4 }));
+		expect(truncated.response.content).toEqual({
+			size: 12,
+			mimeType: "application/json",
+			text: '{"it',
+			comment: "body truncated by --record-max-bytes",
+		});
+
+		const skipped = toHarEntry(await captureResponse(fakeResponse({ postData: null }), { recordBody: false }));
+		expect(skipped.response.content).toEqual({ size: -1, mimeType: "application/json" });
+		expect(skipped.request).not.toHaveProperty("postData");
+		expect(skipped.request.bodySize).toBe(0);
+	});
+
+	it("marks base64 bodies and bodies stored in files", async () => {
+		const exchange = await captureResponse(fakeResponse({ headers: { "content-type": "image/png" }, body: "PNG" }), {
+			bodyPolicy: buildBodyPolicy({ types: ["image/png"] }),
+		});
+		expect(toHarEntry(exchange).response.content).toEqual({
+			size: 3,
+			mimeType: "image/png",
+			text: "UE5H",
+			encoding: "base64",
+		});
+		const stored = { ...exchange, body: null, bodyFile: "/tmp/bodies/abc", bodyHash: "sha256:abc" };
+		expect(toHarEntry(stored).response.content).toEqual({
+			size: 3,
+			mimeType: "image/png",
+			_file: "/tmp/bodies/abc",
+			_hash: "sha256:abc",
+		});
+	});
+
+	it("marks failed requests like DevTools", async () => {
+		const request = fakeResponse().request();
+		request.failure = () => ({ errorText: "net::ERR_CONNECTION_RESET" });
+		const entry = toHarEntry(await captureFailure(request));
+		expect(entry.response).toMatchObject({ status: 0, headers: [], bodySize: -1, _error: "net::ERR_CONNECTION_RESET" });
+		expect(entry.response.content).toEqual({ size: -1, mimeType: "x-unknown" });
+	});
+});
+
+describe("createHarWriter", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	const creator = { name: "browser-keepalive", version: "1.2.3" };
+
+	it("keeps the file a valid HAR after every entry", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-har-"));
+		const file = join(dir, "net.har");
+		const writer = createHarWriter(file, { creator });
+		expect(JSON.parse(readFileSync(file, "utf8"))).toEqual({
+			log: { version: "1.2", creator, pages: [], entries: [] },
+		});
+
+		writer.write({ n: 1 });
+		expect(JSON.parse(readFileSync(file, "utf8")).log.entries).toEqual([{ n: 1 }]);
+		writer.write({ n: 2 });
+		expect(JSON.parse(readFileSync(file, "utf8")).log.entries).toEqual([{ n: 1 }, { n: 2 }]);
+
+		writer.close();
+		expect(writer.write({ n: 3 })).toBe(false);
+	});
+
+	it("continues an existing HAR", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-har-"));
+		const file = join(dir, "net.har");
+		createHarWriter(file, { creator }).close();
+		const first = createHarWriter(file, { creator });
+		first.write({ n: 1 });
+		first.close();
+		const second = createHarWriter(file, { creator });
+		second.write({ n: 2 });
+		second.close();
+
+		expect(JSON.parse(readFileSync(file, "utf8")).log.entries).toEqual([{ n: 1 }, { n: 2 }]);
+	});
+
+	it("refuses to append to other files", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-har-"));
+		const file = join(dir, "net.har");
+		writeFileSync(file, '{"ts":"2026-03-02T09:30:00.000Z"}\n');
+		expect(() => createHarWriter(file, { creator })).toThrow(
+			`Can't append to '${file}': it isn't a HAR file written by --record-format har`
+		);
+	});
+});
+
+describe("createHarStreamAggregator", () => {
+	const ws = { type: "websocket", id: "ws1", url: "wss://example.com/live" };
+
+	it("writes a stream when it closes, with its messages", () => {
+		const written = [];
+		const streams = createHarStreamAggregator((entry) => written.push(entry));
+		streams.add({ ...ws, event: "open" }, 1000);
+		streams.add({ ...ws, event: "sent", opcode: 1, data: "hi" }, 2000);
+		expect(written).toEqual([]);
+		streams.add({ ...ws, event: "close" }, 3000);
+
+		expect(written).toHaveLength(1);
+		expect(written[0].request.url).toBe("wss://example.com/live");
+		expect(written[0]._webSocketMessages).toEqual([{ type: "send", time: 2, opcode: 1, data: "hi" }]);
+		streams.flush();
+		expect(written).toHaveLength(1);
+	});
+
+	it("splits a long stream into batches and flushes what's left", () => {
+		const written = [];
+		const streams = createHarStreamAggregator((entry) => written.push(entry));
+		for (let i = 0; i < 1001; i++) streams.add({ ...ws, event: "received", opcode: 1, data: `${i}` }, i);
+		expect(written).toHaveLength(1);
+		expect(written[0]._webSocketMessages).toHaveLength(1000);
+
+		streams.flush();
+		expect(written).toHaveLength(2);
+		expect(written[1]._webSocketMessages).toEqual([{ type: "receive", time: 1, opcode: 1, data: "1000" }]);
+	});
+
+	it("writes a stream without messages once on flush", () => {
+		const written = [];
+		const streams = createHarStreamAggregator((entry) => written.push(entry));
+		streams.add({ ...ws, event: "open" }, 1000);
+		streams.flush();
+		streams.flush();
+		expect(written).toHaveLength(1);
+	});
+});
+
+describe("createRotatingWriter", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	const creator = { name: "browser-keepalive", version: "1.2.3" };
+	const readNdjson = (path) =>
+		readFileSync(path, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+
+	it("rotates by size without losing entries", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		const path = join(dir, "net.ndjson");
+		const onRotate = vi.fn();
+		const writer = createRotatingWriter({
+			path,
+			open: (file) => createNdjsonWriter(file),
+			rotateBytes: 50,
+			timeZone: "UTC",
+			onRotate,
+			now: () => startTime,
+		});
+		// Each line is 26 bytes, so every file takes two.
+		for (let n = 1; n <= 5; n++) writer.write({ n, pad: "xxxxxxxx" });
+		await writer.close();
+
+		const files = ["net.20260302-093000.ndjson", "net.20260302-093000-1.ndjson", "net.ndjson"];
+		expect(readdirSync(dir).sort()).toEqual([...files].sort());
+		expect(files.flatMap((name) => readNdjson(join(dir, name))).map((entry) => entry.n)).toEqual([1, 2, 3, 4, 5]);
+		expect(onRotate).toHaveBeenCalledWith(join(dir, "net.20260302-093000.ndjson"));
+		expect(onRotate).toHaveBeenCalledTimes(2);
+	});
+
+	it("rotates HAR files by age, each a complete HAR", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		const path = join(dir, "net.har");
+		let time = startTime;
+		const writer = createRotatingWriter({
+			path,
+			open: (file) => createHarWriter(file, { creator }),
+			rotateIntervalMs: 60000,
+			timeZone: "UTC",
+			now: () => time,
+		});
+		writer.write({ n: 1 });
+		time += 30000;
+		writer.write({ n: 2 });
+		time += 30000;
+		writer.write({ n: 3 });
+		await writer.close();
+
+		const archived = JSON.parse(readFileSync(join(dir, "net.20260302-093100.har"), "utf8"));
+		expect(archived.log.entries).toEqual([{ n: 1 }, { n: 2 }]);
+		expect(JSON.parse(readFileSync(path, "utf8")).log.entries).toEqual([{ n: 3 }]);
+	});
+
+	it("doesn't rotate files without entries", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		let time = startTime;
+		const writer = createRotatingWriter({
+			path: join(dir, "net.har"),
+			open: (file) => createHarWriter(file, { creator }),
+			rotateIntervalMs: 60000,
+			now: () => time,
+		});
+		time += 120000;
+		writer.write({ n: 1 });
+		await writer.close();
+
+		expect(readdirSync(dir)).toEqual(["net.har"]);
+	});
+
+	it("starts a new file when a date template moves on, then gzips and prunes old ones", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		let time = Date.parse("2026-03-01T23:59:00.000Z");
+		const writer = createRotatingWriter({
+			path: join(dir, "net-%Y-%m-%d.ndjson"),
+			open: (file) => createNdjsonWriter(file),
+			retain: 1,
+			gzip: true,
+			timeZone: "UTC",
+			now: () => time,
+		});
+		expect(writer.path).toBe(join(dir, "net-2026-03-01.ndjson"));
+		// Let each file settle so their modification times come in order.
+		const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+		writer.write({ day: 1 });
+		await settle();
+		time += 86400000;
+		writer.write({ day: 2 });
+		await settle();
+		time += 86400000;
+		writer.write({ day: 3 });
+		expect(writer.path).toBe(join(dir, "net-2026-03-03.ndjson"));
+		await writer.close();
+
+		expect(readdirSync(dir).sort()).toEqual(["net-2026-03-02.ndjson.gz", "net-2026-03-03.ndjson"]);
+		expect(gunzipSync(readFileSync(join(dir, "net-2026-03-02.ndjson.gz"))).toString()).toBe('{"day":2}\n');
+	});
+});
+
+describe("startNetworkRecorder", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("writes matching responses as NDJSON", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "logs", "net.ndjson");
+		const page = fakePage();
+		const onWritten = vi.fn();
+		const recorder = startNetworkRecorder([page], {
+			path,
+			filter: buildRecordFilter({ includes: ["/api/"] }),
+			onWritten,
+		});
+
+		await page.emit("response", fakeResponse());
+		await page.emit("response", fakeResponse({ url: "https://app.example.com/logo.svg" }));
+		await recorder.stop();
+
+		const lines = readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+		expect(lines).toHaveLength(1);
+		expect(lines[0]).toMatchObject({ url: "https://app.example.com/api/items?page=2", status: 200 });
+		expect(onWritten).toHaveBeenCalledTimes(1);
+		expect(page.off).toHaveBeenCalledWith("response", expect.any(Function));
+	});
+
+	it("writes failed requests that pass the filter", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.ndjson");
+		const page = fakePage();
+		const recorder = startNetworkRecorder([page], {
+			path,
+			filter: buildRecordFilter({ resourceTypes: ["fetch"] }),
+			now: () => startTime,
+		});
+
+		const failed = fakeResponse({ url: "https://app.example.com/api/poll?token=t" }).request();
+		failed.failure = () => ({ errorText: "net::ERR_INTERNET_DISCONNECTED" });
+		const image = fakeResponse({ resourceType: "image" }).request();
+		image.failure = () => ({ errorText: "net::ERR_ABORTED" });
+		await page.emit("requestfailed", failed);
+		await page.emit("requestfailed", image);
+		await recorder.stop();
+
+		const lines = readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+		expect(lines).toHaveLength(1);
+		expect(lines[0]).toMatchObject({
+			url: "https://app.example.com/api/poll?token=t",
+			status: 0,
+			resourceType: "fetch",
+			errorText: "net::ERR_INTERNET_DISCONNECTED",
+		});
+		expect(page.off).toHaveBeenCalledWith("requestfailed", expect.any(Function));
+	});
+
+	it("redacts entries before writing them", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.har");
+		const page = fakePage();
+		const recorder = startNetworkRecorder([page], { path, format: "har", redactor: createRedactor() });
+
+		await page.emit(
+			"response",
+			fakeResponse({
+				url: "https://app.example.com/api/login?token=abc",
+				requestHeaders: { authorization: "Bearer abc", "content-type": "application/json" },
+				postData: '{"user":"me","password":"hunter2"}',
+				body: '{"access_token":"jwt"}',
+			})
+		);
+		await recorder.stop();
+
+		const text = readFileSync(path, "utf8");
+		for (const secret of ["abc", "hunter2", "jwt", "a=1"]) expect(text).not.toContain(secret);
+		const [entry] = JSON.parse(text).log.entries;
+		expect(entry.request.queryString).toEqual([{ name: "token", value: "[REDACTED]" }]);
+		expect(entry.request.postData.text).toBe('{"user":"me","password":"[REDACTED]"}');
+	});
+
+	it("moves large bodies to files named by their hash, after redaction", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.ndjson");
+		const bodyDir = join(dir, "bodies");
+		const page = fakePage();
+		const recorder = startNetworkRecorder([page], {
+			path,
+			bodyDir,
+			bodyInlineBytes: 16,
+			redactor: createRedactor(),
+		});
+
+		const large = JSON.stringify({ token: "secret-value", items: [1, 2, 3] });
+		await page.emit("response", fakeResponse({ body: large }));
+		await page.emit("response", fakeResponse({ body: large }));
+		await page.emit("response", fakeResponse({ body: "{}" }));
+		await recorder.stop();
+
+		const [first, second, small] = readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+		expect(first.body).toBe(null);
+		expect(first.bodyHash).toMatch(/^sha256:[0-9a-f]{64}$/);
+		expect(first.bodyFile).toBe(join(bodyDir, first.bodyHash.slice(7)));
+		expect(second.bodyFile).toBe(first.bodyFile);
+		expect(readdirSync(bodyDir)).toHaveLength(1);
+		expect(readFileSync(first.bodyFile, "utf8")).toBe('{"token":"[REDACTED]","items":[1,2,3]}');
+		expect(small).toMatchObject({ body: "{}", bodyFile: null });
+	});
+
+	it("writes WebSocket and SSE events as NDJSON, filtered and redacted", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.ndjson");
+		const page = fakePage();
+		const recorder = startNetworkRecorder([page], {
+			path,
+			streams: true,
+			filter: buildRecordFilter({ excludes: ["*/telemetry*"] }),
+			redactor: createRedactor(),
+			now: () => startTime,
+		});
+		await vi.waitFor(() => expect(page.on).toHaveBeenCalledWith("websocket", expect.any(Function)));
+
+		const ws = fakePage();
+		ws.url = () => "wss://app.example.com/socket?token=t";
+		page.emit("websocket", ws);
+		ws.emit("framesent", { payload: '{"password":"p"}' });
+		const telemetry = fakePage();
+		telemetry.url = () => "wss://app.example.com/telemetry";
+		page.emit("websocket", telemetry);
+		telemetry.emit("framesent", { payload: "x" });
+		ws.emit("close");
+		await recorder.stop();
+
+		const lines = readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+		const url = "wss://app.example.com/socket?token=[REDACTED]";
+		expect(lines).toEqual([
+			{ ts: "2026-03-02T09:30:00.000Z", type: "websocket", id: "p1-ws-1", event: "open", url },
+			{
+				ts: "2026-03-02T09:30:00.000Z",
+				type: "websocket",
+				id: "p1-ws-1",
+				event: "sent",
+				url,
+				opcode: 1,
+				data: '{"password":"[REDACTED]"}',
+				encoding: null,
+				size: 16,
+				truncated: false,
+			},
+			{ ts: "2026-03-02T09:30:00.000Z", type: "websocket", id: "p1-ws-1", event: "close", url },
+		]);
+	});
+
+	it("writes a HAR entry per WebSocket with its messages", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.har");
+		const page = fakePage();
+		const recorder = startNetworkRecorder([page], { path, format: "har", streams: true, now: () => startTime });
+		await vi.waitFor(() => expect(page.on).toHaveBeenCalledWith("websocket", expect.any(Function)));
+
+		const closed = fakePage();
+		closed.url = () => "wss://app.example.com/a";
+		page.emit("websocket", closed);
+		closed.emit("framesent", { payload: "ping" });
+		closed.emit("framereceived", { payload: Buffer.from([1]) });
+		closed.emit("close");
+		const open = fakePage();
+		open.url = () => "wss://app.example.com/b";
+		page.emit("websocket", open);
+		await recorder.stop();
+
+		const [first, second] = JSON.parse(readFileSync(path, "utf8")).log.entries;
+		expect(first).toMatchObject({
+			request: { method: "GET", url: "wss://app.example.com/a" },
+			response: { status: 101 },
+			_resourceType: "websocket",
+			_webSocketMessages: [
+				{ type: "send", time: startTime / 1000, opcode: 1, data: "ping" },
+				{ type: "receive", time: startTime / 1000, opcode: 2, data: "AQ==" },
+			],
+		});
+		expect(second).toMatchObject({ request: { url: "wss://app.example.com/b" }, _webSocketMessages: [] });
+	});
+
+	it("writes HAR entries and drops responses after stop", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rec-"));
+		const path = join(dir, "net.har");
+		const page = fakePage();
+		const onDropped = vi.fn();
+		const recorder = startNetworkRecorder([], { path, format: "har", onDropped });
+		recorder.attach(page);
+
+		await page.emit("response", fakeResponse());
+		const har = JSON.parse(readFileSync(path, "utf8"));
+		expect(har.log.creator.name).toBe("browser-keepalive");
+		expect(har.log.entries).toHaveLength(1);
+		expect(har.log.entries[0].request.url).toBe("https://app.example.com/api/items?page=2");
+
+		const pending = fakeResponse();
+		let release;
+		pending.body.mockReturnValue(new Promise((resolve) => (release = resolve)));
+		const write = page.emit("response", pending);
+		await recorder.stop();
+		release("late");
+		await write;
+		expect(onDropped).toHaveBeenCalledTimes(1);
+		expect(JSON.parse(readFileSync(path, "utf8")).log.entries).toHaveLength(1);
+	});
+});
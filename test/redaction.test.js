@@ -0,0 +1,153 @@
+import { describe, it, expect } from "vitest";
+import { REDACTED, parseJsonPath, parseRedactPattern, createRedactor } from "../src/redaction.js";
+
+describe("parseJsonPath", () => {
+	it("splits keys, indexes and wildcards", () => {
+		expect(parseJsonPath("user.password")).toEqual(["user", "password"]);
+		expect(parseJsonPath("$.items[*].token")).toEqual(["items", "*", "token"]);
+		expect(parseJsonPath("data[0].secret")).toEqual(["data", 0, "secret"]);
+		expect(parseJsonPath("[1]")).toEqual([1]);
+	});
+
+	it("rejects malformed paths", () => {
+		expect(() => parseJsonPath("a..b")).toThrow(
+			"--redact-json-path 'a..b' is not a valid path (e.g. user.password or items[*].token)"
+		);
+		expect(() => parseJsonPath("items[x]", "redactJsonPath")).toThrow("redactJsonPath 'items[x]' is not a valid path");
+		expect(() => parseJsonPath("$")).toThrow("is not a valid path");
+	});
+});
+
+describe("parseRedactPattern", () => {
+	it("accepts /regex/flags and bare expressions, always global", () => {
+		expect(parseRedactPattern("/ssn=\\d+/i").flags).toBe("gi");
+		expect(parseRedactPattern("\\d{4}-\\d{4}").source).toBe("\\d{4}-\\d{4}");
+	});
+
+	it("rejects invalid expressions", () => {
+		expect(() => parseRedactPattern("(")).toThrow("Invalid --redact-pattern (:");
+		expect(() => parseRedactPattern("")).toThrow("--redact-pattern must not be empty");
+	});
+});
+
+describe("createRedactor", () => {
+	it("masks default and extra headers, and secrets in URL headers", () => {
+		const { redactHeaders } = createRedactor({ headers: ["X-Session"] });
+		expect(
+			redactHeaders({
+				Authorization: "Bearer abc",
+				cookie: "sid=1",
+				"x-session": "s",
+				location: "https://app.example.com/cb?code=1&access_token=xyz",
+				accept: "*/*",
+			})
+		).toEqual({
+			Authorization: REDACTED,
+			cookie: REDACTED,
+			"x-session": REDACTED,
+			location: `https://app.example.com/cb?code=1&access_token=${REDACTED}`,
+			accept: "*/*",
+		});
+	});
+
+	it("masks query parameters and fragment tokens in URLs", () => {
+		const { redactUrl } = createRedactor({ queryParams: ["sig"] });
+		expect(redactUrl("https://a.example.com/x?Sig=abc&page=2&api-key=k#id_token=t&state=s")).toBe(
+			`https://a.example.com/x?Sig=${REDACTED}&page=2&api-key=${REDACTED}#id_token=${REDACTED}&state=s`
+		);
+		expect(redactUrl("https://a.example.com/x")).toBe("https://a.example.com/x");
+	});
+
+	it("masks token fields at any depth and JSON paths in JSON bodies", () => {
+		const { redactBody } = createRedactor({ jsonPaths: ["user.email", "items[*].pin"] });
+		const body = JSON.stringify({
+			accessToken: "a",
+			user: { email: "me@example.com", name: "Me", auth: { refresh_token: "r" } },
+			items: [{ pin: 1 }, { pin: 2, id: 3 }],
+		});
+		expect(JSON.parse(redactBody(body, "application/json"))).toEqual({
+			accessToken: REDACTED,
+			user: { email: REDACTED, name: "Me", auth: { refresh_token: REDACTED } },
+			items: [{ pin: REDACTED }, { pin: REDACTED, id: 3 }],
+		});
+	});
+
+	it("leaves JSON without secrets untouched", () => {
+		const body = '{ "ok": true }';
+		expect(createRedactor().redactBody(body, "application/json")).toBe(body);
+	});
+
+	it("masks token fields in truncated JSON", () => {
+		const body = '{"password": "hunter2", "n": 1, "token":12, "items": [{"na';
+		expect(createRedactor().redactBody(body, "application/json")).toBe(
+			`{"password": "${REDACTED}", "n": 1, "token":"${REDACTED}", "items": [{"na`
+		);
+	});
+
+	it("masks form fields", () => {
+		const { redactBody } = createRedactor({ formFields: ["otp"] });
+		expect(redactBody("username=me&password=p%40ss&otp=123456", "application/x-www-form-urlencoded")).toBe(
+			`username=me&password=${REDACTED}&otp=${REDACTED}`
+		);
+		// Token endpoints sometimes answer form-encoded with a text content type.
+		expect(redactBody("access_token=abc&expires_in=3600", "text/plain")).toBe(
+			`access_token=${REDACTED}&expires_in=3600`
+		);
+	});
+
+	it("masks pattern matches, or just the first group", () => {
+		const { redactBody } = createRedactor({ patterns: ["\\b\\d{3}-\\d{2}-\\d{4}\\b", "/card=(\\d+)/i"] });
+		expect(redactBody("ssn 123-45-6789 and CARD=4111 here", "text/plain")).toBe(
+			`ssn ${REDACTED} and CARD=${REDACTED} here`
+		);
+	});
+
+	it("masks the captured group where it is, even if its text appears earlier in the match", () => {
+		const { redactBody } = createRedactor({ patterns: ["token=(\\w+)"] });
+		expect(redactBody("a token=token b token=xtoken", "text/plain")).toBe(
+			`a token=${REDACTED} b token=${REDACTED}`
+		);
+	});
+
+	it("can drop the defaults", () => {
+		const redactor = createRedactor({ defaults: false, headers: ["x-secret"] });
+		expect(redactor.redactHeaders({ authorization: "Bearer a", "x-secret": "s" })).toEqual({
+			authorization: "Bearer a",
+			"x-secret": REDACTED,
+		});
+		expect(redactor.redactBody('{"password":"p"}', "application/json")).toBe('{"password":"p"}');
+		expect(redactor.redactUrl("https://a.example.com/?token=t")).toBe("https://a.example.com/?token=t");
+	});
+
+	it("redacts a whole exchange", () => {
+		const exchange = {
+			url: "https://a.example.com/login?token=t",
+			method: "POST",
+			requestHeaders: { "content-type": "application/x-www-form-urlencoded", cookie: "sid=1" },
+			responseHeaders: { "set-cookie": "sid=2", "content-type": "application/json" },
+			contentType: "application/json",
+			body: '{"id_token":"jwt"}',
+			requestPostData: "user=me&password=secret",
+			status: 200,
+		};
+		expect(createRedactor().redactExchange(exchange)).toEqual({
+			...exchange,
+			url: `https://a.example.com/login?token=${REDACTED}`,
+			requestHeaders: { "content-type": "application/x-www-form-urlencoded", cookie: REDACTED },
+			responseHeaders: { "set-cookie": REDACTED, "content-type": "application/json" },
+			body: `{"id_token":"${REDACTED}"}`,
+			requestPostData: `user=me&password=${REDACTED}`,
+		});
+		expect(exchange.body).toBe('{"id_token":"jwt"}');
+	});
+
+	it("redacts URLs in the redirect chain", () => {
+		const exchange = {
+			url: "https://a.example.com/",
+			redirectChain: [{ url: "https://a.example.com/cb?code=1&token=t", status: 302 }],
+		};
+		expect(createRedactor().redactExchange(exchange).redirectChain).toEqual([
+			{ url: `https://a.example.com/cb?code=1&token=${REDACTED}`, status: 302 },
+		]);
+	});
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gzipSync } from "node:zlib";
+import { listenLocal } from "../src/control.js";
+import {
+	validateMatchMode,
+	parseOrigin,
+	parseStatusCode,
+	readNdjsonLog,
+	isReplayable,
+	createReplayIndex,
+	toReplayResponse,
+	createUnmatchedReport,
+	createReplayServer,
+} from "../src/replay.js";
+
+const entry = (url, fields = {}) => ({
+	url,
+	method: "GET",
+	status: 200,
+	contentType: "application/json",
+	body: "{}",
+	...fields,
+});
+
+describe("option parsing", () => {
+	it("validates match modes, origins and status codes", () => {
+		expect(validateMatchMode("PATH")).toBe("path");
+		expect(() => validateMatchMode("fuzzy")).toThrow("--match must be one of strict, query, path");
+		expect(parseOrigin("https://app.example.com/mail/")).toBe("https://app.example.com");
+		expect(() => parseOrigin("app.example.com")).toThrow("--origin must be an absolute URL");
+		expect(parseStatusCode("503", "--unmatched-status")).toBe(503);
+		expect(() => parseStatusCode("99", "--unmatched-status")).toThrow(
+			"--unmatched-status must be an HTTP status code between 100 and 599"
+		);
+	});
+});
+
+describe("readNdjsonLog", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	it("reads plain and gzipped logs, counting broken lines", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-replay-"));
+		const text = `${JSON.stringify(entry("https://a.example.com/"))}\n[1]\n\n{"url":"https://a.exa`;
+		writeFileSync(join(dir, "net.ndjson"), text);
+		writeFileSync(join(dir, "net.ndjson.gz"), gzipSync(text));
+
+		for (const name of ["net.ndjson", "net.ndjson.gz"]) {
+			const { entries, invalid } = await readNdjsonLog(join(dir, name));
+			expect(entries).toEqual([entry("https://a.example.com/")]);
+			expect(invalid).toBe(2);
+		}
+		await expect(readNdjsonLog(join(dir, "missing.ndjson"))).rejects.toThrow("Can't read network log");
+	});
+});
+
+describe("isReplayable", () => {
+	it("keeps recorded responses only", () => {
+		expect(isReplayable(entry("https://a.example.com/"))).toBe(true);
+		expect(isReplayable(entry("https://a.example.com/", { status: 0, errorText: "net::ERR_FAILED" }))).toBe(false);
+		expect(isReplayable({ type: "websocket", event: "open", url: "wss://a.example.com/" })).toBe(false);
+		expect(isReplayable({ ts: "2026-03-02T09:30:00.000Z", error: "boom" })).toBe(false);
+	});
+});
+
+describe("createReplayIndex", () => {
+	it("matches method, path and query in any order, ignoring the cache buster", () => {
+		const index = createReplayIndex([
+			entry("https://a.example.com/api/items?page=2&sort=asc&_cb=1"),
+			entry("https://a.example.com/api/items", { method: "POST" }),
+		]);
+		expect(index.size).toBe(2);
+		expect(index.find({ method: "GET", url: "/api/items?sort=asc&page=2&_cb=9" })).toBeTruthy();
+		expect(index.find({ method: "GET", url: "/api/items?page=2" })).toBe(null);
+		expect(index.find({ method: "post", url: "/api/items" })).toMatchObject({ method: "POST" });
+		expect(index.find({ method: "DELETE", url: "/api/items" })).toBe(null);
+	});
+
+	it("serves repeated recordings in order, then repeats the last", () => {
+		const index = createReplayIndex([
+			entry("https://a.example.com/poll", { body: "1" }),
+			entry("https://a.example.com/poll", { body: "2" }),
+		]);
+		const bodies = [1, 2, 3].map(() => index.find({ method: "GET", url: "/poll" }).body);
+		expect(bodies).toEqual(["1", "2", "2"]);
+	});
+
+	it("compares request bodies in strict mode", () => {
+		const recorded = entry("https://a.example.com/search", { method: "POST", requestPostData: '{"q":"a"}' });
+		const strict = createReplayIndex([recorded], { match: "strict" });
+		expect(strict.find({ method: "POST", url: "/search", body: '{"q":"b"}' })).toBe(null);
+		expect(strict.find({ method: "POST", url: "/search", body: '{"q":"a"}' })).toBe(recorded);
+		const query = createReplayIndex([recorded]);
+		expect(query.find({ method: "POST", url: "/search", body: '{"q":"b"}' })).toBe(recorded);
+	});
+
+	it("picks the closest query in path mode", () => {
+		const index = createReplayIndex(
+			[
+				entry("https://a.example.com/list?folder=inbox&top=10", { body: "inbox" }),
+				entry("https://a.example.com/list?folder=sent", { body: "sent" }),
+			],
+			{ match: "path", ignoreParams: ["ts"] }
+		);
+		expect(index.find({ method: "GET", url: "/list?folder=sent&ts=5" }).body).toBe("sent");
+		expect(index.find({ method: "GET", url: "/list?folder=inbox&top=50" }).body).toBe("inbox");
+		expect(index.find({ method: "GET", url: "/other" })).toBe(null);
+	});
+
+	it("keeps only the given origins", () => {
+		const index = createReplayIndex(
+			[entry("https://a.example.com/x", { body: "a" }), entry("https://cdn.example.com/x", { body: "cdn" })],
+			{ origins: ["https://cdn.example.com"] }
+		);
+		expect(index.size).toBe(1);
+		expect(index.find({ method: "GET", url: "/x" }).body).toBe("cdn");
+	});
+});
+
+describe("toReplayResponse", () => {
+	it("rebuilds headers and decodes bodies", () => {
+		const response = toReplayResponse(
+			entry("https://a.example.com/", {
+				status: 201,
+				responseHeaders: {
+					"Content-Type": "application/json",
+					"content-encoding": "br",
+					"content-length": "99",
+					"set-cookie": "a=1\nb=2",
+				},
+			})
+		);
+		expect(response).toEqual({
+			status: 201,
+			headers: { "content-type": "application/json", "set-cookie": ["a=1", "b=2"] },
+			body: Buffer.from("{}"),
+		});
+
+		const png = toReplayResponse(entry("https://a.example.com/p.png", { body: "AQID", encoding: "base64" }));
+		expect([...png.body]).toEqual([1, 2, 3]);
+		expect(png.headers).toEqual({ "content-type": "application/json" });
+
+		const readFile = vi.fn(() => Buffer.from("stored"));
+		const stored = toReplayResponse(entry("https://a.example.com/", { body: null, bodyFile: "/b/abc" }), { readFile });
+		expect(stored.body.toString()).toBe("stored");
+		expect(readFile).toHaveBeenCalledWith("/b/abc");
+
+		expect(toReplayResponse(entry("https://a.example.com/", { body: null })).body).toHaveLength(0);
+	});
+});
+
+describe("createUnmatchedReport", () => {
+	it("counts requests by method and URL without ignored parameters", () => {
+		let time = Date.parse("2026-03-02T09:30:00.000Z");
+		const report = createUnmatchedReport({ now: () => time });
+		report.add({ method: "GET", url: "/a?_cb=1&x=2" });
+		time += 1000;
+		report.add({ method: "GET", url: "/a?x=2&_cb=3" });
+		report.add({ method: "POST", url: "/b" });
+		const [first, second] = ["2026-03-02T09:30:00.000Z", "2026-03-02T09:30:01.000Z"];
+		expect(report.list()).toEqual([
+			{ method: "GET", url: "/a?x=2", count: 2, firstAt: first, lastAt: second },
+			{ method: "POST", url: "/b", count: 1, firstAt: second, lastAt: second },
+		]);
+	});
+});
+
+describe("createReplayServer", () => {
+	let server;
+
+	afterEach(async () => {
+		if (server) await new Promise((resolve) => server.close(resolve));
+		server = null;
+	});
+
+	it("answers with recorded responses and reports the rest", async () => {
+		const onUnmatched = vi.fn();
+		const onMatch = vi.fn();
+		const index = createReplayIndex(
+			[
+				entry("https://a.example.com/api/me?_cb=1", { status: 203, body: '{"name":"me"}' }),
+				entry("https://a.example.com/api/save", { method: "POST", requestPostData: "x=1", status: 204, body: null }),
+			],
+			{ match: "strict" }
+		);
+		server = await listenLocal(createReplayServer({ index, unmatchedStatus: 599, onMatch, onUnmatched }), 0);
+		const base = `http://127.0.0.1:${server.address().port}`;
+
+		const me = await fetch(`${base}/api/me?_cb=42`);
+		expect(me.status).toBe(203);
+		expect(me.headers.get("content-type")).toBe("application/json");
+		expect(await me.json()).toEqual({ name: "me" });
+		expect(onMatch).toHaveBeenCalledWith(
+			{ method: "GET", url: "/api/me?_cb=42" },
+			expect.objectContaining({ status: 203 })
+		);
+
+		expect((await fetch(`${base}/api/save`, { method: "POST", body: "x=1" })).status).toBe(204);
+
+		const missing = await fetch(`${base}/api/save`, { method: "POST", body: "x=2" });
+		expect(missing.status).toBe(599);
+		expect(await missing.json()).toEqual({ error: "no recorded response", method: "POST", url: "/api/save" });
+		expect(onUnmatched).toHaveBeenCalledWith({ method: "POST", url: "/api/save" });
+	});
+});
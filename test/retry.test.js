@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import {
+	EXIT_TOO_MANY_FAILURES,
+	classifyNavigationError,
+	isRetryableStatus,
+	parseRetryAfter,
+	backoffDelay,
+} from "../src/retry.js";
+import { EXIT_SESSION_EXPIRED } from "../src/auth.js";
+import { EXIT_ASSERTION_FAILED } from "../src/assertions.js";
+
+describe("EXIT_TOO_MANY_FAILURES", () => {
+	it("is distinct from the other exit codes", () => {
+		expect([0, 1, EXIT_SESSION_EXPIRED, EXIT_ASSERTION_FAILED]).not.toContain(EXIT_TOO_MANY_FAILURES);
+	});
+});
+
+describe("classifyNavigationError", () => {
+	it("detects timeouts from both engines", () => {
+		const playwright = new Error("page.goto: Timeout 30000ms exceeded.");
+		playwright.name = "TimeoutError";
+		expect(classifyNavigationError(playwright)).toBe("timeout");
+		expect(classifyNavigationError(new Error("Navigation timeout of 30000 ms exceeded"))).toBe("timeout");
+	});
+
+	it("detects network errors", () => {
+		expect(classifyNavigationError(new Error("page.goto: net::ERR_NAME_NOT_RESOLVED at https://x.test/"))).toBe(
+			"network-error"
+		);
+		expect(classifyNavigationError(new Error("NS_ERROR_CONNECTION_REFUSED"))).toBe("network-error");
+		expect(classifyNavigationError(new Error("connect ECONNREFUSED 127.0.0.1:443"))).toBe("network-error");
+		expect(classifyNavigationError(new Error("page.evaluate: TypeError: Failed to fetch"))).toBe("network-error");
+	});
+
+	it("falls back to error", () => {
+		expect(classifyNavigationError(new Error("Target page, context or browser has been closed"))).toBe("error");
+		expect(classifyNavigationError("boom")).toBe("error");
+		expect(classifyNavigationError(undefined)).toBe("error");
+	});
+});
+
+describe("isRetryableStatus", () => {
+	it("retries server errors, 408 and 429", () => {
+		expect([500, 502, 503, 408, 429].every(isRetryableStatus)).toBe(true);
+	});
+
+	it("doesn't retry other statuses", () => {
+		expect([200, 301, 400, 401, 403, 404].some(isRetryableStatus)).toBe(false);
+		expect(isRetryableStatus(null)).toBe(false);
+	});
+});
+
+describe("parseRetryAfter", () => {
+	it("parses delays in seconds", () => {
+		expect(parseRetryAfter("120")).toBe(120000);
+		expect(parseRetryAfter(" 0 ")).toBe(0);
+	});
+
+	it("parses HTTP dates", () => {
+		const now = Date.parse("2024-01-01T00:00:00Z");
+		expect(parseRetryAfter("Mon, 01 Jan 2024 00:00:30 GMT", now)).toBe(30000);
+		expect(parseRetryAfter("Sun, 31 Dec 2023 23:59:00 GMT", now)).toBe(0);
+	});
+
+	it("returns null for missing or invalid values", () => {
+		expect(parseRetryAfter(undefined)).toBe(null);
+		expect(parseRetryAfter("")).toBe(null);
+		expect(parseRetryAfter("soon")).toBe(null);
+	});
+});
+
+describe("backoffDelay", () => {
+	const options = { baseMs: 1000, maxMs: 10000 };
+
+	it("doubles on each retry, within the upper half of the window", () => {
+		expect(backoffDelay(1, { ...options, random: () => 0 })).toBe(500);
+		expect(backoffDelay(1, { ...options, random: () => 1 })).toBe(1000);
+		expect(backoffDelay(3, { ...options, random: () => 0 })).toBe(2000);
+		expect(backoffDelay(3, { ...options, random: () => 1 })).toBe(4000);
+	});
+
+	it("is capped at maxMs", () => {
+		expect(backoffDelay(10, { ...options, random: () => 1 })).toBe(10000);
+		expect(backoffDelay(10, { ...options, random: () => 0 })).toBe(5000);
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gunzipSync } from "node:zlib";
+import {
+	validatePathTemplate,
+	hasPathTemplate,
+	renderPathTemplate,
+	archivePath,
+	templatePattern,
+	listLogFiles,
+	pruneLogFiles,
+	gzipFile,
+} from "../src/rotation.js";
+
+const at = Date.UTC(2026, 2, 2, 9, 5, 7);
+
+describe("validatePathTemplate", () => {
+	it("accepts known tokens in the file name", () => {
+		expect(validatePathTemplate("/var/log/net-%Y-%m-%d_%H%M%S.ndjson")).toBe("/var/log/net-%Y-%m-%d_%H%M%S.ndjson");
+		expect(validatePathTemplate("/var/log/100%%.ndjson")).toBe("/var/log/100%%.ndjson");
+	});
+
+	it("rejects unknown tokens and tokens in directories", () => {
+		expect(() => validatePathTemplate("/logs/net-%j.ndjson")).toThrow(
+			"--record-network has an unknown date token '%j' (use %Y, %m, %d, %H, %M, %S or %%)"
+		);
+		expect(() => validatePathTemplate("/logs/%Y/net.ndjson", "recordNetwork")).toThrow(
+			"recordNetwork can only use date tokens in the file name"
+		);
+	});
+});
+
+describe("renderPathTemplate", () => {
+	it("fills in the date in the given time zone", () => {
+		expect(renderPathTemplate("/logs/net-%Y-%m-%d_%H%M%S.ndjson", at, "UTC")).toBe(
+			"/logs/net-2026-03-02_090507.ndjson"
+		);
+		expect(renderPathTemplate("/logs/net-%d-%H.ndjson", at, "Asia/Tokyo")).toBe("/logs/net-02-18.ndjson");
+		expect(renderPathTemplate("/logs/100%%-%Y.ndjson", at, "UTC")).toBe("/logs/100%-2026.ndjson");
+	});
+
+	it("leaves plain paths alone", () => {
+		expect(hasPathTemplate("/logs/net.ndjson")).toBe(false);
+		expect(renderPathTemplate("/logs/net.ndjson", at)).toBe("/logs/net.ndjson");
+	});
+});
+
+describe("templatePattern", () => {
+	it("matches rendered names, archives and gzipped copies", () => {
+		const pattern = templatePattern("/logs/net-%Y-%m-%d.ndjson");
+		expect(pattern.test("net-2026-03-02.ndjson")).toBe(true);
+		expect(pattern.test("net-2026-03-02.20260302-090507.ndjson")).toBe(true);
+		expect(pattern.test("net-2026-03-02.20260302-090507-1.ndjson.gz")).toBe(true);
+		expect(pattern.test("net-2026-03-02.har")).toBe(false);
+		expect(pattern.test("other-2026-03-02.ndjson")).toBe(false);
+	});
+});
+
+describe("log files", () => {
+	let dir;
+
+	afterEach(() => {
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		dir = null;
+	});
+
+	const touch = (name, mtime) => {
+		const path = join(dir, name);
+		writeFileSync(path, name);
+		utimesSync(path, mtime, mtime);
+		return path;
+	};
+
+	it("names archives by time and avoids collisions", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		const path = join(dir, "net.ndjson");
+		expect(archivePath(path, at, "UTC")).toBe(join(dir, "net.20260302-090507.ndjson"));
+		touch("net.20260302-090507.ndjson.gz", new Date());
+		expect(archivePath(path, at, "UTC")).toBe(join(dir, "net.20260302-090507-1.ndjson"));
+	});
+
+	it("lists, oldest first, and prunes files of a template", () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		const template = join(dir, "net-%Y-%m-%d.ndjson");
+		const oldest = touch("net-2026-02-27.ndjson.gz", new Date(at - 3 * 86400000));
+		const older = touch("net-2026-02-28.ndjson", new Date(at - 2 * 86400000));
+		const old = touch("net-2026-03-01.ndjson", new Date(at - 86400000));
+		const current = touch("net-2026-03-02.ndjson", new Date(at));
+		touch("notes.txt", new Date(at - 5 * 86400000));
+
+		expect(listLogFiles(template)).toEqual([oldest, older, old, current]);
+		expect(pruneLogFiles(template, { retain: 1, keep: [current] })).toEqual([oldest, older]);
+		expect(listLogFiles(template)).toEqual([old, current]);
+		expect(existsSync(join(dir, "notes.txt"))).toBe(true);
+	});
+
+	it("returns no files for a missing directory", () => {
+		expect(listLogFiles("/nonexistent/keepalive/net.ndjson")).toEqual([]);
+	});
+
+	it("gzips a file and removes the original", async () => {
+		dir = mkdtempSync(join(tmpdir(), "keepalive-rot-"));
+		const path = join(dir, "net.ndjson");
+		writeFileSync(path, '{"a":1}\n');
+
+		expect(await gzipFile(path)).toBe(`${path}.gz`);
+		expect(existsSync(path)).toBe(false);
+		expect(gunzipSync(readFileSync(`${path}.gz`)).toString()).toBe('{"a":1}\n');
+	});
+});
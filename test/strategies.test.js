@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from "vitest";
+import { validatePingUrl, pingFromPage, simulateActivity, clickSelector } from "../src/strategies.js";
+
+function createMockPage(evaluateResult) {
+	return {
+		evaluate: vi.fn().mockResolvedValue(evaluateResult),
+		mouse: { move: vi.fn(), wheel: vi.fn() },
+		keyboard: { press: vi.fn() },
+		click: vi.fn(),
+	};
+}
+
+describe("validatePingUrl", () => {
+	it("returns null for empty values", () => {
+		expect(validatePingUrl(undefined)).toBe(null);
+		expect(validatePingUrl("")).toBe(null);
+	});
+
+	it("accepts absolute http(s) URLs and paths", () => {
+		expect(validatePingUrl("https://outlook.office.com/owa/ping")).toBe("https://outlook.office.com/owa/ping");
+		expect(validatePingUrl("/api/session")).toBe("/api/session");
+	});
+
+	it("rejects anything else", () => {
+		expect(() => validatePingUrl("api/session")).toThrow("--ping-url must be an absolute http(s) URL or a path");
+		expect(() => validatePingUrl("//evil.example.com/")).toThrow("--ping-url must be an absolute http(s) URL");
+		expect(() => validatePingUrl("file:///etc/passwd")).toThrow("--ping-url must be an absolute http(s) URL");
+	});
+});
+
+describe("pingFromPage", () => {
+	it("fetches inside the page and returns the status", async () => {
+		const page = createMockPage({ status: 200, url: "https://app.example.com/ping" });
+		expect(await pingFromPage(page, "/ping", { timeoutMs: 5000 })).toEqual({
+			status: 200,
+			url: "https://app.example.com/ping",
+		});
+		expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), {
+			url: "/ping",
+			method: "GET",
+			headers: {},
+			body: null,
+			timeoutMs: 5000,
+		});
+	});
+
+	it("passes the method, headers and body on", async () => {
+		const page = createMockPage({ status: 204, url: "https://app.example.com/api/ping" });
+		await pingFromPage(page, "/api/ping", { method: "POST", headers: { "x-a": "1" }, body: "{}" });
+		expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), {
+			url: "/api/ping",
+			method: "POST",
+			headers: { "x-a": "1" },
+			body: "{}",
+			timeoutMs: 30000,
+		});
+	});
+
+	it("passes on errors from the page", async () => {
+		const page = createMockPage();
+		page.evaluate.mockRejectedValue(new Error("page.evaluate: TypeError: Failed to fetch"));
+		await expect(pingFromPage(page, "/ping")).rejects.toThrow("Failed to fetch");
+	});
+});
+
+describe("simulateActivity", () => {
+	it("moves the mouse inside the viewport, presses a key and scrolls", async () => {
+		const page = createMockPage({ width: 1000, height: 800 });
+		await simulateActivity(page, "playwright", { random: () => 0 });
+		expect(page.mouse.move).toHaveBeenCalledWith(250, 200, { steps: 5 });
+		expect(page.keyboard.press).toHaveBeenCalledWith("Shift");
+		expect(page.mouse.wheel.mock.calls).toEqual([
+			[0, 100],
+			[0, -100],
+		]);
+	});
+
+	it("uses Puppeteer's wheel() signature", async () => {
+		const page = createMockPage({ width: 1000, height: 800 });
+		await simulateActivity(page, "puppeteer", { random: () => 1 });
+		expect(page.mouse.move).toHaveBeenCalledWith(750, 600, { steps: 5 });
+		expect(page.mouse.wheel.mock.calls).toEqual([[{ deltaY: 100 }], [{ deltaY: -100 }]]);
+	});
+});
+
+describe("clickSelector", () => {
+	it("clicks the selector", async () => {
+		const page = createMockPage();
+		await clickSelector(page, "#keep-me-signed-in");
+		expect(page.click).toHaveBeenCalledWith("#keep-me-signed-in");
+	});
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from "vitest";
+import { normalizePayload, watchPlaywrightWebSockets, watchCdpStreams, watchStreams } from "../src/streams.js";
+
+function emitter(extra = {}) {
+	const handlers = new Map();
+	return {
+		on: vi.fn((event, fn) => handlers.set(event, fn)),
+		off: vi.fn((event) => handlers.delete(event)),
+		emit: (event, value) => handlers.get(event)?.(value),
+		...extra,
+	};
+}
+
+function fakeCdpClient() {
+	return emitter({ send: vi.fn(async () => ({})), detach: vi.fn(async () => {}) });
+}
+
+describe("normalizePayload", () => {
+	it("keeps text and cuts it by bytes", () => {
+		expect(normalizePayload('{"a":1}')).toEqual({ data: '{"a":1}', encoding: null, size: 7, truncated: false });
+		expect(normalizePayload("añb", { maxBytes: 2 })).toEqual({ data: "a", encoding: null, size: 4, truncated: true });
+	});
+
+	it("base64-encodes binary payloads", () => {
+		expect(normalizePayload(Buffer.from([1, 2, 3]), { maxBytes: 2 })).toEqual({
+			data: "AQI=",
+			encoding: "base64",
+			size: 3,
+			truncated: true,
+		});
+		// CDP hands binary frames over as base64 already.
+		expect(normalizePayload("AQID", { binary: true })).toEqual({
+			data: "AQID",
+			encoding: "base64",
+			size: 3,
+			truncated: false,
+		});
+	});
+});
+
+describe("watchPlaywrightWebSockets", () => {
+	it("reports open, frames, errors and close", async () => {
+		const page = emitter();
+		const events = [];
+		const stop = watchPlaywrightWebSockets(page, (event) => events.push(event), { maxBytes: 4 });
+
+		const ws = emitter({ url: () => "wss://app.example.com/socket" });
+		page.emit("websocket", ws);
+		ws.emit("framesent", { payload: "hello" });
+		ws.emit("framereceived", { payload: Buffer.from([9]) });
+		ws.emit("socketerror", "boom");
+		ws.emit("close", ws);
+
+		const base = { type: "websocket", id: "ws-1", url: "wss://app.example.com/socket" };
+		expect(events).toEqual([
+			{ ...base, event: "open" },
+			{ ...base, event: "sent", opcode: 1, data: "hell", encoding: null, size: 5, truncated: true },
+			{ ...base, event: "received", opcode: 2, data: "CQ==", encoding: "base64", size: 1, truncated: false },
+			{ ...base, event: "error", errorText: "boom" },
+			{ ...base, event: "close" },
+		]);
+
+		await stop();
+		expect(page.off).toHaveBeenCalledWith("websocket", expect.any(Function));
+		ws.emit("framesent", { payload: "late" });
+		expect(events).toHaveLength(5);
+	});
+});
+
+describe("watchCdpStreams", () => {
+	it("normalizes WebSocket events like Playwright's", async () => {
+		const client = fakeCdpClient();
+		const events = [];
+		const stop = await watchCdpStreams(client, (event) => events.push(event));
+		expect(client.send).toHaveBeenCalledWith("Network.enable");
+
+		client.emit("Network.webSocketCreated", { requestId: "7", url: "wss://app.example.com/socket" });
+		client.emit("Network.webSocketFrameSent", { requestId: "7", response: { opcode: 1, payloadData: "hi" } });
+		client.emit("Network.webSocketFrameReceived", { requestId: "7", response: { opcode: 2, payloadData: "CQ==" } });
+		client.emit("Network.webSocketFrameError", { requestId: "7", errorMessage: "bad frame" });
+		client.emit("Network.webSocketClosed", { requestId: "7" });
+		client.emit("Network.webSocketFrameSent", { requestId: "8", response: { opcode: 1, payloadData: "?" } });
+
+		const base = { type: "websocket", id: "7", url: "wss://app.example.com/socket" };
+		expect(events).toEqual([
+			{ ...base, event: "open" },
+			{ ...base, event: "sent", opcode: 1, data: "hi", encoding: null, size: 2, truncated: false },
+			{ ...base, event: "received", opcode: 2, data: "CQ==", encoding: "base64", size: 1, truncated: false },
+			{ ...base, event: "error", errorText: "bad frame" },
+			{ ...base, event: "close" },
+		]);
+
+		await stop();
+		expect(client.detach).toHaveBeenCalled();
+	});
+
+	it("reports SSE messages of event source requests only", async () => {
+		const client = fakeCdpClient();
+		const events = [];
+		await watchCdpStreams(client, (event) => events.push(event), { webSockets: false });
+		expect(client.on).not.toHaveBeenCalledWith("Network.webSocketCreated", expect.any(Function));
+
+		const url = "https://app.example.com/events";
+		client.emit("Network.requestWillBeSent", { requestId: "1", type: "EventSource", request: { url } });
+		client.emit("Network.requestWillBeSent", { requestId: "2", type: "Fetch", request: { url: "https://x.test/" } });
+		client.emit("Network.eventSourceMessageReceived", { requestId: "1", eventName: "", eventId: "", data: "tick" });
+		client.emit("Network.eventSourceMessageReceived", { requestId: "1", eventName: "mail", eventId: "42", data: "{}" });
+		client.emit("Network.loadingFinished", { requestId: "2" });
+		client.emit("Network.loadingFailed", { requestId: "1", errorText: "net::ERR_ABORTED" });
+
+		const base = { type: "sse", id: "1", url };
+		const message = { ...base, event: "message", encoding: null, truncated: false };
+		expect(events).toEqual([
+			{ ...message, eventName: "message", eventId: null, data: "tick", size: 4 },
+			{ ...message, eventName: "mail", eventId: "42", data: "{}", size: 2 },
+			{ ...base, event: "error", errorText: "net::ERR_ABORTED" },
+		]);
+	});
+});
+
+describe("watchStreams", () => {
+	it("uses CDP for Puppeteer pages", async () => {
+		const client = fakeCdpClient();
+		const page = emitter({ createCDPSession: vi.fn(async () => client) });
+		await watchStreams(page, () => {});
+		expect(client.on).toHaveBeenCalledWith("Network.webSocketCreated", expect.any(Function));
+		expect(page.on).not.toHaveBeenCalled();
+	});
+
+	it("adds CDP for SSE to Playwright's WebSockets on Chromium", async () => {
+		const client = fakeCdpClient();
+		const page = emitter({ context: () => ({ newCDPSession: vi.fn(async () => client) }) });
+		const stop = await watchStreams(page, () => {});
+		expect(page.on).toHaveBeenCalledWith("websocket", expect.any(Function));
+		expect(client.on).toHaveBeenCalledWith("Network.eventSourceMessageReceived", expect.any(Function));
+		expect(client.on).not.toHaveBeenCalledWith("Network.webSocketCreated", expect.any(Function));
+		await stop();
+		expect(client.detach).toHaveBeenCalled();
+	});
+
+	it("keeps WebSockets when the browser has no CDP", async () => {
+		const page = emitter({
+			context: () => ({
+				newCDPSession: async () => {
+					throw new Error("CDP session is only available in Chromium");
+				},
+			}),
+		});
+		const stop = await watchStreams(page, () => {});
+		expect(page.on).toHaveBeenCalledWith("websocket", expect.any(Function));
+		await stop();
+	});
+});
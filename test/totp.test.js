@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { decodeBase32, generateHotp, generateTotp } from "../src/totp.js";
+
+// RFC 4226 / RFC 6238 test secret: ASCII "12345678901234567890"
+const SECRET_ASCII = "12345678901234567890";
+const SECRET_BASE32 = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("decodeBase32", () => {
+	it("decodes RFC 4648 base32", () => {
+		expect(decodeBase32(SECRET_BASE32).toString("ascii")).toBe(SECRET_ASCII);
+		expect(decodeBase32("MZXW6YQ=").toString("ascii")).toBe("foob");
+	});
+
+	it("ignores case, spaces and dashes", () => {
+		expect(decodeBase32("gezd gnbv-gy3t qojq gezd gnbv gy3t qojq").toString("ascii")).toBe(SECRET_ASCII);
+	});
+
+	it("rejects invalid characters", () => {
+		expect(() => decodeBase32("ABC1")).toThrow("TOTP secret is not valid base32 (unexpected '1')");
+	});
+
+	it("rejects empty secrets", () => {
+		expect(() => decodeBase32("")).toThrow("TOTP secret must not be empty");
+	});
+});
+
+describe("generateHotp", () => {
+	it("matches the RFC 4226 test vectors", () => {
+		const key = Buffer.from(SECRET_ASCII, "ascii");
+		const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+		expected.forEach((code, counter) => {
+			expect(generateHotp(key, counter)).toBe(code);
+		});
+	});
+});
+
+describe("generateTotp", () => {
+	it("matches the RFC 6238 SHA-1 test vectors", () => {
+		const vectors = [
+			[59, "94287082"],
+			[1111111109, "07081804"],
+			[1111111111, "14050471"],
+			[1234567890, "89005924"],
+			[2000000000, "69279037"],
+			[20000000000, "65353130"],
+		];
+		for (const [seconds, code] of vectors) {
+			expect(generateTotp(SECRET_BASE32, { time: seconds * 1000, digits: 8 })).toBe(code);
+		}
+	});
+
+	it("defaults to 6 digits and a 30 second step", () => {
+		expect(generateTotp(SECRET_BASE32, { time: 59 * 1000 })).toBe("287082");
+		expect(generateTotp(SECRET_BASE32, { time: 30 * 1000 })).toBe("287082");
+		expect(generateTotp(SECRET_BASE32, { time: 29 * 1000 })).toBe("755224");
+	});
+});
@@ -1,11 +1,32 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import {
 	parseInterval,
+	parseJitter,
+	validateTimeZone,
+	zonedParts,
+	parseCron,
+	parseActiveHours,
+	isWithinActiveHours,
+	nextActiveTime,
+	nextRunTime,
+	formatZonedTime,
+	parsePositiveInt,
+	parseNonNegativeInt,
+	parsePort,
+	parseMatchPattern,
 	validateEngine,
+	validateBrowser,
+	validateStrategy,
+	STRATEGIES,
 	validateUrlString,
+	parseBoolean,
+	splitSpecOptions,
+	parseTargetSpec,
 	stripQueryParam,
 	withCacheBuster,
 	sleep,
+	createWakeableSleep,
+	createRateLimiter,
 	isMissingEngineError,
 	isPlaywrightMissingBrowserError,
 	isPuppeteerMissingBrowserError,
@@ -44,6 +65,246 @@ describe("parseInterval", () => {
 	it("throws on NaN", () => {
 		expect(() => parseInterval("NaN")).toThrow("--interval must be a positive number");
 	});
+
+	it("names the given option in errors", () => {
+		expect(() => parseInterval("0", "--heartbeat-interval")).toThrow("--heartbeat-interval must be a positive number");
+	});
+});
+
+describe("parseJitter", () => {
+	it("returns null for empty values", () => {
+		expect(parseJitter(undefined)).toBe(null);
+		expect(parseJitter("")).toBe(null);
+	});
+
+	it("parses seconds and percentages", () => {
+		expect(parseJitter("30")).toEqual({ seconds: 30 });
+		expect(parseJitter(0)).toEqual({ seconds: 0 });
+		expect(parseJitter("10%")).toEqual({ ratio: 0.1 });
+	});
+
+	it("throws on invalid values", () => {
+		expect(() => parseJitter("-5")).toThrow("--jitter must be a number of seconds or a percentage");
+		expect(() => parseJitter("abc")).toThrow("--jitter must be a number of seconds or a percentage");
+		expect(() => parseJitter("100%")).toThrow("--jitter must be less than 100%");
+	});
+});
+
+describe("validateTimeZone", () => {
+	it("accepts IANA zones and empty values", () => {
+		expect(validateTimeZone("Europe/Berlin")).toBe("Europe/Berlin");
+		expect(validateTimeZone("UTC")).toBe("UTC");
+		expect(validateTimeZone(undefined)).toBe(null);
+	});
+
+	it("throws on unknown zones", () => {
+		expect(() => validateTimeZone("Mars/Olympus")).toThrow("--timezone must be an IANA time zone");
+	});
+});
+
+describe("zonedParts", () => {
+	it("reads wall-clock time in a zone", () => {
+		// 2024-01-08 (a Monday) 06:30 UTC is 07:30 in Berlin.
+		expect(zonedParts(Date.UTC(2024, 0, 8, 6, 30, 15), "Europe/Berlin")).toEqual({
+			year: 2024,
+			month: 1,
+			day: 8,
+			weekday: 1,
+			hour: 7,
+			minute: 30,
+			second: 15,
+		});
+	});
+});
+
+describe("parseCron", () => {
+	const at = (iso) => Date.parse(iso);
+
+	it("finds the next matching minute", () => {
+		const cron = parseCron("*/15 * * * *");
+		expect(cron.next(at("2024-01-08T10:07:30Z"), "UTC")).toBe(at("2024-01-08T10:15:00Z"));
+		expect(cron.next(at("2024-01-08T10:15:00Z"), "UTC")).toBe(at("2024-01-08T10:30:00Z"));
+	});
+
+	it("supports ranges, lists and names", () => {
+		const cron = parseCron("0 7,12 * * mon-fri");
+		// Saturday morning -> Monday 07:00
+		expect(cron.next(at("2024-01-06T09:00:00Z"), "UTC")).toBe(at("2024-01-08T07:00:00Z"));
+		expect(parseCron("0 0 1 jan *").next(at("2024-03-01T00:00:00Z"), "UTC")).toBe(at("2025-01-01T00:00:00Z"));
+	});
+
+	it("treats 7 as Sunday and expands macros", () => {
+		expect(parseCron("0 9 * * 7").next(at("2024-01-08T00:00:00Z"), "UTC")).toBe(at("2024-01-14T09:00:00Z"));
+		expect(parseCron("@daily").next(at("2024-01-08T10:00:00Z"), "UTC")).toBe(at("2024-01-09T00:00:00Z"));
+	});
+
+	it("matches either day field when both are restricted", () => {
+		const cron = parseCron("0 0 15 * mon");
+		// 2024-01-08 is a Monday, before the 15th.
+		expect(cron.next(at("2024-01-07T12:00:00Z"), "UTC")).toBe(at("2024-01-08T00:00:00Z"));
+		expect(cron.next(at("2024-01-13T12:00:00Z"), "UTC")).toBe(at("2024-01-15T00:00:00Z"));
+	});
+
+	it("evaluates in the given time zone", () => {
+		const cron = parseCron("0 7 * * *");
+		expect(cron.next(at("2024-01-08T00:00:00Z"), "Europe/Berlin")).toBe(at("2024-01-08T06:00:00Z"));
+		expect(cron.next(at("2024-07-08T00:00:00Z"), "Europe/Berlin")).toBe(at("2024-07-08T05:00:00Z"));
+	});
+
+	it("skips times a DST change removes", () => {
+		// 02:30 doesn't exist in Berlin on 2024-03-31.
+		expect(parseCron("30 2 * * *").next(at("2024-03-30T12:00:00Z"), "Europe/Berlin")).toBe(
+			at("2024-04-01T00:30:00Z")
+		);
+	});
+
+	it("throws on invalid expressions", () => {
+		expect(() => parseCron("* * * *")).toThrow("--schedule must be a cron expression with 5 fields");
+		expect(() => parseCron("60 * * * *")).toThrow("--schedule minute must be within 0-59 (got '60')");
+		expect(() => parseCron("*/0 * * * *")).toThrow("--schedule minute has an invalid step '*/0'");
+		expect(() => parseCron("0 0 * * funday")).toThrow("--schedule day of week has an invalid value 'funday'");
+		expect(() => parseCron("0 0 31 2 *")).toThrow("--schedule '0 0 31 2 *' never matches");
+	});
+});
+
+describe("parseActiveHours", () => {
+	it("parses days and times", () => {
+		const window = parseActiveHours("mon-fri 07:00-19:00");
+		expect([...window.days].sort()).toEqual([1, 2, 3, 4, 5]);
+		expect(window.start).toBe(7 * 60);
+		expect(window.end).toBe(19 * 60);
+	});
+
+	it("defaults to every day and wraps day ranges", () => {
+		expect(parseActiveHours("09:00-17:30").days.size).toBe(7);
+		expect([...parseActiveHours("fri-mon 08:00-09:00").days].sort()).toEqual([0, 1, 5, 6]);
+	});
+
+	it("throws on invalid windows", () => {
+		expect(() => parseActiveHours("mornings")).toThrow("must look like 'mon-fri 07:00-19:00'");
+		expect(() => parseActiveHours("07:00-25:00")).toThrow("has an invalid time '25:00'");
+		expect(() => parseActiveHours("mon-xyz 07:00-08:00")).toThrow("has an invalid value 'xyz'");
+		expect(() => parseActiveHours("9 07:00-08:00")).toThrow("has an invalid day '9'");
+		expect(() => parseActiveHours("07:00-07:00")).toThrow("must not be empty");
+	});
+});
+
+describe("isWithinActiveHours / nextActiveTime", () => {
+	const at = (iso) => Date.parse(iso);
+	const workdays = [parseActiveHours("mon-fri 07:00-19:00")];
+
+	it("checks windows in the given time zone", () => {
+		// Monday 06:30 UTC = 07:30 Berlin
+		expect(isWithinActiveHours(workdays, at("2024-01-08T06:30:00Z"), "Europe/Berlin")).toBe(true);
+		expect(isWithinActiveHours(workdays, at("2024-01-08T06:30:00Z"), "UTC")).toBe(false);
+		expect(isWithinActiveHours(workdays, at("2024-01-06T10:00:00Z"), "UTC")).toBe(false);
+	});
+
+	it("handles windows past midnight", () => {
+		const nights = [parseActiveHours("fri 22:00-06:00")];
+		expect(isWithinActiveHours(nights, at("2024-01-05T23:00:00Z"), "UTC")).toBe(true);
+		expect(isWithinActiveHours(nights, at("2024-01-06T05:59:00Z"), "UTC")).toBe(true);
+		expect(isWithinActiveHours(nights, at("2024-01-06T06:00:00Z"), "UTC")).toBe(false);
+		expect(isWithinActiveHours(nights, at("2024-01-06T23:00:00Z"), "UTC")).toBe(false);
+	});
+
+	it("returns the time itself when active, else the next window start", () => {
+		expect(nextActiveTime(workdays, at("2024-01-08T10:00:00Z"), "UTC")).toBe(at("2024-01-08T10:00:00Z"));
+		expect(nextActiveTime(workdays, at("2024-01-08T19:00:00Z"), "UTC")).toBe(at("2024-01-09T07:00:00Z"));
+		expect(nextActiveTime(workdays, at("2024-01-05T20:00:00Z"), "UTC")).toBe(at("2024-01-08T07:00:00Z"));
+		expect(nextActiveTime(workdays, at("2024-01-08T03:00:00Z"), "Europe/Berlin")).toBe(at("2024-01-08T06:00:00Z"));
+	});
+});
+
+describe("nextRunTime", () => {
+	it("waits the interval, moved by the jitter", () => {
+		const base = { from: 0, intervalSeconds: 60 };
+		expect(nextRunTime(base)).toBe(60000);
+		expect(nextRunTime({ ...base, jitter: { seconds: 10 }, random: () => 0 })).toBe(50000);
+		expect(nextRunTime({ ...base, jitter: { seconds: 10 }, random: () => 1 })).toBe(70000);
+		expect(nextRunTime({ ...base, jitter: { ratio: 0.5 }, random: () => 1 })).toBe(90000);
+	});
+
+	it("never schedules closer than a second", () => {
+		expect(nextRunTime({ from: 0, intervalSeconds: 5, jitter: { seconds: 60 }, random: () => 0 })).toBe(1000);
+	});
+
+	it("follows the cron schedule, delayed by up to the jitter", () => {
+		const schedule = parseCron("0 * * * *");
+		const from = Date.parse("2024-01-08T10:20:00Z");
+		const options = { from, intervalSeconds: 60, schedule, timeZone: "UTC" };
+		expect(nextRunTime(options)).toBe(Date.parse("2024-01-08T11:00:00Z"));
+		expect(nextRunTime({ ...options, jitter: { seconds: 30 }, random: () => 1 })).toBe(
+			Date.parse("2024-01-08T11:00:30Z")
+		);
+	});
+
+	it("takes a percentage jitter from the gap between cron matches, not the interval", () => {
+		const schedule = parseCron("0 9 * * *");
+		const from = Date.parse("2024-01-08T08:59:00Z");
+		const options = { from, intervalSeconds: 60, schedule, timeZone: "UTC", random: () => 1 };
+		// 10% of a day, however close the next match and whatever the interval.
+		expect(nextRunTime({ ...options, jitter: { ratio: 0.1 } })).toBe(Date.parse("2024-01-08T11:24:00Z"));
+	});
+});
+
+describe("formatZonedTime", () => {
+	it("formats wall-clock time with the zone", () => {
+		expect(formatZonedTime(Date.UTC(2024, 0, 8, 6, 5), "Europe/Berlin")).toBe("2024-01-08 07:05 Europe/Berlin");
+		expect(formatZonedTime(Date.UTC(2024, 0, 8, 6, 5), "UTC")).toBe("2024-01-08 06:05 UTC");
+	});
+});
+
+describe("parsePositiveInt", () => {
+	it("returns null for empty values", () => {
+		expect(parsePositiveInt(undefined, "--n")).toBe(null);
+		expect(parsePositiveInt(null, "--n")).toBe(null);
+		expect(parsePositiveInt("", "--n")).toBe(null);
+	});
+
+	it("parses positive integers", () => {
+		expect(parsePositiveInt("1000", "--n")).toBe(1000);
+		expect(parsePositiveInt(5, "--n")).toBe(5);
+	});
+
+	it("throws with label otherwise", () => {
+		expect(() => parsePositiveInt("0", "--n")).toThrow("--n must be a positive integer");
+		expect(() => parsePositiveInt("1.5", "--n")).toThrow("--n must be a positive integer");
+	});
+});
+
+describe("parseNonNegativeInt", () => {
+	it("returns null for empty values", () => {
+		expect(parseNonNegativeInt(undefined, "--n")).toBe(null);
+		expect(parseNonNegativeInt("", "--n")).toBe(null);
+	});
+
+	it("accepts zero", () => {
+		expect(parseNonNegativeInt("0", "--n")).toBe(0);
+		expect(parseNonNegativeInt(3, "--n")).toBe(3);
+	});
+
+	it("throws with label otherwise", () => {
+		expect(() => parseNonNegativeInt("-1", "--n")).toThrow("--n must be a non-negative integer");
+		expect(() => parseNonNegativeInt("x", "--n")).toThrow("--n must be a non-negative integer");
+	});
+});
+
+describe("parsePort", () => {
+	it("returns null for empty values", () => {
+		expect(parsePort(undefined, "--port")).toBe(null);
+		expect(parsePort("", "--port")).toBe(null);
+	});
+
+	it("parses valid ports", () => {
+		expect(parsePort("8080", "--port")).toBe(8080);
+		expect(parsePort(65535, "--port")).toBe(65535);
+	});
+
+	it("throws with label on invalid ports", () => {
+		expect(() => parsePort("0", "--control-port")).toThrow("--control-port must be an integer between 1 and 65535");
+		expect(() => parsePort("70000", "--control-port")).toThrow("--control-port must be an integer between 1 and 65535");
+	});
 });
 
 describe("validateEngine", () => {
@@ -62,6 +323,31 @@ describe("validateEngine", () => {
 	});
 });
 
+describe("validateBrowser", () => {
+	it("accepts Playwright's browsers in any case", () => {
+		expect(validateBrowser("chromium")).toBe("chromium");
+		expect(validateBrowser(" Firefox ")).toBe("firefox");
+		expect(validateBrowser("webkit")).toBe("webkit");
+	});
+
+	it("throws on anything else", () => {
+		expect(() => validateBrowser("chrome")).toThrow("--browser must be one of chromium, firefox, webkit");
+		expect(() => validateBrowser("safari", "browser")).toThrow("browser must be one of");
+	});
+});
+
+describe("validateStrategy", () => {
+	it("accepts every strategy, reload first", () => {
+		expect(STRATEGIES[0]).toBe("reload");
+		for (const name of STRATEGIES) expect(validateStrategy(name)).toBe(name);
+	});
+
+	it("throws with label on unknown strategies", () => {
+		expect(() => validateStrategy("poke")).toThrow("--strategy must be one of reload, ping, activity, click");
+		expect(() => validateStrategy("poke", "strategy")).toThrow("strategy must be one of");
+	});
+});
+
 describe("validateUrlString", () => {
 	it("accepts valid absolute URLs", () => {
 		expect(validateUrlString("https://example.com")).toBe("https://example.com/");
@@ -74,6 +360,117 @@ describe("validateUrlString", () => {
 	});
 });
 
+describe("parseBoolean", () => {
+	it("accepts common truthy and falsy spellings", () => {
+		expect(parseBoolean("true", "x")).toBe(true);
+		expect(parseBoolean("YES", "x")).toBe(true);
+		expect(parseBoolean("1", "x")).toBe(true);
+		expect(parseBoolean("off", "x")).toBe(false);
+		expect(parseBoolean("no", "x")).toBe(false);
+		expect(parseBoolean(false, "x")).toBe(false);
+	});
+
+	it("throws with label on anything else", () => {
+		expect(() => parseBoolean("maybe", "--flag")).toThrow("--flag must be true or false");
+	});
+});
+
+describe("splitSpecOptions", () => {
+	it("returns the whole spec when there are no options", () => {
+		expect(splitSpecOptions("https://example.com")).toEqual({ head: "https://example.com", options: [] });
+		expect(splitSpecOptions("http://[::1]:8080/")).toEqual({ head: "http://[::1]:8080/", options: [] });
+	});
+
+	it("splits key=value pairs and bare keys", () => {
+		expect(splitSpecOptions("POST /api/ping::interval=30,header=X-A: 1,flag")).toEqual({
+			head: "POST /api/ping",
+			options: [
+				["interval", "30"],
+				["header", "X-A: 1"],
+				["flag", true],
+			],
+		});
+	});
+});
+
+describe("parseTargetSpec", () => {
+	const defaults = { intervalSeconds: 60, cacheBust: true, alwaysReset: false, strategy: "reload" };
+
+	it("uses defaults for a plain URL", () => {
+		expect(parseTargetSpec("https://example.com", defaults)).toEqual({
+			url: "https://example.com/",
+			intervalSeconds: 60,
+			cacheBust: true,
+			alwaysReset: false,
+			strategy: "reload",
+		});
+	});
+
+	it("applies per-target overrides", () => {
+		expect(
+			parseTargetSpec("https://example.com/app::interval=300,no-cache-bust,always-reset,strategy=ping", defaults)
+		).toEqual({
+			url: "https://example.com/app",
+			intervalSeconds: 300,
+			cacheBust: false,
+			alwaysReset: true,
+			strategy: "ping",
+		});
+		expect(() => parseTargetSpec("https://example.com::strategy=poke", defaults)).toThrow(
+			"'strategy' for https://example.com/ must be one of reload, ping, activity, click"
+		);
+	});
+
+	it("accepts explicit boolean values", () => {
+		const target = parseTargetSpec("https://example.com::cache-bust=false,always-reset=true", defaults);
+		expect(target.cacheBust).toBe(false);
+		expect(target.alwaysReset).toBe(true);
+	});
+
+	it("treats IPv6 hosts as part of the URL", () => {
+		expect(parseTargetSpec("http://[::1]:8080/", defaults).url).toBe("http://[::1]:8080/");
+	});
+
+	it("validates overrides", () => {
+		expect(() => parseTargetSpec("https://example.com::interval=0", defaults)).toThrow(
+			"--interval must be a positive number"
+		);
+		expect(() => parseTargetSpec("https://example.com::speed=fast", defaults)).toThrow(
+			"Unknown target option 'speed' for https://example.com/"
+		);
+	});
+
+	it("rejects value options given without a value", () => {
+		expect(() => parseTargetSpec("https://example.com::interval", defaults)).toThrow(
+			"Target option 'interval' for https://example.com/ needs a value"
+		);
+		expect(() => parseTargetSpec("https://example.com::always-reset,strategy", defaults)).toThrow(
+			"Target option 'strategy' for https://example.com/ needs a value"
+		);
+	});
+
+	it("validates the URL", () => {
+		expect(() => parseTargetSpec("not-a-url::interval=5", defaults)).toThrow("<url> must be a valid absolute URL");
+	});
+});
+
+describe("parseMatchPattern", () => {
+	it("matches substrings", () => {
+		const pattern = parseMatchPattern("Inbox", "title pattern");
+		expect(pattern.test("Inbox - Mail")).toBe(true);
+		expect(pattern.test("inbox")).toBe(false);
+	});
+
+	it("matches /regex/flags", () => {
+		expect(parseMatchPattern("/^inbox/i", "title pattern").test("INBOX (3)")).toBe(true);
+	});
+
+	it("uses the label in errors", () => {
+		expect(() => parseMatchPattern("", "title pattern")).toThrow("title pattern must not be empty");
+		expect(() => parseMatchPattern("/(/", "title pattern")).toThrow("Invalid title pattern /(/");
+	});
+});
+
 describe("stripQueryParam", () => {
 	it("removes specified query parameter", () => {
 		expect(stripQueryParam("https://example.com?_cb=abc123", "_cb")).toBe("https://example.com/");
@@ -178,6 +575,84 @@ describe("sleep", () => {
 	});
 });
 
+describe("createWakeableSleep", () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("resolves after the given time", async () => {
+		const timer = createWakeableSleep();
+		let resolved = false;
+		timer.sleep(1000).then(() => {
+			resolved = true;
+		});
+		await vi.advanceTimersByTimeAsync(999);
+		expect(resolved).toBe(false);
+		await vi.advanceTimersByTimeAsync(1);
+		expect(resolved).toBe(true);
+	});
+
+	it("wake() resolves the pending sleep early", async () => {
+		const timer = createWakeableSleep();
+		let resolved = false;
+		timer.sleep(60000).then(() => {
+			resolved = true;
+		});
+		timer.wake();
+		await Promise.resolve();
+		expect(resolved).toBe(true);
+		expect(vi.getTimerCount()).toBe(0);
+	});
+
+	it("wake() without a pending sleep is a no-op", () => {
+		expect(() => createWakeableSleep().wake()).not.toThrow();
+	});
+
+	it("caps sleeps longer than setTimeout() can wait", async () => {
+		const warn = vi.spyOn(process, "emitWarning");
+		const timer = createWakeableSleep();
+		let resolved = false;
+		// About 31 days, as with --schedule @monthly.
+		timer.sleep(31 * 24 * 60 * 60 * 1000).then(() => {
+			resolved = true;
+		});
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(resolved).toBe(false);
+		await vi.advanceTimersByTimeAsync(2 ** 31 - 1 - 1000);
+		expect(resolved).toBe(true);
+		expect(warn).not.toHaveBeenCalled();
+		warn.mockRestore();
+	});
+});
+
+describe("createRateLimiter", () => {
+	it("allows up to limit events per window", () => {
+		let now = 0;
+		const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+		expect(limiter.delayMs()).toBe(0);
+		limiter.record();
+		now = 100;
+		limiter.record();
+		expect(limiter.delayMs()).toBe(900);
+	});
+
+	it("frees up as events leave the window", () => {
+		let now = 0;
+		const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+		limiter.record();
+		now = 100;
+		limiter.record();
+		now = 1000;
+		expect(limiter.delayMs()).toBe(0);
+		limiter.record();
+		expect(limiter.delayMs()).toBe(100);
+	});
+});
+
 describe("isMissingEngineError", () => {
 	it("detects 'Cannot find package' errors", () => {
 		const err = new Error("Cannot find package 'playwright'");